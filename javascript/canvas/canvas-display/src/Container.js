@@ -19,11 +19,31 @@ Container.prototype._renderCanvas = function _renderCanvas(renderer) // eslint-d
 Container.prototype.renderCanvas = function renderCanvas(renderer)
 {
     // if not visible or the alpha is 0 then no need to render this
-    if (!this.visible || this.worldAlpha <= 0 || !this.renderable)
+    if (!this.visible || this.worldAlpha <= 0 || !this.renderable || (this.groupAlpha && this.groupWorldAlpha <= 0))
     {
         return;
     }
 
+    // skip the whole subtree if it is outside of what is being rendered
+    if (this.cullable && this.isCulled(renderer.cullFrame))
+    {
+        renderer.culledObjects++;
+
+        return;
+    }
+
+    if (this.sortableChildren && this.sortDirty)
+    {
+        this.sortChildren();
+    }
+
+    const group = this.renderedAsGroup;
+
+    if (group)
+    {
+        renderer.groupManager.push(this);
+    }
+
     if (this._mask)
     {
         renderer.maskManager.pushMask(this._mask);
@@ -32,11 +52,22 @@ Container.prototype.renderCanvas = function renderCanvas(renderer)
     this._renderCanvas(renderer);
     for (let i = 0, j = this.children.length; i < j; ++i)
     {
-        this.children[i].renderCanvas(renderer);
+        const child = this.children[i];
+
+        // children in a layer are rendered by the layer
+        if (!child._layer)
+        {
+            child.renderCanvas(renderer);
+        }
     }
 
     if (this._mask)
     {
         renderer.maskManager.popMask(renderer);
     }
+
+    if (group)
+    {
+        renderer.groupManager.pop(this);
+    }
 };
@@ -0,0 +1,22 @@
+import { Layer } from '@pixi/display';
+
+/**
+ * Renders the objects of the layer using the Canvas renderer
+ *
+ * @private
+ * @param {PIXI.CanvasRenderer} renderer - The renderer
+ */
+Layer.prototype._renderCanvas = function _renderCanvas(renderer)
+{
+    const layerChildren = this.layerChildren;
+
+    for (let i = 0; i < layerChildren.length; i++)
+    {
+        const child = layerChildren[i];
+
+        if (this.isActive(child))
+        {
+            child.renderCanvas(renderer);
+        }
+    }
+};
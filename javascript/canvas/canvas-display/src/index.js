@@ -1,2 +1,3 @@
 import './Container';
 import './DisplayObject';
+import './Layer';
@@ -1,6 +1,8 @@
 import { AbstractRenderer } from '@pixi/core';
 import { CanvasRenderTarget, sayHello } from '@pixi/utils';
+import { Rectangle } from '@pixi/math';
 import CanvasMaskManager from './utils/CanvasMaskManager';
+import CanvasGroupManager from './utils/CanvasGroupManager';
 import mapCanvasBlendModesToPixi from './utils/mapCanvasBlendModesToPixi';
 import { RENDERER_TYPE, SCALE_MODES, BLEND_MODES } from '@pixi/constants';
 import { settings } from '@pixi/settings';
@@ -70,6 +72,13 @@ export default class CanvasRenderer extends AbstractRenderer
          */
         this.maskManager = new CanvasMaskManager(this);
 
+        /**
+         * Instance of a CanvasGroupManager, handles the containers rendered as groups when using the canvas renderer.
+         *
+         * @member {PIXI.CanvasGroupManager}
+         */
+        this.groupManager = new CanvasGroupManager(this);
+
         /**
          * The canvas property used to set the canvas smoothing property.
          *
@@ -104,6 +113,14 @@ export default class CanvasRenderer extends AbstractRenderer
 
         this.renderingToScreen = false;
 
+        /**
+         * The area of the world currently being rendered to, used to cull display objects.
+         *
+         * @member {PIXI.Rectangle}
+         * @readonly
+         */
+        this.cullFrame = new Rectangle();
+
         sayHello('Canvas');
 
         this.resize(this.options.width, this.options.height);
@@ -140,6 +157,7 @@ export default class CanvasRenderer extends AbstractRenderer
 
         // can be handy to know!
         this.renderingToScreen = !renderTexture;
+        this.culledObjects = 0;
 
         this.emit('prerender');
 
@@ -162,10 +180,15 @@ export default class CanvasRenderer extends AbstractRenderer
 
             this.context = renderTexture._canvasRenderTarget.context;
             this.resolution = renderTexture._canvasRenderTarget.resolution;
+            this.cullFrame.x = 0;
+            this.cullFrame.y = 0;
+            this.cullFrame.width = renderTexture.width;
+            this.cullFrame.height = renderTexture.height;
         }
         else
         {
             this.context = this.rootContext;
+            this.cullFrame.copyFrom(this.screen);
         }
 
         const context = this.context;
@@ -299,6 +322,9 @@ export default class CanvasRenderer extends AbstractRenderer
         this.maskManager.destroy();
         this.maskManager = null;
 
+        this.groupManager.destroy();
+        this.groupManager = null;
+
         this.smoothProperty = null;
     }
 
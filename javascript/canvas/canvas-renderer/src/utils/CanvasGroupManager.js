@@ -0,0 +1,129 @@
+import { CanvasRenderTarget } from '@pixi/utils';
+import { Rectangle } from '@pixi/math';
+import { BLEND_MODES } from '@pixi/constants';
+
+/**
+ * Renders the containers with `groupAlpha` set into offscreen canvases, and draws them with their
+ * alpha and blend mode, see {@link PIXI.Container#groupAlpha}.
+ *
+ * @class
+ * @memberof PIXI
+ */
+export default class CanvasGroupManager
+{
+    /**
+     * @param {PIXI.CanvasRenderer} renderer - The canvas renderer.
+     */
+    constructor(renderer)
+    {
+        this.renderer = renderer;
+
+        /**
+         * The canvases the groups are rendered to and the state of the canvas they are drawn to,
+         * one for each level of nested groups
+         *
+         * @member {object[]}
+         * @private
+         */
+        this.groupPool = [];
+        this.groupIndex = 0;
+    }
+
+    /**
+     * Starts rendering a group into an offscreen canvas, until {@link PIXI.CanvasGroupManager#pop} is called.
+     *
+     * @param {PIXI.Container} target - The container rendered as a group
+     */
+    push(target)
+    {
+        const renderer = this.renderer;
+        const canvas = renderer.context.canvas;
+        let group = this.groupPool[this.groupIndex];
+
+        // the objects are drawn at their usual place, so the canvas is the size of the current one
+        if (!group)
+        {
+            group = this.groupPool[this.groupIndex] = {
+                renderTarget: new CanvasRenderTarget(canvas.width, canvas.height, 1),
+                context: null,
+                blendMode: BLEND_MODES.NORMAL,
+                frame: new Rectangle(),
+            };
+        }
+        else if (group.renderTarget.width !== canvas.width || group.renderTarget.height !== canvas.height)
+        {
+            group.renderTarget.resize(canvas.width, canvas.height);
+        }
+
+        // only the area of the group, in pixels, is cleared and drawn
+        const bounds = target.getBounds(true);
+        const resolution = renderer.resolution;
+        const minX = Math.max(Math.floor(bounds.x * resolution), 0);
+        const minY = Math.max(Math.floor(bounds.y * resolution), 0);
+        const maxX = Math.min(Math.ceil((bounds.x + bounds.width) * resolution), canvas.width);
+        const maxY = Math.min(Math.ceil((bounds.y + bounds.height) * resolution), canvas.height);
+
+        group.frame.x = minX;
+        group.frame.y = minY;
+        group.frame.width = Math.max(maxX - minX, 0);
+        group.frame.height = Math.max(maxY - minY, 0);
+        group.context = renderer.context;
+        group.blendMode = renderer._activeBlendMode;
+
+        const context = group.renderTarget.context;
+
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.globalAlpha = 1;
+        context.clearRect(group.frame.x, group.frame.y, group.frame.width, group.frame.height);
+
+        renderer.context = context;
+        renderer._activeBlendMode = null;
+        renderer.setBlendMode(BLEND_MODES.NORMAL);
+
+        this.groupIndex++;
+    }
+
+    /**
+     * Draws the group that was last pushed.
+     *
+     * @param {PIXI.Container} target - The container rendered as a group
+     */
+    pop(target)
+    {
+        const renderer = this.renderer;
+        const group = this.groupPool[--this.groupIndex];
+        const { context, frame } = group;
+
+        renderer.context = context;
+        renderer._activeBlendMode = group.blendMode;
+        group.context = null;
+
+        if (!frame.width || !frame.height)
+        {
+            return;
+        }
+
+        context.save();
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.globalAlpha = target.groupWorldAlpha;
+        context.globalCompositeOperation = renderer.blendModes[target.groupBlendMode];
+        context.drawImage(group.renderTarget.canvas, frame.x, frame.y, frame.width, frame.height,
+            frame.x, frame.y, frame.width, frame.height);
+        context.restore();
+    }
+
+    /**
+     * Destroys the offscreen canvases.
+     *
+     */
+    destroy()
+    {
+        for (let i = 0; i < this.groupPool.length; i++)
+        {
+            this.groupPool[i].renderTarget.destroy();
+        }
+
+        this.groupPool = null;
+        this.renderer = null;
+    }
+}
@@ -10,5 +10,6 @@ import { Sprite } from '@pixi/sprite';
 */
 Sprite.prototype._renderCanvas = function _renderCanvas(renderer)
 {
+    this._fitTextureScale(renderer);
     renderer.plugins[this.pluginName].render(this);
 };
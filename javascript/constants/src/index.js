@@ -215,6 +215,29 @@ export const SCALE_MODES = {
     NEAREST:    0,
 };
 
+/**
+ * The mipmap modes that are supported by pixi.
+ *
+ * The {@link PIXI.settings.MIPMAP_TEXTURES} mipmap mode affects the default mipmapping of textures.
+ * WebGL 1 can only generate mipmaps for power of two textures, so ON acts as POW2 there.
+ *
+ * This property only affects WebGL.
+ *
+ * @static
+ * @constant
+ * @name MIPMAP_MODES
+ * @memberof PIXI
+ * @type {object}
+ * @property {number} OFF - No mipmaps
+ * @property {number} POW2 - Generate mipmaps if the texture dimensions are powers of two
+ * @property {number} ON - Always generate mipmaps, if the WebGL version supports it
+ */
+export const MIPMAP_MODES = {
+    OFF:    0,
+    POW2:   1,
+    ON:     2,
+};
+
 /**
  * The wrap modes that are supported by pixi.
  *
@@ -282,3 +305,71 @@ export const PRECISION = {
     MEDIUM: 'mediump',
     HIGH: 'highp',
 };
+
+/**
+ * Constants for the number of samples of multisampled render textures, higher values give smoother
+ * edges at the cost of memory. Values are clamped to the most samples the context supports.
+ *
+ * @static
+ * @constant
+ * @name MSAA_QUALITY
+ * @memberof PIXI
+ * @type {object}
+ * @property {number} NONE - No multisampling
+ * @property {number} LOW - 2 samples
+ * @property {number} MEDIUM - 4 samples
+ * @property {number} HIGH - 8 samples
+ */
+export const MSAA_QUALITY = {
+    NONE: 0,
+    LOW: 2,
+    MEDIUM: 4,
+    HIGH: 8,
+};
+
+/**
+ * Constants for the functions comparing a new value with the one stored in a buffer,
+ * such as the depth of a fragment with the depth buffer.
+ *
+ * @static
+ * @constant
+ * @name COMPARE_MODES
+ * @memberof PIXI
+ * @type {object}
+ * @property {number} NEVER - Never passes
+ * @property {number} LESS - Passes if the new value is less than the stored one
+ * @property {number} EQUAL - Passes if the new value is equal to the stored one
+ * @property {number} LEQUAL - Passes if the new value is less than or equal to the stored one
+ * @property {number} GREATER - Passes if the new value is greater than the stored one
+ * @property {number} NOTEQUAL - Passes if the new value is not equal to the stored one
+ * @property {number} GEQUAL - Passes if the new value is greater than or equal to the stored one
+ * @property {number} ALWAYS - Always passes
+ */
+export const COMPARE_MODES = {
+    NEVER: 512,
+    LESS: 513,
+    EQUAL: 514,
+    LEQUAL: 515,
+    GREATER: 516,
+    NOTEQUAL: 517,
+    GEQUAL: 518,
+    ALWAYS: 519,
+};
+
+/**
+ * Bitwise OR of the buffers to clear, see {@link PIXI.systems.RenderTextureSystem#clear}.
+ *
+ * @static
+ * @constant
+ * @name BUFFER_BITS
+ * @memberof PIXI
+ * @type {object}
+ * @property {number} COLOR - The color buffer
+ * @property {number} DEPTH - The depth buffer
+ * @property {number} STENCIL - The stencil buffer
+ */
+export const BUFFER_BITS = {
+    COLOR: 16384,
+    DEPTH: 256,
+    STENCIL: 1024,
+};
@@ -51,4 +51,19 @@ describe('PIXI', function ()
     {
         expect(lib.PRECISION).to.be.object;
     });
+
+    it('should have MSAA_QUALITY', function ()
+    {
+        expect(lib.MSAA_QUALITY).to.be.object;
+    });
+
+    it('should have COMPARE_MODES', function ()
+    {
+        expect(lib.COMPARE_MODES).to.be.object;
+    });
+
+    it('should have BUFFER_BITS', function ()
+    {
+        expect(lib.BUFFER_BITS).to.be.object;
+    });
 });
@@ -82,6 +82,16 @@ export default class AbstractRenderer extends EventEmitter
          */
         this.screen = new Rectangle(0, 0, options.width, options.height);
 
+        /**
+         * The number of display objects skipped during the last render because
+         * they were outside of the area being rendered. Only objects flagged as
+         * `cullable` are ever skipped. Handy for debugging.
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.culledObjects = 0;
+
         /**
          * The canvas element that everything is drawn to
          *
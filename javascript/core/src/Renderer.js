@@ -3,6 +3,7 @@ import { sayHello } from '@pixi/utils';
 import MaskSystem from './mask/MaskSystem';
 import StencilSystem from './mask/StencilSystem';
 import FilterSystem from './filters/FilterSystem';
+import GroupSystem from './group/GroupSystem';
 import FramebufferSystem from './framebuffer/FramebufferSystem';
 import RenderTextureSystem from './renderTexture/RenderTextureSystem';
 import TextureSystem from './textures/TextureSystem';
@@ -11,8 +12,10 @@ import StateSystem from './state/StateSystem';
 import GeometrySystem from './geometry/GeometrySystem';
 import ShaderSystem from './shader/ShaderSystem';
 import ContextSystem from './context/ContextSystem';
+import StatsSystem from './stats/StatsSystem';
 import BatchSystem from './batch/BatchSystem';
 import TextureGCSystem from './textures/TextureGCSystem';
+import AtlasSystem from './textures/atlas/AtlasSystem';
 import { RENDERER_TYPE } from '@pixi/constants';
 import UniformGroup from './shader/UniformGroup';
 import { Matrix } from '@pixi/math';
@@ -79,6 +82,7 @@ export default class Renderer extends AbstractRenderer
         this.runners = {
             destroy:        new Runner('destroy'),
             contextChange:  new Runner('contextChange', 1),
+            contextLost:    new Runner('contextLost'),
             reset:          new Runner('reset'),
             update:         new Runner('update'),
             postrender:     new Runner('postrender'),
@@ -86,11 +90,13 @@ export default class Renderer extends AbstractRenderer
             resize:         new Runner('resize', 2),
         };
 
+        // shaders can declare `uniform globals { mat3 projectionMatrix; };` to share them as a buffer on WebGL 2
         this.globalUniforms = new UniformGroup({
             projectionMatrix: new Matrix(),
-        }, true);
+        }, true, true);
 
-        this.addSystem(MaskSystem, 'mask')
+        this.addSystem(StatsSystem, 'stats')
+            .addSystem(MaskSystem, 'mask')
             .addSystem(ContextSystem, 'context')
             .addSystem(StateSystem, 'state')
             .addSystem(ShaderSystem, 'shader')
@@ -100,7 +106,9 @@ export default class Renderer extends AbstractRenderer
             .addSystem(StencilSystem, 'stencil')
             .addSystem(ProjectionSystem, 'projection')
             .addSystem(TextureGCSystem, 'textureGC')
+            .addSystem(AtlasSystem, 'atlas')
             .addSystem(FilterSystem, 'filter')
+            .addSystem(GroupSystem, 'group')
             .addSystem(RenderTextureSystem, 'renderTexture')
             .addSystem(BatchSystem, 'batch');
 
@@ -195,6 +203,29 @@ export default class Renderer extends AbstractRenderer
          * @event PIXI.Renderer#context
          * @param {WebGLRenderingContext} gl - WebGL context.
          */
+
+        /**
+         * Fired when the WebGL context is lost. Nothing is rendered until it is restored.
+         *
+         * @event PIXI.Renderer#contextLost
+         */
+
+        /**
+         * Fired when the WebGL context is restored. The textures, geometries and shaders are uploaded
+         * again when used, but the content of render textures is lost and has to be rendered again.
+         *
+         * @event PIXI.Renderer#contextRestored
+         * @param {PIXI.BaseRenderTexture[]} lostRenderTextures - The render textures which lost their content.
+         */
+
+        /**
+         * Fired when a shader does not compile or link, before the error is thrown.
+         * Tools can listen to it to show the annotated source of the error.
+         *
+         * @event PIXI.Renderer#shaderError
+         * @param {PIXI.ShaderError} error - The compile or link error.
+         * @param {PIXI.Shader} shader - The shader that failed.
+         */
     }
 
     /**
@@ -210,48 +241,64 @@ export default class Renderer extends AbstractRenderer
     {
         // can be handy to know!
         this.renderingToScreen = !renderTexture;
+        this.culledObjects = 0;
 
         this.runners.prerender.run();
         this.emit('prerender');
 
-        // no point rendering if our context has been blown up!
-        if (this.context.isLost)
-        {
-            return;
-        }
+        let rendered = false;
 
-        if (!renderTexture)
+        try
         {
-            this._lastObjectRendered = displayObject;
+            // no point rendering if our context has been blown up!
+            if (this.context.isLost)
+            {
+                return;
+            }
+
+            if (!renderTexture)
+            {
+                this._lastObjectRendered = displayObject;
+            }
+
+            if (!skipUpdateTransform)
+            {
+                // update the scene graph
+                const cacheParent = displayObject.parent;
+
+                displayObject.parent = this._tempDisplayObjectParent;
+                displayObject.updateTransform();
+                displayObject.parent = cacheParent;
+                // displayObject.hitArea = //TODO add a temp hit area
+            }
+
+            this.renderTexture.bind(renderTexture);
+            this.batch.currentRenderer.start();
+
+            if (clear !== undefined ? clear : this.clearBeforeRender)
+            {
+                this.renderTexture.clear();
+            }
+
+            displayObject.render(this);
+
+            // apply transform..
+            this.batch.currentRenderer.flush();
+
+            if (renderTexture)
+            {
+                renderTexture.baseTexture.update();
+            }
+
+            rendered = true;
         }
-
-        if (!skipUpdateTransform)
+        finally
         {
-            // update the scene graph
-            const cacheParent = displayObject.parent;
-
-            displayObject.parent = this._tempDisplayObjectParent;
-            displayObject.updateTransform();
-            displayObject.parent = cacheParent;
-            // displayObject.hitArea = //TODO add a temp hit area
-        }
-
-        this.renderTexture.bind(renderTexture);
-        this.batch.currentRenderer.start();
-
-        if (clear !== undefined ? clear : this.clearBeforeRender)
-        {
-            this.renderTexture.clear();
-        }
-
-        displayObject.render(this);
-
-        // apply transform..
-        this.batch.currentRenderer.flush();
-
-        if (renderTexture)
-        {
-            renderTexture.baseTexture.update();
+            // a frame that did not finish is not counted, so that the next render starts a new one
+            if (!rendered && this.stats)
+            {
+                this.stats.cancelFrame();
+            }
         }
 
         this.runners.postrender.run();
@@ -259,6 +306,18 @@ export default class Renderer extends AbstractRenderer
         this.emit('postrender');
     }
 
+    /**
+     * The area of the world currently being rendered to, used to cull display objects.
+     * Follows the bound render texture, so it also changes while filters are applied.
+     *
+     * @member {PIXI.Rectangle}
+     * @readonly
+     */
+    get cullFrame()
+    {
+        return this.renderTexture.sourceFrame;
+    }
+
     /**
      * Resizes the webGL view to the specified width and height.
      *
@@ -284,10 +343,16 @@ export default class Renderer extends AbstractRenderer
         return this;
     }
 
-    clear()
+    /**
+     * Clears the screen with the background color.
+     *
+     * @param {number} [mask=PIXI.BUFFER_BITS.COLOR | PIXI.BUFFER_BITS.DEPTH] - The buffers to clear,
+     *  see {@link PIXI.BUFFER_BITS}
+     */
+    clear(mask)
     {
-        this.framebuffer.bind();
-        this.framebuffer.clear();
+        this.renderTexture.bind(null);
+        this.renderTexture.clear(null, mask);
     }
 
     /**
@@ -0,0 +1,711 @@
+import ObjectRenderer from './ObjectRenderer';
+import BatchBuffer from './BatchBuffer';
+import Geometry from '../geometry/Geometry';
+import Buffer from '../geometry/Buffer';
+import checkMaxIfStatmentsInShader from '../shader/utils/checkMaxIfStatmentsInShader';
+import { settings } from '@pixi/settings';
+import { createIndicesForQuads, premultiplyBlendMode } from '@pixi/utils';
+import { ENV, TYPES } from '@pixi/constants';
+import bitTwiddle from 'bit-twiddle';
+
+// the bytes of each component of an attribute type
+const TYPE_BYTES = {
+    [TYPES.UNSIGNED_BYTE]: 1,
+    [TYPES.UNSIGNED_SHORT]: 2,
+    [TYPES.FLOAT]: 4,
+};
+
+// the triangles of a quad, the elements drawn with the static indices of the quads have them
+const QUAD_INDICES = [0, 1, 2, 0, 2, 3];
+
+let TICK = 0;
+
+/**
+ * Base for the renderers drawing display objects in batches: the objects of a batch are packed
+ * into one vertex buffer and one index buffer, and drawn with as few draw calls as the textures
+ * and blend modes allow, several textures being bound at once for a multi-texture shader.
+ *
+ * Batches of quads only, such as sprites, are drawn with a static index buffer and can have a
+ * more compact vertex format, written by {@link PIXI.AbstractBatchRenderer#packQuad}. The indices
+ * are only uploaded once an element which is not a quad joins the batch.
+ *
+ * A renderer plugin extends it by declaring its vertex format, creating its shader in
+ * {@link PIXI.AbstractBatchRenderer#createShader} and writing the vertices of an object in
+ * {@link PIXI.AbstractBatchRenderer#packGeometry}. The objects it renders are its elements,
+ * which have:
+ * - `vertexData`, the positions of the vertices in world coordinates, 2 numbers per vertex
+ * - `indices`, the triangles of the vertices
+ * - `_texture`, the texture of the object, whose base texture is bound for the element
+ * - `blendMode`, the blend mode of the object
+ *
+ * Any display object with these members and the ones read by `packGeometry` can be drawn by a
+ * renderer, and is then batched with the other objects it draws, such as the sprites of
+ * {@link PIXI.SpriteRenderer}.
+ *
+ * @example
+ * class QuadRenderer extends PIXI.AbstractBatchRenderer
+ * {
+ *     constructor(renderer)
+ *     {
+ *         super(renderer, [
+ *             { name: 'aVertexPosition', size: 2, type: PIXI.TYPES.FLOAT },
+ *             { name: 'aTextureId', size: 1, type: PIXI.TYPES.FLOAT },
+ *         ]);
+ *     }
+ *
+ *     createShader(maxTextures)
+ *     {
+ *         return createQuadShader(maxTextures);
+ *     }
+ *
+ *     packGeometry(element, float32View, uint32View, index, textureId)
+ *     {
+ *         for (let i = 0; i < element.vertexData.length; i += 2, index += 3)
+ *         {
+ *             float32View[index] = element.vertexData[i];
+ *             float32View[index + 1] = element.vertexData[i + 1];
+ *             float32View[index + 2] = textureId;
+ *         }
+ *     }
+ * }
+ *
+ * @class
+ * @memberof PIXI
+ * @extends PIXI.ObjectRenderer
+ */
+export default class AbstractBatchRenderer extends ObjectRenderer
+{
+    /**
+     * @param {PIXI.Renderer} renderer - The renderer this batch works for.
+     * @param {object[]} vertexFormat - The attributes of a vertex, in order, each attribute is
+     *        `{name, size, type, normalized}` with a type of `PIXI.TYPES.FLOAT`, `UNSIGNED_SHORT`
+     *        or `UNSIGNED_BYTE`
+     * @param {object[]} [quadVertexFormat=vertexFormat] - The attributes of a vertex in the batches
+     *        of quads only, with the same names as the ones of `vertexFormat`
+     */
+    constructor(renderer, vertexFormat, quadVertexFormat = vertexFormat)
+    {
+        super(renderer);
+
+        /**
+         * The attributes of a vertex.
+         *
+         * @member {object[]}
+         * @readonly
+         */
+        this.vertexFormat = vertexFormat;
+
+        /**
+         * The size of the vertex information in bytes.
+         *
+         * @member {number}
+         */
+        this.vertByteSize = vertexFormat.reduce((bytes, attribute) =>
+            bytes + (attribute.size * TYPE_BYTES[attribute.type]), 0);
+
+        /**
+         * Number of 4 byte values sent in the vertex buffer for each vertex.
+         *
+         * @member {number}
+         */
+        this.vertSize = this.vertByteSize / 4;
+
+        /**
+         * The attributes of a vertex in the batches of quads only.
+         *
+         * @member {object[]}
+         * @readonly
+         */
+        this.quadVertexFormat = quadVertexFormat;
+
+        /**
+         * The size of the vertex information in bytes in the batches of quads only.
+         *
+         * @member {number}
+         */
+        this.quadVertByteSize = quadVertexFormat.reduce((bytes, attribute) =>
+            bytes + (attribute.size * TYPE_BYTES[attribute.type]), 0);
+
+        /**
+         * Number of 4 byte values sent in the vertex buffer for each vertex in the batches of quads only.
+         *
+         * @member {number}
+         */
+        this.quadVertSize = this.quadVertByteSize / 4;
+
+        /**
+         * The number of elements in the batch before it flushes.
+         *
+         * @member {number}
+         */
+        this.size = settings.SPRITE_BATCH_SIZE; // 2000 is a nice balance between mobile / desktop
+
+        /**
+         * The number of vertices in the batch before it flushes, as many as the quads of `size` sprites.
+         *
+         * @member {number}
+         */
+        this.maxVertices = this.size * 4;
+
+        /**
+         * The number of indices in the batch before it flushes, as many as the quads of `size` sprites.
+         *
+         * @member {number}
+         */
+        this.maxIndices = this.size * 6;
+
+        /**
+         * The vertex buffers of the batches, by power of two of their number of vertices.
+         *
+         * @private
+         * @member {PIXI.BatchBuffer[]}
+         */
+        this.buffers = [];
+
+        /**
+         * The index arrays of the batches, by power of two of their number of indices.
+         *
+         * @private
+         * @member {Uint16Array[]}
+         */
+        this.indexArrays = [];
+
+        /**
+         * The indices of the quads of `size` sprites, shared by the batches of quads only.
+         *
+         * @private
+         * @member {PIXI.Buffer}
+         */
+        this.quadIndexBuffer = new Buffer(createIndicesForQuads(this.size), true, true);
+
+        /**
+         * The default shader that is used if an element doesn't have a more specific one,
+         * created by {@link PIXI.AbstractBatchRenderer#createShader}.
+         *
+         * @member {PIXI.Shader}
+         */
+        this.shader = null;
+
+        /**
+         * The number of textures bound at once for a draw call.
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.MAX_TEXTURES = 1;
+
+        this.currentIndex = 0;
+        this.currentVertexCount = 0;
+        this.currentIndexCount = 0;
+        this.currentQuads = true;
+        this.groups = [];
+
+        for (let k = 0; k < this.size; k++)
+        {
+            this.groups[k] = { textures: [], textureCount: 0, ids: [], size: 0, start: 0, blend: 0, shader: null };
+        }
+
+        this.elements = [];
+
+        this.vertexBuffers = [];
+        this.indexBuffers = [];
+        this.vaos = [];
+        this.quadVaos = [];
+
+        this.vaoMax = 2;
+        this.vertexCount = 0;
+
+        this.renderer.on('prerender', this.onPrerender, this);
+    }
+
+    /**
+     * Creates the shader drawing the elements, with a texture for each texture unit.
+     *
+     * @abstract
+     * @param {number} maxTextures - The number of textures bound at once
+     * @return {PIXI.Shader} The shader
+     */
+    createShader(maxTextures) // eslint-disable-line no-unused-vars
+    {
+        throw new Error('AbstractBatchRenderer subclasses must implement createShader');
+    }
+
+    /**
+     * Writes the vertices of an element in the vertex buffer, in the vertex format.
+     *
+     * @abstract
+     * @param {object} element - The element
+     * @param {Float32Array} float32View - The vertex buffer as floats
+     * @param {Uint32Array} uint32View - The vertex buffer as 32 bits integers
+     * @param {number} index - The offset of the first vertex in the views
+     * @param {number} textureId - The texture unit the texture of the element is bound to
+     */
+    packGeometry(element, float32View, uint32View, index, textureId) // eslint-disable-line no-unused-vars
+    {
+        throw new Error('AbstractBatchRenderer subclasses must implement packGeometry');
+    }
+
+    /**
+     * Writes the vertices of a quad in the vertex buffer, in the vertex format of the quads. It is
+     * called instead of `packGeometry` when the batch holds quads only, see
+     * {@link PIXI.AbstractBatchRenderer#isQuad}.
+     *
+     * @param {object} element - The element
+     * @param {Float32Array} float32View - The vertex buffer as floats
+     * @param {Uint32Array} uint32View - The vertex buffer as 32 bits integers
+     * @param {number} index - The offset of the first vertex in the views
+     * @param {number} textureId - The texture unit the texture of the element is bound to
+     */
+    packQuad(element, float32View, uint32View, index, textureId)
+    {
+        this.packGeometry(element, float32View, uint32View, index, textureId);
+    }
+
+    /**
+     * Whether an element can be drawn with the static indices of the quads and `packQuad`, by
+     * default the elements of 4 vertices with the triangles of a quad.
+     *
+     * @param {object} element - The element
+     * @return {boolean} Whether the element is a quad
+     */
+    isQuad(element)
+    {
+        const indices = element.indices;
+
+        if (element.vertexData.length !== 8 || indices.length !== QUAD_INDICES.length)
+        {
+            return false;
+        }
+
+        for (let i = 0; i < indices.length; i++)
+        {
+            if (indices[i] !== QUAD_INDICES[i])
+            {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * The texture to bind for an element. Called before `getShader` and `packGeometry`.
+     *
+     * @param {object} element - The element
+     * @return {PIXI.BaseTexture} The texture
+     */
+    getTexture(element)
+    {
+        return element._texture.baseTexture;
+    }
+
+    /**
+     * The shader drawing an element, the batch breaks when it changes. Called after `getTexture`.
+     *
+     * @param {object} element - The element
+     * @return {PIXI.Shader} The shader
+     */
+    getShader(element) // eslint-disable-line no-unused-vars
+    {
+        return this.shader;
+    }
+
+    /**
+     * Sets up the renderer context and necessary buffers.
+     *
+     * @private
+     */
+    contextChange()
+    {
+        const gl = this.renderer.gl;
+
+        if (settings.PREFER_ENV === ENV.WEBGL_LEGACY)
+        {
+            this.MAX_TEXTURES = 1;
+        }
+        else
+        {
+            // step 1: first check max textures the GPU can handle.
+            this.MAX_TEXTURES = Math.min(gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS), settings.SPRITE_MAX_TEXTURES);
+
+            // step 2: check the maximum number of if statements the shader can have too..
+            this.MAX_TEXTURES = checkMaxIfStatmentsInShader(this.MAX_TEXTURES, gl);
+        }
+
+        this.shader = this.createShader(this.MAX_TEXTURES);
+
+        for (let i = 0; i < this.vaoMax; i++)
+        {
+            this.createBuffers(i);
+        }
+    }
+
+    /**
+     * Creates the vertex and index buffers of a batch and their geometries, the geometry of the
+     * batches of quads only shares the vertex buffer and has the static indices of the quads.
+     *
+     * @private
+     * @param {number} i - The index of the buffers
+     */
+    createBuffers(i)
+    {
+        const vertexBuffer = new Buffer(null, false);
+        const indexBuffer = new Buffer(null, false, true);
+
+        this.vertexBuffers[i] = vertexBuffer;
+        this.indexBuffers[i] = indexBuffer;
+        this.vaos[i] = this.createGeometry(this.vertexFormat, vertexBuffer, indexBuffer);
+        this.quadVaos[i] = this.createGeometry(this.quadVertexFormat, vertexBuffer, this.quadIndexBuffer);
+    }
+
+    /**
+     * Creates the geometry of a vertex format.
+     *
+     * @private
+     * @param {object[]} vertexFormat - The attributes of a vertex
+     * @param {PIXI.Buffer} vertexBuffer - The vertex buffer
+     * @param {PIXI.Buffer} indexBuffer - The index buffer
+     * @return {PIXI.Geometry} The geometry
+     */
+    createGeometry(vertexFormat, vertexBuffer, indexBuffer)
+    {
+        const geometry = new Geometry();
+
+        for (let j = 0; j < vertexFormat.length; j++)
+        {
+            const { name, size, type, normalized } = vertexFormat[j];
+
+            geometry.addAttribute(name, vertexBuffer, size, !!normalized, type);
+        }
+
+        return geometry.addIndex(indexBuffer);
+    }
+
+    /**
+     * Called before the renderer starts rendering.
+     *
+     */
+    onPrerender()
+    {
+        this.vertexCount = 0;
+    }
+
+    /**
+     * Adds an element to the batch, the batch is flushed first if the element does not fit.
+     *
+     * @param {object} element - The element to render
+     */
+    render(element)
+    {
+        if (!element._texture._uvs)
+        {
+            return;
+        }
+
+        const vertexCount = element.vertexData.length / 2;
+        const indexCount = element.indices.length;
+
+        if (this.currentIndex >= this.size
+            || this.currentVertexCount + vertexCount > this.maxVertices
+            || this.currentIndexCount + indexCount > this.maxIndices)
+        {
+            this.flush();
+        }
+
+        this.elements[this.currentIndex++] = element;
+        this.currentVertexCount += vertexCount;
+        this.currentIndexCount += indexCount;
+        this.currentQuads = this.currentQuads && this.isQuad(element);
+    }
+
+    /**
+     * Renders the content and empties the current batch.
+     *
+     */
+    flush()
+    {
+        if (this.currentIndex === 0)
+        {
+            return;
+        }
+
+        const gl = this.renderer.gl;
+        const MAX_TEXTURES = this.MAX_TEXTURES;
+        const quads = this.currentQuads;
+        const vertSize = quads ? this.quadVertSize : this.vertSize;
+
+        const buffer = this.getAttributeBuffer(this.currentVertexCount);
+        const indexArray = quads ? null : this.getIndexArray(this.currentIndexCount);
+
+        const elements = this.elements;
+        const groups = this.groups;
+
+        const float32View = buffer.float32View;
+        const uint32View = buffer.uint32View;
+
+        const touch = this.renderer.textureGC.count;
+
+        let vertexIndex = 0;
+        let indexCount = 0;
+        let nextTexture;
+        let currentTexture;
+        let groupCount = 1;
+        let textureCount = 0;
+        let currentGroup = groups[0];
+        let blendMode = -1;
+        let shader = null;
+
+        currentGroup.textureCount = 0;
+        currentGroup.start = 0;
+
+        TICK++;
+
+        for (let i = 0; i < this.currentIndex; ++i)
+        {
+            const element = elements[i];
+
+            nextTexture = this.getTexture(element);
+
+            const elementBlendMode = premultiplyBlendMode[Number(nextTexture.premultiplyAlpha)][element.blendMode];
+            const elementShader = this.getShader(element);
+
+            if (blendMode !== elementBlendMode || shader !== elementShader)
+            {
+                blendMode = elementBlendMode;
+                shader = elementShader;
+
+                // force the batch to break!
+                currentTexture = null;
+                textureCount = MAX_TEXTURES;
+                TICK++;
+            }
+
+            if (currentTexture !== nextTexture)
+            {
+                currentTexture = nextTexture;
+
+                if (nextTexture._enabled !== TICK)
+                {
+                    if (textureCount === MAX_TEXTURES)
+                    {
+                        TICK++;
+
+                        textureCount = 0;
+
+                        if (i > 0)
+                        {
+                            currentGroup.size = indexCount - currentGroup.start;
+                            currentGroup = groups[groupCount++];
+                        }
+
+                        currentGroup.textureCount = 0;
+                        currentGroup.blend = blendMode;
+                        currentGroup.shader = shader;
+                        currentGroup.start = indexCount;
+                    }
+
+                    nextTexture.touched = touch;
+                    nextTexture._enabled = TICK;
+                    nextTexture._id = textureCount;
+
+                    currentGroup.textures[currentGroup.textureCount++] = nextTexture;
+                    textureCount++;
+                }
+            }
+
+            const indices = element.indices;
+
+            if (quads)
+            {
+                this.packQuad(element, float32View, uint32View, vertexIndex * vertSize, nextTexture._id);
+                indexCount += indices.length;
+            }
+            else
+            {
+                this.packGeometry(element, float32View, uint32View, vertexIndex * vertSize, nextTexture._id);
+
+                for (let j = 0; j < indices.length; j++)
+                {
+                    indexArray[indexCount++] = vertexIndex + indices[j];
+                }
+            }
+
+            vertexIndex += element.vertexData.length / 2;
+        }
+
+        currentGroup.size = indexCount - currentGroup.start;
+
+        // this is still needed for IOS performance..
+        // it really does not like uploading to the same buffer in a single frame!
+        if (!settings.CAN_UPLOAD_SAME_BUFFER && this.vaoMax <= this.vertexCount)
+        {
+            this.createBuffers(this.vaoMax++);
+        }
+
+        const geometry = (quads ? this.quadVaos : this.vaos)[this.vertexCount];
+
+        this.vertexBuffers[this.vertexCount].update(buffer.vertices);
+
+        if (!quads)
+        {
+            this.indexBuffers[this.vertexCount].update(indexArray);
+        }
+
+        // the batches of quads and of other elements have geometries of their own, binding uploads the buffers
+        this.renderer.geometry.bind(geometry);
+
+        if (!settings.CAN_UPLOAD_SAME_BUFFER)
+        {
+            this.vertexCount++;
+        }
+
+        // / render the groups..
+        for (let i = 0; i < groupCount; i++)
+        {
+            const group = groups[i];
+            const groupTextureCount = group.textureCount;
+
+            if (group.shader !== this.renderer.shader.shader)
+            {
+                this.renderer.shader.bind(group.shader);
+                this.renderer.geometry.bind(geometry);
+            }
+
+            for (let j = 0; j < groupTextureCount; j++)
+            {
+                this.renderer.texture.bind(group.textures[j], j);
+            }
+
+            // set the blend mode..
+            this.renderer.state.setBlendMode(group.blend);
+
+            this.renderer.geometry.draw(gl.TRIANGLES, group.size, group.start);
+        }
+
+        // reset elements for the next flush
+        this.currentIndex = 0;
+        this.currentVertexCount = 0;
+        this.currentIndexCount = 0;
+        this.currentQuads = true;
+    }
+
+    /**
+     * Gets a vertex buffer large enough for some vertices, the buffers are reused between batches.
+     *
+     * @private
+     * @param {number} vertexCount - The number of vertices
+     * @return {PIXI.BatchBuffer} The buffer
+     */
+    getAttributeBuffer(vertexCount)
+    {
+        const log2 = bitTwiddle.log2(bitTwiddle.nextPow2(vertexCount));
+
+        if (!this.buffers[log2])
+        {
+            // the buffers are shared by the batches of quads and of other elements
+            this.buffers[log2] = new BatchBuffer((1 << log2) * Math.max(this.vertByteSize, this.quadVertByteSize));
+        }
+
+        return this.buffers[log2];
+    }
+
+    /**
+     * Gets an index array large enough for some indices, the arrays are reused between batches.
+     *
+     * @private
+     * @param {number} indexCount - The number of indices
+     * @return {Uint16Array} The array
+     */
+    getIndexArray(indexCount)
+    {
+        const log2 = bitTwiddle.log2(bitTwiddle.nextPow2(indexCount));
+
+        if (!this.indexArrays[log2])
+        {
+            this.indexArrays[log2] = new Uint16Array(1 << log2);
+        }
+
+        return this.indexArrays[log2];
+    }
+
+    /**
+     * Starts a new batch.
+     */
+    start()
+    {
+        this.renderer.shader.bind(this.shader);
+
+        if (settings.CAN_UPLOAD_SAME_BUFFER)
+        {
+            // bind buffer #0, we don't need others
+            this.renderer.geometry.bind(this.vaos[this.vertexCount]);
+        }
+    }
+
+    /**
+     * Stops and flushes the current batch.
+     *
+     */
+    stop()
+    {
+        this.flush();
+    }
+
+    /**
+     * Destroys the batch renderer.
+     *
+     */
+    destroy()
+    {
+        for (let i = 0; i < this.vaoMax; i++)
+        {
+            if (this.vertexBuffers[i])
+            {
+                this.vertexBuffers[i].destroy();
+            }
+            if (this.indexBuffers[i])
+            {
+                this.indexBuffers[i].destroy();
+            }
+            if (this.vaos[i])
+            {
+                this.vaos[i].destroy();
+            }
+            if (this.quadVaos[i])
+            {
+                this.quadVaos[i].destroy();
+            }
+        }
+
+        this.quadIndexBuffer.destroy();
+        this.quadIndexBuffer = null;
+
+        this.renderer.off('prerender', this.onPrerender, this);
+
+        if (this.shader)
+        {
+            this.shader.destroy();
+            this.shader = null;
+        }
+
+        this.vertexBuffers = null;
+        this.indexBuffers = null;
+        this.vaos = null;
+        this.quadVaos = null;
+
+        this.elements = null;
+
+        for (let i = 0; i < this.buffers.length; ++i)
+        {
+            if (this.buffers[i])
+            {
+                this.buffers[i].destroy();
+            }
+        }
+
+        this.buffers = null;
+        this.indexArrays = null;
+
+        super.destroy();
+    }
+}
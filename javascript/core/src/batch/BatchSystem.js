@@ -43,6 +43,11 @@ export default class BatchSystem extends System
             return;
         }
 
+        if (this.renderer.stats)
+        {
+            this.renderer.stats.frame.batchFlushes++;
+        }
+
         this.currentRenderer.stop();
         this.currentRenderer = objectRenderer;
 
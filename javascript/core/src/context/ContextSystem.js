@@ -48,6 +48,11 @@ export default class ContextSystem extends System
     initFromContext(gl)
     {
         this.gl = gl;
+
+        // contexts given by the user can be of either version, not only the ones created below
+        this.webGLVersion = (/^WebGL 2/).test(gl.getParameter(gl.VERSION)) ? 2 : 1;
+        this.getExtensions();
+
         this.validateContext(gl);
         this.renderer.gl = gl;
         this.renderer.CONTEXT_UID = CONTEXT_UID++;
@@ -100,8 +105,6 @@ export default class ContextSystem extends System
 
         this.gl = gl;
 
-        this.getExtensions();
-
         return gl;
     }
 
@@ -117,17 +120,42 @@ export default class ContextSystem extends System
             extensions.depthTexture = gl.getExtension('WEBKIT_WEBGL_depth_texture');
             extensions.floatTexture = gl.getExtension('OES_texture_float');
             extensions.loseContext = gl.getExtension('WEBGL_lose_context');
+            extensions.uint32ElementIndex = gl.getExtension('OES_element_index_uint');
 
             extensions.vertexArrayObject = gl.getExtension('OES_vertex_array_object')
                                         || gl.getExtension('MOZ_OES_vertex_array_object')
                                         || gl.getExtension('WEBKIT_OES_vertex_array_object');
+
+            extensions.halfFloatTexture = gl.getExtension('OES_texture_half_float');
+            extensions.halfFloatTextureLinear = gl.getExtension('OES_texture_half_float_linear');
+            extensions.colorBufferFloat = gl.getExtension('WEBGL_color_buffer_float');
+        }
+        else
+        {
+            extensions.colorBufferFloat = gl.getExtension('EXT_color_buffer_float');
         }
 
-        // we don't use any specific WebGL 2 ones yet!
+        // float textures, see PIXI.systems.TextureSystem#getTypeSupport
+        extensions.floatTextureLinear = gl.getExtension('OES_texture_float_linear');
+        extensions.colorBufferHalfFloat = gl.getExtension('EXT_color_buffer_half_float');
+
+        extensions.anisotropicFiltering = gl.getExtension('EXT_texture_filter_anisotropic')
+                                       || gl.getExtension('MOZ_EXT_texture_filter_anisotropic')
+                                       || gl.getExtension('WEBKIT_EXT_texture_filter_anisotropic');
+
+        // compressed texture formats, see PIXI.resources.CompressedTextureResource
+        extensions.astc = gl.getExtension('WEBGL_compressed_texture_astc');
+        extensions.etc = gl.getExtension('WEBGL_compressed_texture_etc');
+        extensions.etc1 = gl.getExtension('WEBGL_compressed_texture_etc1');
+        extensions.pvrtc = gl.getExtension('WEBGL_compressed_texture_pvrtc')
+                        || gl.getExtension('WEBKIT_WEBGL_compressed_texture_pvrtc');
+        extensions.s3tc = gl.getExtension('WEBGL_compressed_texture_s3tc')
+                       || gl.getExtension('WEBKIT_WEBGL_compressed_texture_s3tc');
     }
 
     /**
-     * Handles a lost webgl context
+     * Handles a lost webgl context, the systems forget the objects of the context
+     * on the `contextLost` runner.
      *
      * @private
      * @param {WebGLContextEvent} event - The context lost event.
@@ -135,16 +163,29 @@ export default class ContextSystem extends System
     handleContextLost(event)
     {
         event.preventDefault();
+
+        this.renderer.runners.contextLost.run();
+        this.renderer.emit('contextLost');
     }
 
     /**
-     * Handles a restored webgl context
+     * Handles a restored webgl context. The context gets a new id, so that the textures, buffers,
+     * vertex array objects, programs and framebuffers are created again from their sources when used.
      *
      * @private
      */
     handleContextRestored()
     {
-        this.renderer.runners.contextChange.run(this.gl);
+        const renderer = this.renderer;
+
+        renderer.CONTEXT_UID = CONTEXT_UID++;
+
+        // extensions have to be enabled again
+        this.extensions = {};
+        this.getExtensions();
+
+        renderer.runners.contextChange.run(this.gl);
+        renderer.emit('contextRestored', renderer.texture.lostRenderTextures);
     }
 
     destroy()
@@ -125,6 +125,25 @@ import defaultFragment from './defaultFilter.frag';
  * vec4 color = texture2D(uSampler, min(modifigedTextureCoord, inputClamp.zw))
  * ```
  *
+ * ### Includes and defines
+ *
+ * Instead of copying these functions, shaders can insert the {@link PIXI.Program.chunks chunks}
+ * registered with {@link PIXI.Program.registerChunk} using `#include <name>`: `filterVertex` declares
+ * `filterVertexPosition()` and `filterTextureCoord()`, `filterFragment` declares `filterSample(coord)`,
+ * which samples `uSampler` with clamped coordinates. Macros can be defined with the last argument.
+ *
+ * ```
+ * const fragment = `
+ * #include <filterFragment>
+ * void main(void)
+ * {
+ *    gl_FragColor = filterSample(vTextureCoord) * ALPHA;
+ * }
+ * `;
+ *
+ * const myFilter = new PIXI.Filter(null, fragment, {}, { ALPHA: 0.5 });
+ * ```
+ *
  * ### Additional Information
  *
  * Complete documentation on Filter usage is located in
@@ -144,10 +163,11 @@ export default class Filter extends Shader
      * @param {string} [vertexSrc] - The source of the vertex shader.
      * @param {string} [fragmentSrc] - The source of the fragment shader.
      * @param {object} [uniforms] - Custom uniforms to use to augment the built-in ones.
+     * @param {object} [defines] - The macros to define in both shaders, see {@link PIXI.Program.preprocess}.
      */
-    constructor(vertexSrc, fragmentSrc, uniforms)
+    constructor(vertexSrc, fragmentSrc, uniforms, defines)
     {
-        const program = Program.from(vertexSrc, fragmentSrc);
+        const program = Program.from(vertexSrc, fragmentSrc, defines);
 
         super(program, uniforms);
 
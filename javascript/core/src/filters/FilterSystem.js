@@ -102,6 +102,11 @@ export default class FilterSystem extends System
         const filterStack = this.renderer.renderTexture.defaultFilterStack;
         const state = this.statePool.pop() || new FilterState();
 
+        if (renderer.stats)
+        {
+            renderer.stats.frame.filterPushes++;
+        }
+
         let resolution = filters[0].resolution;
         let padding = filters[0].padding;
         let autoFit = filters[0].autoFit;
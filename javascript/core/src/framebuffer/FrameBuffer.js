@@ -1,5 +1,5 @@
 import Texture from '../textures/BaseTexture';
-import { FORMATS, TYPES } from '@pixi/constants';
+import { FORMATS, TYPES, MSAA_QUALITY } from '@pixi/constants';
 
 /**
  * Frame buffer
@@ -16,6 +16,16 @@ export default class FrameBuffer
         this.stencil = false;
         this.depth = false;
 
+        /**
+         * The number of samples to render with, see {@link PIXI.MSAA_QUALITY}. When multisampled, rendering
+         * goes to renderbuffers which are resolved into the color textures when the framebuffer is unbound.
+         * Only WebGL 2 supports it, WebGL 1 renders directly to the color textures instead.
+         *
+         * @member {number}
+         * @default PIXI.MSAA_QUALITY.NONE
+         */
+        this.multisample = MSAA_QUALITY.NONE;
+
         this.dirtyId = 0;
         this.dirtyFormat = 0;
         this.dirtySize = 0;
@@ -83,6 +93,22 @@ export default class FrameBuffer
         return this;
     }
 
+    /**
+     * Sets the number of samples to render with.
+     *
+     * @param {number} samples - See {@link PIXI.MSAA_QUALITY}
+     * @return {PIXI.FrameBuffer} This framebuffer, for chaining
+     */
+    enableMultisample(samples)
+    {
+        this.multisample = samples;
+
+        this.dirtyId++;
+        this.dirtyFormat++;
+
+        return this;
+    }
+
     resize(width, height)
     {
         if (width === this.width && height === this.height) return;
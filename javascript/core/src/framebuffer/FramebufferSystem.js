@@ -1,5 +1,12 @@
 import System from '../System';
 import { Rectangle } from '@pixi/math';
+import { TYPES } from '@pixi/constants';
+
+// the extensions needed to render to float textures, by WebGL version
+const COLOR_BUFFER_EXTENSIONS = {
+    1: { [TYPES.FLOAT]: 'WEBGL_color_buffer_float', [TYPES.HALF_FLOAT]: 'EXT_color_buffer_half_float' },
+    2: { [TYPES.FLOAT]: 'EXT_color_buffer_float', [TYPES.HALF_FLOAT]: 'EXT_color_buffer_float' },
+};
 
 /**
  * @class
@@ -8,6 +15,31 @@ import { Rectangle } from '@pixi/math';
  */
 export default class FramebufferSystem extends System
 {
+    /**
+     * @param {PIXI.Renderer} renderer - The renderer this System works for.
+     */
+    constructor(renderer)
+    {
+        super(renderer);
+
+        /**
+         * The number of color textures a framebuffer can draw to at once, 1 when the context does not
+         * support multiple render targets (WebGL 1 without the `WEBGL_draw_buffers` extension).
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.maxDrawBuffers = 1;
+
+        /**
+         * The most samples a multisampled framebuffer can have, 0 on WebGL 1 which does not support them.
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.maxSamples = 0;
+    }
+
     /**
      * Sets up the renderer context and necessary buffers.
      *
@@ -15,18 +47,44 @@ export default class FramebufferSystem extends System
      */
     contextChange()
     {
-        this.gl = this.renderer.gl;
+        const gl = this.gl = this.renderer.gl;
+
         this.CONTEXT_UID = this.renderer.CONTEXT_UID;
         this.current = null;
         this.viewport = new Rectangle();
 
         this.drawBufferExtension = this.renderer.context.extensions.drawBuffers;
+
+        if (this.renderer.context.webGLVersion === 2)
+        {
+            this.maxDrawBuffers = Math.min(gl.getParameter(gl.MAX_DRAW_BUFFERS),
+                gl.getParameter(gl.MAX_COLOR_ATTACHMENTS));
+        }
+        else if (this.drawBufferExtension)
+        {
+            const ext = this.drawBufferExtension;
+
+            this.maxDrawBuffers = Math.min(gl.getParameter(ext.MAX_DRAW_BUFFERS_WEBGL),
+                gl.getParameter(ext.MAX_COLOR_ATTACHMENTS_WEBGL));
+        }
+        else
+        {
+            this.maxDrawBuffers = 1;
+        }
+
+        this.maxSamples = this.renderer.context.webGLVersion === 2 ? gl.getParameter(gl.MAX_SAMPLES) : 0;
     }
 
     bind(framebuffer, frame)
     {
         const gl = this.gl;
 
+        if (this.current && this.current !== framebuffer)
+        {
+            // the textures of the framebuffer are about to be sampled, make them up to date
+            this.resolve(this.current);
+        }
+
         this.current = framebuffer;
 
         if (framebuffer)
@@ -122,13 +180,31 @@ export default class FramebufferSystem extends System
         return { x: 0, y: 0, width: this.renderer.width, height: this.renderer.height };
     }
 
-    clear(r, g, b, a)
+    /**
+     * Clears the bound framebuffer.
+     *
+     * @param {number} r - The red value of the clear color
+     * @param {number} g - The green value of the clear color
+     * @param {number} b - The blue value of the clear color
+     * @param {number} a - The alpha value of the clear color
+     * @param {number} [mask=PIXI.BUFFER_BITS.COLOR | PIXI.BUFFER_BITS.DEPTH] - The buffers to clear,
+     *  see {@link PIXI.BUFFER_BITS}
+     */
+    clear(r, g, b, a, mask)
     {
         const gl = this.gl;
 
+        mask = mask || (gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+        if (mask & gl.DEPTH_BUFFER_BIT)
+        {
+            // the depth buffer is left as it is while depth writes are off
+            this.renderer.state.enableDepthMask();
+        }
+
         // TODO clear color can be set only one right?
         gl.clearColor(r, g, b, a);
-        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+        gl.clear(mask);
     }
 
     // private functions...
@@ -141,6 +217,9 @@ export default class FramebufferSystem extends System
         const fbo = {
             framebuffer: gl.createFramebuffer(),
             stencil: null,
+            multisample: 0,
+            msaaBuffers: [],
+            blitFramebuffer: null,
             dirtyId: 0,
             dirtyFormat: 0,
             dirtySize: 0,
@@ -151,17 +230,172 @@ export default class FramebufferSystem extends System
         return fbo;
     }
 
+    /**
+     * Copies what was rendered to a multisampled framebuffer into its color textures, which happens
+     * automatically when another framebuffer is bound. Until the next bind, pixels are read from the
+     * color textures, so `gl.readPixels` works on multisampled framebuffers after calling this.
+     *
+     * @param {PIXI.FrameBuffer} [framebuffer=this.current] - The framebuffer to resolve,
+     *  nothing happens if it is not multisampled
+     */
+    resolve(framebuffer)
+    {
+        framebuffer = framebuffer || this.current;
+
+        const fbo = framebuffer && framebuffer.glFrameBuffers[this.CONTEXT_UID];
+
+        if (!fbo || !fbo.multisample)
+        {
+            return;
+        }
+
+        const gl = this.gl;
+        const { width, height } = framebuffer;
+        const count = fbo.msaaBuffers.length;
+
+        gl.bindFramebuffer(gl.READ_FRAMEBUFFER, fbo.framebuffer);
+        gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, fbo.blitFramebuffer);
+
+        for (let i = 0; i < count; i++)
+        {
+            // with multiple render targets, each one is copied on its own
+            if (count > 1)
+            {
+                const buffers = [];
+
+                for (let j = 0; j < count; j++)
+                {
+                    buffers.push(i === j ? gl.COLOR_ATTACHMENT0 + j : gl.NONE);
+                }
+
+                gl.readBuffer(gl.COLOR_ATTACHMENT0 + i);
+                gl.drawBuffers(buffers);
+            }
+
+            gl.blitFramebuffer(0, 0, width, height, 0, 0, width, height, gl.COLOR_BUFFER_BIT, gl.NEAREST);
+        }
+
+        if (count > 1)
+        {
+            gl.readBuffer(gl.COLOR_ATTACHMENT0);
+        }
+
+        const current = this.current && this.current.glFrameBuffers[this.CONTEXT_UID];
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, current ? current.framebuffer : null);
+
+        if (current === fbo)
+        {
+            gl.bindFramebuffer(gl.READ_FRAMEBUFFER, fbo.blitFramebuffer);
+        }
+    }
+
+    /**
+     * Sets the color attachments of the bound framebuffer that fragment shaders write to,
+     * output `n` (`gl_FragData[n]` or `layout(location = n)`) goes to the `n`th buffer.
+     *
+     * @private
+     * @param {number[]} buffers - The color attachments, `gl.COLOR_ATTACHMENT0 + n` or `gl.NONE`
+     */
+    drawBuffers(buffers)
+    {
+        if (this.renderer.context.webGLVersion === 2)
+        {
+            this.gl.drawBuffers(buffers);
+        }
+        else
+        {
+            this.drawBufferExtension.drawBuffersWEBGL(buffers);
+        }
+    }
+
     resizeFramebuffer(framebuffer)
     {
         const gl = this.gl;
 
+        const fbo = framebuffer.glFrameBuffers[this.CONTEXT_UID];
+
+        for (let i = 0; i < fbo.msaaBuffers.length; i++)
+        {
+            gl.bindRenderbuffer(gl.RENDERBUFFER, fbo.msaaBuffers[i]);
+            gl.renderbufferStorageMultisample(gl.RENDERBUFFER, fbo.multisample,
+                this.colorStorageFormat(framebuffer.colorTextures[i]), framebuffer.width, framebuffer.height);
+        }
+
         if (framebuffer.stencil || framebuffer.depth)
         {
-            gl.bindRenderbuffer(gl.RENDERBUFFER, this.stencil);
+            gl.bindRenderbuffer(gl.RENDERBUFFER, fbo.stencil);
+            this.depthStencilStorage(framebuffer, fbo.multisample);
+        }
+    }
+
+    /**
+     * The format of the multisampled renderbuffer drawn to in place of a color texture.
+     *
+     * @private
+     * @param {PIXI.BaseTexture|object} texture - The color texture, or the side of a cube texture
+     * @return {number} The sized internal format of the color texture
+     */
+    colorStorageFormat(texture)
+    {
+        const gl = this.gl;
+        const glTexture = (texture.texturePart ? texture.texture : texture)._glTextures[this.CONTEXT_UID];
+
+        // renderbuffers need a sized format, unlike the textures of unsigned bytes
+        return glTexture.internalFormat === gl.RGBA ? gl.RGBA8 : glTexture.internalFormat;
+    }
+
+    /**
+     * Allocates the bound renderbuffer as the depth and stencil buffer of a framebuffer.
+     *
+     * @private
+     * @param {PIXI.FrameBuffer} framebuffer - The framebuffer
+     * @param {number} samples - The number of samples, 0 when not multisampled
+     */
+    depthStencilStorage(framebuffer, samples)
+    {
+        const gl = this.gl;
+
+        if (samples)
+        {
+            gl.renderbufferStorageMultisample(gl.RENDERBUFFER, samples, gl.DEPTH24_STENCIL8,
+                framebuffer.width, framebuffer.height);
+        }
+        else
+        {
             gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_STENCIL, framebuffer.width, framebuffer.height);
         }
     }
 
+    /**
+     * Throws if a color texture cannot be rendered to on this context.
+     *
+     * @private
+     * @param {PIXI.BaseTexture} texture - The color texture
+     */
+    checkRenderable(texture)
+    {
+        const { type, format } = texture;
+
+        if (this.renderer.texture.getTypeSupport(type, format).renderable)
+        {
+            return;
+        }
+
+        const name = type === TYPES.FLOAT ? 'FLOAT' : 'HALF_FLOAT';
+
+        if (this.renderer.texture.getTypeSupport(type).renderable)
+        {
+            throw new Error(`Cannot render to ${name} textures of a format other than RGBA, `
+                + 'see PIXI.systems.TextureSystem#getTypeSupport');
+        }
+
+        const extension = COLOR_BUFFER_EXTENSIONS[this.renderer.context.webGLVersion][type];
+
+        throw new Error(`Cannot render to ${name} textures without the ${extension} extension, `
+            + 'see PIXI.systems.TextureSystem#getTypeSupport');
+    }
+
     updateFramebuffer(framebuffer)
     {
         const gl = this.gl;
@@ -171,23 +405,41 @@ export default class FramebufferSystem extends System
         // bind the color texture
         const colorTextures = framebuffer.colorTextures;
 
-        let count = colorTextures.length;
+        // textures past the ones the context can draw to are left out
+        const count = Math.min(colorTextures.length, this.maxDrawBuffers);
+
+        const activeTextures = [];
+
+        // multisampled framebuffers draw to renderbuffers, the textures are attached to a second
+        // framebuffer that the renderbuffers are resolved to
+        fbo.multisample = Math.min(framebuffer.multisample, this.maxSamples);
 
-        if (!this.drawBufferExtension)
+        if (fbo.multisample > 1 && count > 0)
         {
-            count = Math.min(count, 1);
+            fbo.blitFramebuffer = fbo.blitFramebuffer || gl.createFramebuffer();
+            gl.bindFramebuffer(gl.FRAMEBUFFER, fbo.blitFramebuffer);
+        }
+        else
+        {
+            fbo.multisample = 0;
         }
 
-        const activeTextures = [];
+        // the textures are checked before anything is attached, binding them throws if they cannot
+        // even be sampled
+        for (let i = 0; i < count; i++)
+        {
+            const texture = colorTextures[i].texturePart ? colorTextures[i].texture : colorTextures[i];
+
+            this.renderer.texture.bind(texture, 0);
+            this.checkRenderable(texture);
+        }
 
         for (let i = 0; i < count; i++)
         {
-            const texture = framebuffer.colorTextures[i];
+            const texture = colorTextures[i];
 
             if (texture.texturePart)
             {
-                this.renderer.texture.bind(texture.texture, 0);
-
                 gl.framebufferTexture2D(gl.FRAMEBUFFER,
                     gl.COLOR_ATTACHMENT0 + i,
                     gl.TEXTURE_CUBE_MAP_NEGATIVE_X + texture.side,
@@ -196,8 +448,6 @@ export default class FramebufferSystem extends System
             }
             else
             {
-                this.renderer.texture.bind(texture, 0);
-
                 gl.framebufferTexture2D(gl.FRAMEBUFFER,
                     gl.COLOR_ATTACHMENT0 + i,
                     gl.TEXTURE_2D,
@@ -208,16 +458,17 @@ export default class FramebufferSystem extends System
             activeTextures.push(gl.COLOR_ATTACHMENT0 + i);
         }
 
-        if (this.drawBufferExtension && activeTextures.length > 1)
+        if (this.maxDrawBuffers > 1 && activeTextures.length > 0)
         {
-            this.drawBufferExtension.drawBuffersWEBGL(activeTextures);
+            this.drawBuffers(activeTextures);
         }
 
         if (framebuffer.depthTexture)
         {
             const depthTextureExt = this.renderer.context.extensions.depthTexture;
 
-            if (depthTextureExt)
+            // depth textures are part of WebGL 2
+            if (depthTextureExt || this.renderer.context.webGLVersion === 2)
             {
                 const depthTexture = framebuffer.depthTexture;
 
@@ -231,6 +482,35 @@ export default class FramebufferSystem extends System
             }
         }
 
+        for (let i = 0; i < fbo.msaaBuffers.length; i++)
+        {
+            gl.deleteRenderbuffer(fbo.msaaBuffers[i]);
+        }
+
+        fbo.msaaBuffers.length = 0;
+
+        if (fbo.multisample)
+        {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, fbo.framebuffer);
+
+            for (let i = 0; i < count; i++)
+            {
+                const msaaBuffer = gl.createRenderbuffer();
+
+                gl.bindRenderbuffer(gl.RENDERBUFFER, msaaBuffer);
+                gl.renderbufferStorageMultisample(gl.RENDERBUFFER, fbo.multisample,
+                    this.colorStorageFormat(colorTextures[i]), framebuffer.width, framebuffer.height);
+                gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0 + i, gl.RENDERBUFFER, msaaBuffer);
+
+                fbo.msaaBuffers.push(msaaBuffer);
+            }
+
+            if (count > 1)
+            {
+                this.drawBuffers(activeTextures);
+            }
+        }
+
         if (framebuffer.stencil || framebuffer.depth)
         {
             fbo.stencil = gl.createRenderbuffer();
@@ -239,7 +519,7 @@ export default class FramebufferSystem extends System
 
             // TODO.. this is depth AND stencil?
             gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_STENCIL_ATTACHMENT, gl.RENDERBUFFER, fbo.stencil);
-            gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_STENCIL, framebuffer.width, framebuffer.height);
+            this.depthStencilStorage(framebuffer, fbo.multisample);
             // fbo.enableStencil();
         }
     }
@@ -1,3 +1,5 @@
+import Runner from 'mini-runner';
+
 let UID = 0;
 /* eslint-disable max-len */
 
@@ -36,6 +38,14 @@ export default class Buffer
         this.static = _static;
 
         this.id = UID++;
+
+        /**
+         * Runs `disposeBuffer` on the systems which created a webgl buffer for it, when destroyed.
+         *
+         * @private
+         * @member {Runner}
+         */
+        this.disposeRunner = new Runner('disposeBuffer', 1);
     }
 
     // TODO could explore flagging only a partial upload?
@@ -53,10 +63,8 @@ export default class Buffer
      */
     destroy()
     {
-        for (let i = 0; i < this._glBuffers.length; i++)
-        {
-            this._glBuffers[i].destroy();
-        }
+        this.disposeRunner.run(this);
+        this.disposeRunner.removeAll();
 
         this.data = null;
     }
@@ -1,3 +1,4 @@
+import Runner from 'mini-runner';
 import Attribute from './Attribute';
 import Buffer from './Buffer';
 import interleaveTypedArrays from './utils/interleaveTypedArrays';
@@ -66,6 +67,14 @@ export default class Geometry
         this.instanceCount = 1;
 
         this._size = null;
+
+        /**
+         * Runs `disposeGeometry` on the systems which created VAOs for it, when destroyed.
+         *
+         * @private
+         * @member {Runner}
+         */
+        this.disposeRunner = new Runner('disposeGeometry', 1);
     }
 
     /**
@@ -145,6 +154,8 @@ export default class Geometry
     * Adds an index buffer to the geometry
     * The index buffer contains integers, three for each triangle in the geometry, which reference the various attribute buffers (position, colour, UV coordinates, other UV coordinates, normal, …). There is only ONE index buffer.
     *
+    * Indices above 65535 need a `Uint32Array`, which WebGL 1 only supports with the `OES_element_index_uint` extension.
+    *
     * @param {PIXI.Buffer} [buffer] the buffer that holds the data of the index buffer. You can also provide an Array and a buffer will be created from it.
     * @return {PIXI.Geometry} returns self, useful for chaining.
     */
@@ -155,7 +166,7 @@ export default class Geometry
             // its an array!
             if (buffer instanceof Array)
             {
-                buffer = new Uint16Array(buffer);
+                buffer = buffer.some((index) => index > 0xFFFF) ? new Uint32Array(buffer) : new Uint16Array(buffer);
             }
 
             buffer = new Buffer(buffer);
@@ -250,10 +261,8 @@ export default class Geometry
      */
     destroy()
     {
-        for (let i = 0; i < this.glVertexArrayObjects.length; i++)
-        {
-            this.glVertexArrayObjects[i].destroy();
-        }
+        this.disposeRunner.run(this);
+        this.disposeRunner.removeAll();
 
         this.glVertexArrayObjects = null;
 
@@ -5,6 +5,9 @@ import { settings } from '../settings';
 
 const byteSizeMap = { 5126: 4, 5123: 2, 5121: 1 };
 
+// the gl types of the index buffers, by bytes per index: UNSIGNED_BYTE, UNSIGNED_SHORT and UNSIGNED_INT
+const indexTypeMap = { 1: 5121, 2: 5123, 4: 5125 };
+
 /**
  * @class
  * @extends PIXI.System
@@ -24,6 +27,31 @@ export default class GeometrySystem extends System
 
         this.hasVao = true;
         this.hasInstance = true;
+
+        /**
+         * Whether index buffers can hold 32 bit indices (`Uint32Array` data).
+         * Always true on WebGL 2, requires the `OES_element_index_uint` extension on WebGL 1.
+         *
+         * @member {boolean}
+         * @readonly
+         */
+        this.canUseUInt32ElementIndex = false;
+
+        /**
+         * The geometries which have VAOs in the current context, by id.
+         *
+         * @member {object<number, PIXI.Geometry>}
+         * @readonly
+         */
+        this.managedGeometries = {};
+
+        /**
+         * The buffers which have webgl buffers in the current context, by id.
+         *
+         * @member {object<number, PIXI.Buffer>}
+         * @readonly
+         */
+        this.managedBuffers = {};
     }
 
     /**
@@ -36,9 +64,15 @@ export default class GeometrySystem extends System
         const gl = this.gl = this.renderer.gl;
 
         this.CONTEXT_UID = this.renderer.CONTEXT_UID;
+        this._activeGeometry = null;
+        this._activeVao = null;
+
+        const context = this.renderer.context;
 
-        // webgl2
-        if (!gl.createVertexArray)
+        this.canUseUInt32ElementIndex = context.webGLVersion === 2 || !!context.extensions.uint32ElementIndex;
+
+        // webgl 1 uses extensions, patched in again when a lost context is restored as they have to be enabled again
+        if (context.webGLVersion === 1)
         {
             // webgl 1!
             let nativeVaoExtension = this.renderer.context.extensions.vertexArrayObject;
@@ -79,7 +113,7 @@ export default class GeometrySystem extends System
             }
         }
 
-        if (!gl.vertexAttribDivisor)
+        if (context.webGLVersion === 1)
         {
             const instanceExt = gl.getExtension('ANGLE_instanced_arrays');
 
@@ -268,7 +302,7 @@ export default class GeometrySystem extends System
 
             if (!buffer._glBuffers[CONTEXT_UID])
             {
-                buffer._glBuffers[CONTEXT_UID] = new GLBuffer(gl.createBuffer());
+                this.initBuffer(buffer);
             }
         }
 
@@ -285,9 +319,105 @@ export default class GeometrySystem extends System
         // add it to the cache!
         geometry.glVertexArrayObjects[this.CONTEXT_UID][program.id] = vao;
 
+        this.managedGeometries[geometry.id] = geometry;
+        geometry.disposeRunner.add(this);
+
         return vao;
     }
 
+    /**
+     * Creates the webgl buffer of a buffer in the current context.
+     *
+     * @private
+     * @param {PIXI.Buffer} buffer - The buffer
+     * @return {GLBuffer} The webgl buffer
+     */
+    initBuffer(buffer)
+    {
+        const glBuffer = new GLBuffer(this.gl.createBuffer());
+
+        buffer._glBuffers[this.CONTEXT_UID] = glBuffer;
+        this.managedBuffers[buffer.id] = buffer;
+        buffer.disposeRunner.add(this);
+
+        return glBuffer;
+    }
+
+    /**
+     * Deletes the webgl buffer of a destroyed buffer.
+     *
+     * @private
+     * @param {PIXI.Buffer} buffer - The buffer
+     */
+    disposeBuffer(buffer)
+    {
+        const glBuffer = buffer._glBuffers[this.CONTEXT_UID];
+
+        if (glBuffer)
+        {
+            this.gl.deleteBuffer(glBuffer.buffer);
+            delete buffer._glBuffers[this.CONTEXT_UID];
+        }
+
+        delete this.managedBuffers[buffer.id];
+    }
+
+    /**
+     * Deletes the VAOs of a destroyed geometry.
+     *
+     * @private
+     * @param {PIXI.Geometry} geometry - The geometry
+     */
+    disposeGeometry(geometry)
+    {
+        const vaos = geometry.glVertexArrayObjects[this.CONTEXT_UID];
+
+        if (this._activeGeometry === geometry)
+        {
+            this.unbind();
+        }
+
+        for (const id in vaos)
+        {
+            this.gl.deleteVertexArray(vaos[id]);
+        }
+
+        delete geometry.glVertexArrayObjects[this.CONTEXT_UID];
+        delete this.managedGeometries[geometry.id];
+    }
+
+    /**
+     * Forgets the buffers and VAOs of the lost context, they are created again from the
+     * geometries when bound to the restored one.
+     *
+     * @private
+     */
+    contextLost()
+    {
+        const CONTEXT_UID = this.CONTEXT_UID;
+
+        for (const id in this.managedBuffers)
+        {
+            const buffer = this.managedBuffers[id];
+
+            buffer.disposeRunner.remove(this);
+            delete buffer._glBuffers[CONTEXT_UID];
+        }
+
+        for (const id in this.managedGeometries)
+        {
+            const geometry = this.managedGeometries[id];
+
+            geometry.disposeRunner.remove(this);
+            delete geometry.glVertexArrayObjects[CONTEXT_UID];
+        }
+
+        this.managedBuffers = {};
+        this.managedGeometries = {};
+        this._activeGeometry = null;
+        this._activeVao = null;
+    }
+
     activateVao(geometry, program)
     {
         const gl = this.gl;
@@ -353,19 +483,33 @@ export default class GeometrySystem extends System
         const gl = this.gl;
         const geometry = this._activeGeometry;
 
+        if (this.renderer.stats)
+        {
+            this.renderer.stats.frame.drawCalls++;
+        }
+
         // TODO.. this should not change so maybe cache the function?
 
         if (geometry.indexBuffer)
         {
+            const byteSize = geometry.indexBuffer.data.BYTES_PER_ELEMENT;
+            const glType = indexTypeMap[byteSize];
+
+            if (byteSize === 4 && !this.canUseUInt32ElementIndex)
+            {
+                throw new Error('Unable to draw a geometry with 32 bit indices (Uint32Array), '
+                    + 'this WebGL context does not support the OES_element_index_uint extension');
+            }
+
             if (geometry.instanced)
             {
                 /* eslint-disable max-len */
-                gl.drawElementsInstanced(type, size || geometry.indexBuffer.data.length, gl.UNSIGNED_SHORT, (start || 0) * 2, instanceCount || 1);
+                gl.drawElementsInstanced(type, size || geometry.indexBuffer.data.length, glType, (start || 0) * byteSize, instanceCount || 1);
                 /* eslint-enable max-len */
             }
             else
             {
-                gl.drawElements(type, size || geometry.indexBuffer.data.length, gl.UNSIGNED_SHORT, (start || 0) * 2);
+                gl.drawElements(type, size || geometry.indexBuffer.data.length, glType, (start || 0) * byteSize);
             }
         }
         else
@@ -388,4 +532,14 @@ export default class GeometrySystem extends System
         this._activeVao = null;
         this._activeGeometry = null;
     }
+
+    /**
+     * Forgets the geometries and buffers, then destroys the system.
+     */
+    destroy()
+    {
+        this.contextLost();
+
+        super.destroy();
+    }
 }
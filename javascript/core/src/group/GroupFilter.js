@@ -0,0 +1,38 @@
+import Filter from '../filters/Filter';
+import vertex from './group.vert';
+import fragment from './group.frag';
+
+/**
+ * Draws the render texture of a group with its alpha, see {@link PIXI.Container#groupAlpha}.
+ *
+ * @class
+ * @extends PIXI.Filter
+ * @memberof PIXI
+ * @private
+ */
+export default class GroupFilter extends Filter
+{
+    /**
+     *
+     */
+    constructor()
+    {
+        super(vertex, fragment, { uAlpha: 1 });
+    }
+
+    /**
+     * The alpha the group is drawn with
+     *
+     * @member {number}
+     * @default 1
+     */
+    get alpha()
+    {
+        return this.uniforms.uAlpha;
+    }
+
+    set alpha(value) // eslint-disable-line require-jsdoc
+    {
+        this.uniforms.uAlpha = value;
+    }
+}
@@ -0,0 +1,63 @@
+import System from '../System';
+import GroupFilter from './GroupFilter';
+
+/**
+ * Renders the containers with `groupAlpha` set into render textures of the filter system, and
+ * draws them with their alpha and blend mode, see {@link PIXI.Container#groupAlpha}.
+ *
+ * @class
+ * @extends PIXI.System
+ * @memberof PIXI.systems
+ */
+export default class GroupSystem extends System
+{
+    /**
+     * @param {PIXI.Renderer} renderer - The renderer this System works for.
+     */
+    constructor(renderer)
+    {
+        super(renderer);
+
+        /**
+         * The filters drawing the groups, one for each level of nested groups
+         *
+         * @member {Array<PIXI.Filter[]>}
+         * @private
+         */
+        this.groupFilterPool = [];
+        this.groupFilterIndex = 0;
+    }
+
+    /**
+     * Starts rendering a group, until {@link PIXI.systems.GroupSystem#pop} is called.
+     *
+     * @param {PIXI.Container} target - The container rendered as a group
+     */
+    push(target)
+    {
+        let groupFilter = this.groupFilterPool[this.groupFilterIndex];
+
+        if (!groupFilter)
+        {
+            groupFilter = this.groupFilterPool[this.groupFilterIndex] = [new GroupFilter()];
+        }
+
+        groupFilter[0].resolution = this.renderer.resolution;
+        groupFilter[0].alpha = target.groupWorldAlpha;
+        groupFilter[0].blendMode = target.groupBlendMode;
+
+        this.renderer.filter.push(target, groupFilter);
+
+        this.groupFilterIndex++;
+    }
+
+    /**
+     * Draws the group that was last pushed.
+     */
+    pop()
+    {
+        this.renderer.filter.pop();
+
+        this.groupFilterIndex--;
+    }
+}
@@ -0,0 +1,8 @@
+#include <filterFragment>
+
+uniform float uAlpha;
+
+void main(void)
+{
+    gl_FragColor = filterSample(vTextureCoord) * uAlpha;
+}
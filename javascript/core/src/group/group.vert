@@ -0,0 +1,9 @@
+#include <filterVertex>
+
+varying vec2 vTextureCoord;
+
+void main(void)
+{
+    gl_Position = filterVertexPosition();
+    vTextureCoord = filterTextureCoord();
+}
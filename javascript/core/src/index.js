@@ -13,17 +13,21 @@ export { default as FrameBuffer } from './framebuffer/FrameBuffer';
 export { default as CubeTexture } from './textures/CubeTexture';
 export { default as BaseTexture } from './textures/BaseTexture';
 export { default as Texture } from './textures/Texture';
+export { default as AtlasPacker } from './textures/atlas/AtlasPacker';
 export { default as TextureMatrix } from './textures/TextureMatrix';
 export { default as RenderTexture } from './renderTexture/RenderTexture';
 export { default as BaseRenderTexture } from './renderTexture/BaseRenderTexture';
 export { default as TextureUvs } from './textures/TextureUvs';
 export { default as State } from './state/State';
 export { default as ObjectRenderer } from './batch/ObjectRenderer';
+export { default as AbstractBatchRenderer } from './batch/AbstractBatchRenderer';
+export { default as BatchBuffer } from './batch/BatchBuffer';
 export { default as Quad } from './utils/Quad';
 export { default as QuadUv } from './utils/QuadUv';
 export { default as checkMaxIfStatmentsInShader } from './shader/utils/checkMaxIfStatmentsInShader';
 export { default as Shader } from './shader/Shader';
 export { default as Program } from './shader/Program';
+export { default as ShaderError } from './shader/ShaderError';
 export { default as UniformGroup } from './shader/UniformGroup';
 export { default as SpriteMaskFilter } from './filters/spriteMask/SpriteMaskFilter';
 export { default as Filter } from './filters/Filter';
@@ -38,6 +38,11 @@ export default class MaskSystem extends System
         // be used on render textures more info here:
         // https://github.com/pixijs/pixi.js/pull/3545
 
+        if (this.renderer.stats)
+        {
+            this.renderer.stats.frame.maskPushes++;
+        }
+
         if (maskData.texture)
         {
             this.pushSpriteMask(target, maskData);
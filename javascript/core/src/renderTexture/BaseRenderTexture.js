@@ -1,5 +1,6 @@
 import BaseTexture from '../textures/BaseTexture';
 import FrameBuffer from '../framebuffer/FrameBuffer';
+import { MIPMAP_MODES } from '@pixi/constants';
 
 /**
  * A BaseRenderTexture is a special texture that allows any PixiJS display object to be rendered to it.
@@ -48,6 +49,16 @@ export default class BaseRenderTexture extends BaseTexture
      * @param {number} [options.height=100] - The height of the base render texture
      * @param {PIXI.SCALE_MODES} [options.scaleMode] - See {@link PIXI.SCALE_MODES} for possible values
      * @param {number} [options.resolution=1] - The resolution / device pixel ratio of the texture being generated
+     * @param {number} [options.colorTextures=1] - The number of color textures rendered to at once, shaders
+     *  write to them with `gl_FragData[n]` or `layout(location = n)` outputs,
+     *  see {@link PIXI.BaseRenderTexture#colorTextures}
+     * @param {number} [options.multisample=PIXI.MSAA_QUALITY.NONE] - The number of samples to antialias with,
+     *  see {@link PIXI.MSAA_QUALITY}. Requires WebGL 2, there is no antialiasing on WebGL 1
+     * @param {boolean} [options.depth=false] - Whether to have a depth buffer, for display objects
+     *  whose {@link PIXI.State#depthTest} is on
+     * @param {PIXI.TYPES} [options.type=PIXI.TYPES.UNSIGNED_BYTE] - The type of the color textures, `FLOAT` and
+     *  `HALF_FLOAT` need extensions to be rendered to, see {@link PIXI.systems.TextureSystem#getTypeSupport}
+     * @param {PIXI.FORMATS} [options.format=PIXI.FORMATS.RGBA] - The format of the color textures
      */
     constructor(options)
     {
@@ -66,10 +77,10 @@ export default class BaseRenderTexture extends BaseTexture
 
         super(null, options);
 
-        const { width, height } = options || {};
+        const { width, height, colorTextures, multisample, depth } = options || {};
 
         // Set defaults
-        this.mipmap = false;
+        this.mipmap = MIPMAP_MODES.OFF;
         this.width = Math.ceil(width) || 100;
         this.height = Math.ceil(height) || 100;
         this.valid = true;
@@ -95,6 +106,29 @@ export default class BaseRenderTexture extends BaseTexture
         this.frameBuffer = new FrameBuffer(width * this.resolution, height * this.resolution)
             .addColorTexture(0, this);
 
+        if (depth)
+        {
+            this.frameBuffer.enableDepth();
+        }
+
+        if (multisample)
+        {
+            this.frameBuffer.enableMultisample(multisample);
+        }
+
+        for (let i = 1; i < (colorTextures || 1); i++)
+        {
+            this.frameBuffer.addColorTexture(i, new BaseTexture(null, {
+                width: this.width,
+                height: this.height,
+                scaleMode: this.scaleMode,
+                resolution: this.resolution,
+                format: this.format,
+                type: this.type,
+                mipmap: MIPMAP_MODES.OFF,
+            }));
+        }
+
         // TODO - could this be added the systems?
 
         /**
@@ -110,6 +144,27 @@ export default class BaseRenderTexture extends BaseTexture
          * @member {PIXI.Graphics[]}
          */
         this.filterStack = [{}];
+
+        /**
+         * Set when the WebGL context was lost since the texture was last rendered to, its content
+         * has to be rendered again. See the {@link PIXI.Renderer#event:contextRestored} event.
+         *
+         * @member {boolean}
+         */
+        this.contentLost = false;
+    }
+
+    /**
+     * The textures rendered to, the first one being this base render texture. There is more than one when
+     * the `colorTextures` option is given, to read the others wrap them in a {@link PIXI.Texture}.
+     * Renderers which do not support multiple render targets only draw to the first one.
+     *
+     * @member {PIXI.BaseTexture[]}
+     * @readonly
+     */
+    get colorTextures()
+    {
+        return this.frameBuffer.colorTextures;
     }
 
     /**
@@ -131,6 +186,13 @@ export default class BaseRenderTexture extends BaseTexture
      */
     destroy()
     {
+        const colorTextures = this.frameBuffer.colorTextures;
+
+        for (let i = 1; i < colorTextures.length; i++)
+        {
+            colorTextures[i].destroy();
+        }
+
         super.destroy(true);
         this.renderer = null;
     }
@@ -131,6 +131,11 @@ export default class RenderTexture extends Texture
      * @param {number} [options.height=100] - The height of the render texture
      * @param {number} [options.scaleMode=PIXI.settings.SCALE_MODE] - See {@link PIXI.SCALE_MODES} for possible values
      * @param {number} [options.resolution=1] - The resolution / device pixel ratio of the texture being generated
+     * @param {number} [options.colorTextures=1] - The number of color textures rendered to at once
+     * @param {number} [options.multisample=PIXI.MSAA_QUALITY.NONE] - The number of samples to antialias with
+     * @param {boolean} [options.depth=false] - Whether to have a depth buffer
+     * @param {PIXI.TYPES} [options.type=PIXI.TYPES.UNSIGNED_BYTE] - The type of the color textures
+     * @param {PIXI.FORMATS} [options.format=PIXI.FORMATS.RGBA] - The format of the color textures
      * @return {PIXI.RenderTexture} The new render texture
      */
     static create(options)
@@ -28,6 +28,24 @@ export default class RenderTextureSystem extends System
         this.renderTexture = null;
 
         this.destinationFrame = new Rectangle();
+
+        /**
+         * The area of the world that is rendered to the bound render texture, in world coordinates.
+         *
+         * @member {PIXI.Rectangle}
+         * @readonly
+         */
+        this.sourceFrame = new Rectangle();
+    }
+
+    /**
+     * Forgets the bound render texture, the restored context renders to the screen.
+     *
+     * @private
+     */
+    contextChange()
+    {
+        this.renderTexture = null;
     }
 
     bind(renderTexture, sourceFrame, destinationFrame)
@@ -60,6 +78,7 @@ export default class RenderTextureSystem extends System
             }
 
             this.renderer.framebuffer.bind(baseTexture.frameBuffer, destinationFrame);
+            baseTexture.contentLost = false;
 
             this.renderer.projection.update(destinationFrame, sourceFrame, resolution, false);
             this.renderer.stencil.setMaskStack(baseTexture.stencilMaskStack);
@@ -95,15 +114,26 @@ export default class RenderTextureSystem extends System
 
         this.destinationFrame.width = destinationFrame.width / resolution;
         this.destinationFrame.height = destinationFrame.height / resolution;
+
+        if (sourceFrame === destinationFrame)
+        {
+            this.sourceFrame.copyFrom(this.destinationFrame);
+        }
+        else
+        {
+            this.sourceFrame.copyFrom(sourceFrame);
+        }
     }
 
     /**
      * Erases the render texture and fills the drawing area with a colour
      *
      * @param {number} [clearColor] - The colour
+     * @param {number} [mask=PIXI.BUFFER_BITS.COLOR | PIXI.BUFFER_BITS.DEPTH] - The buffers to clear,
+     *  see {@link PIXI.BUFFER_BITS}
      * @return {PIXI.Renderer} Returns itself.
      */
-    clear(clearColor)
+    clear(clearColor, mask)
     {
         if (this.renderTexture)
         {
@@ -114,7 +144,7 @@ export default class RenderTextureSystem extends System
             clearColor = clearColor || this.clearColor;
         }
 
-        this.renderer.framebuffer.clear(clearColor[0], clearColor[1], clearColor[2], clearColor[3]);
+        this.renderer.framebuffer.clear(clearColor[0], clearColor[1], clearColor[2], clearColor[3], mask);
     }
 
     resize()// screenWidth, screenHeight)
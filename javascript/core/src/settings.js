@@ -17,4 +17,56 @@ import { ENV } from '@pixi/constants';
  */
 settings.PREFER_ENV = ENV.WEBGL2;
 
+/**
+ * The number of frames the rolling averages of the render statistics are computed over.
+ *
+ * @static
+ * @constant
+ * @name STATS_SAMPLE_SIZE
+ * @memberof PIXI.settings
+ * @type {number}
+ * @default 60
+ * @see PIXI.systems.StatsSystem#averages
+ */
+settings.STATS_SAMPLE_SIZE = 60;
+
+/**
+ * The width and height of the pages of the texture atlas.
+ *
+ * @static
+ * @constant
+ * @name ATLAS_PAGE_SIZE
+ * @memberof PIXI.settings
+ * @type {number}
+ * @default 2048
+ * @see PIXI.systems.AtlasSystem#pageSize
+ */
+settings.ATLAS_PAGE_SIZE = 2048;
+
+/**
+ * The transparent pixels around each entry of the texture atlas.
+ *
+ * @static
+ * @constant
+ * @name ATLAS_PADDING
+ * @memberof PIXI.settings
+ * @type {number}
+ * @default 2
+ * @see PIXI.systems.AtlasSystem#padding
+ */
+settings.ATLAS_PADDING = 2;
+
+/**
+ * The number of pixels the edges of each entry of the texture atlas are repeated over.
+ *
+ * @static
+ * @constant
+ * @name ATLAS_EXTRUDE
+ * @memberof PIXI.settings
+ * @type {number}
+ * @default 0
+ * @see PIXI.systems.AtlasSystem#extrude
+ */
+settings.ATLAS_EXTRUDE = 0;
+
 export { settings };
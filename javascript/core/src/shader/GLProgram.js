@@ -6,7 +6,7 @@
  */
 export default class GLProgram
 {
-    constructor(program, uniformData)
+    constructor(program, uniformData, uniformBlocks)
     {
         /**
          * The shader program
@@ -28,6 +28,12 @@ export default class GLProgram
          * @type {Object}
          */
         this.uniformGroups = {};
+
+        /**
+         * The binding points of the uniform blocks of the program, by block name.
+         * @type {Object}
+         */
+        this.uniformBlocks = uniformBlocks || {};
     }
 
     /**
@@ -38,6 +44,7 @@ export default class GLProgram
     {
         this.uniformData = null;
         this.uniformGroups = null;
+        this.uniformBlocks = null;
         this.program = null;
     }
 }
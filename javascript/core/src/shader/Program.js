@@ -4,14 +4,42 @@ import { setPrecision,
     compileProgram,
     mapSize,
     mapType,
-    getTestContext } from './utils';
+    getTestContext,
+    preprocessShader } from './utils';
 import { ProgramCache } from '@pixi/utils';
 import defaultFragment from './defaultProgram.frag';
 import defaultVertex from './defaultProgram.vert';
+import * as chunks from './chunks';
 import { settings } from '@pixi/settings';
+import ShaderError from './ShaderError';
 
 let UID = 0;
 
+/**
+ * Matches the origins of the lines of a preprocessed source with the lines left once
+ * `setPrecision` has trimmed it and maybe added a precision statement.
+ *
+ * @private
+ * @param {string} src - The preprocessed source
+ * @param {string} preciseSrc - The source with its precision set
+ * @param {object[]} origins - The origins of the lines of the preprocessed source
+ * @return {object[]} The origins of the lines of the source with its precision set
+ */
+function trackPrecision(src, preciseSrc, origins)
+{
+    const leading = src.match(/^\s*/)[0].split('\n').length - 1;
+    const lines = preciseSrc.split('\n');
+
+    origins = origins.slice(leading, leading + src.trim().split('\n').length);
+
+    if (lines.length > origins.length)
+    {
+        origins.splice(lines.findIndex((line) => (/^precision\s/).test(line)), 0, null);
+    }
+
+    return origins;
+}
+
 /**
  * @class
  * @memberof PIXI
@@ -22,8 +50,9 @@ class Program
     /**
      * @param {string} [vertexSrc] - The source of the vertex shader.
      * @param {string} [fragmentSrc] - The source of the fragment shader.
+     * @param {object} [defines] - The macros to define in both shaders, see {@link PIXI.Program.preprocess}.
      */
-    constructor(vertexSrc, fragmentSrc)
+    constructor(vertexSrc, fragmentSrc, defines)
     {
         /**
          * The vertex shader.
@@ -39,8 +68,24 @@ class Program
          */
         this.fragmentSrc = fragmentSrc || Program.defaultFragmentSrc;
 
-        this.vertexSrc = setPrecision(this.vertexSrc, settings.PRECISION_VERTEX);
-        this.fragmentSrc = setPrecision(this.fragmentSrc, settings.PRECISION_FRAGMENT);
+        const vertexOrigins = [];
+        const fragmentOrigins = [];
+        const vertex = Program.preprocess(this.vertexSrc, defines, vertexOrigins);
+        const fragment = Program.preprocess(this.fragmentSrc, defines, fragmentOrigins);
+
+        this.vertexSrc = setPrecision(vertex, settings.PRECISION_VERTEX);
+        this.fragmentSrc = setPrecision(fragment, settings.PRECISION_FRAGMENT);
+
+        /**
+         * Where each line of the vertex and fragment shaders comes from, for {@link PIXI.ShaderError}.
+         *
+         * @member {object}
+         * @private
+         */
+        this.lineOrigins = {
+            vertex: trackPrecision(vertex, this.vertexSrc, vertexOrigins),
+            fragment: trackPrecision(fragment, this.fragmentSrc, fragmentOrigins),
+        };
 
         // currently this does not extract structs only default types
         this.extractData(this.vertexSrc, this.fragmentSrc);
@@ -56,6 +101,8 @@ class Program
     /**
      * Extracts the data for a buy creating a small test program
      * or reading the src directly.
+     * If the program does not compile, it has no data and the error is thrown
+     * when a renderer compiles it, which reports it.
      * @private
      *
      * @param {string} [vertexSrc] - The source of the vertex shader.
@@ -65,12 +112,25 @@ class Program
     {
         const gl = getTestContext();
 
-        if (gl)
+        let program = null;
+
+        try
+        {
+            program = gl && compileProgram(gl, vertexSrc, fragmentSrc);
+        }
+        catch (error)
         {
-            const program = compileProgram(gl, vertexSrc, fragmentSrc);
+            if (!(error instanceof ShaderError))
+            {
+                throw error;
+            }
+        }
 
+        if (program)
+        {
             this.attributeData = this.getAttributeData(program, gl);
             this.uniformData = this.getUniformData(program, gl);
+            this.uniformBlockData = this.getUniformBlockData(program, gl);
 
             gl.deleteProgram(program);
         }
@@ -78,6 +138,7 @@ class Program
         {
             this.uniformData = {};
             this.attributeData = {};
+            this.uniformBlockData = {};
         }
     }
 
@@ -146,6 +207,12 @@ class Program
 
         for (let i = 0; i < totalUniforms; i++)
         {
+            // uniforms of blocks are set with a buffer, see getUniformBlockData
+            if (gl.getActiveUniforms && gl.getActiveUniforms(program, [i], gl.UNIFORM_BLOCK_INDEX)[0] !== -1)
+            {
+                continue;
+            }
+
             const uniformData = gl.getActiveUniform(program, i);
             const name = uniformData.name.replace(/\[.*?\]/, '');
 
@@ -165,6 +232,58 @@ class Program
         return uniforms;
     }
 
+    /**
+     * returns the uniform block data from the program, with the std140 layout of the uniforms of each block
+     * @private
+     *
+     * @param {webGL-program} [program] - the webgl program
+     * @param {contex} [gl] - the webGL context
+     *
+     * @returns {object} the uniform block data for this program, empty on WebGL 1
+     */
+    getUniformBlockData(program, gl)
+    {
+        const blocks = {};
+
+        if (!gl.getActiveUniforms)
+        {
+            return blocks;
+        }
+
+        const totalBlocks = gl.getProgramParameter(program, gl.ACTIVE_UNIFORM_BLOCKS);
+
+        for (let i = 0; i < totalBlocks; i++)
+        {
+            blocks[gl.getActiveUniformBlockName(program, i)] = {
+                size: gl.getActiveUniformBlockParameter(program, i, gl.UNIFORM_BLOCK_DATA_SIZE),
+                uniforms: {},
+            };
+        }
+
+        const totalUniforms = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+
+        for (let i = 0; i < totalUniforms; i++)
+        {
+            const blockIndex = gl.getActiveUniforms(program, [i], gl.UNIFORM_BLOCK_INDEX)[0];
+
+            if (blockIndex === -1)
+            {
+                continue;
+            }
+
+            const uniformData = gl.getActiveUniform(program, i);
+            const block = blocks[gl.getActiveUniformBlockName(program, blockIndex)];
+
+            block.uniforms[uniformData.name.replace(/\[.*?\]/, '')] = {
+                type: mapType(gl, uniformData.type),
+                size: uniformData.size,
+                offset: gl.getActiveUniforms(program, [i], gl.UNIFORM_OFFSET)[0],
+            };
+        }
+
+        return blocks;
+    }
+
     /**
      * The default vertex shader source
      *
@@ -187,29 +306,77 @@ class Program
         return defaultFragment;
     }
 
+    /**
+     * Registers a chunk of glsl that shaders can insert with `#include <name>`.
+     *
+     * @static
+     * @param {string} name - The name to include the chunk with
+     * @param {string} src - The source of the chunk, which can include other chunks
+     */
+    static registerChunk(name, src)
+    {
+        Program.chunks[name] = src;
+    }
+
+    /**
+     * Expands the `#include <name>` directives of a shader source with the registered
+     * {@link PIXI.Program.chunks chunks} and defines the given macros after its #version and
+     * #extension directives. A macro set to `true` is defined without a value, one set to
+     * `false` is not defined.
+     *
+     * @static
+     * @param {string} src - The source of the shader.
+     * @param {object} [defines] - The values of the macros to define, by name.
+     * @param {object[]} [origins] - Filled with where each line of the expanded source comes from:
+     *        `{ chunk, line }`, chunk being the name of the included chunk or null for `src`, or null
+     *        for the lines of the defines.
+     * @return {string} The expanded source.
+     */
+    static preprocess(src, defines, origins)
+    {
+        return preprocessShader(src, Program.chunks, defines, origins);
+    }
+
     /**
      * A short hand function to create a program based of a vertex and fragment shader
      * this method will also check to see if there is a cached program.
+     * The sources are cached once expanded, so the same shaders with the same defines
+     * share a program.
      *
      * @param {string} [vertexSrc] - The source of the vertex shader.
      * @param {string} [fragmentSrc] - The source of the fragment shader.
-     * @param {object} [uniforms] - Custom uniforms to use to augment the built-in ones.
+     * @param {object} [defines] - The macros to define in both shaders.
      *
-     * @returns {PIXI.Shader} an shiney new pixi shader.
+     * @returns {PIXI.Program} an shiney new pixi program.
      */
-    static from(vertexSrc, fragmentSrc)
+    static from(vertexSrc, fragmentSrc, defines)
     {
-        const key = vertexSrc + fragmentSrc;
+        const key = Program.preprocess(vertexSrc || Program.defaultVertexSrc, defines)
+            + Program.preprocess(fragmentSrc || Program.defaultFragmentSrc, defines);
 
         let program = ProgramCache[key];
 
         if (!program)
         {
-            ProgramCache[key] = program = new Program(vertexSrc, fragmentSrc);
+            ProgramCache[key] = program = new Program(vertexSrc, fragmentSrc, defines);
         }
 
         return program;
     }
 }
 
+/**
+ * The chunks of glsl that shaders can insert with `#include <name>`, by name. PixiJS registers:
+ *
+ * - `projection`: the `projectionMatrix` uniform and `vec4 projectPosition(vec2 position)`.
+ * - `filterVertex`: `vec4 filterVertexPosition()` and `vec2 filterTextureCoord()` for filter vertex shaders.
+ * - `filterFragment`: `vTextureCoord`, `uSampler` and `vec4 filterSample(vec2 coord)`, which clamps
+ *   the coordinates to the input of the filter.
+ *
+ * @static
+ * @member {object<string, string>}
+ * @see PIXI.Program.registerChunk
+ */
+Program.chunks = Object.assign({}, chunks);
+
 export default Program;
@@ -89,12 +89,13 @@ class Shader
      * @param {string} [vertexSrc] - The source of the vertex shader.
      * @param {string} [fragmentSrc] - The source of the fragment shader.
      * @param {object} [uniforms] - Custom uniforms to use to augment the built-in ones.
+     * @param {object} [defines] - The macros to define in both shaders, see {@link PIXI.Program.preprocess}.
      *
      * @returns {PIXI.Shader} an shiney new pixi shader.
      */
-    static from(vertexSrc, fragmentSrc, uniforms)
+    static from(vertexSrc, fragmentSrc, uniforms, defines)
     {
-        const program = Program.from(vertexSrc, fragmentSrc);
+        const program = Program.from(vertexSrc, fragmentSrc, defines);
 
         return new Shader(program, uniforms);
     }
@@ -0,0 +1,142 @@
+// the line and message of an info log entry, as `ERROR: 0:12: message` or `0(12) : error message`
+const LOG_ENTRY = [
+    /^(?:ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/,
+    /^\d+\((\d+)\)\s*:\s*(.*)$/,
+];
+
+// the number of source lines shown around the offending lines
+const CONTEXT_LINES = 2;
+
+/**
+ * Describes where a line of a compiled shader comes from.
+ *
+ * @private
+ * @param {object|null} origin - The origin of the line, as tracked by the preprocessor
+ * @param {string} stage - The shader stage
+ * @return {string} The description
+ */
+function describeOrigin(origin, stage)
+{
+    if (!origin)
+    {
+        return 'added by PixiJS';
+    }
+
+    if (origin.chunk)
+    {
+        return `line ${origin.line} of the chunk <${origin.chunk}>`;
+    }
+
+    return `line ${origin.line} of the ${stage} source`;
+}
+
+/**
+ * An error thrown when a shader does not compile or a program does not link. The errors of the
+ * info log are matched with the lines of the compiled source and with the lines of the source
+ * given to the {@link PIXI.Program} or of the chunks it includes, the compiled source having
+ * defines and a precision statement added.
+ *
+ * @class
+ * @memberof PIXI
+ * @extends Error
+ */
+export default class ShaderError extends Error
+{
+    /**
+     * @param {string} stage - The shader that failed: 'vertex', 'fragment' or 'link' for the program
+     * @param {string} log - The info log of the shader or program
+     * @param {string} [source] - The compiled source of the shader
+     * @param {object[]} [origins] - The origin of each line of the source, see {@link PIXI.Program.preprocess}
+     */
+    constructor(stage, log, source, origins)
+    {
+        const errors = [];
+        const lines = source ? source.split('\n') : [];
+
+        (log || '').split('\n').forEach((entry) =>
+        {
+            for (let i = 0; i < LOG_ENTRY.length; i++)
+            {
+                const match = entry.trim().match(LOG_ENTRY[i]);
+
+                if (match)
+                {
+                    const line = parseInt(match[1], 10);
+
+                    errors.push({
+                        line,
+                        message: match[2],
+                        origin: origins && line > 0 ? origins[line - 1] || null : null,
+                    });
+
+                    break;
+                }
+            }
+        });
+
+        let message = stage === 'link'
+            ? `Could not link the program:\n${log}`
+            : `Could not compile the ${stage} shader:\n${log}`;
+
+        errors.forEach((error) =>
+        {
+            if (error.line < 1 || error.line > lines.length)
+            {
+                return;
+            }
+
+            message += `\nline ${error.line}, ${describeOrigin(error.origin, stage)}:\n`;
+
+            const first = Math.max(error.line - CONTEXT_LINES, 1);
+            const last = Math.min(error.line + CONTEXT_LINES, lines.length);
+            const width = `${last}`.length;
+
+            for (let i = first; i <= last; i++)
+            {
+                const number = `${' '.repeat(width)}${i}`.slice(-width);
+
+                message += `${i === error.line ? '>' : ' '} ${number} | ${lines[i - 1]}\n`;
+            }
+        });
+
+        super(message);
+
+        /**
+         * The name of the error.
+         *
+         * @member {string}
+         * @default 'ShaderError'
+         */
+        this.name = 'ShaderError';
+
+        /**
+         * The shader that failed to compile, 'vertex' or 'fragment', or 'link' if the program failed to link.
+         *
+         * @member {string}
+         */
+        this.stage = stage;
+
+        /**
+         * The info log of the shader or program.
+         *
+         * @member {string}
+         */
+        this.log = log;
+
+        /**
+         * The compiled source of the shader, null for link errors.
+         *
+         * @member {string}
+         */
+        this.source = source || null;
+
+        /**
+         * The errors of the log, with the line of the compiled source they are on and, if known,
+         * the origin of that line: `{ chunk, line }`, chunk being the name of the included chunk or
+         * null for the source given to the program. The origin of the lines added by PixiJS is null.
+         *
+         * @member {Array<{line: number, message: string, origin: object}>}
+         */
+        this.errors = errors;
+    }
+}
@@ -1,8 +1,11 @@
 import System from '../System';
 import GLProgram from './GLProgram';
+import Buffer from '../geometry/Buffer';
+import ShaderError from './ShaderError';
 import { generateUniformsSync,
     defaultValue,
-    compileProgram } from './utils';
+    compileProgram,
+    packUniformBlock } from './utils';
 
 let UID = 0;
 
@@ -32,12 +35,31 @@ export default class ShaderSystem extends System
         this.shader = null;
         this.program = null;
 
+        /**
+         * The buffers bound to the uniform buffer binding points, to avoid binding them again.
+         *
+         * @private
+         * @member {WebGLBuffer[]}
+         */
+        this.boundUniformBuffers = [];
+
+        /**
+         * The programs which were compiled in the current context, by id.
+         *
+         * @member {object<number, PIXI.Program>}
+         * @readonly
+         */
+        this.managedPrograms = {};
+
         this.id = UID++;
     }
 
     contextChange(gl)
     {
         this.gl = gl;
+        this.shader = null;
+        this.program = null;
+        this.boundUniformBuffers = [];
     }
 
     /**
@@ -56,9 +78,19 @@ export default class ShaderSystem extends System
 
         this.shader = shader;
 
+        if (this.renderer.stats)
+        {
+            this.renderer.stats.frame.shaderBinds++;
+        }
+
         // TODO - some current pixi plugins bypass this.. so it not safe to use yet..
         if (this.program !== program)
         {
+            if (this.renderer.stats)
+            {
+                this.renderer.stats.frame.shaderSwitches++;
+            }
+
             this.program = program;
             this.gl.useProgram(glProgram.program);
         }
@@ -97,11 +129,68 @@ export default class ShaderSystem extends System
         }
     }
 
+    /**
+     * Packs a uniform group into its buffer, uploads it and binds it to the binding point
+     * of the uniform block of the current shader. Used instead of `syncUniformGroup` for groups with
+     * `ubo` set, when the shader declares a block for them. Like the uniforms set one by one, static groups
+     * are only packed again after `update` is called.
+     *
+     * @param {PIXI.UniformGroup} group - The uniform group
+     * @param {string} name - The name of the uniform block
+     */
+    syncUniformBufferGroup(group, name)
+    {
+        const gl = this.gl;
+        const program = this.shader.program;
+        const binding = this.getglProgram().uniformBlocks[name];
+
+        if (!group.buffer)
+        {
+            group.buffer = new Buffer(new Float32Array(program.uniformBlockData[name].size / 4), false);
+        }
+
+        const buffer = group.buffer;
+
+        if (!group.static || group.dirtyId !== group._bufferDirtyId)
+        {
+            group._bufferDirtyId = group.dirtyId;
+            packUniformBlock(program.uniformBlockData[name], group.uniforms, buffer.data.buffer);
+            buffer.update();
+        }
+
+        const glBuffer = buffer._glBuffers[this.renderer.CONTEXT_UID] || this.renderer.geometry.initBuffer(buffer);
+
+        if (glBuffer.updateID !== buffer._updateID)
+        {
+            glBuffer.updateID = buffer._updateID;
+
+            gl.bindBuffer(gl.UNIFORM_BUFFER, glBuffer.buffer);
+
+            if (glBuffer.byteLength >= buffer.data.byteLength)
+            {
+                gl.bufferSubData(gl.UNIFORM_BUFFER, 0, buffer.data);
+            }
+            else
+            {
+                glBuffer.byteLength = buffer.data.byteLength;
+                gl.bufferData(gl.UNIFORM_BUFFER, buffer.data, gl.DYNAMIC_DRAW);
+            }
+        }
+
+        if (this.boundUniformBuffers[binding] !== glBuffer.buffer)
+        {
+            this.boundUniformBuffers[binding] = glBuffer.buffer;
+            gl.bindBufferBase(gl.UNIFORM_BUFFER, binding, glBuffer.buffer);
+        }
+    }
+
     createSyncGroups(group)
     {
-        group.syncUniforms[this.shader.program.id] = generateUniformsSync(group, this.shader.program.uniformData);
+        const program = this.shader.program;
+
+        group.syncUniforms[program.id] = generateUniformsSync(group, program.uniformData, program.uniformBlockData);
 
-        return group.syncUniforms[this.shader.program.id];
+        return group.syncUniforms[program.id];
     }
 
     /**
@@ -126,6 +215,7 @@ export default class ShaderSystem extends System
      * @private
      * @param {PIXI.Shader} shader the shader that the glProgram will be based on.
      * @return {PIXI.glCore.glProgram} A shiney new glProgram
+     * @throws {PIXI.ShaderError} if the shader does not compile, after the renderer emitted it
      */
     generateShader(shader)
     {
@@ -140,7 +230,22 @@ export default class ShaderSystem extends System
             attribMap[i] = program.attributeData[i].location;
         }
 
-        const shaderProgram = compileProgram(gl, program.vertexSrc, program.fragmentSrc, attribMap);
+        let shaderProgram;
+
+        try
+        {
+            shaderProgram = compileProgram(gl, program.vertexSrc, program.fragmentSrc, attribMap, program.lineOrigins);
+        }
+        catch (error)
+        {
+            if (error instanceof ShaderError)
+            {
+                this.renderer.emit('shaderError', error, shader);
+            }
+
+            throw error;
+        }
+
         const uniformData = {};
 
         for (const i in program.uniformData)
@@ -153,19 +258,45 @@ export default class ShaderSystem extends System
             };
         }
 
-        const glProgram = new GLProgram(shaderProgram, uniformData);
+        const uniformBlocks = {};
+        let binding = 0;
+
+        // each block of the program gets its own binding point, the buffer of the group is bound to it when synced
+        for (const name in program.uniformBlockData)
+        {
+            gl.uniformBlockBinding(shaderProgram, gl.getUniformBlockIndex(shaderProgram, name), binding);
+            uniformBlocks[name] = binding++;
+        }
+
+        const glProgram = new GLProgram(shaderProgram, uniformData, uniformBlocks);
 
         program.glPrograms[this.renderer.CONTEXT_UID] = glProgram;
+        this.managedPrograms[program.id] = program;
 
         return glProgram;
     }
 
     /**
-     * Destroys this System and removes all its textures
+     * Forgets the programs compiled in the lost context, they are compiled again when bound.
+     *
+     * @private
+     */
+    contextLost()
+    {
+        for (const id in this.managedPrograms)
+        {
+            delete this.managedPrograms[id].glPrograms[this.renderer.CONTEXT_UID];
+        }
+
+        this.managedPrograms = {};
+    }
+
+    /**
+     * Forgets the programs it compiled, then destroys the system.
      */
     destroy()
     {
-        // TODO implement destroy method for ShaderSystem
+        this.contextLost();
         this.destroyed = true;
     }
 }
@@ -11,8 +11,10 @@ class UniformGroup
     /**
      * @param {PIXI.Program} [program] - The program the shader will use.
      * @param {object} [uniforms] - Custom uniforms to use to augment the built-in ones.
+     * @param {boolean} [_static] - Whether the uniforms only need to be synced when `update` is called.
+     * @param {boolean} [_ubo] - Whether the uniforms are uploaded as a uniform buffer object on WebGL 2.
      */
-    constructor(uniforms, _static)
+    constructor(uniforms, _static, _ubo)
     {
         this.uniforms = uniforms;
         this.group = true;
@@ -22,6 +24,26 @@ class UniformGroup
         this.id = UID++;
 
         this.static = !!_static;
+
+        /**
+         * Whether the uniforms are packed into a uniform buffer object (UBO), for the shaders which declare
+         * them in a `layout(std140)` uniform block named like this group is in the uniforms of the shader,
+         * such as `uniform globals { mat3 projectionMatrix; };` for the global uniforms. The buffer is packed
+         * each time a shader is bound, or only after `update` is called if the group is `static`. On WebGL 1,
+         * and for shaders without the block, the uniforms are set one by one.
+         *
+         * @member {boolean}
+         */
+        this.ubo = !!_ubo;
+
+        /**
+         * The buffer the uniforms are packed into when `ubo` is set, null until a shader uses it.
+         *
+         * @member {PIXI.Buffer}
+         */
+        this.buffer = null;
+
+        this._bufferDirtyId = -1;
     }
 
     update()
@@ -38,6 +60,18 @@ class UniformGroup
     {
         return new UniformGroup(uniforms, _static);
     }
+
+    /**
+     * Creates a uniform group uploaded as a uniform buffer object on WebGL 2, see {@link PIXI.UniformGroup#ubo}.
+     *
+     * @param {object} uniforms - The uniforms
+     * @param {boolean} [_static] - Whether the uniforms only need to be synced when `update` is called
+     * @return {PIXI.UniformGroup} The new uniform group
+     */
+    static uboFrom(uniforms, _static)
+    {
+        return new UniformGroup(uniforms, _static, true);
+    }
 }
 
 export default UniformGroup;
@@ -0,0 +1,9 @@
+varying vec2 vTextureCoord;
+
+uniform sampler2D uSampler;
+uniform vec4 inputClamp;
+
+vec4 filterSample(vec2 coord)
+{
+    return texture2D(uSampler, clamp(coord, inputClamp.xy, inputClamp.zw));
+}
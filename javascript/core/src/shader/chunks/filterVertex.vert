@@ -0,0 +1,18 @@
+#include <projection>
+
+attribute vec2 aVertexPosition;
+
+uniform vec4 inputSize;
+uniform vec4 outputFrame;
+
+vec4 filterVertexPosition(void)
+{
+    vec2 position = aVertexPosition * max(outputFrame.zw, vec2(0.)) + outputFrame.xy;
+
+    return projectPosition(position);
+}
+
+vec2 filterTextureCoord(void)
+{
+    return aVertexPosition * (outputFrame.zw * inputSize.zw);
+}
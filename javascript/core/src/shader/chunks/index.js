@@ -0,0 +1,5 @@
+import projection from './projection.vert';
+import filterVertex from './filterVertex.vert';
+import filterFragment from './filterFragment.frag';
+
+export { projection, filterVertex, filterFragment };
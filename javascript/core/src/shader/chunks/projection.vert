@@ -0,0 +1,6 @@
+uniform mat3 projectionMatrix;
+
+vec4 projectPosition(vec2 position)
+{
+    return vec4((projectionMatrix * vec3(position, 1.0)).xy, 0.0, 1.0);
+}
@@ -1,3 +1,5 @@
+import ShaderError from '../ShaderError';
+
 /**
  * @method compileProgram
  * @memberof PIXI.glCore.shader
@@ -5,14 +7,30 @@
  * @param vertexSrc {string|string[]} The vertex shader source as an array of strings.
  * @param fragmentSrc {string|string[]} The fragment shader source as an array of strings.
  * @param attributeLocations {Object} An attribute location map that lets you manually set the attribute locations
+ * @param [lineOrigins] {Object} The origins of the lines of the `vertex` and `fragment` sources, reported by errors
  * @return {WebGLProgram} the shader program
+ * @throws {PIXI.ShaderError} if a shader does not compile or the program does not link
  */
-export default function compileProgram(gl, vertexSrc, fragmentSrc, attributeLocations)
+export default function compileProgram(gl, vertexSrc, fragmentSrc, attributeLocations, lineOrigins)
 {
     const glVertShader = compileShader(gl, gl.VERTEX_SHADER, vertexSrc);
     const glFragShader = compileShader(gl, gl.FRAGMENT_SHADER, fragmentSrc);
 
-    let program = gl.createProgram();
+    lineOrigins = lineOrigins || {};
+
+    // report the first shader that failed, once both are cleaned up
+    const error = checkShader(gl, glVertShader, 'vertex', vertexSrc, lineOrigins.vertex)
+        || checkShader(gl, glFragShader, 'fragment', fragmentSrc, lineOrigins.fragment);
+
+    if (error)
+    {
+        gl.deleteShader(glVertShader);
+        gl.deleteShader(glFragShader);
+
+        throw error;
+    }
+
+    const program = gl.createProgram();
 
     gl.attachShader(program, glVertShader);
     gl.attachShader(program, glFragShader);
@@ -28,26 +46,19 @@ export default function compileProgram(gl, vertexSrc, fragmentSrc, attributeLoca
 
     gl.linkProgram(program);
 
-    // if linking fails, then log and cleanup
+    // clean up some shaders
+    gl.deleteShader(glVertShader);
+    gl.deleteShader(glFragShader);
+
+    // if linking fails, then cleanup and throw
     if (!gl.getProgramParameter(program, gl.LINK_STATUS))
     {
-        console.error('Pixi.js Error: Could not initialize shader.');
-        console.error('gl.VALIDATE_STATUS', gl.getProgramParameter(program, gl.VALIDATE_STATUS));
-        console.error('gl.getError()', gl.getError());
-
-        // if there is a program info log, log it
-        if (gl.getProgramInfoLog(program) !== '')
-        {
-            console.warn('Pixi.js Warning: gl.getProgramInfoLog()', gl.getProgramInfoLog(program));
-        }
+        const log = gl.getProgramInfoLog(program);
 
         gl.deleteProgram(program);
-        program = null;
-    }
 
-    // clean up some shaders
-    gl.deleteShader(glVertShader);
-    gl.deleteShader(glFragShader);
+        throw new ShaderError('link', log);
+    }
 
     return program;
 }
@@ -66,13 +77,24 @@ function compileShader(gl, type, src)
     gl.shaderSource(shader, src);
     gl.compileShader(shader);
 
-    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS))
-    {
-        console.warn(src);
-        console.error(gl.getShaderInfoLog(shader));
+    return shader;
+}
 
+/**
+ * @private
+ * @param gl {WebGLRenderingContext} The current WebGL context
+ * @param shader {WebGLShader} The compiled shader
+ * @param stage {string} The stage of the shader, 'vertex' or 'fragment'
+ * @param src {string} The source of the shader
+ * @param [origins] {Object[]} The origins of the lines of the source
+ * @return {PIXI.ShaderError} the error if the shader did not compile, null otherwise
+ */
+function checkShader(gl, shader, stage, src, origins)
+{
+    if (gl.getShaderParameter(shader, gl.COMPILE_STATUS))
+    {
         return null;
     }
 
-    return shader;
+    return new ShaderError(stage, gl.getShaderInfoLog(shader), src, origins);
 }
@@ -78,7 +78,7 @@ const GLSL_TO_ARRAY_SETTERS = {
     sampler2DArray: 'gl.uniform1iv(location, v)',
 };
 
-export default function generateUniformsSync(group, uniformData)
+export default function generateUniformsSync(group, uniformData, uniformBlockData)
 {
     let textureCount = 0;
     let func = `var v = null;
@@ -91,7 +91,13 @@ export default function generateUniformsSync(group, uniformData)
 
         if (!data)
         {
-            if (group.uniforms[i].group)
+            if (group.uniforms[i].group && group.uniforms[i].ubo && uniformBlockData && uniformBlockData[i])
+            {
+                func += `
+                    renderer.shader.syncUniformBufferGroup(uv.${i}, '${i}');
+                `;
+            }
+            else if (group.uniforms[i].group)
             {
                 func += `
                     renderer.shader.syncUniformGroup(uv.${i});
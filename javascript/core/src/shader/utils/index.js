@@ -6,3 +6,5 @@ export { default as mapType } from './mapType';
 export { default as generateUniformsSync } from './generateUniformsSync';
 export { default as getTestContext } from './getTestContext';
 export { default as checkMaxIfStatmentsInShader } from './checkMaxIfStatmentsInShader';
+export { default as packUniformBlock } from './packUniformBlock';
+export { default as preprocessShader } from './preprocessShader';
@@ -19,6 +19,8 @@ const GLSL_TO_SIZE = {
     mat4:     16,
 
     sampler2D:  1,
+    samplerCube:  1,
+    sampler2DArray:  1,
 };
 
 /**
@@ -0,0 +1,95 @@
+import mapSize from './mapSize';
+
+// the number of columns of the matrix types, which are stored column by column
+const GLSL_TO_COLUMNS = {
+    mat2: 2,
+    mat3: 3,
+    mat4: 4,
+};
+
+const GLSL_INT_TYPES = {
+    int: true,
+    ivec2: true,
+    ivec3: true,
+    ivec4: true,
+    bool: true,
+    bvec2: true,
+    bvec3: true,
+    bvec4: true,
+};
+
+/**
+ * Converts the value of a uniform to an array, points and rectangles are accepted for vectors
+ * like when uniforms are set one by one.
+ *
+ * @private
+ * @param {*} value - The value of the uniform
+ * @param {string} type - The glsl type of the uniform
+ * @return {number[]|ArrayLike<number>} The components of the value
+ */
+function toArray(value, type)
+{
+    if (typeof value === 'number' || typeof value === 'boolean')
+    {
+        return [+value];
+    }
+
+    if (type === 'mat3' && value.a !== undefined)
+    {
+        return value.toArray(true);
+    }
+
+    if (type === 'vec2' && value.x !== undefined)
+    {
+        return [value.x, value.y];
+    }
+
+    if (type === 'vec4' && value.width !== undefined)
+    {
+        return [value.x, value.y, value.width, value.height];
+    }
+
+    return value;
+}
+
+/**
+ * Packs the uniforms of a group into its buffer with the std140 layout of a uniform block: array
+ * elements and matrix columns are 16 bytes apart.
+ *
+ * @private
+ * @param {object} blockData - The uniform block, as extracted by the program
+ * @param {object} uniforms - The uniform values, by name
+ * @param {ArrayBuffer} data - The data to write to, the size of the block
+ */
+export default function packUniformBlock(blockData, uniforms, data)
+{
+    const floats = new Float32Array(data);
+    const ints = new Int32Array(data);
+
+    for (const name in blockData.uniforms)
+    {
+        const uniform = blockData.uniforms[name];
+
+        if (uniforms[name] === undefined)
+        {
+            continue;
+        }
+
+        const target = GLSL_INT_TYPES[uniform.type] ? ints : floats;
+        const value = toArray(uniforms[name], uniform.type);
+        const columns = GLSL_TO_COLUMNS[uniform.type] || 1;
+        const rows = mapSize(uniform.type) / columns;
+        const offset = uniform.offset / 4;
+
+        // in arrays each element is padded to a vec4, or to vec4 columns for matrices
+        const stride = uniform.size > 1 || columns > 1 ? 4 : rows;
+
+        for (let i = 0; i < uniform.size * columns; i++)
+        {
+            for (let j = 0; j < rows; j++)
+            {
+                target[offset + (i * stride) + j] = value[(i * rows) + j];
+            }
+        }
+    }
+}
@@ -0,0 +1,104 @@
+// an `#include <name>` directive, on a line of its own
+const INCLUDE = /^[ \t]*#include[ \t]+<([\w.-]+)>/;
+
+// the #version and #extension directives which have to stay first
+const DIRECTIVE = /^\s*#(version|extension)/;
+
+/**
+ * Adds the lines of a source to the expanded lines, replacing its `#include <name>` directives with
+ * the chunks they name. Each chunk is only inserted once, so a chunk can include the chunks it depends
+ * on without declaring them twice.
+ *
+ * @private
+ * @param {string} src - The source to expand
+ * @param {string|null} chunk - The name of the chunk of the source, null for the shader itself
+ * @param {object<string, string>} chunks - The registered chunks, by name
+ * @param {object<string, boolean>} included - The chunks already inserted
+ * @param {string[]} lines - The expanded lines
+ * @param {object[]} origins - The origin of each expanded line
+ */
+function expand(src, chunk, chunks, included, lines, origins)
+{
+    const srcLines = src.split('\n');
+
+    for (let i = 0; i < srcLines.length; i++)
+    {
+        const include = srcLines[i].match(INCLUDE);
+
+        if (!include)
+        {
+            lines.push(srcLines[i]);
+            origins.push({ chunk, line: i + 1 });
+
+            continue;
+        }
+
+        const name = include[1];
+
+        if (included[name])
+        {
+            continue;
+        }
+
+        if (typeof chunks[name] !== 'string')
+        {
+            throw new Error(`Unknown shader chunk "${name}" in ${srcLines[i].trim()}`);
+        }
+
+        included[name] = true;
+
+        expand(chunks[name].trim(), name, chunks, included, lines, origins);
+    }
+}
+
+/**
+ * Expands the `#include <name>` directives of a shader source and adds a `#define` for each of
+ * the given defines, after the #version and #extension directives.
+ *
+ * A define set to `true` is defined without a value, `false`, `null` and `undefined` ones are
+ * left out. The defines are sorted by name so that equal defines always give the same source.
+ *
+ * @param {string} src - The shader source
+ * @param {object<string, string>} chunks - The chunks that can be included, by name
+ * @param {object} [defines] - The values of the macros to define, by name
+ * @param {object[]} [origins] - Filled with where each line of the expanded source comes from:
+ *        `{ chunk, line }`, chunk being null for the lines of `src`, or null for the defines
+ * @return {string} The expanded source
+ */
+export default function preprocessShader(src, chunks, defines, origins = [])
+{
+    const lines = [];
+
+    expand(src, null, chunks, {}, lines, origins);
+
+    let head = 0;
+
+    for (let i = 0; i < lines.length && (DIRECTIVE.test(lines[i]) || !lines[i].trim()); i++)
+    {
+        if (DIRECTIVE.test(lines[i]))
+        {
+            head = i + 1;
+        }
+    }
+
+    const defineLines = [];
+
+    for (const name of Object.keys(defines || {}).sort())
+    {
+        const value = defines[name];
+
+        if (value === true)
+        {
+            defineLines.push(`#define ${name}`);
+        }
+        else if (value !== false && value !== null && value !== undefined)
+        {
+            defineLines.push(`#define ${name} ${value}`);
+        }
+    }
+
+    lines.splice(head, 0, ...defineLines);
+    origins.splice(head, 0, ...defineLines.map(() => null));
+
+    return lines.join('\n');
+}
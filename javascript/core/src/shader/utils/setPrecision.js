@@ -9,10 +9,15 @@ export default function setPrecision(src, precision)
 {
     src = src.trim();
 
-    if (src.substring(0, 9) !== 'precision' && src.substring(0, 1) !== '#')
+    if ((/\bprecision\s+\w+\s+float\s*;/).test(src))
     {
-        return `precision ${precision} float;\n${src}`;
+        return src;
     }
 
-    return src;
+    // #version and #extension directives have to stay first, such as the
+    // `#extension GL_EXT_draw_buffers : require` of shaders writing to gl_FragData[n],
+    // and the macros defined by Program.preprocess are kept with them
+    const head = src.match(/^(\s*#(version|extension|define)[^\n]*\n)*/)[0];
+
+    return `${head}precision ${precision} float;\n${src.substring(head.length)}`;
 }
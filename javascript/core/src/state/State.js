@@ -1,10 +1,12 @@
 /* eslint-disable max-len */
+import { COMPARE_MODES } from '@pixi/constants';
 
 const BLEND = 0;
 const OFFSET = 1;
 const CULLING = 2;
 const DEPTH_TEST = 3;
 const WINDING = 4;
+const DEPTH_MASK = 5;
 
 /**
  * This is a webGL state. It is passed The WebGL StateManager.
@@ -27,7 +29,17 @@ export default class State
         this.polygonOffset = 0;
 
         this.blend = true;
-        //  this.depthTest = true;
+        this.depthMask = true;
+
+        /**
+         * The comparison of the depth of fragments with the depth buffer, fragments which fail it are discarded.
+         * Only used when `depthTest` is on.
+         *
+         * @member {number}
+         * @default PIXI.COMPARE_MODES.LESS
+         * @see PIXI.COMPARE_MODES
+         */
+        this.depthFunc = COMPARE_MODES.LESS;
     }
 
     /**
@@ -105,6 +117,26 @@ export default class State
         }
     }
 
+    /**
+     * Activates writing to the depth buffer, fragments which pass the depth test update it.
+     * Turn it off to test against the depth buffer without changing it, such as for transparent objects.
+     *
+     * @member {boolean}
+     * @default true
+     */
+    get depthMask()
+    {
+        return !!(this.data & (1 << DEPTH_MASK));
+    }
+
+    set depthMask(value) // eslint-disable-line require-jsdoc
+    {
+        if (!!(this.data & (1 << DEPTH_MASK)) !== value)
+        {
+            this.data ^= (1 << DEPTH_MASK);
+        }
+    }
+
     /**
      * Specifies whether or not front or back-facing polygons can be culled.
      * @member {boolean}
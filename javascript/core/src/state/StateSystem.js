@@ -1,12 +1,14 @@
 import mapWebGLBlendModesToPixi from './utils/mapWebGLBlendModesToPixi';
 import System from '../System';
 import WebGLState from './State';
+import { COMPARE_MODES } from '@pixi/constants';
 
 const BLEND = 0;
 const OFFSET = 1;
 const CULLING = 2;
 const DEPTH_TEST = 3;
 const WINDING = 4;
+const DEPTH_MASK = 5;
 
 /**
  * A WebGL state machines
@@ -36,6 +38,7 @@ export default class StateSystem extends System
         this.stateId = 0;
         this.polygonOffset = 0;
         this.blendMode = 17;
+        this.depthFunc = COMPARE_MODES.LESS;
 
         this.map = [];
 
@@ -45,6 +48,7 @@ export default class StateSystem extends System
         this.map[CULLING] = this.setCullFace;
         this.map[DEPTH_TEST] = this.setDepthTest;
         this.map[WINDING] = this.setFrontFace;
+        this.map[DEPTH_MASK] = this.setDepthMask;
 
         this.checks = [];
 
@@ -78,6 +82,12 @@ export default class StateSystem extends System
 
         this.blendModes = mapWebGLBlendModesToPixi(gl);
 
+        // a new or restored context starts from the default state
+        this.stateId = 0;
+        this.polygonOffset = 0;
+        this.blendMode = 17;
+        this.depthFunc = COMPARE_MODES.LESS;
+
         this.setState(this.defaultState);
 
         this.reset();
@@ -152,9 +162,50 @@ export default class StateSystem extends System
      */
     setDepthTest(value)
     {
+        this.updateCheck(StateSystem.checkDepthFunc, value);
+
         this.gl[value ? 'enable' : 'disable'](this.gl.DEPTH_TEST);
     }
 
+    /**
+     * Sets whether to enable or disable writing to the depth buffer.
+     *
+     * @param {boolean} value - Turn on or off webgl depth writes.
+     */
+    setDepthMask(value)
+    {
+        this.gl.depthMask(value);
+    }
+
+    /**
+     * Turns depth writes on if the current state has them off, as clearing the depth buffer needs them.
+     * The current state id is updated too, so the next state with depth writes off turns them off again.
+     */
+    enableDepthMask()
+    {
+        if (!(this.stateId & (1 << DEPTH_MASK)))
+        {
+            this.stateId |= (1 << DEPTH_MASK);
+            this.setDepthMask(true);
+        }
+    }
+
+    /**
+     * Sets the depth comparison function.
+     *
+     * @param {number} value - The comparison, see {@link PIXI.COMPARE_MODES}
+     */
+    setDepthFunc(value)
+    {
+        if (value === this.depthFunc)
+        {
+            return;
+        }
+
+        this.depthFunc = value;
+        this.gl.depthFunc(value);
+    }
+
     /**
      * Sets whether to enable or disable cull face.
      *
@@ -284,5 +335,18 @@ export default class StateSystem extends System
         system.setBlendMode(state.blendMode);
     }
 
+    /**
+     * A private little wrapper function that we call to check the depth function.
+     *
+     * @static
+     * @private
+     * @param {PIXI.StateSystem} System  the System to perform the state check on
+     * @param {PIXI.State} state  the state that the depthFunc will pulled from
+     */
+    static checkDepthFunc(system, state)
+    {
+        system.setDepthFunc(state.depthFunc);
+    }
+
     // TODO - add polygon offset?
 }
@@ -0,0 +1,243 @@
+import System from '../System';
+import { settings } from '../settings';
+
+/**
+ * The names of the statistics counted for each frame.
+ *
+ * @private
+ * @type {string[]}
+ */
+const COUNTERS = [
+    'drawCalls',
+    'batchFlushes',
+    'textureBinds',
+    'textureUploads',
+    'shaderBinds',
+    'shaderSwitches',
+    'filterPushes',
+    'maskPushes',
+];
+
+/**
+ * @private
+ * @return {object<string, number>} An object with all the counters set to 0
+ */
+function createCounters()
+{
+    const counters = {};
+
+    for (let i = 0; i < COUNTERS.length; i++)
+    {
+        counters[COUNTERS[i]] = 0;
+    }
+
+    return counters;
+}
+
+/**
+ * Counts the work the renderer does for each frame, a frame being a call to `renderer.render`.
+ * The renders nested in it, such as the ones to render textures done while rendering the scene,
+ * are counted as part of that frame.
+ *
+ * The counters are:
+ * - `drawCalls` - calls to {@link PIXI.systems.GeometrySystem#draw}
+ * - `batchFlushes` - changes of object renderer in {@link PIXI.systems.BatchSystem#setObjectRenderer},
+ *   each of which flushes the batch of the previous one
+ * - `textureBinds` - calls to {@link PIXI.systems.TextureSystem#bind}
+ * - `textureUploads` - textures uploaded to the GPU by the texture system
+ * - `shaderBinds` - calls to {@link PIXI.systems.ShaderSystem#bind}
+ * - `shaderSwitches` - shader binds which changed the GL program
+ * - `filterPushes` - calls to {@link PIXI.systems.FilterSystem#push}
+ * - `maskPushes` - calls to {@link PIXI.systems.MaskSystem#push}
+ *
+ * ```js
+ * renderer.render(stage);
+ *
+ * console.log(renderer.stats.lastFrame.drawCalls, renderer.stats.averages.drawCalls);
+ * ```
+ *
+ * @class
+ * @extends PIXI.System
+ * @memberof PIXI.systems
+ */
+export default class StatsSystem extends System
+{
+    /**
+     * @param {PIXI.Renderer} renderer - The renderer this System works for.
+     */
+    constructor(renderer)
+    {
+        super(renderer);
+
+        /**
+         * The counters of the frame being rendered. Systems increment these directly, when the
+         * renderer has a stats system.
+         *
+         * @member {object<string, number>}
+         * @readonly
+         */
+        this.frame = createCounters();
+
+        /**
+         * A snapshot of the counters of the last frame rendered.
+         *
+         * @member {object<string, number>}
+         * @readonly
+         */
+        this.lastFrame = createCounters();
+
+        /**
+         * The average of each counter over the last `sampleSize` frames.
+         *
+         * @member {object<string, number>}
+         * @readonly
+         */
+        this.averages = createCounters();
+
+        /**
+         * The number of frames the averages are computed over.
+         *
+         * @member {number}
+         * @see PIXI.settings.STATS_SAMPLE_SIZE
+         */
+        this.sampleSize = settings.STATS_SAMPLE_SIZE;
+
+        /**
+         * The number of frames rendered since the statistics were created or reset.
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.frameCount = 0;
+
+        /**
+         * Snapshots of the frames the averages are computed over, oldest first.
+         *
+         * @member {object[]}
+         * @private
+         */
+        this._samples = [];
+
+        /**
+         * The sum of each counter over the samples.
+         *
+         * @member {object<string, number>}
+         * @private
+         */
+        this._totals = createCounters();
+
+        /**
+         * The number of calls to `renderer.render` in progress.
+         *
+         * @member {number}
+         * @private
+         */
+        this._renderDepth = 0;
+    }
+
+    /**
+     * Starts counting a new frame, unless a frame is already being rendered.
+     */
+    prerender()
+    {
+        if (this._renderDepth++ > 0)
+        {
+            return;
+        }
+
+        for (let i = 0; i < COUNTERS.length; i++)
+        {
+            this.frame[COUNTERS[i]] = 0;
+        }
+    }
+
+    /**
+     * Takes the snapshot of the frame that was rendered and updates the averages,
+     * once the outermost render is done.
+     */
+    postrender()
+    {
+        if (--this._renderDepth > 0)
+        {
+            return;
+        }
+
+        const samples = this._samples;
+        const totals = this._totals;
+        const sample = samples.length >= this.sampleSize ? samples.shift() : createCounters();
+
+        for (let i = 0; i < COUNTERS.length; i++)
+        {
+            const name = COUNTERS[i];
+            const value = this.frame[name];
+
+            totals[name] += value - sample[name];
+            sample[name] = value;
+            this.lastFrame[name] = value;
+        }
+
+        samples.push(sample);
+
+        // the sample size can be lowered at any time
+        while (samples.length > this.sampleSize)
+        {
+            const oldest = samples.shift();
+
+            for (let i = 0; i < COUNTERS.length; i++)
+            {
+                totals[COUNTERS[i]] -= oldest[COUNTERS[i]];
+            }
+        }
+
+        for (let i = 0; i < COUNTERS.length; i++)
+        {
+            this.averages[COUNTERS[i]] = totals[COUNTERS[i]] / samples.length;
+        }
+
+        this.frameCount++;
+    }
+
+    /**
+     * Stops counting a frame whose render did not finish, because it threw or the context was lost.
+     * Its counters are not kept, and the next render starts a new frame.
+     */
+    cancelFrame()
+    {
+        this._renderDepth = Math.max(this._renderDepth - 1, 0);
+    }
+
+    /**
+     * Returns a copy of the statistics, which is not updated by later frames.
+     *
+     * @return {object} The counters of the `lastFrame`, the `averages` and the `frameCount`
+     */
+    snapshot()
+    {
+        return {
+            lastFrame: Object.assign({}, this.lastFrame),
+            averages: Object.assign({}, this.averages),
+            frameCount: this.frameCount,
+        };
+    }
+
+    /**
+     * Forgets all the frames counted so far.
+     * Not named `reset`, as that would run each time the renderer resets the WebGL state.
+     */
+    clear()
+    {
+        for (let i = 0; i < COUNTERS.length; i++)
+        {
+            const name = COUNTERS[i];
+
+            this.frame[name] = 0;
+            this.lastFrame[name] = 0;
+            this.averages[name] = 0;
+            this._totals[name] = 0;
+        }
+
+        this._samples.length = 0;
+        this._renderDepth = 0;
+        this.frameCount = 0;
+    }
+}
@@ -3,15 +3,18 @@
  * @namespace PIXI.systems
  */
 export { default as FilterSystem } from './filters/FilterSystem';
+export { default as AtlasSystem } from './textures/atlas/AtlasSystem';
 export { default as BatchSystem } from './batch/BatchSystem';
 export { default as ContextSystem } from './context/ContextSystem';
 export { default as FramebufferSystem } from './framebuffer/FramebufferSystem';
 export { default as GeometrySystem } from './geometry/GeometrySystem';
+export { default as GroupSystem } from './group/GroupSystem';
 export { default as MaskSystem } from './mask/MaskSystem';
 export { default as StencilSystem } from './mask/StencilSystem';
 export { default as ProjectionSystem } from './projection/ProjectionSystem';
 export { default as RenderTextureSystem } from './renderTexture/RenderTextureSystem';
 export { default as ShaderSystem } from './shader/ShaderSystem';
+export { default as StatsSystem } from './stats/StatsSystem';
 export { default as StateSystem } from './state/StateSystem';
 export { default as TextureGCSystem } from './textures/TextureGCSystem';
 export { default as TextureSystem } from './textures/TextureSystem';
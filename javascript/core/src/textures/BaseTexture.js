@@ -1,5 +1,5 @@
 import { uid, BaseTextureCache, TextureCache } from '@pixi/utils';
-import { FORMATS, TARGETS, TYPES, SCALE_MODES } from '@pixi/constants';
+import { FORMATS, TARGETS, TYPES, SCALE_MODES, MIPMAP_MODES } from '@pixi/constants';
 
 import Resource from './resources/Resource';
 import BufferResource from './resources/BufferResource';
@@ -9,6 +9,23 @@ import { settings } from '@pixi/settings';
 import EventEmitter from 'eventemitter3';
 import bitTwiddle from 'bit-twiddle';
 
+/**
+ * Converts the `true` and `false` mipmap options to their mode.
+ *
+ * @private
+ * @param {PIXI.MIPMAP_MODES|boolean} mipmap - The mipmap option
+ * @return {PIXI.MIPMAP_MODES} The mipmap mode
+ */
+function toMipmapMode(mipmap)
+{
+    if (typeof mipmap === 'boolean')
+    {
+        return mipmap ? MIPMAP_MODES.POW2 : MIPMAP_MODES.OFF;
+    }
+
+    return mipmap;
+}
+
 const defaultBufferOptions = {
     scaleMode: SCALE_MODES.NEAREST,
     format: FORMATS.RGBA,
@@ -25,7 +42,10 @@ const defaultBufferOptions = {
  *        The current resource to use, for things that aren't Resource objects, will be converted
  *        into a Resource.
  * @param {Object} [options] - Collection of options
- * @param {boolean} [options.mipmap=PIXI.settings.MIPMAP_TEXTURES] - If mipmapping is enabled for texture
+ * @param {PIXI.MIPMAP_MODES|boolean} [options.mipmap=PIXI.settings.MIPMAP_TEXTURES] - If mipmapping is enabled for
+ *        texture, `true` and `false` are the same as POW2 and OFF
+ * @param {PIXI.SCALE_MODES} [options.mipmapScaleMode] - How the mipmap levels are blended, defaults to `scaleMode`
+ * @param {number} [options.anisotropicLevel=PIXI.settings.ANISOTROPIC_LEVEL] - Anisotropic filtering level
  * @param {PIXI.WRAP_MODES} [options.wrapMode=PIXI.settings.WRAP_MODE] - Wrap mode for textures
  * @param {PIXI.SCALE_MODES} [options.scaleMode=PIXI.settings.SCALE_MODE] - Default scale mode, linear, nearest
  * @param {PIXI.FORMATS} [options.format=PIXI.FORMATS.RGBA] - GL format type
@@ -45,7 +65,7 @@ export default class BaseTexture extends EventEmitter
 
         options = options || {};
 
-        const { premultiplyAlpha, mipmap, scaleMode, width, height,
+        const { premultiplyAlpha, mipmap, mipmapScaleMode, anisotropicLevel, scaleMode, width, height,
             wrapMode, format, type, target, resolution, resourceOptions } = options;
 
         // Convert the resource to a Resource object
@@ -80,11 +100,30 @@ export default class BaseTexture extends EventEmitter
         this.resolution = resolution || settings.RESOLUTION;
 
         /**
-         * If mipmapping was used for this texture, enable and disable with enableMipmap()
+         * If mipmapping was used for this texture, change it with {@link PIXI.BaseTexture#setStyle}
          *
-         * @member {boolean}
+         * @member {PIXI.MIPMAP_MODES}
+         * @default PIXI.settings.MIPMAP_TEXTURES
+         */
+        this.mipmap = toMipmapMode(mipmap !== undefined ? mipmap : settings.MIPMAP_TEXTURES);
+
+        /**
+         * How the mipmap levels are blended when the texture is scaled down: LINEAR blends the two
+         * nearest levels, NEAREST uses the nearest one. `null` to use `scaleMode`.
+         *
+         * @member {PIXI.SCALE_MODES}
+         * @default null
          */
-        this.mipmap = mipmap !== undefined ? mipmap : settings.MIPMAP_TEXTURES;
+        this.mipmapScaleMode = mipmapScaleMode !== undefined ? mipmapScaleMode : null;
+
+        /**
+         * The anisotropic filtering level, for textures drawn at a steep angle such as tilted planes.
+         * Levels below 2 disable it, and it is capped by the device maximum.
+         *
+         * @member {number}
+         * @default PIXI.settings.ANISOTROPIC_LEVEL
+         */
+        this.anisotropicLevel = anisotropicLevel !== undefined ? anisotropicLevel : settings.ANISOTROPIC_LEVEL;
 
         /**
          * How the texture wraps
@@ -302,13 +341,16 @@ export default class BaseTexture extends EventEmitter
     /**
      * Changes style options of BaseTexture
      *
-     * @param {object} options
      * @param {PIXI.SCALE_MODES} [scaleMode] - pixi scalemode
-     * @param {boolean} [mipmap] - enable mipmaps
+     * @param {PIXI.MIPMAP_MODES|boolean} [mipmap] - enable mipmaps
+     * @param {PIXI.SCALE_MODES} [mipmapScaleMode] - how the mipmap levels are blended, `null` to use `scaleMode`
+     * @param {number} [anisotropicLevel] - anisotropic filtering level
      * @returns {BaseTexture} this
      */
-    setStyle(scaleMode, mipmap)
+    setStyle(scaleMode, mipmap, mipmapScaleMode, anisotropicLevel)
     {
+        mipmap = toMipmapMode(mipmap);
+
         let dirty;
 
         if (scaleMode !== undefined && scaleMode !== this.scaleMode)
@@ -323,6 +365,18 @@ export default class BaseTexture extends EventEmitter
             dirty = true;
         }
 
+        if (mipmapScaleMode !== undefined && mipmapScaleMode !== this.mipmapScaleMode)
+        {
+            this.mipmapScaleMode = mipmapScaleMode;
+            dirty = true;
+        }
+
+        if (anisotropicLevel !== undefined && anisotropicLevel !== this.anisotropicLevel)
+        {
+            this.anisotropicLevel = anisotropicLevel;
+            dirty = true;
+        }
+
         if (dirty)
         {
             this.dirtyStyleId++;
@@ -12,6 +12,20 @@ export default class GLTexture
         this.width = -1;
         this.height = -1;
 
+        /**
+         * The internal format the texture is uploaded with, which may differ from the format
+         * of the base texture on WebGL 2
+         * @member {number}
+         */
+        this.internalFormat = 6408; // RGBA
+
+        /**
+         * The type the texture is uploaded with, which may differ from the type of the base
+         * texture on WebGL 2
+         * @member {number}
+         */
+        this.type = 5121; // UNSIGNED_BYTE
+
         /**
          * Texture contents dirty flag
          * @member {number}
@@ -29,5 +43,31 @@ export default class GLTexture
          * @type {boolean}
          */
         this.mipmap = false;
+
+        /**
+         * The estimated GPU memory used by the texture, in bytes
+         * @type {number}
+         */
+        this.byteLength = 0;
+
+        /**
+         * The base texture uploaded to it, set when it is created by the texture system
+         * @type {PIXI.BaseTexture}
+         */
+        this.baseTexture = null;
+
+        /**
+         * The texture bound before it the last time, in the list of the texture system
+         * @type {PIXI.GLTexture}
+         * @private
+         */
+        this.lruPrevious = null;
+
+        /**
+         * The texture bound after it the last time, in the list of the texture system
+         * @type {PIXI.GLTexture}
+         * @private
+         */
+        this.lruNext = null;
     }
 }
@@ -24,6 +24,15 @@ export default class TextureGCSystem extends System
         this.maxIdle = settings.GC_MAX_IDLE;
         this.checkCountMax = settings.GC_MAX_CHECK_COUNT;
         this.mode = settings.GC_MODE;
+
+        /**
+         * The GPU memory the textures can use, in bytes. When they use more, the least recently used
+         * ones are unloaded, see {@link PIXI.systems.TextureGCSystem#fitMemory}.
+         *
+         * @member {number}
+         * @see PIXI.settings.GC_MAX_MEMORY
+         */
+        this.maxMemory = settings.GC_MAX_MEMORY;
     }
 
     /**
@@ -86,6 +95,39 @@ export default class TextureGCSystem extends System
 
             managedTextures.length = j;
         }
+
+        this.fitMemory();
+    }
+
+    /**
+     * Unloads the least recently used textures until the textures fit in
+     * {@link PIXI.systems.TextureGCSystem#maxMemory}. Textures used in the current frame and textures
+     * without resource to upload again, like render textures, are kept. In the automatic mode, this
+     * is done every time a texture is uploaded.
+     */
+    fitMemory()
+    {
+        const tm = this.renderer.texture;
+
+        if (tm.usedMemory <= this.maxMemory)
+        {
+            return;
+        }
+
+        let glTexture = tm.lruHead;
+
+        // the textures after one used in this frame were used in this frame too
+        while (glTexture && glTexture.baseTexture.touched !== this.count && tm.usedMemory > this.maxMemory)
+        {
+            const texture = glTexture.baseTexture;
+
+            glTexture = glTexture.lruNext;
+
+            if (texture.resource)
+            {
+                tm.destroyTexture(texture);
+            }
+        }
     }
 
     /**
@@ -1,6 +1,129 @@
 import System from '../System';
 import GLTexture from './GLTexture';
 import { removeItems } from '@pixi/utils';
+import { FORMATS, TYPES, TARGETS, GC_MODES, MIPMAP_MODES } from '@pixi/constants';
+import { ArrayResource,
+    BufferResource,
+    CanvasResource,
+    CompressedTextureResource,
+    CubeResource,
+    ImageResource,
+    SVGResource,
+    VideoResource } from './resources';
+
+// the number of components of each format
+const FORMAT_COMPONENTS = {
+    [FORMATS.RGBA]: 4,
+    [FORMATS.RGB]: 3,
+    [FORMATS.LUMINANCE_ALPHA]: 2,
+    [FORMATS.LUMINANCE]: 1,
+    [FORMATS.ALPHA]: 1,
+    [FORMATS.DEPTH_COMPONENT]: 1,
+    [FORMATS.DEPTH_STENCIL]: 1,
+};
+
+// the bytes of each component of a type, or of each pixel for the packed types
+const TYPE_BYTES = {
+    [TYPES.UNSIGNED_BYTE]: 1,
+    [TYPES.UNSIGNED_SHORT]: 2,
+    [TYPES.HALF_FLOAT]: 2,
+    [TYPES.FLOAT]: 4,
+};
+
+const PACKED_TYPE_BYTES = {
+    [TYPES.UNSIGNED_SHORT_5_6_5]: 2,
+    [TYPES.UNSIGNED_SHORT_4_4_4_4]: 2,
+    [TYPES.UNSIGNED_SHORT_5_5_5_1]: 2,
+};
+
+// the names of the resource types reported by memoryUsage, subclasses first
+const RESOURCE_TYPES = [
+    ['svg', SVGResource],
+    ['video', VideoResource],
+    ['canvas', CanvasResource],
+    ['image', ImageResource],
+    ['cube', CubeResource],
+    ['array', ArrayResource],
+    ['buffer', BufferResource],
+    ['compressed', CompressedTextureResource],
+];
+
+// the WebGL 1 extensions needed to sample textures of a type
+const TYPE_EXTENSIONS = {
+    [TYPES.FLOAT]: 'OES_texture_float',
+    [TYPES.HALF_FLOAT]: 'OES_texture_half_float',
+};
+
+/**
+ * The name of a type, for error messages.
+ *
+ * @private
+ * @param {PIXI.TYPES} type - The type
+ * @return {string} The name of the type in {@link PIXI.TYPES}
+ */
+function getTypeName(type)
+{
+    return Object.keys(TYPES).find((name) => TYPES[name] === type) || `0x${type.toString(16)}`;
+}
+
+/**
+ * Estimates the GPU memory used by a texture from its size, format and type, with a third more
+ * for the mip levels. Compressed textures use the size of their data.
+ *
+ * @private
+ * @param {PIXI.BaseTexture} texture - The texture
+ * @param {PIXI.GLTexture} glTexture - The texture on the GPU
+ * @return {number} The bytes used
+ */
+function getByteLength(texture, glTexture)
+{
+    if (texture.resource instanceof CompressedTextureResource)
+    {
+        return texture.resource.byteLength;
+    }
+
+    const bytesPerPixel = PACKED_TYPE_BYTES[texture.type]
+        || (FORMAT_COMPONENTS[texture.format] || 4) * (TYPE_BYTES[texture.type] || 4);
+    let layers = 1;
+
+    if (texture.target === TARGETS.TEXTURE_CUBE_MAP)
+    {
+        layers = 6;
+    }
+    else if (texture.target === TARGETS.TEXTURE_2D_ARRAY && texture.resource)
+    {
+        layers = texture.resource.length;
+    }
+
+    const bytes = texture.realWidth * texture.realHeight * bytesPerPixel * layers;
+
+    return glTexture.mipmap ? Math.ceil(bytes * 4 / 3) : bytes;
+}
+
+/**
+ * The type of the resource of a texture, as reported by memoryUsage.
+ *
+ * @private
+ * @param {PIXI.BaseTexture} texture - The texture
+ * @return {string} The name of the type
+ */
+function getResourceType(texture)
+{
+    if (!texture.resource)
+    {
+        return 'renderTexture';
+    }
+
+    for (let i = 0; i < RESOURCE_TYPES.length; i++)
+    {
+        if (texture.resource instanceof RESOURCE_TYPES[i][1])
+        {
+            return RESOURCE_TYPES[i][0];
+        }
+    }
+
+    return 'other';
+}
 
 /**
  * @class
@@ -40,6 +163,49 @@ export default class TextureSystem extends System
         this.currentLocation = -1;
 
         this.managedTextures = [];
+
+        /**
+         * The estimated GPU memory used by the managed textures, in bytes.
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.usedMemory = 0;
+
+        /**
+         * The least recently bound texture, the head of a list linked by `lruNext` of the textures on the GPU,
+         * from the least to the most recently bound. {@link PIXI.systems.TextureGCSystem#fitMemory} unloads
+         * from it.
+         *
+         * @member {PIXI.GLTexture}
+         * @readonly
+         */
+        this.lruHead = null;
+
+        /**
+         * The most recently bound texture, the tail of the list starting at `lruHead`.
+         *
+         * @member {PIXI.GLTexture}
+         * @readonly
+         */
+        this.lruTail = null;
+
+        /**
+         * The render textures which lost their content with the last context loss.
+         *
+         * @member {PIXI.BaseRenderTexture[]}
+         * @readonly
+         */
+        this.lostRenderTextures = [];
+
+        /**
+         * The largest anisotropic filtering level of the context, 0 without the
+         * `EXT_texture_filter_anisotropic` extension.
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.maxAnisotropy = 0;
     }
 
     /**
@@ -52,6 +218,11 @@ export default class TextureSystem extends System
         const gl = this.gl = this.renderer.gl;
 
         this.CONTEXT_UID = this.renderer.CONTEXT_UID;
+        this.currentLocation = -1;
+
+        const anisotropic = this.renderer.context.extensions.anisotropicFiltering;
+
+        this.maxAnisotropy = anisotropic ? gl.getParameter(anisotropic.MAX_TEXTURE_MAX_ANISOTROPY_EXT) : 0;
 
         // TODO move this.. to a nice make empty textures class..
         this.emptyTextures = {};
@@ -82,10 +253,75 @@ export default class TextureSystem extends System
         }
     }
 
+    /**
+     * Forgets the textures when the renderer is destroyed, so the textures which outlive it,
+     * like the ones pooled by the filter system, are not deleted from its lost context.
+     *
+     * @private
+     */
+    destroy()
+    {
+        const managedTextures = this.managedTextures;
+
+        for (let i = 0; i < managedTextures.length; i++)
+        {
+            managedTextures[i].off('dispose', this.destroyTexture, this);
+            delete managedTextures[i]._glTextures[this.CONTEXT_UID];
+        }
+
+        managedTextures.length = 0;
+        this.lruHead = null;
+        this.lruTail = null;
+
+        super.destroy();
+    }
+
+    /**
+     * Forgets the textures of the lost context, they are uploaded again from their resources when
+     * bound to the restored one. Render textures are flagged as they have no resource to upload.
+     *
+     * @private
+     */
+    contextLost()
+    {
+        const managedTextures = this.managedTextures;
+
+        this.lostRenderTextures = [];
+
+        for (let i = 0; i < managedTextures.length; i++)
+        {
+            const texture = managedTextures[i];
+
+            texture.off('dispose', this.destroyTexture, this);
+            delete texture._glTextures[this.CONTEXT_UID];
+
+            if (texture.frameBuffer)
+            {
+                texture.contentLost = true;
+                this.lostRenderTextures.push(texture);
+            }
+        }
+
+        managedTextures.length = 0;
+        this.usedMemory = 0;
+        this.lruHead = null;
+        this.lruTail = null;
+
+        for (let i = 0; i < this.boundTextures.length; i++)
+        {
+            this.boundTextures[i] = null;
+        }
+    }
+
     bind(texture, location)
     {
         const gl = this.gl;
 
+        if (this.renderer.stats)
+        {
+            this.renderer.stats.frame.textureBinds++;
+        }
+
         location = location || 0;
 
         if (this.currentLocation !== location)
@@ -104,12 +340,22 @@ export default class TextureSystem extends System
 
                 const glTexture = texture._glTextures[this.CONTEXT_UID] || this.initTexture(texture);
 
+                if (this.lruTail !== glTexture)
+                {
+                    this.unlinkTexture(glTexture);
+                    this.linkTexture(glTexture);
+                }
+
                 gl.bindTexture(texture.target, glTexture.texture);
 
                 if (glTexture.dirtyId !== texture.dirtyId)
                 {
                     this.updateTexture(texture);
                 }
+                else if (glTexture.dirtyStyleId !== texture.dirtyStyleId)
+                {
+                    this.updateTextureStyle(texture);
+                }
 
                 this.boundTextures[location] = texture;
             }
@@ -135,7 +381,10 @@ export default class TextureSystem extends System
                     this.currentLocation = i;
                 }
 
-                gl.bindTexture(gl.TEXTURE_2D, this.emptyTextures[texture.target].texture);
+                // there are only empty textures for the 2d and cube targets
+                const emptyTexture = this.emptyTextures[texture.target];
+
+                gl.bindTexture(texture.target, emptyTexture ? emptyTexture.texture : null);
                 this.boundTextures[i] = null;
             }
         }
@@ -147,6 +396,7 @@ export default class TextureSystem extends System
 
         // guarentee an update..
         glTexture.dirtyId = -1;
+        glTexture.baseTexture = texture;
 
         texture._glTextures[this.CONTEXT_UID] = glTexture;
 
@@ -156,11 +406,72 @@ export default class TextureSystem extends System
         return glTexture;
     }
 
+    /**
+     * Adds a texture at the end of the list of the recently bound textures.
+     *
+     * @private
+     * @param {PIXI.GLTexture} glTexture - The texture, which is not in the list
+     */
+    linkTexture(glTexture)
+    {
+        glTexture.lruPrevious = this.lruTail;
+
+        if (this.lruTail)
+        {
+            this.lruTail.lruNext = glTexture;
+        }
+        else
+        {
+            this.lruHead = glTexture;
+        }
+
+        this.lruTail = glTexture;
+    }
+
+    /**
+     * Removes a texture from the list of the recently bound textures, if it is in it.
+     *
+     * @private
+     * @param {PIXI.GLTexture} glTexture - The texture
+     */
+    unlinkTexture(glTexture)
+    {
+        const { lruPrevious, lruNext } = glTexture;
+
+        if (lruPrevious)
+        {
+            lruPrevious.lruNext = lruNext;
+        }
+        else if (this.lruHead === glTexture)
+        {
+            this.lruHead = lruNext;
+        }
+
+        if (lruNext)
+        {
+            lruNext.lruPrevious = lruPrevious;
+        }
+        else if (this.lruTail === glTexture)
+        {
+            this.lruTail = lruPrevious;
+        }
+
+        glTexture.lruPrevious = null;
+        glTexture.lruNext = null;
+    }
+
     updateTexture(texture)
     {
         const glTexture = texture._glTextures[this.CONTEXT_UID];
         const renderer = this.renderer;
 
+        if (renderer.stats)
+        {
+            renderer.stats.frame.textureUploads++;
+        }
+
+        this.initTextureFormat(texture, glTexture);
+
         if (texture.resource && texture.resource.upload(renderer, texture, glTexture))
         {
             // texture is uploaded, dont do anything!
@@ -180,12 +491,12 @@ export default class TextureSystem extends System
                 glTexture.height = height;
 
                 gl.texImage2D(texture.target, 0,
-                    texture.format,
+                    glTexture.internalFormat,
                     width,
                     height,
                     0,
                     texture.format,
-                    texture.type,
+                    glTexture.type,
                     null);
             }
         }
@@ -196,6 +507,154 @@ export default class TextureSystem extends System
             this.updateTextureStyle(texture);
         }
         glTexture.dirtyId = texture.dirtyId;
+
+        const byteLength = getByteLength(texture, glTexture);
+
+        this.usedMemory += byteLength - glTexture.byteLength;
+        glTexture.byteLength = byteLength;
+
+        if (renderer.textureGC.mode !== GC_MODES.MANUAL)
+        {
+            renderer.textureGC.fitMemory();
+        }
+    }
+
+    /**
+     * Sets the internal format and type a texture is uploaded with on this context. WebGL 2 needs
+     * sized internal formats for float and depth textures, and has its own value for `HALF_FLOAT`.
+     *
+     * @private
+     * @param {PIXI.BaseTexture} texture - The texture
+     * @param {PIXI.GLTexture} glTexture - The texture on the GPU
+     */
+    initTextureFormat(texture, glTexture)
+    {
+        const gl = this.gl;
+        const { format, type } = texture;
+
+        if (!this.getTypeSupport(type).texture)
+        {
+            throw new Error(`Textures of type ${getTypeName(type)} need the ${TYPE_EXTENSIONS[type]} extension`);
+        }
+
+        glTexture.internalFormat = format;
+        glTexture.type = type;
+
+        if (this.renderer.context.webGLVersion !== 2)
+        {
+            return;
+        }
+
+        if (type === TYPES.FLOAT)
+        {
+            glTexture.internalFormat = { [FORMATS.RGBA]: gl.RGBA32F, [FORMATS.RGB]: gl.RGB32F }[format] || format;
+        }
+        else if (type === TYPES.HALF_FLOAT)
+        {
+            glTexture.internalFormat = { [FORMATS.RGBA]: gl.RGBA16F, [FORMATS.RGB]: gl.RGB16F }[format] || format;
+            glTexture.type = gl.HALF_FLOAT;
+        }
+        else if (format === FORMATS.DEPTH_COMPONENT)
+        {
+            glTexture.internalFormat = gl.DEPTH_COMPONENT16;
+        }
+    }
+
+    /**
+     * Tells what textures of a type can do on this context: be sampled from, be filtered linearly,
+     * and be rendered to. Float and half float textures depend on the WebGL version and extensions,
+     * and can only be rendered to with the RGBA format. The other types can do everything.
+     *
+     * @example
+     * const { renderable, linear } = renderer.texture.getTypeSupport(PIXI.TYPES.HALF_FLOAT);
+     *
+     * @param {PIXI.TYPES} type - The type of the textures
+     * @param {PIXI.FORMATS} [format=PIXI.FORMATS.RGBA] - The format of the textures
+     * @return {{texture: boolean, linear: boolean, renderable: boolean}} What the textures can do
+     */
+    getTypeSupport(type, format = FORMATS.RGBA)
+    {
+        const { webGLVersion, extensions } = this.renderer.context;
+        const webGL2 = webGLVersion === 2;
+        // the color buffer extensions only make RGBA float textures renderable for sure
+        const rgba = format === FORMATS.RGBA;
+
+        if (type === TYPES.FLOAT)
+        {
+            const texture = webGL2 || !!extensions.floatTexture;
+
+            return {
+                texture,
+                linear: texture && !!extensions.floatTextureLinear,
+                renderable: texture && rgba && !!extensions.colorBufferFloat,
+            };
+        }
+
+        if (type === TYPES.HALF_FLOAT)
+        {
+            const texture = webGL2 || !!extensions.halfFloatTexture;
+
+            return {
+                texture,
+                linear: texture && (webGL2 || !!extensions.halfFloatTextureLinear),
+                renderable: texture && rgba
+                    && !!(extensions.colorBufferHalfFloat || (webGL2 && extensions.colorBufferFloat)),
+            };
+        }
+
+        return { texture: true, linear: true, renderable: true };
+    }
+
+    /**
+     * Picks the first of some types that textures can be rendered to on this context, such as
+     * the most precise type for an HDR render texture.
+     *
+     * @example
+     * const type = renderer.texture.findRenderableType([PIXI.TYPES.FLOAT, PIXI.TYPES.HALF_FLOAT]);
+     * const renderTexture = PIXI.RenderTexture.create({ width: 512, height: 512, type });
+     *
+     * @param {PIXI.TYPES[]} types - The types, by order of preference
+     * @param {boolean} [linear=false] - Whether the textures have to be filtered linearly too
+     * @param {PIXI.FORMATS} [format=PIXI.FORMATS.RGBA] - The format of the textures
+     * @return {PIXI.TYPES} The first renderable type, `PIXI.TYPES.UNSIGNED_BYTE` if there is none
+     */
+    findRenderableType(types, linear, format)
+    {
+        for (let i = 0; i < types.length; i++)
+        {
+            const support = this.getTypeSupport(types[i], format);
+
+            if (support.renderable && (support.linear || !linear))
+            {
+                return types[i];
+            }
+        }
+
+        return TYPES.UNSIGNED_BYTE;
+    }
+
+    /**
+     * The estimated GPU memory used by the managed textures, in bytes, in total and by type of
+     * resource: `renderTexture` for the textures without resource, `image`, `canvas`, `video`, `svg`,
+     * `buffer`, `array`, `cube`, `compressed` or `other`.
+     *
+     * @member {{total: number, types: object<string, number>}}
+     * @readonly
+     */
+    get memoryUsage()
+    {
+        const types = {};
+
+        for (let i = 0; i < this.managedTextures.length; i++)
+        {
+            const texture = this.managedTextures[i];
+            const glTexture = texture._glTextures[this.CONTEXT_UID];
+            const type = getResourceType(texture);
+
+            types[type] = (types[type] || 0) + glTexture.byteLength;
+        }
+
+        return { total: this.usedMemory, types };
     }
 
     /**
@@ -214,6 +673,8 @@ export default class TextureSystem extends System
         {
             this.unbind(texture);
 
+            this.usedMemory -= texture._glTextures[this.renderer.CONTEXT_UID].byteLength;
+            this.unlinkTexture(texture._glTextures[this.renderer.CONTEXT_UID]);
             gl.deleteTexture(texture._glTextures[this.renderer.CONTEXT_UID].texture);
             texture.off('dispose', this.destroyTexture, this);
 
@@ -235,12 +696,13 @@ export default class TextureSystem extends System
     {
         const glTexture = texture._glTextures[this.CONTEXT_UID];
 
-        glTexture.mipmap = texture.mipmap && texture.isPowerOfTwo;
         if (!glTexture)
         {
             return;
         }
 
+        glTexture.mipmap = this.canMipmap(texture);
+
         if (texture.resource && texture.resource.style(this.renderer, texture, glTexture))
         {
             // style is set, dont do anything!
@@ -255,27 +717,82 @@ export default class TextureSystem extends System
 
     setStyle(texture, glTexture)
     {
-        const gl = this.gl;
-
         if (glTexture.mipmap)
         {
-            gl.generateMipmap(texture.target);
+            this.gl.generateMipmap(texture.target);
         }
 
-        gl.texParameteri(texture.target, gl.TEXTURE_WRAP_S, texture.wrapMode);
-        gl.texParameteri(texture.target, gl.TEXTURE_WRAP_T, texture.wrapMode);
+        this.setFilters(texture, glTexture);
+    }
+
+    /**
+     * Tells whether a texture is mipmapped on this context, from its mipmap mode and size.
+     * WebGL 1 can only mipmap power of two textures.
+     *
+     * @param {PIXI.BaseTexture} texture - The texture
+     * @return {boolean} Whether the texture has mipmaps
+     */
+    canMipmap(texture)
+    {
+        if (texture.mipmap === MIPMAP_MODES.ON)
+        {
+            return texture.isPowerOfTwo || this.renderer.context.webGLVersion === 2;
+        }
+
+        return texture.mipmap === MIPMAP_MODES.POW2 && texture.isPowerOfTwo;
+    }
+
+    /**
+     * Sets the wrap mode, the filters and the anisotropic filtering level of the bound texture.
+     * The minifying filter blends the mipmap levels if `glTexture.mipmap` is set.
+     * Used by the resources which set their own style, such as compressed textures.
+     *
+     * @param {PIXI.BaseTexture} texture - The texture
+     * @param {PIXI.GLTexture} glTexture - The texture on the GPU
+     */
+    setFilters(texture, glTexture)
+    {
+        const gl = this.gl;
+        const target = texture.target;
+
+        // textures which cannot be filtered linearly would sample as black
+        const linear = this.getTypeSupport(texture.type).linear;
+        const scaleMode = texture.scaleMode && linear;
+
+        gl.texParameteri(target, gl.TEXTURE_WRAP_S, texture.wrapMode);
+        gl.texParameteri(target, gl.TEXTURE_WRAP_T, texture.wrapMode);
 
         if (glTexture.mipmap)
         {
-            /* eslint-disable max-len */
-            gl.texParameteri(texture.target, gl.TEXTURE_MIN_FILTER, texture.scaleMode ? gl.LINEAR_MIPMAP_LINEAR : gl.NEAREST_MIPMAP_NEAREST);
-            /* eslint-disable max-len */
+            const mipmapScaleMode = (texture.mipmapScaleMode !== null ? texture.mipmapScaleMode : texture.scaleMode)
+                && linear;
+
+            if (scaleMode)
+            {
+                gl.texParameteri(target, gl.TEXTURE_MIN_FILTER,
+                    mipmapScaleMode ? gl.LINEAR_MIPMAP_LINEAR : gl.LINEAR_MIPMAP_NEAREST);
+            }
+            else
+            {
+                gl.texParameteri(target, gl.TEXTURE_MIN_FILTER,
+                    mipmapScaleMode ? gl.NEAREST_MIPMAP_LINEAR : gl.NEAREST_MIPMAP_NEAREST);
+            }
         }
         else
         {
-            gl.texParameteri(texture.target, gl.TEXTURE_MIN_FILTER, texture.scaleMode ? gl.LINEAR : gl.NEAREST);
+            gl.texParameteri(target, gl.TEXTURE_MIN_FILTER, scaleMode ? gl.LINEAR : gl.NEAREST);
         }
 
-        gl.texParameteri(texture.target, gl.TEXTURE_MAG_FILTER, texture.scaleMode ? gl.LINEAR : gl.NEAREST);
+        gl.texParameteri(target, gl.TEXTURE_MAG_FILTER, scaleMode ? gl.LINEAR : gl.NEAREST);
+
+        const anisotropic = this.renderer.context.extensions.anisotropicFiltering;
+
+        if (anisotropic)
+        {
+            // the level is reset to 1 when a texture no longer uses anisotropic filtering
+            const level = scaleMode ? Math.min(texture.anisotropicLevel, this.maxAnisotropy) : 1;
+
+            gl.texParameterf(target, anisotropic.TEXTURE_MAX_ANISOTROPY_EXT, Math.max(level, 1));
+        }
     }
 }
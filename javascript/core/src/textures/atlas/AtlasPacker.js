@@ -0,0 +1,181 @@
+import { Rectangle } from '@pixi/math';
+
+/**
+ * Packs rectangles into a bin with the MaxRects algorithm: the free space is kept as the list of
+ * the largest free rectangles, which may overlap, and each rectangle is put in the free rectangle
+ * it leaves the shortest side in.
+ *
+ * @class
+ * @memberof PIXI
+ */
+export default class AtlasPacker
+{
+    /**
+     * @param {number} width - The width of the bin
+     * @param {number} height - The height of the bin
+     */
+    constructor(width, height)
+    {
+        /**
+         * The width of the bin.
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.width = width;
+
+        /**
+         * The height of the bin.
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.height = height;
+
+        /**
+         * The largest free rectangles.
+         *
+         * @member {PIXI.Rectangle[]}
+         * @readonly
+         */
+        this.freeRects = [];
+
+        this.reset();
+    }
+
+    /**
+     * Frees the whole bin.
+     */
+    reset()
+    {
+        this.freeRects = [new Rectangle(0, 0, this.width, this.height)];
+    }
+
+    /**
+     * Finds a place for a rectangle and marks it as used.
+     *
+     * @param {number} width - The width of the rectangle
+     * @param {number} height - The height of the rectangle
+     * @return {PIXI.Rectangle} The place of the rectangle, null if it does not fit
+     */
+    insert(width, height)
+    {
+        let best = null;
+        let bestShortSide = Infinity;
+        let bestLongSide = Infinity;
+
+        for (let i = 0; i < this.freeRects.length; i++)
+        {
+            const free = this.freeRects[i];
+
+            if (free.width < width || free.height < height)
+            {
+                continue;
+            }
+
+            const shortSide = Math.min(free.width - width, free.height - height);
+            const longSide = Math.max(free.width - width, free.height - height);
+
+            if (shortSide < bestShortSide || (shortSide === bestShortSide && longSide < bestLongSide))
+            {
+                best = free;
+                bestShortSide = shortSide;
+                bestLongSide = longSide;
+            }
+        }
+
+        if (!best)
+        {
+            return null;
+        }
+
+        const rect = new Rectangle(best.x, best.y, width, height);
+
+        this._use(rect);
+
+        return rect;
+    }
+
+    /**
+     * Marks a rectangle given by {@link PIXI.AtlasPacker#insert} as free again.
+     *
+     * @param {PIXI.Rectangle} rect - The rectangle to free
+     */
+    free(rect)
+    {
+        this.freeRects.push(rect.clone());
+        this._prune();
+    }
+
+    /**
+     * Splits the free rectangles overlapping a used rectangle into the parts around it.
+     *
+     * @private
+     * @param {PIXI.Rectangle} used - The used rectangle
+     */
+    _use(used)
+    {
+        const freeRects = [];
+
+        for (let i = 0; i < this.freeRects.length; i++)
+        {
+            const free = this.freeRects[i];
+
+            if (used.x >= free.right || used.right <= free.x || used.y >= free.bottom || used.bottom <= free.y)
+            {
+                freeRects.push(free);
+
+                continue;
+            }
+
+            if (used.x > free.x)
+            {
+                freeRects.push(new Rectangle(free.x, free.y, used.x - free.x, free.height));
+            }
+
+            if (used.right < free.right)
+            {
+                freeRects.push(new Rectangle(used.right, free.y, free.right - used.right, free.height));
+            }
+
+            if (used.y > free.y)
+            {
+                freeRects.push(new Rectangle(free.x, free.y, free.width, used.y - free.y));
+            }
+
+            if (used.bottom < free.bottom)
+            {
+                freeRects.push(new Rectangle(free.x, used.bottom, free.width, free.bottom - used.bottom));
+            }
+        }
+
+        this.freeRects = freeRects;
+        this._prune();
+    }
+
+    /**
+     * Removes the free rectangles contained in other ones.
+     *
+     * @private
+     */
+    _prune()
+    {
+        const freeRects = this.freeRects;
+
+        for (let i = freeRects.length - 1; i >= 0; i--)
+        {
+            const a = freeRects[i];
+
+            for (let j = 0; j < freeRects.length; j++)
+            {
+                const b = freeRects[j];
+
+                if (i !== j && a.x >= b.x && a.y >= b.y && a.right <= b.right && a.bottom <= b.bottom)
+                {
+                    freeRects.splice(i, 1);
+                    break;
+                }
+            }
+        }
+    }
+}
@@ -0,0 +1,455 @@
+import System from '../../System';
+import AtlasPacker from './AtlasPacker';
+import BaseRenderTexture from '../../renderTexture/BaseRenderTexture';
+import BaseTexture from '../BaseTexture';
+import Texture from '../Texture';
+import BaseImageResource from '../resources/BaseImageResource';
+import { Rectangle } from '@pixi/math';
+import { settings } from '@pixi/settings';
+import { removeItems } from '@pixi/utils';
+
+/**
+ * A page of the atlas, a render texture shared by the textures packed in it.
+ *
+ * @typedef {object} PIXI.systems.AtlasSystem~AtlasPage
+ * @property {PIXI.BaseRenderTexture} baseTexture - The texture of the page
+ * @property {PIXI.AtlasPacker} packer - The packer of the page
+ * @property {PIXI.systems.AtlasSystem~AtlasEntry[]} entries - The entries in the page
+ */
+
+/**
+ * A source packed in the atlas.
+ *
+ * @typedef {object} PIXI.systems.AtlasSystem~AtlasEntry
+ * @property {PIXI.Texture} texture - The texture of the entry in its page
+ * @property {HTMLImageElement|HTMLCanvasElement} source - The image the entry is copied from
+ * @property {PIXI.Rectangle} region - The part of the source which is copied, in pixels
+ * @property {number} padding - The transparent pixels around the entry
+ * @property {number} extrude - The pixels the edges of the entry are repeated over
+ * @property {PIXI.systems.AtlasSystem~AtlasPage} page - The page the entry is in
+ * @property {PIXI.Rectangle} rect - The space of the entry in the page, padding included
+ */
+
+/**
+ * Scales a rectangle of a texture to the pixels of its base texture.
+ *
+ * @private
+ * @param {PIXI.Rectangle} rect - The rectangle in points
+ * @param {number} resolution - The resolution of the base texture
+ * @return {PIXI.Rectangle} A new rectangle in pixels
+ */
+function scaleRect(rect, resolution)
+{
+    return new Rectangle(rect.x * resolution, rect.y * resolution, rect.width * resolution, rect.height * resolution);
+}
+
+/**
+ * The atlas system packs loose images and canvases into shared pages, so that the sprites using
+ * them can be batched together whatever the number of images. The textures it returns have their
+ * frame in a page and keep the `orig` and `trim` of the texture they are made from. The pages are
+ * at a resolution of 1, so the textures of high resolution sources are scaled to their pixels.
+ *
+ * Entries are separated by transparent padding, so that linear filtering does not bleed the
+ * neighbouring entries in, and their edges can be extruded so that the padding does not bleed in
+ * either. The pages are uploaded again when the context is restored.
+ *
+ * @example
+ * const texture = renderer.atlas.add(image);
+ * const sprite = new PIXI.Sprite(texture);
+ *
+ * @class
+ * @extends PIXI.System
+ * @memberof PIXI.systems
+ */
+export default class AtlasSystem extends System
+{
+    /**
+     * @param {PIXI.Renderer} renderer - The renderer this System works for.
+     */
+    constructor(renderer)
+    {
+        super(renderer);
+
+        /**
+         * The width and height of new pages.
+         *
+         * @member {number}
+         * @see PIXI.settings.ATLAS_PAGE_SIZE
+         */
+        this.pageSize = settings.ATLAS_PAGE_SIZE;
+
+        /**
+         * The default transparent pixels around each entry.
+         *
+         * @member {number}
+         * @see PIXI.settings.ATLAS_PADDING
+         */
+        this.padding = settings.ATLAS_PADDING;
+
+        /**
+         * The default number of pixels the edges of each entry are repeated over.
+         *
+         * @member {number}
+         * @see PIXI.settings.ATLAS_EXTRUDE
+         */
+        this.extrude = settings.ATLAS_EXTRUDE;
+
+        /**
+         * The pages of the atlas.
+         *
+         * @member {PIXI.systems.AtlasSystem~AtlasPage[]}
+         * @readonly
+         */
+        this.pages = [];
+
+        /**
+         * The canvas the entries are drawn on before they are uploaded with their padding.
+         *
+         * @member {HTMLCanvasElement}
+         * @private
+         */
+        this._canvas = null;
+    }
+
+    /**
+     * Uploads the pages again to a restored context.
+     *
+     * @private
+     */
+    contextChange()
+    {
+        const lostRenderTextures = this.renderer.texture.lostRenderTextures;
+
+        for (let i = 0; i < this.pages.length; i++)
+        {
+            const page = this.pages[i];
+            const index = lostRenderTextures.indexOf(page.baseTexture);
+
+            page.entries.forEach((entry) => this._upload(entry));
+            page.baseTexture.contentLost = false;
+
+            if (index !== -1)
+            {
+                removeItems(lostRenderTextures, index, 1);
+            }
+        }
+    }
+
+    /**
+     * Packs an image in the atlas.
+     *
+     * @param {HTMLImageElement|HTMLCanvasElement|PIXI.BaseTexture|PIXI.Texture} source - The image to
+     *        pack, it has to be loaded. Only the frame of a texture is packed.
+     * @param {object} [options] - Options
+     * @param {number} [options.padding] - The transparent pixels around the entry, defaults to
+     *        {@link PIXI.systems.AtlasSystem#padding}
+     * @param {number} [options.extrude] - The pixels the edges of the entry are repeated over, defaults
+     *        to {@link PIXI.systems.AtlasSystem#extrude}
+     * @return {PIXI.Texture} The texture of the entry
+     */
+    add(source, options)
+    {
+        const { padding = this.padding, extrude = this.extrude } = options || {};
+        let texture = null;
+
+        if (source instanceof BaseTexture)
+        {
+            source = new Texture(source);
+        }
+
+        if (source instanceof Texture)
+        {
+            texture = source;
+
+            if (texture.rotate)
+            {
+                throw new Error('AtlasSystem cannot pack rotated textures');
+            }
+
+            if (!(texture.baseTexture.resource instanceof BaseImageResource) || !texture.valid)
+            {
+                throw new Error('AtlasSystem can only pack loaded image and canvas textures');
+            }
+
+            source = texture.baseTexture.resource.source;
+        }
+
+        // frames are in points, the pages are at resolution 1 so the entry is packed in source pixels
+        const resolution = texture ? texture.baseTexture.resolution : 1;
+        const region = texture
+            ? scaleRect(texture.frame, resolution)
+            : new Rectangle(0, 0, source.width, source.height);
+
+        if (!region.width || !region.height)
+        {
+            throw new Error('AtlasSystem can only pack loaded images');
+        }
+
+        const entry = {
+            texture: null,
+            source,
+            region,
+            padding,
+            extrude,
+            page: null,
+            rect: null,
+        };
+
+        this._place(entry);
+
+        const { x, y } = this._frameOf(entry);
+
+        entry.texture = new Texture(
+            entry.page.baseTexture,
+            new Rectangle(x, y, region.width, region.height),
+            texture ? scaleRect(texture.orig, resolution) : null,
+            texture && texture.trim ? scaleRect(texture.trim, resolution) : null
+        );
+
+        this._upload(entry);
+
+        return entry.texture;
+    }
+
+    /**
+     * Removes the entry of a texture from the atlas and destroys the texture. The space it used
+     * can be taken by new entries.
+     *
+     * @param {PIXI.Texture} texture - A texture returned by {@link PIXI.systems.AtlasSystem#add}
+     */
+    remove(texture)
+    {
+        const entry = this._find(texture);
+
+        if (!entry)
+        {
+            return;
+        }
+
+        const page = entry.page;
+
+        page.packer.free(entry.rect);
+        removeItems(page.entries, page.entries.indexOf(entry), 1);
+        texture.destroy();
+    }
+
+    /**
+     * Packs all the entries again, largest first, which frees the space lost by removed entries.
+     * The textures keep their sprites: their frame, and if needed their page, is updated. Pages
+     * left empty are destroyed.
+     */
+    repack()
+    {
+        const entries = [];
+
+        for (let i = 0; i < this.pages.length; i++)
+        {
+            const page = this.pages[i];
+
+            entries.push(...page.entries);
+            page.entries.length = 0;
+            page.packer.reset();
+        }
+
+        entries.sort((a, b) => Math.max(b.rect.width, b.rect.height) - Math.max(a.rect.width, a.rect.height));
+
+        for (let i = 0; i < entries.length; i++)
+        {
+            const entry = entries[i];
+            const texture = entry.texture;
+            const oldBaseTexture = texture.baseTexture;
+
+            this._place(entry);
+
+            const { x, y } = this._frameOf(entry);
+
+            if (entry.page.baseTexture !== oldBaseTexture)
+            {
+                oldBaseTexture.off('update', texture.onBaseTextureUpdated, texture);
+                texture.baseTexture = entry.page.baseTexture;
+                texture.baseTexture.on('update', texture.onBaseTextureUpdated, texture);
+            }
+
+            texture.frame = new Rectangle(x, y, entry.region.width, entry.region.height);
+            texture.emit('update', texture);
+        }
+
+        for (let i = this.pages.length - 1; i >= 0; i--)
+        {
+            if (!this.pages[i].entries.length)
+            {
+                this.pages[i].baseTexture.destroy();
+                removeItems(this.pages, i, 1);
+            }
+        }
+
+        entries.forEach((entry) => this._upload(entry));
+    }
+
+    /**
+     * Finds the entry of a texture.
+     *
+     * @private
+     * @param {PIXI.Texture} texture - The texture
+     * @return {PIXI.systems.AtlasSystem~AtlasEntry} The entry, null if the texture is not in the atlas
+     */
+    _find(texture)
+    {
+        for (let i = 0; i < this.pages.length; i++)
+        {
+            const entries = this.pages[i].entries;
+
+            for (let j = 0; j < entries.length; j++)
+            {
+                if (entries[j].texture === texture)
+                {
+                    return entries[j];
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Puts an entry in the first page it fits in, or in a new page.
+     *
+     * @private
+     * @param {PIXI.systems.AtlasSystem~AtlasEntry} entry - The entry
+     */
+    _place(entry)
+    {
+        const border = entry.padding + entry.extrude;
+        const width = entry.region.width + (border * 2);
+        const height = entry.region.height + (border * 2);
+
+        if (width > this.pageSize || height > this.pageSize)
+        {
+            throw new Error(`AtlasSystem entry of ${width}x${height} is larger than the pages`);
+        }
+
+        let page = null;
+        let rect = null;
+
+        for (let i = 0; i < this.pages.length && !rect; i++)
+        {
+            page = this.pages[i];
+            rect = page.packer.insert(width, height);
+        }
+
+        if (!rect)
+        {
+            page = {
+                baseTexture: new BaseRenderTexture({ width: this.pageSize, height: this.pageSize, resolution: 1 }),
+                packer: new AtlasPacker(this.pageSize, this.pageSize),
+                entries: [],
+            };
+
+            this.pages.push(page);
+            rect = page.packer.insert(width, height);
+        }
+
+        entry.page = page;
+        entry.rect = rect;
+        page.entries.push(entry);
+    }
+
+    /**
+     * The position of the copied region of an entry in its page.
+     *
+     * @private
+     * @param {PIXI.systems.AtlasSystem~AtlasEntry} entry - The entry
+     * @return {{x: number, y: number}} The position
+     */
+    _frameOf(entry)
+    {
+        const border = entry.padding + entry.extrude;
+
+        return { x: entry.rect.x + border, y: entry.rect.y + border };
+    }
+
+    /**
+     * Copies an entry to its page. Unless the whole source is copied without padding nor extrusion,
+     * it is drawn on a canvas of the size of the space of the entry first.
+     *
+     * @private
+     * @param {PIXI.systems.AtlasSystem~AtlasEntry} entry - The entry
+     */
+    _upload(entry)
+    {
+        const renderer = this.renderer;
+        const gl = renderer.gl;
+        const baseTexture = entry.page.baseTexture;
+        const { source, region, rect, padding, extrude } = entry;
+        let image = source;
+
+        if (padding || extrude || region.width !== source.width || region.height !== source.height)
+        {
+            image = this._draw(entry);
+        }
+
+        renderer.texture.bind(baseTexture);
+
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, baseTexture.premultiplyAlpha);
+        gl.texSubImage2D(baseTexture.target, 0, rect.x, rect.y, baseTexture.format, baseTexture.type, image);
+    }
+
+    /**
+     * Draws an entry with its padding and extruded edges.
+     *
+     * @private
+     * @param {PIXI.systems.AtlasSystem~AtlasEntry} entry - The entry
+     * @return {HTMLCanvasElement} The canvas it is drawn on
+     */
+    _draw(entry)
+    {
+        const { source, region, rect, extrude } = entry;
+        const canvas = this._canvas || (this._canvas = document.createElement('canvas'));
+        const { x, y, width, height } = region;
+        const border = entry.padding + extrude;
+        const right = border + width;
+        const bottom = border + height;
+
+        canvas.width = rect.width;
+        canvas.height = rect.height;
+
+        const context = canvas.getContext('2d');
+
+        context.clearRect(0, 0, rect.width, rect.height);
+        context.drawImage(source, x, y, width, height, border, border, width, height);
+
+        if (extrude)
+        {
+            const edge = border - extrude;
+
+            // the edges stretched over the extrusion, then the corners
+            context.drawImage(source, x, y, 1, height, edge, border, extrude, height);
+            context.drawImage(source, x + width - 1, y, 1, height, right, border, extrude, height);
+            context.drawImage(source, x, y, width, 1, border, edge, width, extrude);
+            context.drawImage(source, x, y + height - 1, width, 1, border, bottom, width, extrude);
+            context.drawImage(source, x, y, 1, 1, edge, edge, extrude, extrude);
+            context.drawImage(source, x + width - 1, y, 1, 1, right, edge, extrude, extrude);
+            context.drawImage(source, x, y + height - 1, 1, 1, edge, bottom, extrude, extrude);
+            context.drawImage(source, x + width - 1, y + height - 1, 1, 1, right, bottom, extrude, extrude);
+        }
+
+        return canvas;
+    }
+
+    /**
+     * Destroys the textures of the atlas, the pages are only used by the context of the renderer
+     * and go with it.
+     */
+    destroy()
+    {
+        for (let i = 0; i < this.pages.length; i++)
+        {
+            this.pages[i].entries.forEach((entry) => entry.texture.destroy());
+        }
+
+        this.pages = null;
+        this._canvas = null;
+
+        super.destroy();
+    }
+}
@@ -121,6 +121,38 @@ export default class ArrayResource extends Resource
         return this;
     }
 
+    /**
+     * Unset a resource by ID, so that another one can be set there. The layer keeps its content
+     * until the next resource is set.
+     *
+     * @param {number} index - Zero-based index of resource to unset
+     * @return {PIXI.resources.ArrayResource} Instance for chaining
+     */
+    removeResourceAt(index)
+    {
+        const baseTexture = this.items[index];
+
+        if (!baseTexture)
+        {
+            throw new Error(`Index ${index} is out of bounds`);
+        }
+
+        const resource = baseTexture.resource;
+
+        if (resource)
+        {
+            // destroyed resources have no runners left to unbind from
+            if (!resource.destroyed)
+            {
+                resource.unbind(baseTexture);
+            }
+
+            baseTexture.resource = null;
+        }
+
+        return this;
+    }
+
     /**
      * Set the parent base texture
      * @member {PIXI.BaseTexture}
@@ -197,20 +229,28 @@ export default class ArrayResource extends Resource
 
         if (glTexture.dirtyId < 0)
         {
+            // a new texture has none of the items yet
+            for (let i = 0; i < length; i++)
+            {
+                itemDirtyIds[i] = -1;
+            }
+
             gl.texImage3D(
                 gl.TEXTURE_2D_ARRAY,
                 0,
-                texture.format,
+                glTexture.internalFormat,
                 this._width,
                 this._height,
                 length,
                 0,
                 texture.format,
-                texture.type,
+                glTexture.type,
                 null
             );
         }
 
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, texture.premultiplyAlpha);
+
         for (let i = 0; i < length; i++)
         {
             const item = items[i];
@@ -218,7 +258,7 @@ export default class ArrayResource extends Resource
             if (itemDirtyIds[i] < item.dirtyId)
             {
                 itemDirtyIds[i] = item.dirtyId;
-                if (item.valid)
+                if (item.valid && item.resource)
                 {
                     gl.texSubImage3D(
                         gl.TEXTURE_2D_ARRAY,
@@ -230,7 +270,7 @@ export default class ArrayResource extends Resource
                         item.resource.height,
                         1,
                         texture.format,
-                        texture.type,
+                        glTexture.type,
                         item.resource.source
                     );
                 }
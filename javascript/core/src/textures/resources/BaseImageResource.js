@@ -62,14 +62,14 @@ export default class BaseImageResource extends Resource
 
         if (glTexture.width === width && glTexture.height === height)
         {
-            gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, baseTexture.format, baseTexture.type, source);
+            gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, baseTexture.format, glTexture.type, source);
         }
         else
         {
             glTexture.width = width;
             glTexture.height = height;
 
-            gl.texImage2D(gl.TEXTURE_2D, 0, baseTexture.format, baseTexture.format, baseTexture.type, source);
+            gl.texImage2D(gl.TEXTURE_2D, 0, glTexture.internalFormat, baseTexture.format, glTexture.type, source);
         }
 
         return true;
@@ -55,7 +55,7 @@ export default class BufferResource extends Resource
                 baseTexture.width,
                 baseTexture.height,
                 baseTexture.format,
-                baseTexture.type,
+                glTexture.type,
                 this.data
             );
         }
@@ -67,12 +67,12 @@ export default class BufferResource extends Resource
             gl.texImage2D(
                 baseTexture.target,
                 0,
-                baseTexture.format,
+                glTexture.internalFormat,
                 baseTexture.width,
                 baseTexture.height,
                 0,
                 baseTexture.format,
-                baseTexture.type,
+                glTexture.type,
                 this.data
             );
         }
@@ -0,0 +1,543 @@
+import Resource from './Resource';
+
+// the block sizes of the ASTC formats, in the order of their WebGL and PVR format numbers
+const ASTC_BLOCKS = [
+    [4, 4], [5, 4], [5, 5], [6, 5], [6, 6], [8, 5], [8, 6],
+    [8, 8], [10, 5], [10, 6], [10, 8], [10, 10], [12, 10], [12, 12],
+];
+
+// the WebGL constants of the compressed formats read from the containers
+const GL = {
+    COMPRESSED_RGB_S3TC_DXT1_EXT: 0x83F0,
+    COMPRESSED_RGBA_S3TC_DXT1_EXT: 0x83F1,
+    COMPRESSED_RGBA_S3TC_DXT3_EXT: 0x83F2,
+    COMPRESSED_RGBA_S3TC_DXT5_EXT: 0x83F3,
+    COMPRESSED_RGB_PVRTC_4BPPV1_IMG: 0x8C00,
+    COMPRESSED_RGB_PVRTC_2BPPV1_IMG: 0x8C01,
+    COMPRESSED_RGBA_PVRTC_4BPPV1_IMG: 0x8C02,
+    COMPRESSED_RGBA_PVRTC_2BPPV1_IMG: 0x8C03,
+    COMPRESSED_RGB_ETC1_WEBGL: 0x8D64,
+    COMPRESSED_R11_EAC: 0x9270,
+    COMPRESSED_SIGNED_R11_EAC: 0x9271,
+    COMPRESSED_RG11_EAC: 0x9272,
+    COMPRESSED_SIGNED_RG11_EAC: 0x9273,
+    COMPRESSED_RGB8_ETC2: 0x9274,
+    COMPRESSED_RGB8_PUNCHTHROUGH_ALPHA1_ETC2: 0x9276,
+    COMPRESSED_RGBA8_ETC2_EAC: 0x9278,
+    COMPRESSED_SRGB8_ALPHA8_ETC2_EAC: 0x9279,
+    COMPRESSED_RGBA_ASTC_4x4_KHR: 0x93B0,
+};
+
+// the extension, block size and bytes per block of each compressed format, by format
+const FORMAT_INFO = {};
+
+/**
+ * Describes a compressed format.
+ *
+ * @private
+ * @param {number} format - The WebGL constant of the format
+ * @param {string} extension - The family of the format, as in `WEBGL_compressed_texture_<family>`
+ * @param {number} blockWidth - The width of a block, in pixels
+ * @param {number} blockHeight - The height of a block, in pixels
+ * @param {number} blockBytes - The bytes of a block
+ * @param {number} [minBlocks=1] - The minimum number of blocks in each direction, 2 for PVRTC
+ */
+function addFormat(format, extension, blockWidth, blockHeight, blockBytes, minBlocks = 1)
+{
+    FORMAT_INFO[format] = { extension, blockWidth, blockHeight, blockBytes, minBlocks };
+}
+
+addFormat(GL.COMPRESSED_RGB_S3TC_DXT1_EXT, 's3tc', 4, 4, 8);
+addFormat(GL.COMPRESSED_RGBA_S3TC_DXT1_EXT, 's3tc', 4, 4, 8);
+addFormat(GL.COMPRESSED_RGBA_S3TC_DXT3_EXT, 's3tc', 4, 4, 16);
+addFormat(GL.COMPRESSED_RGBA_S3TC_DXT5_EXT, 's3tc', 4, 4, 16);
+addFormat(GL.COMPRESSED_RGB_PVRTC_4BPPV1_IMG, 'pvrtc', 4, 4, 8, 2);
+addFormat(GL.COMPRESSED_RGB_PVRTC_2BPPV1_IMG, 'pvrtc', 8, 4, 8, 2);
+addFormat(GL.COMPRESSED_RGBA_PVRTC_4BPPV1_IMG, 'pvrtc', 4, 4, 8, 2);
+addFormat(GL.COMPRESSED_RGBA_PVRTC_2BPPV1_IMG, 'pvrtc', 8, 4, 8, 2);
+addFormat(GL.COMPRESSED_RGB_ETC1_WEBGL, 'etc1', 4, 4, 8);
+
+for (let format = GL.COMPRESSED_R11_EAC; format <= GL.COMPRESSED_SRGB8_ALPHA8_ETC2_EAC; format++)
+{
+    // the two channel and the alpha formats use 16 bytes per block
+    const blockBytes = (format >= GL.COMPRESSED_RG11_EAC && format <= GL.COMPRESSED_SIGNED_RG11_EAC)
+        || format >= GL.COMPRESSED_RGBA8_ETC2_EAC ? 16 : 8;
+
+    addFormat(format, 'etc', 4, 4, blockBytes);
+}
+
+ASTC_BLOCKS.forEach(([blockWidth, blockHeight], i) =>
+{
+    addFormat(GL.COMPRESSED_RGBA_ASTC_4x4_KHR + i, 'astc', blockWidth, blockHeight, 16);
+});
+
+/**
+ * The size of a level of a compressed texture.
+ *
+ * @private
+ * @param {number} format - The compressed format
+ * @param {number} width - The width of the level
+ * @param {number} height - The height of the level
+ * @return {number} The bytes of the level
+ */
+function levelByteLength(format, width, height)
+{
+    const { blockWidth, blockHeight, blockBytes, minBlocks } = FORMAT_INFO[format];
+
+    return Math.max(Math.ceil(width / blockWidth), minBlocks)
+        * Math.max(Math.ceil(height / blockHeight), minBlocks)
+        * blockBytes;
+}
+
+/**
+ * Cuts the levels following each other in the data of a container, the size of each level being
+ * half the size of the previous one.
+ *
+ * @private
+ * @param {Uint8Array} bytes - The container
+ * @param {number} offset - Where the first level starts
+ * @param {number} format - The compressed format
+ * @param {number} width - The width of the first level
+ * @param {number} height - The height of the first level
+ * @param {number} levelCount - The number of levels
+ * @return {Array<{width: number, height: number, data: Uint8Array}>} The levels
+ */
+function readLevels(bytes, offset, format, width, height, levelCount)
+{
+    const levels = [];
+
+    for (let i = 0; i < levelCount; i++)
+    {
+        const levelWidth = Math.max(width >> i, 1);
+        const levelHeight = Math.max(height >> i, 1);
+        const byteLength = levelByteLength(format, levelWidth, levelHeight);
+
+        levels.push({ width: levelWidth, height: levelHeight, data: bytes.subarray(offset, offset + byteLength) });
+        offset += byteLength;
+    }
+
+    return levels;
+}
+
+const KTX_IDENTIFIER = [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x31, 0x31, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A];
+
+/**
+ * Reads a KTX 1 container, any compressed format can be stored in it.
+ *
+ * @private
+ * @param {DataView} view - The container
+ * @param {Uint8Array} bytes - The container
+ * @return {object} The format, size and levels of the texture
+ */
+function parseKTX(view, bytes)
+{
+    const littleEndian = view.getUint32(12, true) === 0x04030201;
+    const read = (offset) => view.getUint32(offset, littleEndian);
+
+    if (read(16) !== 0)
+    {
+        throw new Error('KTX texture is not compressed');
+    }
+
+    if (read(48) > 1 || read(52) > 1)
+    {
+        throw new Error('KTX texture arrays and cube maps are not supported');
+    }
+
+    const width = read(36);
+    const height = Math.max(read(40), 1);
+    const levelCount = Math.max(read(56), 1);
+    const levels = [];
+    let offset = 64 + read(60);
+
+    for (let i = 0; i < levelCount; i++)
+    {
+        const imageSize = read(offset);
+
+        offset += 4;
+        levels.push({
+            width: Math.max(width >> i, 1),
+            height: Math.max(height >> i, 1),
+            data: bytes.subarray(offset, offset + imageSize),
+        });
+
+        // each level is padded to 4 bytes
+        offset += (imageSize + 3) & ~3;
+    }
+
+    return { format: read(28), width, height, levels };
+}
+
+const DDS_MAGIC = 0x20534444;
+const DDSD_MIPMAPCOUNT = 0x20000;
+const DDPF_ALPHAPIXELS = 0x1;
+const DDPF_FOURCC = 0x4;
+const DDSCAPS2_CUBEMAP = 0x200;
+
+// the formats of the four character codes and of the DXGI formats of the DX10 header
+const DDS_FOURCC_FORMATS = {
+    0x31545844: GL.COMPRESSED_RGBA_S3TC_DXT1_EXT, // DXT1
+    0x33545844: GL.COMPRESSED_RGBA_S3TC_DXT3_EXT, // DXT3
+    0x35545844: GL.COMPRESSED_RGBA_S3TC_DXT5_EXT, // DXT5
+};
+const DDS_FOURCC_DX10 = 0x30315844;
+const DDS_DXGI_FORMATS = {
+    71: GL.COMPRESSED_RGBA_S3TC_DXT1_EXT, // BC1_UNORM
+    74: GL.COMPRESSED_RGBA_S3TC_DXT3_EXT, // BC2_UNORM
+    77: GL.COMPRESSED_RGBA_S3TC_DXT5_EXT, // BC3_UNORM
+};
+
+/**
+ * Reads a DDS container of DXT1, DXT3 or DXT5 data.
+ *
+ * @private
+ * @param {DataView} view - The container
+ * @param {Uint8Array} bytes - The container
+ * @return {object} The format, size and levels of the texture
+ */
+function parseDDS(view, bytes)
+{
+    const flags = view.getUint32(8, true);
+    const height = view.getUint32(12, true);
+    const width = view.getUint32(16, true);
+    const levelCount = flags & DDSD_MIPMAPCOUNT ? Math.max(view.getUint32(28, true), 1) : 1;
+    const pixelFlags = view.getUint32(80, true);
+    const fourCC = view.getUint32(84, true);
+    let format = DDS_FOURCC_FORMATS[fourCC];
+    let offset = 128;
+
+    if (view.getUint32(112, true) & DDSCAPS2_CUBEMAP)
+    {
+        throw new Error('DDS cube maps are not supported');
+    }
+
+    if (fourCC === DDS_FOURCC_DX10)
+    {
+        format = DDS_DXGI_FORMATS[view.getUint32(128, true)];
+        offset += 20;
+    }
+    else if (format === GL.COMPRESSED_RGBA_S3TC_DXT1_EXT && !(pixelFlags & DDPF_ALPHAPIXELS))
+    {
+        format = GL.COMPRESSED_RGB_S3TC_DXT1_EXT;
+    }
+
+    if (!(pixelFlags & DDPF_FOURCC) || !format)
+    {
+        throw new Error('DDS texture is not in a supported compressed format');
+    }
+
+    return { format, width, height, levels: readLevels(bytes, offset, format, width, height, levelCount) };
+}
+
+const PVR_MAGIC = 0x03525650;
+
+// the formats of the PVR pixel formats
+const PVR_FORMATS = {
+    0: GL.COMPRESSED_RGB_PVRTC_2BPPV1_IMG,
+    1: GL.COMPRESSED_RGBA_PVRTC_2BPPV1_IMG,
+    2: GL.COMPRESSED_RGB_PVRTC_4BPPV1_IMG,
+    3: GL.COMPRESSED_RGBA_PVRTC_4BPPV1_IMG,
+    6: GL.COMPRESSED_RGB_ETC1_WEBGL,
+    7: GL.COMPRESSED_RGBA_S3TC_DXT1_EXT,
+    9: GL.COMPRESSED_RGBA_S3TC_DXT3_EXT,
+    11: GL.COMPRESSED_RGBA_S3TC_DXT5_EXT,
+    22: GL.COMPRESSED_RGB8_ETC2,
+    23: GL.COMPRESSED_RGBA8_ETC2_EAC,
+    24: GL.COMPRESSED_RGB8_PUNCHTHROUGH_ALPHA1_ETC2,
+    25: GL.COMPRESSED_R11_EAC,
+    26: GL.COMPRESSED_RG11_EAC,
+};
+
+ASTC_BLOCKS.forEach((block, i) =>
+{
+    PVR_FORMATS[27 + i] = GL.COMPRESSED_RGBA_ASTC_4x4_KHR + i;
+});
+
+/**
+ * Reads a PVR 3 container.
+ *
+ * @private
+ * @param {DataView} view - The container
+ * @param {Uint8Array} bytes - The container
+ * @return {object} The format, size and levels of the texture
+ */
+function parsePVR(view, bytes)
+{
+    const format = view.getUint32(12, true) === 0 ? PVR_FORMATS[view.getUint32(8, true)] : undefined;
+    const height = view.getUint32(24, true);
+    const width = view.getUint32(28, true);
+
+    if (!format)
+    {
+        throw new Error('PVR texture is not in a supported compressed format');
+    }
+
+    if (view.getUint32(36, true) > 1 || view.getUint32(40, true) > 1)
+    {
+        throw new Error('PVR texture arrays and cube maps are not supported');
+    }
+
+    const levelCount = Math.max(view.getUint32(44, true), 1);
+    const offset = 52 + view.getUint32(48, true);
+
+    return { format, width, height, levels: readLevels(bytes, offset, format, width, height, levelCount) };
+}
+
+const ASTC_MAGIC = 0x5CA1AB13;
+
+/**
+ * Reads a .astc file, which has a single level.
+ *
+ * @private
+ * @param {DataView} view - The container
+ * @param {Uint8Array} bytes - The container
+ * @return {object} The format, size and levels of the texture
+ */
+function parseASTC(view, bytes)
+{
+    const blockWidth = view.getUint8(4);
+    const blockHeight = view.getUint8(5);
+    const block = ASTC_BLOCKS.findIndex(([w, h]) => w === blockWidth && h === blockHeight);
+
+    if (block === -1 || view.getUint8(6) !== 1)
+    {
+        throw new Error(`ASTC texture has an unsupported block size of ${blockWidth}x${blockHeight}`);
+    }
+
+    const format = GL.COMPRESSED_RGBA_ASTC_4x4_KHR + block;
+    const width = view.getUint16(7, true) + (view.getUint8(9) << 16);
+    const height = view.getUint16(10, true) + (view.getUint8(12) << 16);
+
+    return { format, width, height, levels: readLevels(bytes, 16, format, width, height, 1) };
+}
+
+const PKM_MAGIC = 0x204D4B50;
+
+// the formats of the PKM data types
+const PKM_FORMATS = {
+    0: GL.COMPRESSED_RGB_ETC1_WEBGL,
+    1: GL.COMPRESSED_RGB8_ETC2,
+    3: GL.COMPRESSED_RGBA8_ETC2_EAC,
+    4: GL.COMPRESSED_RGB8_PUNCHTHROUGH_ALPHA1_ETC2,
+    5: GL.COMPRESSED_R11_EAC,
+    6: GL.COMPRESSED_RG11_EAC,
+    7: GL.COMPRESSED_SIGNED_R11_EAC,
+    8: GL.COMPRESSED_SIGNED_RG11_EAC,
+};
+
+/**
+ * Reads a PKM container of ETC data, which has a single level. Its fields are big endian.
+ *
+ * @private
+ * @param {DataView} view - The container
+ * @param {Uint8Array} bytes - The container
+ * @return {object} The format, size and levels of the texture
+ */
+function parsePKM(view, bytes)
+{
+    const format = PKM_FORMATS[view.getUint16(6)];
+    const width = view.getUint16(12);
+    const height = view.getUint16(14);
+
+    if (!format)
+    {
+        throw new Error('PKM texture is not in a supported compressed format');
+    }
+
+    return { format, width, height, levels: readLevels(bytes, 16, format, width, height, 1) };
+}
+
+/**
+ * The name of the container of the data, by its first bytes.
+ *
+ * @private
+ * @param {DataView} view - The data
+ * @return {string|null} `ktx`, `dds`, `pvr`, `astc`, `pkm` or null if the data is not a known container
+ */
+function detectContainer(view)
+{
+    if (view.byteLength < 16)
+    {
+        return null;
+    }
+
+    if (view.byteLength >= 64 && KTX_IDENTIFIER.every((byte, i) => view.getUint8(i) === byte))
+    {
+        return 'ktx';
+    }
+
+    switch (view.getUint32(0, true))
+    {
+        case DDS_MAGIC: return view.byteLength >= 128 ? 'dds' : null;
+        case PVR_MAGIC: return view.byteLength >= 52 ? 'pvr' : null;
+        case ASTC_MAGIC: return 'astc';
+        case PKM_MAGIC: return 'pkm';
+        default: return null;
+    }
+}
+
+const PARSERS = {
+    ktx: parseKTX,
+    dds: parseDDS,
+    pvr: parsePVR,
+    astc: parseASTC,
+    pkm: parsePKM,
+};
+
+/**
+ * Resource for GPU-compressed textures, read from the data of a KTX, DDS, PVR, ASTC or PKM
+ * (ETC) file. The mip levels stored in the file are uploaded with the texture, they cannot be
+ * generated for compressed formats.
+ *
+ * The format needs its WebGL extension: `WEBGL_compressed_texture_s3tc` for DXT,
+ * `WEBGL_compressed_texture_pvrtc`, `WEBGL_compressed_texture_etc1`, `WEBGL_compressed_texture_etc`
+ * for ETC2 and EAC or `WEBGL_compressed_texture_astc`. The {@link PIXI.CompressedTextureLoader} can
+ * load the variant of a texture which is supported.
+ *
+ * @class
+ * @extends PIXI.resources.Resource
+ * @memberof PIXI.resources
+ */
+export default class CompressedTextureResource extends Resource
+{
+    /**
+     * @param {ArrayBuffer|Uint8Array} source - The content of the file
+     */
+    constructor(source)
+    {
+        const bytes = source instanceof ArrayBuffer
+            ? new Uint8Array(source)
+            : new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const container = detectContainer(view);
+
+        if (!container)
+        {
+            throw new Error('CompressedTextureResource source is not a KTX, DDS, PVR, ASTC or PKM file');
+        }
+
+        const { format, width, height, levels } = PARSERS[container](view, bytes);
+
+        if (!FORMAT_INFO[format])
+        {
+            throw new Error(`CompressedTextureResource format 0x${format.toString(16)} is not supported`);
+        }
+
+        super(width, height);
+
+        /**
+         * The type of file the texture was read from: `ktx`, `dds`, `pvr`, `astc` or `pkm`.
+         *
+         * @member {string}
+         * @readonly
+         */
+        this.container = container;
+
+        /**
+         * The WebGL constant of the compressed format.
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.format = format;
+
+        /**
+         * The family of the format, its WebGL extension being `WEBGL_compressed_texture_<name>`:
+         * `s3tc`, `pvrtc`, `etc1`, `etc` or `astc`.
+         *
+         * @member {string}
+         * @readonly
+         */
+        this.extension = FORMAT_INFO[format].extension;
+
+        /**
+         * The mip levels, the first one being the full size texture.
+         *
+         * @member {Array<{width: number, height: number, data: Uint8Array}>}
+         * @readonly
+         */
+        this.levels = levels;
+
+        /**
+         * The size of the levels, in bytes.
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.byteLength = levels.reduce((sum, level) => sum + level.data.byteLength, 0);
+    }
+
+    /**
+     * Upload the levels of the texture to the GPU.
+     *
+     * @param {PIXI.Renderer} renderer - Upload to the renderer
+     * @param {PIXI.BaseTexture} baseTexture - Reference to parent texture
+     * @param {PIXI.GLTexture} glTexture - The texture on the GPU
+     * @return {boolean} `true` is success, `false` if the format is not supported
+     */
+    upload(renderer, baseTexture, glTexture)
+    {
+        const gl = renderer.gl;
+
+        // the loader checks the format, the texture is left empty rather than throwing while rendering
+        if (!renderer.context.extensions[this.extension])
+        {
+            console.warn(`CompressedTextureResource needs the WEBGL_compressed_texture_${this.extension} extension`);
+
+            return false;
+        }
+
+        for (let i = 0; i < this.levels.length; i++)
+        {
+            const level = this.levels[i];
+
+            gl.compressedTexImage2D(baseTexture.target, i, this.format, level.width, level.height, 0, level.data);
+        }
+
+        glTexture.width = this.width;
+        glTexture.height = this.height;
+
+        return true;
+    }
+
+    /**
+     * Sets the style of the texture, the stored levels are used when they go down to 1x1.
+     *
+     * @param {PIXI.Renderer} renderer - The renderer
+     * @param {PIXI.BaseTexture} baseTexture - The texture
+     * @param {PIXI.GLTexture} glTexture - The texture on the GPU
+     * @return {boolean} `true` is success
+     */
+    style(renderer, baseTexture, glTexture)
+    {
+        const lastLevel = this.levels[this.levels.length - 1];
+
+        glTexture.mipmap = renderer.texture.canMipmap(baseTexture)
+            && lastLevel.width === 1 && lastLevel.height === 1;
+
+        renderer.texture.setFilters(baseTexture, glTexture);
+
+        return true;
+    }
+
+    /**
+     * Destroy and don't use after this
+     * @override
+     */
+    dispose()
+    {
+        this.levels = null;
+    }
+
+    /**
+     * Used to auto-detect the type of resource.
+     *
+     * @static
+     * @param {*} source - The source object
+     * @return {boolean} `true` if the content of a KTX, DDS, PVR, ASTC or PKM file
+     */
+    static test(source)
+    {
+        return source instanceof ArrayBuffer && !!detectContainer(new DataView(source));
+    }
+}
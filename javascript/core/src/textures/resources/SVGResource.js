@@ -10,6 +10,8 @@ import BaseImageResource from './BaseImageResource';
  * @param {object} [options] - Options to use
  * @param {number} [options.scale=1] Scale to apply to SVG.
  * @param {boolean} [options.autoLoad=true] Start loading right away.
+ * @param {boolean} [options.autoScale=false] Rasterize the SVG again when the sprites drawing it are scaled up.
+ * @param {number} [options.maxScale=4] The largest scale the SVG is rasterized at by `autoScale`.
  */
 export default class SVGResource extends BaseImageResource
 {
@@ -33,6 +35,42 @@ export default class SVGResource extends BaseImageResource
          */
         this.scale = options.scale || 1;
 
+        /**
+         * Whether the sprites drawing this resource rasterize the SVG again at a larger scale
+         * when they are scaled up, see {@link PIXI.resources.SVGResource#fitScale}.
+         * @member {boolean}
+         * @default false
+         */
+        this.autoScale = !!options.autoScale;
+
+        /**
+         * The largest scale the SVG is rasterized at by {@link PIXI.resources.SVGResource#fitScale}.
+         * @member {number}
+         * @default 4
+         */
+        this.maxScale = options.maxScale || 4;
+
+        /**
+         * The loaded SVG image, kept to rasterize it again.
+         * @private
+         * @member {HTMLImageElement}
+         */
+        this._svgImage = null;
+
+        /**
+         * The width of the SVG image.
+         * @private
+         * @member {number}
+         */
+        this._svgWidth = 0;
+
+        /**
+         * The height of the SVG image.
+         * @private
+         * @member {number}
+         */
+        this._svgHeight = 0;
+
         /**
          * Call when completedly loaded
          * @private
@@ -181,24 +219,105 @@ export default class SVGResource extends BaseImageResource
             throw new Error('The SVG image must have width and height defined (in pixels), canvas API needs them.');
         }
 
-        // Scale realWidth and realHeight
-        this._width = Math.round(svgWidth * this.scale);
-        this._height = Math.round(svgHeight * this.scale);
+        this._svgImage = tempImage;
+        this._svgWidth = svgWidth;
+        this._svgHeight = svgHeight;
+        this.source._pixiId = `canvas_${uid()}`;
+
+        this._rasterize();
+        this._resolve();
+        this._resolve = null;
+    }
 
-        // Create a canvas element
+    /**
+     * Draws the loaded SVG image to the canvas at the current scale, and resizes the canvas
+     * and the bound textures if the size changed.
+     *
+     * @private
+     */
+    _rasterize()
+    {
+        // Scale realWidth and realHeight
+        const width = Math.round(this._svgWidth * this.scale);
+        const height = Math.round(this._svgHeight * this.scale);
         const canvas = this.source;
 
-        canvas.width = this._width;
-        canvas.height = this._height;
-        canvas._pixiId = `canvas_${uid()}`;
+        canvas.width = width;
+        canvas.height = height;
 
         // Draw the Svg to the canvas
         canvas
             .getContext('2d')
-            .drawImage(tempImage, 0, 0, svgWidth, svgHeight, 0, 0, this.width, this.height);
+            .drawImage(this._svgImage, 0, 0, this._svgWidth, this._svgHeight, 0, 0, width, height);
 
-        this._resolve();
-        this._resolve = null;
+        this.resize(width, height);
+    }
+
+    /**
+     * Rasterizes the SVG again at another scale, reusing the loaded image. The bound textures keep
+     * their size, their resolution changes instead, so the frames of their textures and the sprites
+     * drawing them are not affected. Before the SVG is loaded, this only sets the scale it is
+     * rasterized at, which is then also the scale of the textures.
+     *
+     * @param {number} scale - The new scale
+     * @return {PIXI.resources.SVGResource} this
+     */
+    setScale(scale)
+    {
+        const oldScale = this.scale;
+
+        if (scale === oldScale || this.destroyed)
+        {
+            return this;
+        }
+
+        this.scale = scale;
+
+        if (!this._svgImage)
+        {
+            return this;
+        }
+
+        const baseTextures = this.onResize.items;
+
+        for (let i = 0; i < baseTextures.length; i++)
+        {
+            baseTextures[i].resolution *= scale / oldScale;
+        }
+
+        const width = this._width;
+        const height = this._height;
+
+        this._rasterize();
+
+        // the canvas is drawn again even if its size did not change
+        if (width === this._width && height === this._height)
+        {
+            this.update();
+        }
+
+        return this;
+    }
+
+    /**
+     * Rasterizes the SVG again if it is drawn at a larger scale than it was rasterized at. The scale
+     * doubles until it is large enough, up to {@link PIXI.resources.SVGResource#maxScale}, so the SVG
+     * is only rasterized again when a threshold is crossed. It is never scaled down.
+     * Called by the sprites drawing the resource when {@link PIXI.resources.SVGResource#autoScale} is set.
+     *
+     * @param {number} scale - The scale the SVG is drawn at
+     * @return {PIXI.resources.SVGResource} this
+     */
+    fitScale(scale)
+    {
+        let fitted = this.scale;
+
+        while (fitted < scale && fitted < this.maxScale)
+        {
+            fitted *= 2;
+        }
+
+        return this.setScale(Math.min(fitted, Math.max(this.maxScale, this.scale)));
     }
 
     /**
@@ -238,6 +357,7 @@ export default class SVGResource extends BaseImageResource
     {
         super.dispose();
         this._resolve = null;
+        this._svgImage = null;
     }
 
     /**
@@ -5,6 +5,7 @@ import SVGResource from './SVGResource';
 import BufferResource from './BufferResource';
 import CubeResource from './CubeResource';
 import ArrayResource from './ArrayResource';
+import CompressedTextureResource from './CompressedTextureResource';
 
 /**
  * Collection of installed resource types, class must extend {@link PIXI.resources.Resource}.
@@ -39,6 +40,7 @@ export const INSTALLED = [
     BufferResource,
     CubeResource,
     ArrayResource,
+    CompressedTextureResource,
 ];
 
 /**
@@ -52,10 +54,12 @@ export const INSTALLED = [
  *  - {@link PIXI.resources.VideoResource}
  *  - {@link PIXI.resources.SVGResource}
  *  - {@link PIXI.resources.BufferResource}
+ *  - {@link PIXI.resources.CompressedTextureResource}
  * @static
  * @function PIXI.resources.autoDetectResource
  * @param {string|*} source - Resource source, this can be the URL to the resource,
- *        a typed-array (for BufferResource), HTMLVideoElement, SVG data-uri
+ *        a typed-array (for BufferResource), the ArrayBuffer of a compressed texture file,
+ *        HTMLVideoElement, SVG data-uri
  *        or any other resource that can be auto-detected. If not resource is
  *        detected, it's assumed to be an ImageResource.
  * @param {object} [options] - Pass-through options to use for Resource
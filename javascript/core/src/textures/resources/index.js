@@ -13,6 +13,7 @@ export { default as Resource } from './Resource';
 export { default as ArrayResource } from './ArrayResource';
 export { default as BaseImageResource } from './BaseImageResource';
 export { default as BufferResource } from './BufferResource';
+export { default as CompressedTextureResource } from './CompressedTextureResource';
 export { default as CanvasResource } from './CanvasResource';
 export { default as CubeResource } from './CubeResource';
 export { default as ImageResource } from './ImageResource';
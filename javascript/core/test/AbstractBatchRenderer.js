@@ -0,0 +1,124 @@
+const { Renderer, AbstractBatchRenderer, BaseTexture, Texture, Shader, resources } = require('../');
+const { TYPES } = require('@pixi/constants');
+const { MockCanvas } = require('@pixi/webgl-mock');
+const { skipHello } = require('@pixi/utils');
+
+skipHello();
+
+describe('PIXI.AbstractBatchRenderer', function ()
+{
+    const vertex = `
+        attribute vec2 aVertexPosition;
+        attribute float aTextureId;
+        uniform mat3 projectionMatrix;
+        varying float vTextureId;
+
+        void main(void)
+        {
+            gl_Position = vec4((projectionMatrix * vec3(aVertexPosition, 1.0)).xy, 0.0, 1.0);
+            vTextureId = aTextureId;
+        }`;
+
+    const fragment = `
+        varying float vTextureId;
+
+        void main(void)
+        {
+            gl_FragColor = vec4(vTextureId);
+        }`;
+
+    class TriangleRenderer extends AbstractBatchRenderer
+    {
+        constructor(renderer)
+        {
+            super(renderer, [
+                { name: 'aVertexPosition', size: 2, type: TYPES.FLOAT },
+                { name: 'aTextureId', size: 1, type: TYPES.FLOAT },
+            ]);
+
+            this.textureIds = [];
+        }
+
+        createShader()
+        {
+            return Shader.from(vertex, fragment);
+        }
+
+        packGeometry(element, float32View, uint32View, index, textureId)
+        {
+            const vertexData = element.vertexData;
+
+            this.textureIds.push(textureId);
+
+            for (let i = 0; i < vertexData.length; i += 2, index += this.vertSize)
+            {
+                float32View[index] = vertexData[i];
+                float32View[index + 1] = vertexData[i + 1];
+                float32View[index + 2] = textureId;
+            }
+        }
+    }
+
+    function createTriangle(texture)
+    {
+        return {
+            _texture: texture,
+            vertexData: new Float32Array([0, 0, 10, 0, 0, 10]),
+            indices: new Uint16Array([0, 1, 2]),
+            blendMode: 0,
+        };
+    }
+
+    function createTexture()
+    {
+        return new Texture(new BaseTexture(new resources.BufferResource(new Uint8Array(4), { width: 1, height: 1 })));
+    }
+
+    beforeEach(function ()
+    {
+        Renderer.registerPlugin('triangle', TriangleRenderer);
+        this.renderer = new Renderer({ view: new MockCanvas(10, 10), width: 10, height: 10 });
+    });
+
+    afterEach(function ()
+    {
+        this.renderer.destroy();
+        this.renderer = null;
+        delete Renderer.__plugins.triangle;
+    });
+
+    it('should size the vertices from the vertex format', function ()
+    {
+        const batch = this.renderer.plugins.triangle;
+
+        expect(batch.vertByteSize).to.equal(12);
+        expect(batch.vertSize).to.equal(3);
+        expect(batch.vaos[0].attributes.aTextureId.size).to.equal(1);
+    });
+
+    it('should draw the elements of several textures in one draw call', function ()
+    {
+        const renderer = this.renderer;
+        const gl = renderer.gl;
+        const batch = renderer.plugins.triangle;
+        const textures = [createTexture(), createTexture()];
+
+        const draw = sinon.spy(renderer.geometry, 'draw');
+
+        gl.clearRecords();
+        renderer.batch.setObjectRenderer(batch);
+        batch.render(createTriangle(textures[0]));
+        batch.render(createTriangle(textures[1]));
+        batch.render(createTriangle(textures[0]));
+        renderer.batch.flush();
+
+        expect(gl.getError()).to.equal(gl.NO_ERROR);
+        expect(gl.counts.drawElements).to.equal(1);
+        expect(batch.textureIds).to.deep.equal([0, 1, 0]);
+        expect(draw.calledOnceWithExactly(gl.TRIANGLES, 9, 0)).to.be.true;
+
+        draw.restore();
+
+        textures.forEach((texture) => texture.destroy(true));
+    });
+});
@@ -0,0 +1,46 @@
+const { AtlasPacker } = require('../');
+
+describe('PIXI.AtlasPacker', function ()
+{
+    it('should pack rectangles without overlap', function ()
+    {
+        const packer = new AtlasPacker(64, 64);
+        const rects = [];
+
+        for (let i = 0; i < 16; i++)
+        {
+            rects.push(packer.insert(16, 16));
+        }
+
+        expect(packer.insert(1, 1)).to.be.null;
+
+        for (let i = 0; i < rects.length; i++)
+        {
+            expect(rects[i].right).to.be.at.most(64);
+            expect(rects[i].bottom).to.be.at.most(64);
+
+            for (let j = i + 1; j < rects.length; j++)
+            {
+                expect(rects[i].x >= rects[j].right || rects[j].x >= rects[i].right
+                    || rects[i].y >= rects[j].bottom || rects[j].y >= rects[i].bottom).to.be.true;
+            }
+        }
+    });
+
+    it('should reuse freed rectangles', function ()
+    {
+        const packer = new AtlasPacker(32, 16);
+        const left = packer.insert(16, 16);
+
+        packer.insert(16, 16);
+        expect(packer.insert(16, 16)).to.be.null;
+
+        packer.free(left);
+
+        expect(packer.insert(16, 16)).to.deep.equal(left);
+
+        packer.reset();
+
+        expect(packer.insert(32, 16)).to.not.be.null;
+    });
+});
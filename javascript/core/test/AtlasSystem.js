@@ -0,0 +1,162 @@
+const { Renderer, Texture, BaseTexture, resources } = require('../');
+const { Rectangle } = require('@pixi/math');
+const { MockCanvas, MockCanvasRenderingContext2D, installMockCanvas, useMockRenderer } = require('@pixi/webgl-mock');
+const { skipHello } = require('@pixi/utils');
+const { settings } = require('@pixi/settings');
+
+skipHello();
+
+describe('PIXI.systems.AtlasSystem', function ()
+{
+    const createRenderer = useMockRenderer(Renderer);
+
+    function getUploads(gl)
+    {
+        return gl.calls.filter((call) => call.name === 'texSubImage2D').map((call) => call.args);
+    }
+
+    it('should pack images in a shared page with padding', function ()
+    {
+        const renderer = createRenderer({ recordCalls: true });
+        const gl = renderer.gl;
+        const atlas = renderer.atlas;
+
+        atlas.pageSize = 64;
+        atlas.padding = 2;
+        gl.clearRecords();
+
+        const a = atlas.add(new MockCanvas(20, 10));
+        const b = atlas.add(new MockCanvas(8, 8), { padding: 0 });
+        const uploads = getUploads(gl);
+
+        expect(atlas.pages).to.have.lengthOf(1);
+        expect(a.baseTexture).to.equal(b.baseTexture);
+        expect(a.baseTexture.width).to.equal(64);
+        expect(a.frame.width).to.equal(20);
+        expect(a.frame.height).to.equal(10);
+        expect(uploads).to.have.lengthOf(2);
+        expect(uploads[0].slice(2, 4)).to.deep.equal([a.frame.x - 2, a.frame.y - 2]);
+        expect(uploads[0][6].width).to.equal(24);
+        expect(uploads[1].slice(2, 4)).to.deep.equal([b.frame.x, b.frame.y]);
+        expect(gl.getError()).to.equal(gl.NO_ERROR);
+    });
+
+    it('should keep the orig and trim of textures and extrude their edges', function ()
+    {
+        const renderer = createRenderer({ recordCalls: true });
+        const source = new Texture(
+            new BaseTexture(new resources.CanvasResource(new MockCanvas(32, 32))),
+            new Rectangle(8, 8, 10, 12),
+            new Rectangle(0, 0, 16, 16),
+            new Rectangle(3, 2, 10, 12)
+        );
+        // the atlas draws the entries on a canvas of its own
+        const uninstall = installMockCanvas();
+        const drawImage = sinon.spy(MockCanvasRenderingContext2D.prototype, 'drawImage');
+        let texture;
+
+        try
+        {
+            texture = renderer.atlas.add(source, { padding: 1, extrude: 2 });
+        }
+        finally
+        {
+            drawImage.restore();
+            uninstall();
+        }
+
+        expect(texture.frame.width).to.equal(10);
+        expect(texture.orig).to.deep.equal(source.orig);
+        expect(texture.trim).to.deep.equal(source.trim);
+        expect(drawImage.callCount).to.equal(9);
+        expect(drawImage.firstCall.args.slice(1)).to.deep.equal([8, 8, 10, 12, 3, 3, 10, 12]);
+        expect(drawImage.secondCall.args.slice(1)).to.deep.equal([8, 8, 1, 12, 1, 3, 2, 12]);
+        expect(renderer.atlas.pages[0].entries[0].rect.width).to.equal(16);
+    });
+
+    it('should pack high resolution textures in pixels on pages at resolution 1', function ()
+    {
+        const renderer = createRenderer({ recordCalls: true });
+        const gl = renderer.gl;
+        const resolution = settings.RESOLUTION;
+        const source = new Texture(
+            new BaseTexture(new resources.CanvasResource(new MockCanvas(32, 32)), { resolution: 2 }),
+            new Rectangle(4, 4, 5, 6)
+        );
+        const uninstall = installMockCanvas();
+        const drawImage = sinon.spy(MockCanvasRenderingContext2D.prototype, 'drawImage');
+        let texture;
+
+        settings.RESOLUTION = 2;
+        gl.clearRecords();
+
+        try
+        {
+            texture = renderer.atlas.add(source, { padding: 0, extrude: 0 });
+        }
+        finally
+        {
+            settings.RESOLUTION = resolution;
+            drawImage.restore();
+            uninstall();
+        }
+
+        const uploads = getUploads(gl);
+
+        expect(texture.baseTexture.resolution).to.equal(1);
+        expect(texture.frame.width).to.equal(10);
+        expect(texture.frame.height).to.equal(12);
+        expect(texture.orig.width).to.equal(10);
+        expect(drawImage.firstCall.args.slice(1)).to.deep.equal([8, 8, 10, 12, 0, 0, 10, 12]);
+        expect(uploads).to.have.lengthOf(1);
+        expect(uploads[0].slice(2, 4)).to.deep.equal([texture.frame.x, texture.frame.y]);
+    });
+
+    it('should open new pages and repack removed space', function ()
+    {
+        const renderer = createRenderer({ recordCalls: true });
+        const atlas = renderer.atlas;
+
+        atlas.pageSize = 32;
+        atlas.padding = 0;
+
+        const a = atlas.add(new MockCanvas(32, 16));
+        const b = atlas.add(new MockCanvas(32, 16));
+        const c = atlas.add(new MockCanvas(32, 16));
+        const listener = sinon.spy();
+
+        expect(atlas.pages).to.have.lengthOf(2);
+        expect(c.baseTexture).to.not.equal(a.baseTexture);
+        expect(() => atlas.add(new MockCanvas(33, 1))).to.throw(Error, /larger than the pages/);
+
+        atlas.remove(a);
+        atlas.remove(b);
+
+        expect(a.baseTexture).to.be.null;
+
+        c.on('update', listener);
+        atlas.repack();
+
+        expect(atlas.pages).to.have.lengthOf(1);
+        expect(c.baseTexture).to.equal(atlas.pages[0].baseTexture);
+        expect(listener.calledOnce).to.be.true;
+    });
+
+    it('should upload the pages again when the context is restored', function ()
+    {
+        const renderer = createRenderer({ recordCalls: true });
+        const gl = renderer.gl;
+        const texture = renderer.atlas.add(new MockCanvas(10, 10));
+        const extension = gl.getExtension('WEBGL_lose_context');
+
+        renderer.texture.bind(texture);
+        gl.clearRecords();
+        extension.loseContext();
+        extension.restoreContext();
+
+        expect(getUploads(gl)).to.have.lengthOf(1);
+        expect(texture.baseTexture.contentLost).to.be.false;
+        expect(renderer.texture.lostRenderTextures).to.not.include(texture.baseTexture);
+        expect(texture.baseTexture._glTextures[renderer.CONTEXT_UID]).to.exist;
+    });
+});
@@ -0,0 +1,174 @@
+const { Renderer, BaseTexture, resources } = require('../');
+const { MockCanvas } = require('@pixi/webgl-mock');
+const { skipHello } = require('@pixi/utils');
+const { CompressedTextureResource, autoDetectResource } = resources;
+
+skipHello();
+
+describe('PIXI.resources.CompressedTextureResource', function ()
+{
+    const COMPRESSED_RGB_S3TC_DXT1_EXT = 0x83F0;
+    const COMPRESSED_RGBA_S3TC_DXT5_EXT = 0x83F3;
+    const COMPRESSED_RGBA_PVRTC_4BPPV1_IMG = 0x8C02;
+    const COMPRESSED_RGBA_ASTC_4x4_KHR = 0x93B0;
+
+    function createKTX(format, width, height, levelSizes)
+    {
+        const size = levelSizes.reduce((sum, levelSize) => sum + 4 + ((levelSize + 3) & ~3), 64 + 8);
+        const buffer = new ArrayBuffer(size);
+        const view = new DataView(buffer);
+
+        [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x31, 0x31, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A]
+            .forEach((byte, i) => view.setUint8(i, byte));
+        view.setUint32(12, 0x04030201, true);
+        view.setUint32(28, format, true);
+        view.setUint32(36, width, true);
+        view.setUint32(40, height, true);
+        view.setUint32(56, levelSizes.length, true);
+        view.setUint32(60, 8, true);
+
+        let offset = 72;
+
+        levelSizes.forEach((levelSize) =>
+        {
+            view.setUint32(offset, levelSize, true);
+            offset += 4 + ((levelSize + 3) & ~3);
+        });
+
+        return buffer;
+    }
+
+    function createDDS(fourCC, width, height, levelCount, size)
+    {
+        const buffer = new ArrayBuffer(128 + size);
+        const view = new DataView(buffer);
+
+        view.setUint32(0, 0x20534444, true);
+        view.setUint32(8, 0x20000, true);
+        view.setUint32(12, height, true);
+        view.setUint32(16, width, true);
+        view.setUint32(28, levelCount, true);
+        view.setUint32(80, 0x4, true);
+        fourCC.split('').forEach((char, i) => view.setUint8(84 + i, char.charCodeAt(0)));
+
+        return buffer;
+    }
+
+    function createPVR(pixelFormat, width, height, levelCount, size)
+    {
+        const buffer = new ArrayBuffer(52 + size);
+        const view = new DataView(buffer);
+
+        view.setUint32(0, 0x03525650, true);
+        view.setUint32(8, pixelFormat, true);
+        view.setUint32(24, height, true);
+        view.setUint32(28, width, true);
+        view.setUint32(36, 1, true);
+        view.setUint32(40, 1, true);
+        view.setUint32(44, levelCount, true);
+
+        return buffer;
+    }
+
+    afterEach(function ()
+    {
+        if (this.renderer)
+        {
+            this.renderer.destroy();
+            this.renderer = null;
+        }
+    });
+
+    it('should read the levels of a KTX file', function ()
+    {
+        const resource = new CompressedTextureResource(createKTX(COMPRESSED_RGBA_ASTC_4x4_KHR, 8, 8, [64, 16, 16, 16]));
+
+        expect(resource.container).to.equal('ktx');
+        expect(resource.format).to.equal(COMPRESSED_RGBA_ASTC_4x4_KHR);
+        expect(resource.extension).to.equal('astc');
+        expect(resource.width).to.equal(8);
+        expect(resource.height).to.equal(8);
+        expect(resource.levels.map((level) => [level.width, level.height, level.data.byteLength]))
+            .to.deep.equal([[8, 8, 64], [4, 4, 16], [2, 2, 16], [1, 1, 16]]);
+        expect(resource.byteLength).to.equal(112);
+    });
+
+    it('should compute the levels of DDS and PVR files', function ()
+    {
+        const dds = new CompressedTextureResource(createDDS('DXT5', 16, 8, 3, 128 + 32 + 16));
+        const dxt1 = new CompressedTextureResource(createDDS('DXT1', 4, 4, 1, 8));
+        const pvr = new CompressedTextureResource(createPVR(3, 16, 16, 2, 128 + 32));
+
+        expect(dds.format).to.equal(COMPRESSED_RGBA_S3TC_DXT5_EXT);
+        expect(dds.levels.map((level) => level.data.byteLength)).to.deep.equal([128, 32, 16]);
+        expect(dxt1.format).to.equal(COMPRESSED_RGB_S3TC_DXT1_EXT);
+        expect(pvr.format).to.equal(COMPRESSED_RGBA_PVRTC_4BPPV1_IMG);
+        expect(pvr.extension).to.equal('pvrtc');
+        expect(pvr.levels.map((level) => level.data.byteLength)).to.deep.equal([128, 32]);
+    });
+
+    it('should be auto-detected from the content of a file', function ()
+    {
+        const buffer = createDDS('DXT1', 4, 4, 1, 8);
+
+        expect(CompressedTextureResource.test(buffer)).to.be.true;
+        expect(CompressedTextureResource.test(new ArrayBuffer(128))).to.be.false;
+        expect(autoDetectResource(buffer)).to.be.an.instanceof(CompressedTextureResource);
+        expect(() => new CompressedTextureResource(new ArrayBuffer(128))).to.throw(Error, /not a KTX/);
+    });
+
+    it('should upload the levels with compressedTexImage2D', function ()
+    {
+        const renderer = this.renderer = new Renderer({ view: new MockCanvas(10, 10), width: 10, height: 10 });
+        const gl = renderer.gl;
+        const resource = new CompressedTextureResource(createKTX(COMPRESSED_RGBA_ASTC_4x4_KHR, 8, 8, [64, 16, 16, 16]));
+        const baseTexture = new BaseTexture(resource);
+
+        gl.clearRecords();
+        renderer.texture.bind(baseTexture);
+
+        expect(gl.getError()).to.equal(gl.NO_ERROR);
+        expect(gl.counts.compressedTexImage2D).to.equal(4);
+        expect(gl.counts.generateMipmap).to.be.undefined;
+        expect(gl.getTexParameter(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER)).to.equal(gl.LINEAR_MIPMAP_LINEAR);
+        expect(renderer.texture.memoryUsage.types.compressed).to.equal(112);
+
+        baseTexture.destroy();
+    });
+
+    it('should leave the texture empty when the extension of the format is not supported', function ()
+    {
+        const renderer = this.renderer = new Renderer({
+            view: new MockCanvas(10, 10, {
+                webGLVersion: 1,
+                extensions: ['ANGLE_instanced_arrays', 'OES_vertex_array_object', 'WEBGL_compressed_texture_pvrtc'],
+            }),
+            width: 10,
+            height: 10,
+        });
+        const baseTexture = new BaseTexture(new CompressedTextureResource(createDDS('DXT1', 4, 4, 1, 8)));
+
+        const gl = renderer.gl;
+        const warn = sinon.stub(console, 'warn');
+
+        expect(renderer.context.extensions.pvrtc).to.not.be.null;
+
+        gl.clearRecords();
+
+        try
+        {
+            renderer.texture.bind(baseTexture);
+        }
+        finally
+        {
+            warn.restore();
+        }
+
+        expect(warn).to.have.been.calledWithMatch(/WEBGL_compressed_texture_s3tc/);
+        expect(gl.counts.compressedTexImage2D).to.be.undefined;
+        expect(gl.counts.texImage2D).to.equal(1);
+        expect(gl.getError()).to.equal(gl.NO_ERROR);
+
+        baseTexture.destroy();
+    });
+});
@@ -0,0 +1,147 @@
+const { Renderer, Shader, Geometry, BaseTexture, Texture, RenderTexture } = require('../');
+const { useMockRenderer } = require('@pixi/webgl-mock');
+const { skipHello } = require('@pixi/utils');
+
+skipHello();
+
+describe('PIXI.systems.ContextSystem', function ()
+{
+    const createRenderer = useMockRenderer(Renderer);
+
+    function draw(renderer, shader, geometry, renderTexture)
+    {
+        renderer.renderTexture.bind(renderTexture);
+        renderer.shader.bind(shader);
+        renderer.geometry.bind(geometry, shader);
+        renderer.geometry.draw(renderer.gl.TRIANGLES);
+    }
+
+    beforeEach(function ()
+    {
+        this.shader = Shader.from(`
+            attribute vec2 aVertexPosition;
+            varying vec2 vTextureCoord;
+            void main(void)
+            {
+                vTextureCoord = aVertexPosition;
+                gl_Position = vec4(aVertexPosition, 0.0, 1.0);
+            }`, `
+            varying vec2 vTextureCoord;
+            uniform sampler2D uSampler;
+            void main(void)
+            {
+                gl_FragColor = texture2D(uSampler, vTextureCoord);
+            }`, {
+            uSampler: new Texture(BaseTexture.fromBuffer(new Uint8Array(16), 2, 2)),
+        });
+        this.geometry = new Geometry()
+            .addAttribute('aVertexPosition', [0, 0, 1, 0, 1, 1], 2)
+            .addIndex([0, 1, 2]);
+        this.renderTexture = RenderTexture.create({ width: 10, height: 10 });
+    });
+
+    afterEach(function ()
+    {
+        this.renderTexture.destroy(true);
+    });
+
+    it('should forget the objects of a lost context', function ()
+    {
+        const renderer = createRenderer();
+        const gl = renderer.gl;
+        const baseTexture = this.shader.uniforms.uSampler.baseTexture;
+        const onLost = sinon.spy();
+
+        draw(renderer, this.shader, this.geometry, this.renderTexture);
+
+        const CONTEXT_UID = renderer.CONTEXT_UID;
+
+        renderer.on('contextLost', onLost);
+        gl.getExtension('WEBGL_lose_context').loseContext();
+
+        expect(onLost.calledOnce).to.be.true;
+        expect(renderer.context.isLost).to.be.true;
+        expect(renderer.texture.managedTextures).to.be.empty;
+        expect(baseTexture._glTextures[CONTEXT_UID]).to.be.undefined;
+        expect(this.renderTexture.baseTexture.contentLost).to.be.true;
+        expect(renderer.texture.lostRenderTextures).to.deep.equal([this.renderTexture.baseTexture]);
+        expect(this.geometry.buffers[0]._glBuffers[CONTEXT_UID]).to.be.undefined;
+        expect(this.geometry.indexBuffer._glBuffers[CONTEXT_UID]).to.be.undefined;
+        expect(this.geometry.glVertexArrayObjects[CONTEXT_UID]).to.be.undefined;
+        expect(this.shader.program.glPrograms[CONTEXT_UID]).to.be.undefined;
+        expect(renderer.geometry.managedBuffers).to.be.empty;
+        expect(renderer.geometry.managedGeometries).to.be.empty;
+        expect(renderer.shader.managedPrograms).to.be.empty;
+    });
+
+    it('should delete the webgl objects of destroyed geometries', function ()
+    {
+        const renderer = createRenderer();
+        const gl = renderer.gl;
+        const buffer = this.geometry.buffers[0];
+
+        draw(renderer, this.shader, this.geometry, null);
+        gl.clearRecords();
+        this.geometry.destroy();
+
+        expect(gl.counts.deleteBuffer).to.equal(2);
+        expect(gl.counts.deleteVertexArray).to.equal(1);
+        expect(buffer._glBuffers).to.be.empty;
+        expect(renderer.geometry.managedBuffers).to.be.empty;
+        expect(renderer.geometry.managedGeometries).to.be.empty;
+    });
+
+    it('should create everything again when the context is restored', function ()
+    {
+        const renderer = createRenderer();
+        const gl = renderer.gl;
+        const ext = gl.getExtension('WEBGL_lose_context');
+        const onRestored = sinon.spy();
+
+        draw(renderer, this.shader, this.geometry, this.renderTexture);
+
+        const CONTEXT_UID = renderer.CONTEXT_UID;
+
+        renderer.on('contextRestored', onRestored);
+        ext.loseContext();
+        ext.restoreContext();
+
+        expect(renderer.context.isLost).to.be.false;
+        expect(renderer.CONTEXT_UID).to.not.equal(CONTEXT_UID);
+        expect(gl.isEnabled(gl.BLEND)).to.be.true;
+        expect(onRestored.calledOnce).to.be.true;
+        expect(onRestored.firstCall.args[0]).to.deep.equal([this.renderTexture.baseTexture]);
+
+        gl.clearRecords();
+        draw(renderer, this.shader, this.geometry, this.renderTexture);
+
+        expect(gl.getError()).to.equal(gl.NO_ERROR);
+        expect(gl.drawCalls).to.have.lengthOf(1);
+        expect(gl.counts.createProgram).to.equal(1);
+        expect(Object.keys(this.shader.program.glPrograms)).to.deep.equal([`${renderer.CONTEXT_UID}`]);
+        expect(Object.keys(this.geometry.indexBuffer._glBuffers)).to.deep.equal([`${renderer.CONTEXT_UID}`]);
+        expect(gl.counts.createFramebuffer).to.equal(1);
+        expect(gl.counts.bufferData).to.equal(2);
+        expect(gl.counts.texImage2D).to.be.at.least(2);
+        expect(this.renderTexture.baseTexture.contentLost).to.be.false;
+    });
+
+    it('should enable the WebGL 1 extensions again when the context is restored', function ()
+    {
+        const renderer = createRenderer({ webGLVersion: 1 });
+        const gl = renderer.gl;
+        const ext = gl.getExtension('WEBGL_lose_context');
+
+        draw(renderer, this.shader, this.geometry, null);
+        ext.loseContext();
+        ext.restoreContext();
+
+        gl.clearRecords();
+        draw(renderer, this.shader, this.geometry, this.renderTexture);
+
+        expect(gl.getError()).to.equal(gl.NO_ERROR);
+        expect(renderer.context.extensions.vertexArrayObject).to.equal(gl.getExtension('OES_vertex_array_object'));
+        expect(gl.counts.createVertexArrayOES).to.equal(1);
+        expect(gl.drawCalls).to.have.lengthOf(1);
+    });
+});
@@ -0,0 +1,263 @@
+const { Renderer, RenderTexture, FrameBuffer, Shader, QuadUv, Texture } = require('../');
+const { MSAA_QUALITY, TYPES, FORMATS } = require('@pixi/constants');
+const { useMockRenderer } = require('@pixi/webgl-mock');
+const { skipHello } = require('@pixi/utils');
+
+skipHello();
+
+describe('PIXI.systems.FramebufferSystem', function ()
+{
+    const createRenderer = useMockRenderer(Renderer);
+
+    function getAttachment(gl, attachment)
+    {
+        return gl.getFramebufferAttachmentParameter(gl.FRAMEBUFFER, attachment,
+            gl.FRAMEBUFFER_ATTACHMENT_OBJECT_NAME);
+    }
+
+    it('should create a color texture for each render target', function ()
+    {
+        const renderTexture = RenderTexture.create({ width: 10, height: 20, resolution: 2, colorTextures: 3 });
+        const colorTextures = renderTexture.baseTexture.colorTextures;
+
+        expect(colorTextures).to.have.lengthOf(3);
+        expect(colorTextures[0]).to.equal(renderTexture.baseTexture);
+        expect(colorTextures[2].width).to.equal(10);
+        expect(colorTextures[2].height).to.equal(20);
+        expect(colorTextures[2].resolution).to.equal(2);
+
+        renderTexture.destroy(true);
+    });
+
+    it('should draw to every color texture on WebGL 2', function ()
+    {
+        const renderer = createRenderer();
+        const gl = renderer.gl;
+        const renderTexture = RenderTexture.create({ width: 10, height: 10, colorTextures: 2 });
+        const colorTextures = renderTexture.baseTexture.colorTextures;
+
+        expect(renderer.framebuffer.maxDrawBuffers).to.equal(8);
+
+        renderer.renderTexture.bind(renderTexture);
+
+        expect(gl.getError()).to.equal(gl.NO_ERROR);
+        expect(getAttachment(gl, gl.COLOR_ATTACHMENT1))
+            .to.equal(colorTextures[1]._glTextures[renderer.CONTEXT_UID].texture);
+        expect(gl.getParameter(gl.DRAW_BUFFER0)).to.equal(gl.COLOR_ATTACHMENT0);
+        expect(gl.getParameter(gl.DRAW_BUFFER0 + 1)).to.equal(gl.COLOR_ATTACHMENT1);
+    });
+
+    it('should draw to every color texture on WebGL 1 with WEBGL_draw_buffers', function ()
+    {
+        const renderer = createRenderer({ webGLVersion: 1 });
+        const gl = renderer.gl;
+        const renderTexture = RenderTexture.create({ width: 10, height: 10, colorTextures: 2 });
+
+        expect(renderer.framebuffer.maxDrawBuffers).to.equal(8);
+
+        gl.clearRecords();
+        renderer.renderTexture.bind(renderTexture);
+
+        expect(gl.getError()).to.equal(gl.NO_ERROR);
+        expect(gl.counts.drawBuffersWEBGL).to.equal(1);
+        expect(getAttachment(gl, gl.COLOR_ATTACHMENT0 + 1)).to.not.be.null;
+    });
+
+    it('should only draw to the first color texture without multiple render targets', function ()
+    {
+        const renderer = createRenderer({
+            webGLVersion: 1,
+            extensions: ['ANGLE_instanced_arrays', 'OES_vertex_array_object'],
+        });
+        const gl = renderer.gl;
+        const renderTexture = RenderTexture.create({ width: 10, height: 10, colorTextures: 2 });
+
+        expect(renderer.framebuffer.maxDrawBuffers).to.equal(1);
+
+        renderer.renderTexture.bind(renderTexture);
+
+        expect(gl.getError()).to.equal(gl.NO_ERROR);
+        expect(getAttachment(gl, gl.COLOR_ATTACHMENT0)).to.not.be.null;
+        expect(gl.counts.drawBuffersWEBGL).to.be.undefined;
+    });
+
+    it('should let shaders write to gl_FragData', function ()
+    {
+        const renderer = createRenderer({ webGLVersion: 1 });
+        const gl = renderer.gl;
+        const renderTexture = RenderTexture.create({ width: 10, height: 10, colorTextures: 2 });
+        const shader = Shader.from(`
+            attribute vec2 aVertexPosition;
+            attribute vec2 aTextureCoord;
+            varying vec2 vTextureCoord;
+            void main(void)
+            {
+                vTextureCoord = aTextureCoord;
+                gl_Position = vec4(aVertexPosition, 0.0, 1.0);
+            }`, `#extension GL_EXT_draw_buffers : require
+            varying vec2 vTextureCoord;
+            uniform sampler2D uSampler;
+            void main(void)
+            {
+                gl_FragData[0] = texture2D(uSampler, vTextureCoord);
+                gl_FragData[1] = vec4(vTextureCoord, 0.0, 1.0);
+            }`, { uSampler: Texture.WHITE });
+        const quad = new QuadUv();
+
+        expect(shader.program.fragmentSrc).to.match(/^#extension GL_EXT_draw_buffers : require\nprecision \w+ float;/);
+
+        gl.clearRecords();
+        renderer.renderTexture.bind(renderTexture);
+        renderer.shader.bind(shader);
+        renderer.geometry.bind(quad, shader);
+        renderer.geometry.draw(gl.TRIANGLES);
+
+        expect(gl.getError()).to.equal(gl.NO_ERROR);
+        expect(gl.drawCalls).to.have.lengthOf(1);
+        expect(gl.drawCalls[0].framebuffer)
+            .to.equal(renderTexture.baseTexture.frameBuffer.glFrameBuffers[renderer.CONTEXT_UID].framebuffer);
+    });
+
+    it('should render multisampled and resolve when unbound on WebGL 2', function ()
+    {
+        const renderer = createRenderer();
+        const gl = renderer.gl;
+        const renderTexture = RenderTexture.create({ width: 10, height: 10, multisample: MSAA_QUALITY.MEDIUM });
+        const baseTexture = renderTexture.baseTexture;
+
+        renderer.renderTexture.bind(renderTexture);
+
+        const fbo = baseTexture.frameBuffer.glFrameBuffers[renderer.CONTEXT_UID];
+
+        expect(fbo.multisample).to.equal(4);
+        expect(gl.getRenderbufferParameter(gl.RENDERBUFFER, gl.RENDERBUFFER_SAMPLES)).to.equal(4);
+        expect(getAttachment(gl, gl.COLOR_ATTACHMENT0)).to.equal(fbo.msaaBuffers[0]);
+
+        gl.clearRecords();
+        renderer.renderTexture.bind(null);
+
+        expect(gl.getError()).to.equal(gl.NO_ERROR);
+        expect(gl.counts.blitFramebuffer).to.equal(1);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, fbo.blitFramebuffer);
+        expect(getAttachment(gl, gl.COLOR_ATTACHMENT0))
+            .to.equal(baseTexture._glTextures[renderer.CONTEXT_UID].texture);
+    });
+
+    it('should resolve every render target of a multisampled framebuffer', function ()
+    {
+        const renderer = createRenderer();
+        const gl = renderer.gl;
+        const renderTexture = RenderTexture.create({
+            width: 10,
+            height: 10,
+            multisample: MSAA_QUALITY.HIGH,
+            colorTextures: 2,
+        });
+
+        renderer.renderTexture.bind(renderTexture);
+        gl.clearRecords();
+        renderer.framebuffer.resolve();
+
+        expect(gl.getError()).to.equal(gl.NO_ERROR);
+        expect(gl.counts.blitFramebuffer).to.equal(2);
+        expect(gl.getParameter(gl.READ_FRAMEBUFFER_BINDING))
+            .to.equal(renderTexture.baseTexture.frameBuffer.glFrameBuffers[renderer.CONTEXT_UID].blitFramebuffer);
+    });
+
+    it('should render to the texture directly when multisampling is not supported', function ()
+    {
+        const renderer = createRenderer({ webGLVersion: 1 });
+        const gl = renderer.gl;
+        const renderTexture = RenderTexture.create({ width: 10, height: 10, multisample: MSAA_QUALITY.HIGH });
+        const baseTexture = renderTexture.baseTexture;
+
+        expect(renderer.framebuffer.maxSamples).to.equal(0);
+
+        renderer.renderTexture.bind(renderTexture);
+        gl.clearRecords();
+        renderer.renderTexture.bind(null);
+
+        expect(gl.getError()).to.equal(gl.NO_ERROR);
+        expect(baseTexture.frameBuffer.glFrameBuffers[renderer.CONTEXT_UID].multisample).to.equal(0);
+        expect(gl.counts.blitFramebuffer).to.be.undefined;
+    });
+
+    it('should attach depth textures on WebGL 2', function ()
+    {
+        const renderer = createRenderer();
+        const gl = renderer.gl;
+        const framebuffer = new FrameBuffer(10, 10).addColorTexture(0).addDepthTexture();
+
+        renderer.framebuffer.bind(framebuffer);
+
+        expect(gl.getError()).to.equal(gl.NO_ERROR);
+        expect(gl.checkFramebufferStatus(gl.FRAMEBUFFER)).to.equal(gl.FRAMEBUFFER_COMPLETE);
+        expect(getAttachment(gl, gl.DEPTH_ATTACHMENT))
+            .to.equal(framebuffer.depthTexture._glTextures[renderer.CONTEXT_UID].texture);
+    });
+
+    it('should render to half float textures with sized formats on WebGL 2', function ()
+    {
+        const renderer = createRenderer({ recordCalls: true });
+        const gl = renderer.gl;
+        const renderTexture = RenderTexture.create({
+            width: 10,
+            height: 10,
+            type: renderer.texture.findRenderableType([TYPES.HALF_FLOAT], true),
+            multisample: MSAA_QUALITY.MEDIUM,
+        });
+
+        renderer.renderTexture.bind(renderTexture);
+
+        const texImage2D = gl.calls.filter((call) => call.name === 'texImage2D').pop();
+
+        expect(gl.getError()).to.equal(gl.NO_ERROR);
+        expect(renderTexture.baseTexture.type).to.equal(TYPES.HALF_FLOAT);
+        expect(texImage2D.args[2]).to.equal(gl.RGBA16F);
+        expect(texImage2D.args[7]).to.equal(gl.HALF_FLOAT);
+        expect(gl.getRenderbufferParameter(gl.RENDERBUFFER, gl.RENDERBUFFER_INTERNAL_FORMAT)).to.equal(gl.RGBA16F);
+    });
+
+    it('should tell which float textures can be rendered to', function ()
+    {
+        const renderer = createRenderer({
+            webGLVersion: 1,
+            extensions: ['ANGLE_instanced_arrays', 'OES_vertex_array_object', 'OES_texture_float'],
+        });
+
+        expect(renderer.texture.getTypeSupport(TYPES.FLOAT))
+            .to.deep.equal({ texture: true, linear: false, renderable: false });
+        expect(renderer.texture.getTypeSupport(TYPES.HALF_FLOAT))
+            .to.deep.equal({ texture: false, linear: false, renderable: false });
+        expect(renderer.texture.getTypeSupport(TYPES.UNSIGNED_BYTE).renderable).to.be.true;
+        expect(renderer.texture.findRenderableType([TYPES.FLOAT, TYPES.HALF_FLOAT])).to.equal(TYPES.UNSIGNED_BYTE);
+
+        const floatTexture = RenderTexture.create({ width: 10, height: 10, type: TYPES.FLOAT });
+        const halfFloatTexture = RenderTexture.create({ width: 10, height: 10, type: TYPES.HALF_FLOAT });
+
+        expect(() => renderer.renderTexture.bind(floatTexture)).to.throw(Error, /WEBGL_color_buffer_float/);
+        expect(() => renderer.renderTexture.bind(halfFloatTexture)).to.throw(Error, /OES_texture_half_float/);
+
+        floatTexture.destroy(true);
+        halfFloatTexture.destroy(true);
+    });
+
+    it('should not attach float textures of formats which cannot be rendered to', function ()
+    {
+        const renderer = createRenderer({ recordCalls: true });
+        const gl = renderer.gl;
+        const renderTexture = RenderTexture.create({ width: 10, height: 10, type: TYPES.FLOAT, format: FORMATS.RGB });
+
+        expect(renderer.texture.getTypeSupport(TYPES.FLOAT).renderable).to.be.true;
+        expect(renderer.texture.getTypeSupport(TYPES.FLOAT, FORMATS.RGB).renderable).to.be.false;
+        expect(renderer.texture.findRenderableType([TYPES.FLOAT], false, FORMATS.RGB)).to.equal(TYPES.UNSIGNED_BYTE);
+
+        gl.clearRecords();
+
+        expect(() => renderer.renderTexture.bind(renderTexture)).to.throw(Error, /format other than RGBA/);
+        expect(gl.calls.filter((call) => call.name === 'framebufferTexture2D')).to.be.empty;
+
+        renderTexture.destroy(true);
+    });
+});
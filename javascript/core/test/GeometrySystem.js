@@ -0,0 +1,96 @@
+const { Renderer, Shader, Filter, Geometry } = require('../');
+const { useMockRenderer } = require('@pixi/webgl-mock');
+const { skipHello } = require('@pixi/utils');
+
+skipHello();
+
+describe('PIXI.systems.GeometrySystem', function ()
+{
+    const createRenderer = useMockRenderer(Renderer);
+
+    function drawIndexed(renderer, indices, start)
+    {
+        const shader = Shader.from(Filter.defaultVertexSrc, Filter.defaultFragmentSrc);
+        const geometry = new Geometry()
+            .addAttribute('aVertexPosition', [0, 0, 1, 0, 1, 1, 0, 1], 2)
+            .addAttribute('aTextureCoord', [0, 0, 1, 0, 1, 1, 0, 1], 2)
+            .addIndex(indices);
+
+        renderer.shader.bind(shader);
+        renderer.geometry.bind(geometry, shader);
+        renderer.geometry.draw(renderer.gl.TRIANGLES, 3, start);
+    }
+
+    it('should draw 8 bit indices as unsigned bytes', function ()
+    {
+        const renderer = createRenderer();
+        const gl = renderer.gl;
+
+        gl.clearRecords();
+        drawIndexed(renderer, new Uint8Array([0, 1, 2, 0, 2, 3]), 3);
+
+        expect(gl.getError()).to.equal(gl.NO_ERROR);
+        expect(gl.drawCalls[0].type).to.equal(gl.UNSIGNED_BYTE);
+        expect(gl.drawCalls[0].offset).to.equal(3);
+    });
+
+    it('should draw 16 bit indices as unsigned shorts', function ()
+    {
+        const renderer = createRenderer();
+        const gl = renderer.gl;
+
+        gl.clearRecords();
+        drawIndexed(renderer, new Uint16Array([0, 1, 2, 0, 2, 3]), 3);
+
+        expect(gl.drawCalls[0].type).to.equal(gl.UNSIGNED_SHORT);
+        expect(gl.drawCalls[0].offset).to.equal(6);
+    });
+
+    it('should draw 32 bit indices as unsigned ints on WebGL 2', function ()
+    {
+        const renderer = createRenderer();
+        const gl = renderer.gl;
+
+        expect(renderer.geometry.canUseUInt32ElementIndex).to.be.true;
+
+        gl.clearRecords();
+        drawIndexed(renderer, new Uint32Array([0, 1, 2, 0, 2, 3]), 3);
+
+        expect(gl.getError()).to.equal(gl.NO_ERROR);
+        expect(gl.drawCalls[0].type).to.equal(gl.UNSIGNED_INT);
+        expect(gl.drawCalls[0].offset).to.equal(12);
+    });
+
+    it('should draw 32 bit indices on WebGL 1 with OES_element_index_uint', function ()
+    {
+        const renderer = createRenderer({ webGLVersion: 1 });
+        const gl = renderer.gl;
+
+        expect(renderer.context.extensions.uint32ElementIndex).to.be.ok;
+        expect(renderer.geometry.canUseUInt32ElementIndex).to.be.true;
+
+        gl.clearRecords();
+        drawIndexed(renderer, new Uint32Array([0, 1, 2, 0, 2, 3]));
+
+        expect(gl.getError()).to.equal(gl.NO_ERROR);
+        expect(gl.drawCalls[0].type).to.equal(gl.UNSIGNED_INT);
+    });
+
+    it('should throw when 32 bit indices are not supported', function ()
+    {
+        const renderer = createRenderer({
+            webGLVersion: 1,
+            extensions: ['ANGLE_instanced_arrays', 'OES_vertex_array_object'],
+        });
+
+        expect(renderer.geometry.canUseUInt32ElementIndex).to.be.false;
+        expect(() => drawIndexed(renderer, new Uint32Array([0, 1, 2]))).to.throw(/OES_element_index_uint/);
+        expect(renderer.gl.drawCalls).to.be.empty;
+    });
+
+    it('should create 32 bit index buffers from arrays with large indices', function ()
+    {
+        expect(new Geometry().addIndex([0, 1, 2]).indexBuffer.data).to.be.instanceof(Uint16Array);
+        expect(new Geometry().addIndex([0, 1, 70000]).indexBuffer.data).to.be.instanceof(Uint32Array);
+    });
+});
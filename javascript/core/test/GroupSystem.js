@@ -0,0 +1,125 @@
+const { Renderer } = require('../');
+const { Container } = require('@pixi/display');
+const { BLEND_MODES } = require('@pixi/constants');
+const { Rectangle } = require('@pixi/math');
+const { MockCanvas } = require('@pixi/webgl-mock');
+const { skipHello } = require('@pixi/utils');
+
+skipHello();
+
+describe('PIXI.systems.GroupSystem', function ()
+{
+    beforeEach(function ()
+    {
+        this.renderer = new Renderer({ view: new MockCanvas(10, 10), width: 10, height: 10 });
+    });
+
+    afterEach(function ()
+    {
+        this.renderer.destroy();
+        this.renderer = null;
+    });
+
+    function createGroup(alpha)
+    {
+        const group = new Container();
+
+        group.groupAlpha = true;
+        group.alpha = alpha;
+        group.filterArea = new Rectangle(0, 0, 4, 4);
+
+        return group;
+    }
+
+    it('should render the children with their alpha relative to the group', function ()
+    {
+        const renderer = this.renderer;
+        const stage = new Container();
+        const group = createGroup(0.5);
+        const child = new Container();
+        const spy = sinon.spy(renderer.filter, 'push');
+
+        child.alpha = 0.8;
+        group.groupBlendMode = BLEND_MODES.ADD;
+        group.addChild(child);
+        stage.addChild(group);
+        stage.alpha = 0.5;
+
+        renderer.render(stage);
+
+        const groupFilter = renderer.group.groupFilterPool[0][0];
+
+        expect(group.groupWorldAlpha).to.equal(0.25);
+        expect(group.worldAlpha).to.equal(1);
+        expect(child.worldAlpha).to.equal(0.8);
+        expect(spy).to.have.been.calledOnce;
+        expect(spy.firstCall.args[0]).to.equal(group);
+        expect(groupFilter.alpha).to.equal(0.25);
+        expect(groupFilter.blendMode).to.equal(BLEND_MODES.ADD);
+        expect(renderer.group.groupFilterIndex).to.equal(0);
+        expect(renderer.gl.getError()).to.equal(renderer.gl.NO_ERROR);
+    });
+
+    it('should use a filter for each level of nested groups', function ()
+    {
+        const renderer = this.renderer;
+        const group = createGroup(0.5);
+        const innerGroup = createGroup(0.25);
+
+        group.addChild(innerGroup);
+        renderer.render(group);
+
+        const pool = renderer.group.groupFilterPool;
+
+        expect(pool).to.have.lengthOf(2);
+        expect(pool[0][0].alpha).to.equal(0.5);
+        expect(pool[1][0].alpha).to.equal(0.25);
+    });
+
+    it('should reuse the render textures across frames', function ()
+    {
+        const renderer = this.renderer;
+        const group = createGroup(0.5);
+        const spy = sinon.spy(renderer.filter, 'getPotFilterTexture');
+
+        renderer.render(group);
+
+        const renderTexture = spy.firstCall.returnValue;
+
+        renderer.render(group);
+
+        expect(spy).to.have.been.calledTwice;
+        expect(spy.secondCall.returnValue).to.equal(renderTexture);
+    });
+
+    it('should not render groups which are transparent', function ()
+    {
+        const renderer = this.renderer;
+        const group = createGroup(0);
+        const spy = sinon.spy(group, '_render');
+
+        renderer.render(group);
+
+        expect(spy).to.not.have.been.called;
+        expect(renderer.group.groupFilterPool).to.have.lengthOf(0);
+    });
+
+    it('should only render opaque groups into a render texture for other blend modes', function ()
+    {
+        const renderer = this.renderer;
+        const group = createGroup(1);
+        const spy = sinon.spy(renderer.filter, 'push');
+
+        renderer.render(group);
+
+        expect(group.renderedAsGroup).to.be.false;
+        expect(spy).to.not.have.been.called;
+        expect(renderer.group.groupFilterPool).to.have.lengthOf(0);
+
+        group.groupBlendMode = BLEND_MODES.MULTIPLY;
+        renderer.render(group);
+
+        expect(group.renderedAsGroup).to.be.true;
+        expect(spy).to.have.been.calledOnce;
+    });
+});
@@ -0,0 +1,89 @@
+const { Program, Shader } = require('../');
+const { ProgramCache } = require('@pixi/utils');
+
+describe('PIXI.Program', function ()
+{
+    const fragmentSrc = `
+        #include <filterFragment>
+        void main(void)
+        {
+            gl_FragColor = filterSample(vTextureCoord);
+        }`;
+
+    afterEach(function ()
+    {
+        delete Program.chunks.test;
+        delete Program.chunks.testColor;
+
+        for (const key in ProgramCache)
+        {
+            delete ProgramCache[key];
+        }
+    });
+
+    it('should insert the registered chunks', function ()
+    {
+        Program.registerChunk('testColor', 'vec4 testColor() { return vec4(1.0); }');
+
+        const src = Program.preprocess('#include <testColor>\nvoid main(void) { gl_FragColor = testColor(); }');
+
+        expect(src).to.equal('vec4 testColor() { return vec4(1.0); }\nvoid main(void) { gl_FragColor = testColor(); }');
+    });
+
+    it('should insert chunks included several times once', function ()
+    {
+        Program.registerChunk('test', '#include <projection>\nuniform float test;');
+
+        const src = Program.preprocess('#include <projection>\n#include <test>\n#include <test>\n');
+
+        expect(src.match(/uniform mat3 projectionMatrix;/g)).to.have.lengthOf(1);
+        expect(src.match(/uniform float test;/g)).to.have.lengthOf(1);
+        expect(src).to.not.contain('#include');
+    });
+
+    it('should throw for unknown chunks', function ()
+    {
+        expect(() => Program.preprocess('#include <missing>')).to.throw('Unknown shader chunk "missing"');
+    });
+
+    it('should define the macros after the version and extension directives', function ()
+    {
+        const src = Program.preprocess('#version 300 es\n#extension GL_EXT_test : enable\nvoid main(void) {}', {
+            SAMPLES: 4,
+            USE_TINT: true,
+            USE_MASK: false,
+        });
+
+        expect(src).to.equal('#version 300 es\n#extension GL_EXT_test : enable\n'
+            + '#define SAMPLES 4\n#define USE_TINT\nvoid main(void) {}');
+    });
+
+    it('should set the precision of shaders with defines', function ()
+    {
+        const program = Program.from(null, fragmentSrc, { ALPHA: 0.5 });
+
+        expect(program.fragmentSrc).to.match(/^#define ALPHA 0.5\nprecision \w+ float;\n/);
+        expect(Program.from('#version 300 es\nvoid main(void) {}', fragmentSrc, { ALPHA: 0.5 }).vertexSrc)
+            .to.match(/^#version 300 es\n#define ALPHA 0.5\nprecision \w+ float;\n/);
+    });
+
+    it('should share programs with the same expanded sources', function ()
+    {
+        const expanded = Program.preprocess(fragmentSrc);
+        const program = Program.from(null, fragmentSrc);
+
+        expect(program.fragmentSrc).to.contain('uniform sampler2D uSampler;');
+        expect(program.uniformData.inputClamp).to.exist;
+        expect(Program.from(null, expanded)).to.equal(program);
+        expect(Shader.from(null, fragmentSrc).program).to.equal(program);
+    });
+
+    it('should compile a program for each set of defines', function ()
+    {
+        const program = Program.from(null, fragmentSrc, { A: 1, B: 2 });
+
+        expect(Program.from(null, fragmentSrc, { B: 2, A: 1 })).to.equal(program);
+        expect(Program.from(null, fragmentSrc, { A: 2, B: 2 })).to.not.equal(program);
+        expect(Program.from(null, fragmentSrc)).to.not.equal(program);
+    });
+});
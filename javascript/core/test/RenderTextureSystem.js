@@ -0,0 +1,39 @@
+const { Renderer, RenderTexture } = require('../');
+const { Rectangle } = require('@pixi/math');
+const { useMockRenderer } = require('@pixi/webgl-mock');
+const { skipHello } = require('@pixi/utils');
+
+skipHello();
+
+describe('PIXI.systems.RenderTextureSystem', function ()
+{
+    const createRenderer = useMockRenderer(Renderer);
+
+    it('should take the source frame from the destination frame in points', function ()
+    {
+        const renderer = createRenderer();
+        const renderTexture = RenderTexture.create({ width: 10, height: 20, resolution: 2 });
+
+        renderer.renderTexture.bind(renderTexture);
+
+        expect(renderer.renderTexture.sourceFrame).to.deep.include({ x: 0, y: 0, width: 10, height: 20 });
+
+        renderTexture.destroy(true);
+    });
+
+    it('should keep the size of a given source frame', function ()
+    {
+        const renderer = createRenderer();
+        const renderTexture = RenderTexture.create({ width: 10, height: 20 });
+
+        renderer.renderTexture.bind(renderTexture, new Rectangle(5, 6, 40, 30));
+
+        expect(renderer.renderTexture.sourceFrame).to.deep.include({ x: 5, y: 6, width: 40, height: 30 });
+
+        renderer.renderTexture.bind(null, new Rectangle(1, 2, 3, 4));
+
+        expect(renderer.renderTexture.sourceFrame).to.deep.include({ x: 1, y: 2, width: 3, height: 4 });
+
+        renderTexture.destroy(true);
+    });
+});
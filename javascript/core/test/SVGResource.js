@@ -1,4 +1,5 @@
-const { resources } = require('../');
+const { resources, BaseTexture, Texture } = require('../');
+const { Rectangle } = require('@pixi/math');
 const { SVGResource } = resources;
 const fs = require('fs');
 const path = require('path');
@@ -59,6 +60,60 @@ describe('PIXI.resources.SVGResource', function ()
         });
     });
 
+    describe('setScale', function ()
+    {
+        before(function ()
+        {
+            this.svg = '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100"></svg>';
+        });
+
+        it('should rasterize again without changing the size of the texture', function (done)
+        {
+            const resource = new SVGResource(this.svg, { autoLoad: false });
+            const baseTexture = new BaseTexture(resource, { resolution: 1 });
+            const texture = new Texture(baseTexture, new Rectangle(10, 10, 50, 50));
+
+            resource.load().then(function ()
+            {
+                const spy = sinon.spy();
+
+                baseTexture.on('update', spy);
+                resource.setScale(2);
+
+                expect(spy).to.have.been.called;
+                expect(resource.source.width).to.equal(200);
+                expect(baseTexture.realWidth).to.equal(200);
+                expect(baseTexture.resolution).to.equal(2);
+                expect(baseTexture.width).to.equal(100);
+                expect(texture.frame.width).to.equal(50);
+
+                texture.destroy(true);
+                done();
+            });
+        });
+
+        it('should only scale up in steps to the maximum scale', function (done)
+        {
+            const resource = new SVGResource(this.svg, { autoLoad: false, autoScale: true, maxScale: 4 });
+            const baseTexture = new BaseTexture(resource, { resolution: 1 });
+
+            resource.load().then(function ()
+            {
+                resource.fitScale(1.5);
+                expect(resource.scale).to.equal(2);
+                resource.fitScale(0.5);
+                expect(resource.scale).to.equal(2);
+                resource.fitScale(10);
+                expect(resource.scale).to.equal(4);
+                expect(baseTexture.realWidth).to.equal(400);
+                expect(baseTexture.width).to.equal(100);
+
+                baseTexture.destroy();
+                done();
+            });
+        });
+    });
+
     describe('getSize', function ()
     {
         it('should exist', function ()
@@ -0,0 +1,193 @@
+const { Renderer, Shader, UniformGroup, Program, ShaderError } = require('../');
+const { MockCanvas } = require('@pixi/webgl-mock');
+const { skipHello } = require('@pixi/utils');
+
+skipHello();
+
+describe('PIXI.systems.ShaderSystem', function ()
+{
+    const vertexSrc = `#version 300 es
+        in vec2 aVertexPosition;
+        layout(std140) uniform globals { mat3 projectionMatrix; };
+        void main(void)
+        {
+            gl_Position = vec4((projectionMatrix * vec3(aVertexPosition, 1.0)).xy, 0.0, 1.0);
+        }`;
+
+    const fragmentSrc = `#version 300 es
+        layout(std140) uniform material { float alpha; vec3 tint; float weights[2]; };
+        out vec4 color;
+        void main(void)
+        {
+            color = vec4(tint, alpha) * (weights[0] + weights[1]);
+        }`;
+
+    function readBuffer(gl, binding, length)
+    {
+        const data = new Float32Array(length);
+
+        gl.bindBuffer(gl.UNIFORM_BUFFER, gl.getIndexedParameter(gl.UNIFORM_BUFFER_BINDING, binding));
+        gl.getBufferSubData(gl.UNIFORM_BUFFER, 0, data);
+
+        return data;
+    }
+
+    afterEach(function ()
+    {
+        if (this.renderer)
+        {
+            this.renderer.destroy();
+            this.renderer = null;
+        }
+    });
+
+    it('should pack uniform groups into uniform buffers with the std140 layout', function ()
+    {
+        const renderer = this.renderer = new Renderer({ view: new MockCanvas(10, 10), width: 10, height: 10 });
+        const gl = renderer.gl;
+        const material = UniformGroup.uboFrom({ alpha: 0.5, tint: [1, 2, 3], weights: [4, 5] });
+        const shader = Shader.from(vertexSrc, fragmentSrc, { material });
+
+        renderer.shader.bind(shader);
+
+        const glProgram = renderer.shader.getglProgram();
+
+        expect(gl.getError()).to.equal(gl.NO_ERROR);
+        expect(shader.program.uniformData).to.be.empty;
+        expect(Array.from(readBuffer(gl, glProgram.uniformBlocks.material, 16))).to.deep.equal([
+            0.5, 0, 0, 0,
+            1, 2, 3, 0,
+            4, 0, 0, 0,
+            5, 0, 0, 0,
+        ]);
+
+        const pm = renderer.projection.projectionMatrix;
+
+        expect(Array.from(readBuffer(gl, glProgram.uniformBlocks.globals, 12))).to.deep.equal([
+            pm.a, pm.b, 0, 0,
+            pm.c, pm.d, 0, 0,
+            pm.tx, pm.ty, 1, 0,
+        ]);
+    });
+
+    it('should only upload static uniform buffers when updated', function ()
+    {
+        const renderer = this.renderer = new Renderer({ view: new MockCanvas(10, 10), width: 10, height: 10 });
+        const gl = renderer.gl;
+        const material = UniformGroup.uboFrom({ alpha: 1, tint: [1, 1, 1], weights: [1, 1] }, true);
+        const shader = Shader.from(vertexSrc, fragmentSrc, { material });
+
+        renderer.shader.bind(shader);
+        gl.clearRecords();
+        renderer.shader.bind(shader);
+
+        expect(gl.counts.bufferData).to.be.undefined;
+        expect(gl.counts.bufferSubData).to.be.undefined;
+        expect(gl.counts.bindBufferBase).to.be.undefined;
+
+        material.uniforms.alpha = 0.25;
+        material.update();
+        renderer.shader.bind(shader);
+
+        expect(gl.counts.bufferSubData).to.equal(1);
+        expect(readBuffer(gl, renderer.shader.getglProgram().uniformBlocks.material, 1)[0]).to.equal(0.25);
+    });
+
+    it('should pack uniform buffers which are not static on each bind', function ()
+    {
+        const renderer = this.renderer = new Renderer({ view: new MockCanvas(10, 10), width: 10, height: 10 });
+        const gl = renderer.gl;
+        const material = UniformGroup.uboFrom({ alpha: 1, tint: [1, 1, 1], weights: [1, 1] });
+        const shader = Shader.from(vertexSrc, fragmentSrc, { material });
+
+        renderer.shader.bind(shader);
+        material.uniforms.tint[1] = 0.5;
+        renderer.shader.bind(shader);
+
+        expect(Array.from(readBuffer(gl, renderer.shader.getglProgram().uniformBlocks.material, 8)))
+            .to.deep.equal([1, 0, 0, 0, 1, 0.5, 1, 0]);
+    });
+
+    it('should set the uniforms one by one for shaders without blocks', function ()
+    {
+        const renderer = this.renderer = new Renderer({ view: new MockCanvas(10, 10), width: 10, height: 10 });
+        const gl = renderer.gl;
+        const shader = Shader.from(`
+            attribute vec2 aVertexPosition;
+            uniform mat3 projectionMatrix;
+            void main(void)
+            {
+                gl_Position = vec4((projectionMatrix * vec3(aVertexPosition, 1.0)).xy, 0.0, 1.0);
+            }`, `
+            void main(void)
+            {
+                gl_FragColor = vec4(1.0);
+            }`);
+
+        expect(renderer.globalUniforms.ubo).to.be.true;
+
+        gl.clearRecords();
+        renderer.shader.bind(shader);
+
+        expect(gl.getError()).to.equal(gl.NO_ERROR);
+        expect(gl.counts.uniformMatrix3fv).to.equal(1);
+        expect(gl.counts.bindBufferBase).to.be.undefined;
+    });
+
+    it('should throw compile errors with the lines they come from', function ()
+    {
+        const renderer = this.renderer = new Renderer({ view: new MockCanvas(10, 10), width: 10, height: 10 });
+        const shader = Shader.from(null, [
+            '#include <filterFragment>',
+            'void main(void)',
+            '{',
+            '    #error broken',
+            '}',
+        ].join('\n'), {}, { TINT: true });
+        const listener = sinon.spy();
+
+        renderer.on('shaderError', listener);
+
+        expect(() => renderer.shader.bind(shader)).to.throw(ShaderError, 'Could not compile the fragment shader');
+        expect(listener.calledOnce).to.be.true;
+
+        const error = listener.firstCall.args[0];
+        const lines = shader.program.fragmentSrc.split('\n');
+
+        expect(listener.firstCall.args[1]).to.equal(shader);
+        expect(error.stage).to.equal('fragment');
+        expect(error.source).to.equal(shader.program.fragmentSrc);
+        expect(error.errors).to.have.lengthOf(1);
+        expect(lines[error.errors[0].line - 1]).to.equal('    #error broken');
+        expect(error.errors[0].message).to.contain('broken');
+        expect(error.errors[0].origin).to.deep.equal({ chunk: null, line: 4 });
+        expect(error.message).to.contain(`> ${error.errors[0].line} |     #error broken`);
+        expect(error.message).to.contain(`line ${error.errors[0].line}, line 4 of the fragment source`);
+    });
+
+    it('should report the errors of included chunks', function ()
+    {
+        const renderer = this.renderer = new Renderer({ view: new MockCanvas(10, 10), width: 10, height: 10 });
+
+        Program.registerChunk('broken', 'float broken()\n{\n#error not implemented\n}');
+
+        const shader = Shader.from('#include <broken>\nvoid main(void) {}');
+
+        delete Program.chunks.broken;
+
+        try
+        {
+            renderer.shader.bind(shader);
+        }
+        catch (error)
+        {
+            expect(error.stage).to.equal('vertex');
+            expect(error.errors[0].origin).to.deep.equal({ chunk: 'broken', line: 3 });
+            expect(error.message).to.contain('line 3 of the chunk <broken>');
+
+            return;
+        }
+
+        throw new Error('the shader should not compile');
+    });
+});
@@ -0,0 +1,95 @@
+const { Renderer, State, RenderTexture } = require('../');
+const { COMPARE_MODES, BUFFER_BITS } = require('@pixi/constants');
+const { useMockRenderer } = require('@pixi/webgl-mock');
+const { skipHello } = require('@pixi/utils');
+
+skipHello();
+
+describe('PIXI.systems.StateSystem', function ()
+{
+    const createRenderer = useMockRenderer(Renderer);
+
+    beforeEach(function ()
+    {
+        this.renderer = createRenderer();
+    });
+
+    it('should not test depth by default', function ()
+    {
+        const state = new State();
+        const gl = this.renderer.gl;
+
+        expect(state.depthTest).to.be.false;
+        expect(state.depthMask).to.be.true;
+        expect(state.depthFunc).to.equal(COMPARE_MODES.LESS);
+        expect(gl.isEnabled(gl.DEPTH_TEST)).to.be.false;
+        expect(gl.getParameter(gl.DEPTH_WRITEMASK)).to.be.true;
+    });
+
+    it('should set the depth test, writes and function', function ()
+    {
+        const state = new State();
+        const gl = this.renderer.gl;
+
+        state.depthTest = true;
+        state.depthMask = false;
+        state.depthFunc = COMPARE_MODES.LEQUAL;
+        this.renderer.state.setState(state);
+
+        expect(gl.isEnabled(gl.DEPTH_TEST)).to.be.true;
+        expect(gl.getParameter(gl.DEPTH_WRITEMASK)).to.be.false;
+        expect(gl.getParameter(gl.DEPTH_FUNC)).to.equal(gl.LEQUAL);
+
+        state.depthFunc = COMPARE_MODES.GREATER;
+        this.renderer.state.setState(state);
+
+        expect(gl.getParameter(gl.DEPTH_FUNC)).to.equal(gl.GREATER);
+
+        this.renderer.state.setState(null);
+
+        expect(gl.isEnabled(gl.DEPTH_TEST)).to.be.false;
+        expect(gl.getParameter(gl.DEPTH_WRITEMASK)).to.be.true;
+    });
+
+    it('should turn depth writes on to clear the depth buffer', function ()
+    {
+        const renderer = this.renderer;
+        const gl = renderer.gl;
+        const state = new State();
+
+        state.depthTest = true;
+        state.depthMask = false;
+        renderer.state.setState(state);
+
+        gl.recordCalls = true;
+        gl.clearRecords();
+        renderer.clear(BUFFER_BITS.DEPTH);
+        gl.recordCalls = false;
+
+        const clear = gl.calls.filter((call) => call.name === 'clear');
+
+        expect(clear).to.have.lengthOf(1);
+        expect(clear[0].args[0]).to.equal(gl.DEPTH_BUFFER_BIT);
+        expect(gl.getParameter(gl.DEPTH_WRITEMASK)).to.be.true;
+
+        renderer.state.setState(state);
+
+        expect(gl.getParameter(gl.DEPTH_WRITEMASK)).to.be.false;
+    });
+
+    it('should give render textures a depth buffer', function ()
+    {
+        const renderer = this.renderer;
+        const gl = renderer.gl;
+        const renderTexture = RenderTexture.create({ width: 10, height: 10, depth: true });
+
+        renderer.renderTexture.bind(renderTexture);
+
+        expect(gl.checkFramebufferStatus(gl.FRAMEBUFFER)).to.equal(gl.FRAMEBUFFER_COMPLETE);
+        expect(gl.getFramebufferAttachmentParameter(gl.FRAMEBUFFER, gl.DEPTH_STENCIL_ATTACHMENT,
+            gl.FRAMEBUFFER_ATTACHMENT_OBJECT_TYPE)).to.equal(gl.RENDERBUFFER);
+
+        renderer.renderTexture.bind(null);
+        renderTexture.destroy(true);
+    });
+});
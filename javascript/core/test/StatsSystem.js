@@ -0,0 +1,182 @@
+const { Renderer, Shader, Filter, QuadUv, BaseTexture, Texture, RenderTexture } = require('../');
+const { Container } = require('@pixi/display');
+const { settings } = require('@pixi/settings');
+const { MockCanvas } = require('@pixi/webgl-mock');
+const { skipHello } = require('@pixi/utils');
+
+skipHello();
+
+describe('PIXI.systems.StatsSystem', function ()
+{
+    before(function ()
+    {
+        this.renderer = new Renderer({ view: new MockCanvas(10, 10), width: 10, height: 10 });
+        this.shader = Shader.from(Filter.defaultVertexSrc, Filter.defaultFragmentSrc);
+        this.quad = new QuadUv();
+        this.texture = new Texture(new BaseTexture(null, { width: 4, height: 4 }));
+    });
+
+    after(function ()
+    {
+        this.renderer.destroy();
+        this.renderer = null;
+    });
+
+    beforeEach(function ()
+    {
+        this.renderer.stats.clear();
+    });
+
+    function createScene(test, draws)
+    {
+        const stage = new Container();
+
+        stage._render = (renderer) =>
+        {
+            for (let i = 0; i < draws; i++)
+            {
+                renderer.texture.bind(test.texture, 0);
+                renderer.shader.bind(test.shader);
+                renderer.geometry.bind(test.quad, test.shader);
+                renderer.geometry.draw(renderer.gl.TRIANGLES);
+            }
+        };
+
+        return stage;
+    }
+
+    it('should count the work done for the last frame', function ()
+    {
+        const renderer = this.renderer;
+        const gl = renderer.gl;
+
+        gl.clearRecords();
+        renderer.render(createScene(this, 3));
+
+        expect(renderer.stats.lastFrame.drawCalls).to.equal(3);
+        expect(renderer.stats.lastFrame.drawCalls).to.equal(gl.drawCalls.length);
+        expect(renderer.stats.lastFrame.textureBinds).to.equal(3);
+        expect(renderer.stats.lastFrame.shaderBinds).to.equal(3);
+        expect(renderer.stats.frameCount).to.equal(1);
+    });
+
+    it('should start every frame from zero', function ()
+    {
+        const renderer = this.renderer;
+
+        renderer.render(createScene(this, 3));
+        renderer.render(createScene(this, 1));
+
+        expect(renderer.stats.lastFrame.drawCalls).to.equal(1);
+        expect(renderer.stats.lastFrame.shaderSwitches).to.equal(0);
+        expect(renderer.stats.frameCount).to.equal(2);
+    });
+
+    it('should average counters over the sample size', function ()
+    {
+        const renderer = this.renderer;
+        const stats = renderer.stats;
+
+        stats.sampleSize = 2;
+
+        renderer.render(createScene(this, 1));
+        renderer.render(createScene(this, 3));
+        expect(stats.averages.drawCalls).to.equal(2);
+
+        renderer.render(createScene(this, 5));
+        expect(stats.averages.drawCalls).to.equal(4);
+
+        stats.sampleSize = settings.STATS_SAMPLE_SIZE;
+    });
+
+    it('should give snapshots which are not updated by later frames', function ()
+    {
+        const renderer = this.renderer;
+
+        renderer.render(createScene(this, 2));
+
+        const snapshot = renderer.stats.snapshot();
+
+        renderer.render(createScene(this, 4));
+
+        expect(snapshot.lastFrame.drawCalls).to.equal(2);
+        expect(snapshot.frameCount).to.equal(1);
+        expect(renderer.stats.lastFrame.drawCalls).to.equal(4);
+    });
+
+    it('should count nested renders as part of the frame', function ()
+    {
+        const renderer = this.renderer;
+        const gl = renderer.gl;
+        const renderTexture = RenderTexture.create(4, 4);
+        const inner = createScene(this, 1);
+        const stage = createScene(this, 1);
+        const render = stage._render;
+
+        stage._render = (renderer) =>
+        {
+            render(renderer);
+            renderer.render(inner, renderTexture);
+            render(renderer);
+        };
+
+        gl.clearRecords();
+        renderer.render(stage);
+
+        expect(renderer.stats.lastFrame.drawCalls).to.equal(3);
+        expect(renderer.stats.lastFrame.drawCalls).to.equal(gl.drawCalls.length);
+        expect(renderer.stats.frameCount).to.equal(1);
+        expect(renderer.stats._samples).to.have.lengthOf(1);
+
+        renderTexture.destroy(true);
+    });
+
+    it('should start a new frame after a render threw', function ()
+    {
+        const renderer = this.renderer;
+        const stage = new Container();
+
+        stage._render = () =>
+        {
+            throw new Error('Cannot render');
+        };
+
+        expect(() => renderer.render(stage)).to.throw('Cannot render');
+        renderer.render(createScene(this, 2));
+
+        expect(renderer.stats.lastFrame.drawCalls).to.equal(2);
+        expect(renderer.stats.frameCount).to.equal(1);
+    });
+
+    it('should let systems work without a stats system', function ()
+    {
+        const renderer = this.renderer;
+        const gl = renderer.gl;
+        const stats = renderer.stats;
+
+        renderer.stats = null;
+        gl.clearRecords();
+
+        try
+        {
+            renderer.render(createScene(this, 2));
+        }
+        finally
+        {
+            renderer.stats = stats;
+        }
+
+        expect(gl.drawCalls).to.have.lengthOf(2);
+        expect(stats.frameCount).to.equal(1);
+    });
+
+    it('should not be cleared when the renderer is reset', function ()
+    {
+        const renderer = this.renderer;
+
+        renderer.render(createScene(this, 2));
+        renderer.reset();
+
+        expect(renderer.stats.lastFrame.drawCalls).to.equal(2);
+    });
+});
@@ -0,0 +1,134 @@
+const { Renderer, BaseTexture, RenderTexture, resources } = require('../');
+const { TYPES } = require('@pixi/constants');
+const { MockCanvas } = require('@pixi/webgl-mock');
+const { skipHello } = require('@pixi/utils');
+
+skipHello();
+
+describe('PIXI.systems.TextureGCSystem', function ()
+{
+    function createTexture(size, type, mipmap)
+    {
+        const data = type === TYPES.FLOAT ? new Float32Array(size * size * 4) : new Uint8Array(size * size * 4);
+
+        return new BaseTexture(new resources.BufferResource(data, { width: size, height: size }), {
+            type: type || TYPES.UNSIGNED_BYTE,
+            mipmap: !!mipmap,
+        });
+    }
+
+    function nextFrame(renderer)
+    {
+        renderer.textureGC.postrender();
+    }
+
+    beforeEach(function ()
+    {
+        this.renderer = new Renderer({ view: new MockCanvas(10, 10), width: 10, height: 10 });
+        this.textures = [];
+    });
+
+    afterEach(function ()
+    {
+        this.textures.forEach((texture) => texture.destroy());
+        this.renderer.destroy();
+        this.renderer = null;
+    });
+
+    it('should count the memory used by the textures', function ()
+    {
+        const renderer = this.renderer;
+        const bytes = createTexture(4);
+        const floats = createTexture(4, TYPES.FLOAT);
+        const mipmapped = createTexture(4, TYPES.UNSIGNED_BYTE, true);
+        const renderTexture = RenderTexture.create({ width: 10, height: 10 });
+
+        this.textures.push(bytes, floats, mipmapped, renderTexture);
+
+        renderer.texture.bind(bytes);
+        renderer.texture.bind(floats);
+        renderer.texture.bind(mipmapped);
+        renderer.renderTexture.bind(renderTexture);
+        renderer.renderTexture.bind(null);
+
+        expect(renderer.texture.memoryUsage).to.deep.equal({
+            total: 64 + 256 + 86 + 400,
+            types: { buffer: 64 + 256 + 86, renderTexture: 400 },
+        });
+
+        floats.destroy();
+
+        expect(renderer.texture.usedMemory).to.equal(64 + 86 + 400);
+    });
+
+    it('should unload the least recently used textures over the memory budget', function ()
+    {
+        const renderer = this.renderer;
+        const textures = this.textures = [createTexture(4), createTexture(4), createTexture(4), createTexture(4)];
+
+        renderer.textureGC.maxMemory = 150;
+
+        renderer.texture.bind(textures[1]);
+        nextFrame(renderer);
+        renderer.texture.bind(textures[0]);
+        nextFrame(renderer);
+
+        expect(renderer.texture.usedMemory).to.equal(128);
+
+        renderer.texture.bind(textures[2]);
+
+        expect(renderer.texture.usedMemory).to.equal(128);
+        expect(textures[1]._glTextures[renderer.CONTEXT_UID]).to.be.undefined;
+        expect(textures[0]._glTextures[renderer.CONTEXT_UID]).to.exist;
+
+        // the textures used in this frame are kept, even over the budget
+        renderer.texture.bind(textures[3], 1);
+
+        expect(renderer.texture.usedMemory).to.equal(128);
+        expect(textures[0]._glTextures[renderer.CONTEXT_UID]).to.be.undefined;
+
+        renderer.texture.bind(textures[1], 2);
+
+        expect(renderer.texture.usedMemory).to.equal(192);
+        expect(renderer.texture.managedTextures).to.have.members([textures[1], textures[2], textures[3]]);
+    });
+
+    it('should unload the textures in the order they were bound within a frame', function ()
+    {
+        const renderer = this.renderer;
+        const textures = this.textures = [createTexture(4), createTexture(4), createTexture(4)];
+
+        renderer.textureGC.maxMemory = 150;
+
+        renderer.texture.bind(textures[0]);
+        renderer.texture.bind(textures[1], 1);
+        renderer.texture.bind(textures[0]);
+        nextFrame(renderer);
+        renderer.texture.bind(textures[2]);
+
+        expect(renderer.texture.usedMemory).to.equal(128);
+        expect(textures[1]._glTextures[renderer.CONTEXT_UID]).to.be.undefined;
+        expect(renderer.texture.lruHead.baseTexture).to.equal(textures[0]);
+        expect(renderer.texture.lruTail.baseTexture).to.equal(textures[2]);
+    });
+
+    it('should keep render textures over the memory budget', function ()
+    {
+        const renderer = this.renderer;
+        const renderTexture = RenderTexture.create({ width: 10, height: 10 });
+        const texture = createTexture(4);
+
+        this.textures.push(renderTexture, texture);
+
+        renderer.renderTexture.bind(renderTexture);
+        renderer.renderTexture.bind(null);
+        renderer.texture.bind(texture);
+        nextFrame(renderer);
+
+        renderer.textureGC.maxMemory = 100;
+        renderer.textureGC.run();
+
+        expect(renderer.texture.managedTextures).to.deep.equal([renderTexture.baseTexture]);
+        expect(renderer.texture.usedMemory).to.equal(400);
+    });
+});
@@ -0,0 +1,98 @@
+const { Renderer, BaseTexture, resources } = require('../');
+const { MIPMAP_MODES, SCALE_MODES } = require('@pixi/constants');
+const { MockCanvas, useMockRenderer } = require('@pixi/webgl-mock');
+const { skipHello } = require('@pixi/utils');
+
+skipHello();
+
+describe('PIXI.systems.TextureSystem', function ()
+{
+    const createRenderer = useMockRenderer(Renderer);
+
+    function createTexture(width, height, options)
+    {
+        return new BaseTexture(new resources.BufferResource(new Uint8Array(width * height * 4), { width, height }),
+            options);
+    }
+
+    function getParameter(renderer, texture, pname)
+    {
+        const gl = renderer.gl;
+
+        renderer.texture.bind(texture);
+
+        return gl.getTexParameter(texture.target, pname);
+    }
+
+    it('should mipmap textures by mipmap mode and WebGL version', function ()
+    {
+        const pow2 = createTexture(4, 4, { mipmap: true });
+        const npot = createTexture(3, 5, { mipmap: MIPMAP_MODES.POW2 });
+        const always = createTexture(3, 5, { mipmap: MIPMAP_MODES.ON });
+        const off = createTexture(4, 4, { mipmap: false });
+        const textures = [pow2, npot, always, off];
+
+        expect(pow2.mipmap).to.equal(MIPMAP_MODES.POW2);
+        expect(off.mipmap).to.equal(MIPMAP_MODES.OFF);
+
+        const textureSystem = createRenderer().texture;
+
+        expect(textureSystem.canMipmap(pow2)).to.be.true;
+        expect(textureSystem.canMipmap(npot)).to.be.false;
+        expect(textureSystem.canMipmap(always)).to.be.true;
+        expect(textureSystem.canMipmap(off)).to.be.false;
+
+        textureSystem.bind(always);
+        expect(always._glTextures[textureSystem.CONTEXT_UID].mipmap).to.be.true;
+
+        textures.forEach((texture) => texture.destroy());
+
+        const webGL1TextureSystem = createRenderer({ webGLVersion: 1 }).texture;
+
+        expect(webGL1TextureSystem.canMipmap(pow2)).to.be.true;
+        expect(webGL1TextureSystem.canMipmap(always)).to.be.false;
+    });
+
+    it('should set the filters and the anisotropic filtering level', function ()
+    {
+        const renderer = createRenderer();
+        const gl = renderer.gl;
+        const TEXTURE_MAX_ANISOTROPY_EXT = renderer.context.extensions.anisotropicFiltering.TEXTURE_MAX_ANISOTROPY_EXT;
+        const texture = createTexture(4, 4, { mipmap: MIPMAP_MODES.ON, anisotropicLevel: 32 });
+
+        expect(renderer.texture.maxAnisotropy).to.equal(16);
+        expect(getParameter(renderer, texture, gl.TEXTURE_MIN_FILTER)).to.equal(gl.LINEAR_MIPMAP_LINEAR);
+        expect(getParameter(renderer, texture, gl.TEXTURE_MAG_FILTER)).to.equal(gl.LINEAR);
+        expect(getParameter(renderer, texture, TEXTURE_MAX_ANISOTROPY_EXT)).to.equal(16);
+
+        texture.setStyle(SCALE_MODES.NEAREST, undefined, SCALE_MODES.LINEAR);
+
+        expect(getParameter(renderer, texture, gl.TEXTURE_MIN_FILTER)).to.equal(gl.NEAREST_MIPMAP_LINEAR);
+        expect(getParameter(renderer, texture, gl.TEXTURE_MAG_FILTER)).to.equal(gl.NEAREST);
+        expect(getParameter(renderer, texture, TEXTURE_MAX_ANISOTROPY_EXT)).to.equal(1);
+
+        texture.setStyle(SCALE_MODES.LINEAR, MIPMAP_MODES.OFF, null, 4);
+
+        expect(getParameter(renderer, texture, gl.TEXTURE_MIN_FILTER)).to.equal(gl.LINEAR);
+        expect(getParameter(renderer, texture, TEXTURE_MAX_ANISOTROPY_EXT)).to.equal(4);
+
+        texture.destroy();
+    });
+
+    it('should forget the textures which outlive the renderer', function ()
+    {
+        // destroyed by the test itself, unlike the renderers of the fixture
+        const renderer = new Renderer({ view: new MockCanvas(10, 10), width: 10, height: 10 });
+        const texture = createTexture(4, 4);
+        const uid = renderer.CONTEXT_UID;
+
+        renderer.texture.bind(texture);
+
+        expect(texture._glTextures[uid]).to.exist;
+
+        renderer.destroy();
+
+        expect(texture._glTextures[uid]).to.be.undefined;
+        expect(() => texture.destroy()).to.not.throw();
+    });
+});
@@ -8,3 +8,18 @@ require('./VideoResource');
 require('./ArrayResource');
 require('./autoDetectResource');
 require('./CubeResource');
+require('./CompressedTextureResource');
+require('./StatsSystem');
+require('./GeometrySystem');
+require('./FramebufferSystem');
+require('./StateSystem');
+require('./RenderTextureSystem');
+require('./ShaderSystem');
+require('./Program');
+require('./ContextSystem');
+require('./TextureGCSystem');
+require('./TextureSystem');
+require('./AbstractBatchRenderer');
+require('./GroupSystem');
+require('./AtlasPacker');
+require('./AtlasSystem');
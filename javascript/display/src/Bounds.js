@@ -1,4 +1,23 @@
-import { Rectangle } from '@pixi/math';
+import { Point, ProjectiveMatrix, Rectangle } from '@pixi/math';
+
+const tempPoint = new Point();
+
+/**
+ * Adds a point transformed by a projective matrix to bounds.
+ *
+ * @private
+ * @param {PIXI.Bounds} bounds - The bounds
+ * @param {PIXI.ProjectiveMatrix} matrix - The matrix
+ * @param {number} x - The x coordinate of the point
+ * @param {number} y - The y coordinate of the point
+ */
+function addProjectedPoint(bounds, matrix, x, y)
+{
+    tempPoint.x = x;
+    tempPoint.y = y;
+
+    bounds.addPoint(matrix.apply(tempPoint, tempPoint));
+}
 
 /**
  * 'Builder' pattern for bounds rectangles
@@ -162,6 +181,18 @@ export default class Bounds
     addFrame(transform, x0, y0, x1, y1)
     {
         const matrix = transform.worldTransform;
+
+        if (matrix instanceof ProjectiveMatrix)
+        {
+            // the corners are still the extremes of a frame in perspective
+            addProjectedPoint(this, matrix, x0, y0);
+            addProjectedPoint(this, matrix, x1, y0);
+            addProjectedPoint(this, matrix, x0, y1);
+            addProjectedPoint(this, matrix, x1, y1);
+
+            return;
+        }
+
         const a = matrix.a;
         const b = matrix.b;
         const c = matrix.c;
@@ -220,6 +251,17 @@ export default class Bounds
     addVertices(transform, vertices, beginOffset, endOffset)
     {
         const matrix = transform.worldTransform;
+
+        if (matrix instanceof ProjectiveMatrix)
+        {
+            for (let i = beginOffset; i < endOffset; i += 2)
+            {
+                addProjectedPoint(this, matrix, vertices[i], vertices[i + 1]);
+            }
+
+            return;
+        }
+
         const a = matrix.a;
         const b = matrix.b;
         const c = matrix.c;
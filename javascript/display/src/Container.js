@@ -1,5 +1,7 @@
 import removeItems from 'remove-array-items';
+import { BLEND_MODES } from '@pixi/constants';
 import DisplayObject from './DisplayObject';
+import compareZIndex from './compareZIndex';
 
 /**
  * A Container represents a collection of display objects.
@@ -30,6 +32,63 @@ export default class Container extends DisplayObject
          * @readonly
          */
         this.children = [];
+
+        /**
+         * If set to true, the container will sort its children by zIndex value
+         * before it is rendered or hit tested.
+         *
+         * @member {boolean}
+         */
+        this.sortableChildren = false;
+
+        /**
+         * Should children be sorted by zIndex at the next render or hit test call.
+         * Will get automatically set to true if a new child is added, or if a child's zIndex changes.
+         *
+         * @member {boolean}
+         */
+        this.sortDirty = false;
+
+        /**
+         * If set to true, the container and its children are rendered together into a render texture,
+         * which is then drawn with the alpha of the container and `groupBlendMode`. This keeps the
+         * overlapping parts of a container from showing through each other when it fades, and blends
+         * it with what is behind it as a whole. The render textures are pooled and sized to the bounds
+         * of the container, or its `filterArea`.
+         *
+         * The world alpha of the container and its children is then relative to the group, which is
+         * drawn with `groupWorldAlpha`.
+         *
+         * @member {boolean}
+         * @default false
+         */
+        this.groupAlpha = false;
+
+        /**
+         * The blend mode the group is drawn with when `groupAlpha` is set.
+         *
+         * @member {number}
+         * @default PIXI.BLEND_MODES.NORMAL
+         * @see PIXI.BLEND_MODES
+         */
+        this.groupBlendMode = BLEND_MODES.NORMAL;
+
+        /**
+         * The multiplied alpha the group is drawn with when `groupAlpha` is set.
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.groupWorldAlpha = 1;
+
+        /**
+         * The sum of the bounds ids of the children and their masks at the last check,
+         * see {@link PIXI.Container#_checkBoundsID}.
+         *
+         * @member {number}
+         * @private
+         */
+        this._childrenBoundsID = 0;
     }
 
     /**
@@ -81,6 +140,9 @@ export default class Container extends DisplayObject
             // ensure bounds will be recalculated
             this._boundsID++;
 
+            // ensure children will be sorted before the next render
+            this.sortDirty = true;
+
             // TODO - lets either do all callbacks or all events.. not both!
             this.onChildrenChange(this.children.length - 1);
             child.emit('added', this);
@@ -117,6 +179,9 @@ export default class Container extends DisplayObject
         // ensure bounds will be recalculated
         this._boundsID++;
 
+        // ensure children will be sorted before the next render
+        this.sortDirty = true;
+
         // TODO - lets either do all callbacks or all events.. not both!
         this.onChildrenChange(index);
         child.emit('added', this);
@@ -313,18 +378,50 @@ export default class Container extends DisplayObject
         throw new RangeError('removeChildren: numeric values are outside the acceptable range.');
     }
 
+    /**
+     * Sorts children by zIndex. Previous order is maintained for 2 children with the same zIndex.
+     */
+    sortChildren()
+    {
+        let sortRequired = false;
+
+        for (let i = 0, j = this.children.length; i < j; ++i)
+        {
+            const child = this.children[i];
+
+            child._lastSortedIndex = i;
+
+            if (!sortRequired && child.zIndex !== 0)
+            {
+                sortRequired = true;
+            }
+        }
+
+        if (sortRequired && this.children.length > 1)
+        {
+            this.children.sort(compareZIndex);
+        }
+
+        this.sortDirty = false;
+    }
+
     /**
      * Updates the transform on all children of this container for rendering
      */
     updateTransform()
     {
-        this._boundsID++;
-
         this.transform.updateTransform(this.parent.transform);
 
         // TODO: check render flags, how to process stuff here
         this.worldAlpha = this.alpha * this.parent.worldAlpha;
 
+        // the alpha of a group is applied when it is drawn, after its children are rendered
+        if (this.groupAlpha)
+        {
+            this.groupWorldAlpha = this.worldAlpha;
+            this.worldAlpha = 1;
+        }
+
         for (let i = 0, j = this.children.length; i < j; ++i)
         {
             const child = this.children[i];
@@ -334,6 +431,40 @@ export default class Container extends DisplayObject
                 child.updateTransform();
             }
         }
+
+        this._checkBoundsID();
+    }
+
+    /**
+     * Changes the bounds id if the transform of the container or the bounds of one of its children
+     * could have changed. Bounds ids only ever increase and adding or removing a child changes the
+     * bounds id of the container, so any change of a child changes the sum of their ids.
+     *
+     * @private
+     */
+    _checkBoundsID()
+    {
+        super._checkBoundsID();
+
+        let childrenBoundsID = 0;
+
+        for (let i = 0; i < this.children.length; i++)
+        {
+            const child = this.children[i];
+
+            childrenBoundsID += child._boundsID;
+
+            if (child._mask)
+            {
+                childrenBoundsID += child._mask._boundsID;
+            }
+        }
+
+        if (this._childrenBoundsID !== childrenBoundsID)
+        {
+            this._childrenBoundsID = childrenBoundsID;
+            this._boundsID++;
+        }
     }
 
     /**
@@ -350,17 +481,26 @@ export default class Container extends DisplayObject
         {
             const child = this.children[i];
 
-            if (!child.visible || !child.renderable)
+            // children in a layer are measured by the layer, where they are rendered
+            if (!child.visible || !child.renderable || child._layer)
             {
                 continue;
             }
 
-            child.calculateBounds();
+            // the bounds of children which did not change are still valid
+            if (child._boundsID !== child._lastBoundsID)
+            {
+                child.calculateBounds();
+            }
 
             // TODO: filter+mask, need to mask both somehow
             if (child._mask)
             {
-                child._mask.calculateBounds();
+                if (child._mask._boundsID !== child._mask._lastBoundsID)
+                {
+                    child._mask.calculateBounds();
+                }
+
                 this._bounds.addBoundsMask(child._bounds, child._mask._bounds);
             }
             else if (child.filterArea)
@@ -394,13 +534,26 @@ export default class Container extends DisplayObject
     render(renderer)
     {
         // if the object is not visible or the alpha is 0 then no need to render this element
-        if (!this.visible || this.worldAlpha <= 0 || !this.renderable)
+        if (!this.visible || this.worldAlpha <= 0 || !this.renderable || (this.groupAlpha && this.groupWorldAlpha <= 0))
+        {
+            return;
+        }
+
+        // skip the whole subtree if it is outside of what is being rendered
+        if (this.cullable && this.isCulled(renderer.cullFrame))
         {
+            renderer.culledObjects++;
+
             return;
         }
 
-        // do a quick check to see if this element has a mask or a filter.
-        if (this._mask || this.filters)
+        if (this.sortableChildren && this.sortDirty)
+        {
+            this.sortChildren();
+        }
+
+        // do a quick check to see if this element has a mask, a filter or is rendered as a group.
+        if (this._mask || this.filters || this.renderedAsGroup)
         {
             this.renderAdvanced(renderer);
         }
@@ -411,7 +564,13 @@ export default class Container extends DisplayObject
             // simple render children!
             for (let i = 0, j = this.children.length; i < j; ++i)
             {
-                this.children[i].render(renderer);
+                const child = this.children[i];
+
+                // children in a layer are rendered by the layer
+                if (!child._layer)
+                {
+                    child.render(renderer);
+                }
             }
         }
     }
@@ -426,8 +585,20 @@ export default class Container extends DisplayObject
     {
         renderer.batch.flush();
 
+        if (this.sortableChildren && this.sortDirty)
+        {
+            this.sortChildren();
+        }
+
         const filters = this.filters;
         const mask = this._mask;
+        const group = this.renderedAsGroup;
+
+        // the group is rendered first, so its filters and mask are included when it is drawn
+        if (group)
+        {
+            renderer.group.push(this);
+        }
 
         // push filter first as we need to ensure the stencil buffer is correct for any masking
         if (filters)
@@ -464,7 +635,12 @@ export default class Container extends DisplayObject
         // now loop through the children and make sure they get rendered
         for (let i = 0, j = this.children.length; i < j; i++)
         {
-            this.children[i].render(renderer);
+            const child = this.children[i];
+
+            if (!child._layer)
+            {
+                child.render(renderer);
+            }
         }
 
         renderer.batch.flush();
@@ -478,6 +654,11 @@ export default class Container extends DisplayObject
         {
             renderer.filter.pop();
         }
+
+        if (group)
+        {
+            renderer.group.pop();
+        }
     }
 
     /**
@@ -572,6 +753,19 @@ export default class Container extends DisplayObject
 
         this._height = value;
     }
+
+    /**
+     * Whether the container is rendered into a render texture as a group, see `groupAlpha`. Groups
+     * which are opaque and drawn with the normal blend mode would look the same, they are rendered
+     * as usual.
+     *
+     * @member {boolean}
+     * @readonly
+     */
+    get renderedAsGroup()
+    {
+        return this.groupAlpha && (this.groupWorldAlpha < 1 || this.groupBlendMode !== BLEND_MODES.NORMAL);
+    }
 }
 
 // performance increase to avoid using call.. (10x faster)
@@ -3,6 +3,8 @@ import { Rectangle, Transform } from '@pixi/math';
 import Bounds from './Bounds';
 // _tempDisplayObjectParent = new DisplayObject();
 
+const tempBounds = new Bounds();
+
 /**
  * The base class for all objects that are rendered on the screen.
  * This is an abstract class and should not be used on its own rather it should be extended.
@@ -39,24 +41,20 @@ export default class DisplayObject extends EventEmitter
         this.alpha = 1;
 
         /**
-         * The visibility of the object. If false the object will not be drawn, and
-         * the updateTransform function will not be called.
-         *
-         * Only affects recursive calls from parent. You can ask for bounds or call updateTransform manually
+         * The visibility of the object, see {@link PIXI.DisplayObject#visible}.
          *
          * @member {boolean}
+         * @private
          */
-        this.visible = true;
+        this._visible = true;
 
         /**
-         * Can this object be rendered, if false the object will not be drawn but the updateTransform
-         * methods will still be called.
-         *
-         * Only affects recursive calls from parent. You can ask for bounds manually
+         * Whether the object can be rendered, see {@link PIXI.DisplayObject#renderable}.
          *
          * @member {boolean}
+         * @private
          */
-        this.renderable = true;
+        this._renderable = true;
 
         /**
          * The display object container that contains this display object.
@@ -74,6 +72,49 @@ export default class DisplayObject extends EventEmitter
          */
         this.worldAlpha = 1;
 
+        /**
+         * The zIndex of the displayObject.
+         * A higher value will mean it will be rendered on top of other displayObjects within the same container.
+         *
+         * @member {number}
+         * @private
+         */
+        this._zIndex = 0;
+
+        /**
+         * The layer rendering this object, if any.
+         *
+         * @member {PIXI.Layer}
+         * @private
+         */
+        this._layer = null;
+
+        /**
+         * Which index in the children array the display component was before the previous zIndex sort.
+         * Used by containers to help sort objects with the same zIndex, by using previous array index as the decider.
+         *
+         * @member {number}
+         * @private
+         */
+        this._lastSortedIndex = 0;
+
+        /**
+         * Should this object be skipped by the renderer when it lies outside of the area being rendered.
+         * Culling is opt-in as measuring the bounds of an object is not free.
+         *
+         * @member {boolean}
+         */
+        this.cullable = false;
+
+        /**
+         * The area used to decide if this object is culled, in local coordinates.
+         * If not set, the world bounds of the object and its children are calculated instead,
+         * so setting it is recommended for large containers.
+         *
+         * @member {PIXI.Rectangle}
+         */
+        this.cullArea = null;
+
         /**
          * The area the filter is applied to. This is used as more of an optimisation
          * rather than figuring out the dimensions of the displayObject each frame you can set this rectangle
@@ -101,8 +142,27 @@ export default class DisplayObject extends EventEmitter
          * @private
          */
         this._bounds = new Bounds();
+
+        /**
+         * Changes when the bounds of the object change, they are calculated again when it
+         * differs from `_lastBoundsID`.
+         *
+         * @member {number}
+         * @private
+         */
         this._boundsID = 0;
         this._lastBoundsID = -1;
+
+        /**
+         * The transform and its world id when the bounds were last checked, see
+         * {@link PIXI.DisplayObject#_checkBoundsID}.
+         *
+         * @member {PIXI.Transform}
+         * @private
+         */
+        this._boundsTransform = null;
+        this._boundsWorldID = -1;
+
         this._boundsRect = null;
         this._localBoundsRect = null;
 
@@ -164,6 +224,28 @@ export default class DisplayObject extends EventEmitter
         this.worldAlpha = this.alpha * this.parent.worldAlpha;
 
         this._bounds.updateID++;
+
+        this._checkBoundsID();
+    }
+
+    /**
+     * Changes the bounds id if the bounds of the object could have changed since the last
+     * check, so they are only calculated again when needed. Called after the transform is updated.
+     *
+     * Objects with content of their own, like sprites, override this to check their content as well.
+     *
+     * @private
+     */
+    _checkBoundsID()
+    {
+        const transform = this.transform;
+
+        if (this._boundsTransform !== transform || this._boundsWorldID !== transform._worldID)
+        {
+            this._boundsTransform = transform;
+            this._boundsWorldID = transform._worldID;
+            this._boundsID++;
+        }
     }
 
     /**
@@ -333,6 +415,37 @@ export default class DisplayObject extends EventEmitter
         return this.worldTransform.applyInverse(position, point);
     }
 
+    /**
+     * Checks if the object lies completely outside of a frame, in which case there is no need to render it.
+     * Uses `cullArea` if set, otherwise the world bounds of the object.
+     * The world transform must be up to date.
+     *
+     * @param {PIXI.Rectangle} frame - The area being rendered to, in world coordinates
+     * @return {boolean} true if the object is outside of the frame
+     */
+    isCulled(frame)
+    {
+        let bounds = this._bounds;
+
+        if (this.cullArea)
+        {
+            const area = this.cullArea;
+
+            bounds = tempBounds;
+            bounds.clear();
+            bounds.addFrame(this.transform, area.x, area.y, area.x + area.width, area.y + area.height);
+        }
+        else if (this._boundsID !== this._lastBoundsID)
+        {
+            this.calculateBounds();
+        }
+
+        return bounds.maxX <= frame.x
+            || bounds.maxY <= frame.y
+            || bounds.minX >= frame.x + frame.width
+            || bounds.minY >= frame.y + frame.height;
+    }
+
     /**
      * Renders the object using the WebGL renderer
      *
@@ -404,6 +517,10 @@ export default class DisplayObject extends EventEmitter
         {
             this.parent.removeChild(this);
         }
+        if (this._layer)
+        {
+            this._layer.detach(this);
+        }
         this.transform = null;
 
         this.parent = null;
@@ -553,6 +670,131 @@ export default class DisplayObject extends EventEmitter
         this.transform.rotation = value;
     }
 
+    /**
+     * A perspective transform of the object and its children, applied before its position, scale,
+     * pivot, rotation and skew, see {@link PIXI.ProjectiveMatrix}. It is taken into account by
+     * the vertices of sprites, meshes and graphics, by bounds, hit testing, `toGlobal` and `toLocal`.
+     * The matrix can be changed in place.
+     *
+     * Sprites are batched as two triangles, so their textures are not perspective correct,
+     * unlike the ones of meshes, which are not batched while they have a perspective.
+     * The canvas renderer ignores the perspective.
+     *
+     *```js
+     * card.projection = new PIXI.ProjectiveMatrix().setFromQuad(
+     *     new PIXI.Rectangle(0, 0, 100, 150),
+     *     [{ x: 10, y: -10 }, { x: 90, y: 10 }, { x: 90, y: 140 }, { x: 10, y: 160 }]
+     * );
+     * ```
+     *
+     * @member {PIXI.ProjectiveMatrix}
+     * @default null
+     */
+    get projection()
+    {
+        return this.transform.projection;
+    }
+
+    set projection(value) // eslint-disable-line require-jsdoc
+    {
+        this.transform.projection = value;
+    }
+
+    /**
+     * The zIndex of the displayObject.
+     * If a container has the sortableChildren property set to true, children will be automatically
+     * sorted by zIndex value; a higher value will mean it will be moved towards the end of the array,
+     * and thus rendered on top of other displayObjects within the same container.
+     *
+     * @member {number}
+     */
+    get zIndex()
+    {
+        return this._zIndex;
+    }
+
+    set zIndex(value) // eslint-disable-line require-jsdoc
+    {
+        this._zIndex = value;
+        if (this.parent)
+        {
+            this.parent.sortDirty = true;
+        }
+        if (this._layer)
+        {
+            this._layer.sortDirty = true;
+        }
+    }
+
+    /**
+     * The layer rendering this object. An object in a layer is rendered, measured and hit tested
+     * where the layer is in the scene graph instead of where its parent is, while its transform
+     * still comes from its parent. Set to null to render it with its parent again.
+     *
+     * @see PIXI.Layer
+     * @member {PIXI.Layer}
+     */
+    get layer()
+    {
+        return this._layer;
+    }
+
+    set layer(value) // eslint-disable-line require-jsdoc
+    {
+        if (value)
+        {
+            value.attach(this);
+        }
+        else if (this._layer)
+        {
+            this._layer.detach(this);
+        }
+    }
+
+    /**
+     * The visibility of the object. If false the object will not be drawn, and
+     * the updateTransform function will not be called.
+     *
+     * Only affects recursive calls from parent. You can ask for bounds or call updateTransform manually
+     *
+     * @member {boolean}
+     */
+    get visible()
+    {
+        return this._visible;
+    }
+
+    set visible(value) // eslint-disable-line require-jsdoc
+    {
+        if (this._visible !== value)
+        {
+            this._visible = value;
+            this._boundsID++;
+        }
+    }
+
+    /**
+     * Can this object be rendered, if false the object will not be drawn but the updateTransform
+     * methods will still be called.
+     *
+     * Only affects recursive calls from parent. You can ask for bounds manually
+     *
+     * @member {boolean}
+     */
+    get renderable()
+    {
+        return this._renderable;
+    }
+
+    set renderable(value) // eslint-disable-line require-jsdoc
+    {
+        if (this._renderable !== value)
+        {
+            this._renderable = value;
+            this._boundsID++;
+        }
+    }
+
     /**
      * Indicates if the object is globally visible.
      *
@@ -600,6 +842,7 @@ export default class DisplayObject extends EventEmitter
         }
 
         this._mask = value;
+        this._boundsID++;
 
         if (this._mask)
         {
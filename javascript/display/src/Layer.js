@@ -0,0 +1,262 @@
+import removeItems from 'remove-array-items';
+import Container from './Container';
+import compareZIndex from './compareZIndex';
+
+/**
+ * A Layer renders display objects from anywhere in the scene graph at its own place in it,
+ * while their transforms still come from their parents. This lets a child deep in a hierarchy,
+ * such as the name tag or the shadow of a character, be drawn above or below unrelated branches.
+ *
+ * The objects of a layer are rendered, measured and hit tested with the layer, before its own
+ * children, and only while the layer and their parents are in the same scene and their parents
+ * are visible and renderable. The masks and filters of their parents do not apply to them.
+ *
+ *```js
+ * let shadows = new PIXI.Layer();
+ * stage.addChildAt(shadows, 0);
+ * character.addChild(shadow);
+ * shadow.layer = shadows;
+ * ```
+ *
+ * @class
+ * @extends PIXI.Container
+ * @memberof PIXI
+ */
+export default class Layer extends Container
+{
+    /**
+     *
+     */
+    constructor()
+    {
+        super();
+
+        /**
+         * The objects rendered by this layer, see {@link PIXI.DisplayObject#layer}.
+         * If `sortableChildren` is set, they are sorted by zIndex as well.
+         *
+         * @member {PIXI.DisplayObject[]}
+         * @readonly
+         */
+        this.layerChildren = [];
+
+        /**
+         * The sum of the bounds ids and world ids of the objects of the layer at the last check,
+         * see {@link PIXI.Layer#_checkBoundsID}.
+         *
+         * @member {number}
+         * @private
+         */
+        this._layerChildrenBoundsID = 0;
+    }
+
+    /**
+     * Renders one or more display objects with this layer, taking them from their previous layer.
+     *
+     * @param {...PIXI.DisplayObject} child - The DisplayObject(s) to render with this layer
+     * @return {PIXI.DisplayObject} The first object that was attached.
+     */
+    attach(child)
+    {
+        for (let i = 0; i < arguments.length; i++)
+        {
+            const item = arguments[i];
+
+            if (item._layer === this)
+            {
+                continue;
+            }
+
+            if (item._layer)
+            {
+                item._layer.detach(item);
+            }
+
+            item._layer = this;
+            this.layerChildren.push(item);
+
+            // the object is now measured by the layer instead of its parent
+            if (item.parent)
+            {
+                item.parent._boundsID++;
+            }
+
+            this._boundsID++;
+            this.sortDirty = true;
+        }
+
+        return child;
+    }
+
+    /**
+     * Renders one or more display objects with their parents again.
+     *
+     * @param {...PIXI.DisplayObject} child - The DisplayObject(s) to detach
+     * @return {PIXI.DisplayObject} The first object that was detached.
+     */
+    detach(child)
+    {
+        for (let i = 0; i < arguments.length; i++)
+        {
+            const item = arguments[i];
+            const index = this.layerChildren.indexOf(item);
+
+            if (index === -1)
+            {
+                continue;
+            }
+
+            item._layer = null;
+            removeItems(this.layerChildren, index, 1);
+
+            if (item.parent)
+            {
+                item.parent._boundsID++;
+            }
+
+            this._boundsID++;
+        }
+
+        return child;
+    }
+
+    /**
+     * Checks if an object of this layer is currently part of the scene of the layer,
+     * with all its parents visible and renderable.
+     *
+     * @param {PIXI.DisplayObject} child - An object of this layer
+     * @return {boolean} true if the object should be rendered and hit tested with this layer
+     */
+    isActive(child)
+    {
+        let item = child.parent;
+
+        if (!item)
+        {
+            return false;
+        }
+
+        while (item.parent)
+        {
+            if (!item.visible || !item.renderable)
+            {
+                return false;
+            }
+
+            item = item.parent;
+        }
+
+        let root = this;
+
+        while (root.parent)
+        {
+            root = root.parent;
+        }
+
+        return item === root;
+    }
+
+    /**
+     * Sorts the children and the objects of the layer by zIndex.
+     */
+    sortChildren()
+    {
+        super.sortChildren();
+
+        const layerChildren = this.layerChildren;
+
+        for (let i = 0; i < layerChildren.length; i++)
+        {
+            layerChildren[i]._lastSortedIndex = i;
+        }
+
+        layerChildren.sort(compareZIndex);
+    }
+
+    /**
+     * Changes the bounds id if the bounds or the transform of one of the objects of the layer
+     * changed since the last check, as they are updated by their parents without the layer noticing.
+     *
+     * @private
+     */
+    _checkBoundsID()
+    {
+        super._checkBoundsID();
+
+        const layerChildren = this.layerChildren;
+        let layerChildrenBoundsID = 0;
+
+        for (let i = 0; i < layerChildren.length; i++)
+        {
+            const child = layerChildren[i];
+
+            layerChildrenBoundsID += child._boundsID + child.transform._worldID;
+        }
+
+        if (this._layerChildrenBoundsID !== layerChildrenBoundsID)
+        {
+            this._layerChildrenBoundsID = layerChildrenBoundsID;
+            this._boundsID++;
+        }
+    }
+
+    /**
+     * Adds the bounds of the objects of the layer.
+     *
+     * @private
+     */
+    _calculateBounds()
+    {
+        const layerChildren = this.layerChildren;
+
+        for (let i = 0; i < layerChildren.length; i++)
+        {
+            const child = layerChildren[i];
+
+            if (!child.visible || !child.renderable || !this.isActive(child))
+            {
+                continue;
+            }
+
+            if (child._boundsID !== child._lastBoundsID)
+            {
+                child.calculateBounds();
+            }
+
+            this._bounds.addBounds(child._bounds);
+        }
+    }
+
+    /**
+     * Renders the objects of the layer.
+     *
+     * @private
+     * @param {PIXI.Renderer} renderer - The renderer
+     */
+    _render(renderer)
+    {
+        const layerChildren = this.layerChildren;
+
+        for (let i = 0; i < layerChildren.length; i++)
+        {
+            const child = layerChildren[i];
+
+            if (this.isActive(child))
+            {
+                child.render(renderer);
+            }
+        }
+    }
+
+    /**
+     * Stops rendering the objects of the layer, then destroys it like a Container.
+     *
+     * @param {object|boolean} [options] - Options parameter, see {@link PIXI.Container#destroy}
+     */
+    destroy(options)
+    {
+        this.detach(...this.layerChildren);
+
+        super.destroy(options);
+    }
+}
@@ -0,0 +1,19 @@
+/**
+ * Sort comparator for children by zIndex. Objects with the same zIndex keep
+ * their previous order, which makes the sort stable.
+ *
+ * @private
+ * @param {PIXI.DisplayObject} a - First object to compare
+ * @param {PIXI.DisplayObject} b - Second object to compare
+ * @return {number} Difference used by `Array.prototype.sort`
+ */
+export default function compareZIndex(a, b)
+{
+    if (a.zIndex === b.zIndex)
+    {
+        return a._lastSortedIndex - b._lastSortedIndex;
+    }
+
+    return a.zIndex - b.zIndex;
+}
+
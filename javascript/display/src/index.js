@@ -1,3 +1,4 @@
 export { default as Bounds } from './Bounds';
 export { default as DisplayObject } from './DisplayObject';
 export { default as Container } from './Container';
+export { default as Layer } from './Layer';
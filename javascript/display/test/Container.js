@@ -1,4 +1,5 @@
 const { Container, DisplayObject } = require('../');
+const { Rectangle } = require('@pixi/math');
 
 function testAddChild(fn)
 {
@@ -478,6 +479,252 @@ describe('PIXI.Container', function ()
         });
     });
 
+    describe('culling', function ()
+    {
+        function getRenderer()
+        {
+            return {
+                cullFrame: new Rectangle(0, 0, 100, 100),
+                culledObjects: 0,
+            };
+        }
+
+        it('should not cull objects that are not cullable', function ()
+        {
+            const renderer = getRenderer();
+            const container = new Container();
+            const child = new Container();
+            const spy = sinon.spy(child, '_render');
+
+            child.cullArea = new Rectangle(0, 0, 10, 10);
+            child.position.set(500, 500);
+            container.addChild(child);
+            container.getBounds();
+
+            container.render(renderer);
+
+            expect(spy).to.have.been.called;
+            expect(renderer.culledObjects).to.equal(0);
+        });
+
+        it('should skip the subtree of a cullable object outside of the frame', function ()
+        {
+            const renderer = getRenderer();
+            const container = new Container();
+            const child = new Container();
+            const grandChild = new Container();
+            const spy = sinon.spy(grandChild, '_render');
+
+            child.cullable = true;
+            child.cullArea = new Rectangle(0, 0, 10, 10);
+            child.position.set(500, 500);
+            child.addChild(grandChild);
+            container.addChild(child);
+            container.getBounds();
+
+            container.render(renderer);
+
+            expect(spy).to.not.have.been.called;
+            expect(renderer.culledObjects).to.equal(1);
+        });
+
+        it('should render a cullable object overlapping the frame', function ()
+        {
+            const renderer = getRenderer();
+            const container = new Container();
+            const child = new Container();
+            const spy = sinon.spy(child, '_render');
+
+            child.cullable = true;
+            child.cullArea = new Rectangle(0, 0, 10, 10);
+            child.position.set(95, 95);
+            container.addChild(child);
+            container.getBounds();
+
+            container.render(renderer);
+
+            expect(spy).to.have.been.called;
+            expect(renderer.culledObjects).to.equal(0);
+        });
+
+        it('should use world bounds when there is no cullArea', function ()
+        {
+            const frame = new Rectangle(0, 0, 100, 100);
+            const object = new Container();
+
+            object._calculateBounds = function ()
+            {
+                this._bounds.addFrame(this.transform, 0, 0, 10, 10);
+            };
+
+            object.position.set(50, 50);
+            object.getBounds();
+            expect(object.isCulled(frame)).to.be.false;
+
+            object.position.set(-20, 50);
+            object.getBounds();
+            expect(object.isCulled(frame)).to.be.true;
+        });
+
+        it('should cull objects with empty bounds', function ()
+        {
+            const object = new Container();
+
+            object.getBounds();
+
+            expect(object.isCulled(new Rectangle(0, 0, 100, 100))).to.be.true;
+        });
+    });
+
+    describe('getBounds', function ()
+    {
+        function createBox(width, height)
+        {
+            const box = new Container();
+
+            box._calculateBounds = function ()
+            {
+                this._bounds.addFrame(this.transform, 0, 0, width, height);
+            };
+
+            return box;
+        }
+
+        it('should not calculate the bounds again if nothing changed', function ()
+        {
+            const container = new Container();
+            const box = createBox(10, 10);
+            const spy = sinon.spy(box, '_calculateBounds');
+
+            container.addChild(box);
+            box.position.set(5, 5);
+
+            expect(container.getBounds()).to.deep.equal(new Rectangle(5, 5, 10, 10));
+            expect(container.getBounds()).to.deep.equal(new Rectangle(5, 5, 10, 10));
+            expect(box.getBounds()).to.deep.equal(new Rectangle(5, 5, 10, 10));
+            expect(spy).to.have.been.calledOnce;
+        });
+
+        it('should only calculate the bounds of the children which moved again', function ()
+        {
+            const container = new Container();
+            const box1 = createBox(10, 10);
+            const box2 = createBox(10, 10);
+            const spy1 = sinon.spy(box1, '_calculateBounds');
+            const spy2 = sinon.spy(box2, '_calculateBounds');
+
+            container.addChild(box1, box2);
+            container.getBounds();
+            box2.position.set(20, 0);
+
+            expect(container.getBounds()).to.deep.equal(new Rectangle(0, 0, 30, 10));
+            expect(spy1).to.have.been.calledOnce;
+            expect(spy2).to.have.been.calledTwice;
+
+            container.position.set(0, 10);
+
+            expect(container.getBounds()).to.deep.equal(new Rectangle(0, 10, 30, 10));
+            expect(spy1).to.have.been.calledTwice;
+        });
+
+        it('should calculate the bounds again when the children change', function ()
+        {
+            const container = new Container();
+            const child = new Container();
+            const box1 = createBox(10, 10);
+            const box2 = createBox(10, 10);
+
+            box2.position.set(20, 0);
+            child.addChild(box1);
+            container.addChild(child);
+
+            expect(container.getBounds()).to.deep.equal(new Rectangle(0, 0, 10, 10));
+
+            child.addChild(box2);
+
+            expect(container.getBounds()).to.deep.equal(new Rectangle(0, 0, 30, 10));
+
+            box1.visible = false;
+
+            expect(container.getBounds()).to.deep.equal(new Rectangle(20, 0, 10, 10));
+
+            box2.renderable = false;
+
+            expect(container.getBounds()).to.deep.equal(Rectangle.EMPTY);
+
+            child.removeChild(box2);
+            box1.visible = true;
+
+            expect(container.getBounds()).to.deep.equal(new Rectangle(0, 0, 10, 10));
+        });
+    });
+
+    describe('sortChildren', function ()
+    {
+        it('should flag the container as dirty when a child is added', function ()
+        {
+            const container = new Container();
+
+            expect(container.sortDirty).to.be.false;
+            container.addChild(new DisplayObject());
+            expect(container.sortDirty).to.be.true;
+            container.sortChildren();
+            expect(container.sortDirty).to.be.false;
+            container.addChildAt(new DisplayObject(), 0);
+            expect(container.sortDirty).to.be.true;
+        });
+
+        it('should flag the parent as dirty when a child zIndex changes', function ()
+        {
+            const container = new Container();
+            const child = new DisplayObject();
+
+            container.addChild(child);
+            container.sortChildren();
+
+            child.zIndex = 5;
+
+            expect(container.sortDirty).to.be.true;
+        });
+
+        it('should sort children by zIndex, keeping the order of equal values', function ()
+        {
+            const container = new Container();
+            const child1 = new DisplayObject();
+            const child2 = new DisplayObject();
+            const child3 = new DisplayObject();
+            const child4 = new DisplayObject();
+
+            child1.zIndex = 10;
+            child2.zIndex = 0;
+            child3.zIndex = 10;
+            child4.zIndex = -5;
+
+            container.addChild(child1, child2, child3, child4);
+            container.sortChildren();
+
+            expect(container.children).to.deep.equal([child4, child2, child1, child3]);
+        });
+
+        it('should sort before rendering only when sortableChildren is set', function ()
+        {
+            const container = new Container();
+            const child1 = new DisplayObject();
+            const child2 = new DisplayObject();
+
+            child1.zIndex = 1;
+            container.addChild(child1, child2);
+
+            container.render();
+            expect(container.children).to.deep.equal([child1, child2]);
+
+            container.sortableChildren = true;
+            container.render();
+            expect(container.children).to.deep.equal([child2, child1]);
+            expect(container.sortDirty).to.be.false;
+        });
+    });
+
     describe('removeChildren', function ()
     {
         it('should remove all children when no arguments supplied', function ()
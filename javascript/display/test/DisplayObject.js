@@ -1,4 +1,5 @@
 const { DisplayObject, Container } = require('../');
+const { Point, ProjectiveMatrix, Rectangle } = require('@pixi/math');
 
 describe('PIXI.DisplayObject', function ()
 {
@@ -12,6 +13,7 @@ describe('PIXI.DisplayObject', function ()
             expect(object.worldAlpha).to.equal(1);
             expect(object.renderable).to.be.true;
             expect(object.visible).to.be.true;
+            expect(object.zIndex).to.equal(0);
         });
     });
 
@@ -86,4 +88,35 @@ describe('PIXI.DisplayObject', function ()
             expect(child.worldVisible).to.be.false;
         });
     });
+
+    describe('projection', function ()
+    {
+        it('should transform points and bounds in perspective', function ()
+        {
+            const parent = new Container();
+            const child = new DisplayObject();
+            const quad = [new Point(40, 0), new Point(60, 0), new Point(100, 100), new Point(0, 100)];
+
+            parent.projection = new ProjectiveMatrix().setFromQuad(new Rectangle(0, 0, 100, 100), quad);
+            parent.addChild(child);
+            child.position.set(50, 0);
+
+            const global = child.toGlobal(new Point(50, 100));
+
+            expect(global.x).to.be.closeTo(100, 1e-6);
+            expect(global.y).to.be.closeTo(100, 1e-6);
+
+            const local = child.toLocal(new Point(50, 50));
+
+            // the far half of the plane is the smaller one
+            expect(local.x).to.be.closeTo(0, 1e-6);
+            expect(local.y).to.be.above(50);
+            expect(child.toGlobal(local).y).to.be.closeTo(50, 1e-6);
+
+            child.cullArea = new Rectangle(-50, 0, 100, 10);
+
+            expect(child.isCulled(new Rectangle(0, 0, 39, 100))).to.be.true;
+            expect(child.isCulled(new Rectangle(0, 0, 41, 100))).to.be.false;
+        });
+    });
 });
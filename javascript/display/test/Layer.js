@@ -0,0 +1,147 @@
+const { Container, Layer } = require('../');
+const { Rectangle } = require('@pixi/math');
+
+describe('PIXI.Layer', function ()
+{
+    function createItem(name, rendered)
+    {
+        const item = new Container();
+
+        item.name = name;
+        item._render = () => rendered.push(name);
+
+        return item;
+    }
+
+    // updates a scene as the renderer does, with a temporary parent
+    function updateTransform(stage)
+    {
+        stage.parent = stage._tempDisplayObjectParent;
+        stage.updateTransform();
+        stage.parent = null;
+    }
+
+    it('should render its objects at its place in the scene graph', function ()
+    {
+        const rendered = [];
+        const stage = new Container();
+        const character = createItem('character', rendered);
+        const tag = createItem('tag', rendered);
+        const scenery = createItem('scenery', rendered);
+        const layer = new Layer();
+
+        stage.addChild(character, scenery, layer);
+        character.addChild(tag);
+        tag.layer = layer;
+
+        expect(tag.layer).to.equal(layer);
+        expect(layer.layerChildren).to.deep.equal([tag]);
+
+        stage.render({});
+        expect(rendered).to.deep.equal(['character', 'scenery', 'tag']);
+
+        rendered.length = 0;
+        character.renderable = false;
+        stage.render({});
+        expect(rendered).to.deep.equal(['scenery']);
+
+        rendered.length = 0;
+        character.renderable = true;
+        tag.layer = null;
+        stage.render({});
+        expect(rendered).to.deep.equal(['character', 'tag', 'scenery']);
+        expect(layer.layerChildren).to.be.empty;
+    });
+
+    it('should sort its objects by zIndex', function ()
+    {
+        const rendered = [];
+        const stage = new Container();
+        const first = createItem('first', rendered);
+        const second = createItem('second', rendered);
+        const layer = new Layer();
+
+        stage.addChild(first, second, layer);
+        layer.attach(first, second);
+        layer.sortableChildren = true;
+        first.zIndex = 1;
+
+        stage.render({});
+        expect(rendered).to.deep.equal(['second', 'first']);
+    });
+
+    it('should be measured with its objects, instead of their parents', function ()
+    {
+        const stage = new Container();
+        const character = new Container();
+        const tag = new Container();
+        const layer = new Layer();
+
+        stage.addChild(character, layer);
+        character.addChild(tag);
+        character.position.set(20, 10);
+        tag._calculateBounds = function ()
+        {
+            this._bounds.addFrame(this.transform, 0, 0, 10, 10);
+        };
+
+        expect(character.getBounds()).to.deep.equal(new Rectangle(20, 10, 10, 10));
+
+        layer.attach(tag);
+
+        expect(character.getBounds()).to.deep.equal(Rectangle.EMPTY);
+        expect(layer.getBounds()).to.deep.equal(new Rectangle(20, 10, 10, 10));
+        expect(stage.getBounds()).to.deep.equal(new Rectangle(20, 10, 10, 10));
+    });
+
+    it('should only change its bounds id when its objects change', function ()
+    {
+        const stage = new Container();
+        const character = new Container();
+        const tag = new Container();
+        const layer = new Layer();
+
+        stage.addChild(character, layer);
+        character.addChild(tag);
+        layer.attach(tag);
+        tag._calculateBounds = function ()
+        {
+            this._bounds.addFrame(this.transform, 0, 0, 10, 10);
+        };
+
+        updateTransform(stage);
+
+        const boundsID = layer._boundsID;
+
+        updateTransform(stage);
+
+        expect(layer._boundsID).to.equal(boundsID);
+
+        character.position.set(20, 10);
+        updateTransform(stage);
+
+        expect(layer._boundsID).to.not.equal(boundsID);
+        expect(layer.getBounds()).to.deep.equal(new Rectangle(20, 10, 10, 10));
+    });
+
+    it('should detach its objects when it or they are destroyed', function ()
+    {
+        const stage = new Container();
+        const first = new Container();
+        const second = new Container();
+        const layer = new Layer();
+        const other = new Layer();
+
+        stage.addChild(first, second, layer);
+        layer.attach(first, second);
+        other.attach(second);
+
+        expect(layer.layerChildren).to.deep.equal([first]);
+
+        first.destroy();
+        other.destroy();
+
+        expect(layer.layerChildren).to.be.empty;
+        expect(second.layer).to.be.null;
+    });
+});
@@ -95,6 +95,8 @@ export default class Extract
             frame = renderTexture.frame;
             flipY = false;
             renderer.renderTexture.bind(renderTexture);
+            // multisampled render textures are read from once resolved
+            renderer.framebuffer.resolve();
         }
         else
         {
@@ -188,6 +190,8 @@ export default class Extract
 
             // bind the buffer
             renderer.renderTexture.bind(renderTexture);
+            // multisampled render textures are read from once resolved
+            renderer.framebuffer.resolve();
         }
         else
         {
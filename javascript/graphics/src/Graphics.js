@@ -163,6 +163,12 @@ export default class Graphics extends Container
          */
         this.boundsDirty = -1;
 
+        /**
+         * Used to detect if the shapes changed since the bounds were last checked
+         * @type {Number}
+         */
+        this.boundsCheckDirty = -1;
+
         /**
          * Used to detect if the cached sprite object needs to be updated.
          *
@@ -832,6 +838,22 @@ export default class Graphics extends Container
         sprite._render(renderer);
     }
 
+    /**
+     * Changes the bounds id if the transform, the children or the shapes changed.
+     *
+     * @private
+     */
+    _checkBoundsID()
+    {
+        super._checkBoundsID();
+
+        if (this.boundsCheckDirty !== this.dirty)
+        {
+            this.boundsCheckDirty = this.dirty;
+            this._boundsID++;
+        }
+    }
+
     /**
      * Retrieves the bounds of the graphic shape as a rectangle object
      *
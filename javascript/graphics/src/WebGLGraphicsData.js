@@ -95,7 +95,10 @@ export default class WebGLGraphicsData
         this.glPoints = new Float32Array(this.points);
         this.buffer.update(this.glPoints);
 
-        this.glIndices = new Uint16Array(this.indices);
+        // each vertex is 6 floats, more than 65536 of them cannot be indexed with 16 bits
+        const IndexArray = this.points.length / 6 > 0x10000 ? Uint32Array : Uint16Array;
+
+        this.glIndices = new IndexArray(this.indices);
         this.indexBuffer.update(this.glIndices);
 
         //     console.log("UPKOADING,.",this.glPoints,this.glIndices)
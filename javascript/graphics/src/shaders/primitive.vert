@@ -10,6 +10,7 @@ uniform vec3 tint;
 varying vec4 vColor;
 
 void main(void){
-   gl_Position = vec4((projectionMatrix * translationMatrix * vec3(aVertexPosition, 1.0)).xy, 0.0, 1.0);
+   vec3 position = projectionMatrix * translationMatrix * vec3(aVertexPosition, 1.0);
+   gl_Position = vec4(position.xy, 0.0, position.z);
    vColor = aColor * vec4(tint * alpha, alpha);
 }
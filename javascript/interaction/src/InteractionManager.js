@@ -1057,11 +1057,26 @@ export default class InteractionManager extends EventEmitter
         // This will allow PixiJS to completely ignore and bypass checking the displayObjects children.
         if (hitTestChildren && displayObject.interactiveChildren && displayObject.children)
         {
+            // hit test in the same order the children are rendered
+            if (displayObject.sortableChildren && displayObject.sortDirty)
+            {
+                displayObject.sortChildren();
+            }
+
             const children = displayObject.children;
+            // the objects of a layer are rendered before its own children, so they are hit tested after them
+            const layerChildren = displayObject.layerChildren;
+            const layerLength = layerChildren ? layerChildren.length : 0;
 
-            for (let i = children.length - 1; i >= 0; i--)
+            for (let i = layerLength + children.length - 1; i >= 0; i--)
             {
-                const child = children[i];
+                const child = i >= layerLength ? children[i - layerLength] : layerChildren[i];
+
+                // children in a layer are hit tested with the layer
+                if (i >= layerLength ? child._layer : !displayObject.isActive(child))
+                {
+                    continue;
+                }
 
                 // time to get recursive.. if this function will return if something is hit..
                 const childHit = this.processInteractive(interactionEvent, child, func, hitTest, interactiveParent);
@@ -1,5 +1,5 @@
 const MockPointer = require('./MockPointer');
-const { Container } = require('@pixi/display');
+const { Container, Layer } = require('@pixi/display');
 const { Graphics } = require('@pixi/graphics');
 const { Point, Rectangle } = require('@pixi/math');
 const { mixins } = require('@pixi/utils');
@@ -1697,6 +1697,60 @@ describe('PIXI.interaction.InteractionManager', function ()
             expect(hit).to.equal(graphics);
         });
 
+        it('should return top thing that was hit after sorting by zIndex', function ()
+        {
+            const stage = new Container();
+            const graphics = new Graphics();
+            const behind = new Graphics();
+            const pointer = this.pointer = new MockPointer(stage);
+
+            stage.sortableChildren = true;
+            stage.addChild(graphics);
+            stage.addChild(behind);
+            graphics.beginFill(0xFFFFFF);
+            graphics.drawRect(0, 0, 50, 50);
+            graphics.interactive = true;
+            graphics.zIndex = 1;
+            behind.beginFill(0xFFFFFF);
+            behind.drawRect(0, 0, 50, 50);
+            behind.interactive = true;
+
+            const hit = pointer.interaction.hitTest(new Point(10, 10));
+
+            expect(hit).to.equal(graphics);
+        });
+
+        it('should return top thing that was hit in render layer order', function ()
+        {
+            const stage = new Container();
+            const character = new Container();
+            const tag = new Graphics();
+            const scenery = new Graphics();
+            const layer = new Layer();
+            const pointer = this.pointer = new MockPointer(stage);
+
+            stage.addChild(character, scenery, layer);
+            character.addChild(tag);
+            character.position.set(20, 20);
+            tag.beginFill(0xFFFFFF);
+            tag.drawRect(0, 0, 50, 50);
+            tag.interactive = true;
+            scenery.beginFill(0xFFFFFF);
+            scenery.drawRect(0, 0, 50, 50);
+            scenery.interactive = true;
+
+            pointer.render();
+            expect(pointer.interaction.hitTest(new Point(30, 30))).to.equal(scenery);
+
+            tag.layer = layer;
+            pointer.render();
+            expect(pointer.interaction.hitTest(new Point(30, 30))).to.equal(tag);
+            expect(pointer.interaction.hitTest(new Point(10, 10))).to.equal(scenery);
+
+            character.visible = false;
+            expect(pointer.interaction.hitTest(new Point(30, 30))).to.equal(scenery);
+        });
+
         it('should return hit when passing in root', function ()
         {
             const stage = new Container();
@@ -0,0 +1,218 @@
+import { Resource } from 'resource-loader';
+import { Texture, BaseTexture, resources } from '@pixi/core';
+
+// the extensions of the compressed texture files
+const FILE_EXTENSIONS = ['ktx', 'dds', 'pvr', 'astc', 'pkm'];
+
+/**
+ * Loader plugin for GPU-compressed textures, see {@link PIXI.resources.CompressedTextureResource}.
+ *
+ * Files with a `ktx`, `dds`, `pvr`, `astc` or `pkm` extension are loaded as array buffers and turned
+ * into textures. A resource can also list compressed variants of a texture in its `compressedTextures`
+ * metadata, by format family. The first family of {@link PIXI.CompressedTextureLoader.preferredFormats}
+ * that the device supports is loaded instead of the url, which is kept if none is supported.
+ *
+ * The supported families are the extensions of the context of the {@link PIXI.Loader#renderer} of the
+ * loader, which the {@link PIXI.Application} sets for its loader. Files in a format that renderer does not
+ * support fail to load, instead of failing to upload while rendering.
+ *
+ * @example
+ * PIXI.Loader.shared.add('atlas', 'atlas.png', {
+ *     metadata: {
+ *         compressedTextures: {
+ *             astc: 'atlas.astc.ktx',
+ *             s3tc: 'atlas.dds',
+ *             pvrtc: 'atlas.pvr',
+ *             etc1: 'atlas.etc1.ktx',
+ *         },
+ *     },
+ * });
+ *
+ * @class
+ * @memberof PIXI
+ * @extends PIXI.Loader~LoaderPlugin
+ */
+export default class CompressedTextureLoader
+{
+    /**
+     * Called when the plugin is registered, loads the compressed texture files as array buffers.
+     */
+    static add()
+    {
+        FILE_EXTENSIONS.forEach((extension) =>
+        {
+            Resource.setExtensionLoadType(extension, Resource.LOAD_TYPE.XHR);
+            Resource.setExtensionXhrType(extension, Resource.XHR_RESPONSE_TYPE.BUFFER);
+        });
+    }
+
+    /**
+     * Called before a resource is loaded, replaces its url with the best variant supported by the
+     * renderer of the loader, which is `this`.
+     * @see PIXI.Loader~loaderMiddleware
+     * @param {PIXI.LoaderResource} resource
+     * @param {function} next
+     */
+    static pre(resource, next)
+    {
+        const variants = resource.metadata && resource.metadata.compressedTextures;
+
+        if (variants)
+        {
+            const supported = CompressedTextureLoader.getSupportedFormats(this.renderer);
+            const family = CompressedTextureLoader.preferredFormats.find((name) => supported[name] && variants[name]);
+
+            if (family)
+            {
+                const url = variants[family];
+
+                // variants are relative to the url of the resource
+                resource.url = (/^(?:[a-z][a-z0-9+.-]*:|\/)/i).test(url)
+                    ? url
+                    : resource.url.replace(/[^/]*(?:[?#].*)?$/, url);
+                resource.extension = url.replace(/[?#].*$/, '').split('.').pop().toLowerCase();
+                resource.loadType = Resource.LOAD_TYPE.XHR;
+                resource.xhrType = Resource.XHR_RESPONSE_TYPE.BUFFER;
+            }
+        }
+
+        next();
+    }
+
+    /**
+     * Called after a resource is loaded, creates a texture if the data is a compressed texture file.
+     * Sets the error of the resource if the renderer of the loader, which is `this`, does not support it.
+     * @see PIXI.Loader~loaderMiddleware
+     * @param {PIXI.LoaderResource} resource
+     * @param {function} next
+     */
+    static use(resource, next)
+    {
+        if (resources.CompressedTextureResource.test(resource.data))
+        {
+            const compressedResource = new resources.CompressedTextureResource(resource.data);
+            const extension = compressedResource.extension;
+
+            if (this.renderer && !CompressedTextureLoader.getSupportedFormats(this.renderer)[extension])
+            {
+                resource.error = new Error(`${resource.url} needs the WEBGL_compressed_texture_${extension} extension`);
+                next();
+
+                return;
+            }
+
+            const baseTexture = new BaseTexture(compressedResource);
+            const texture = new Texture(baseTexture);
+
+            BaseTexture.addToCache(baseTexture, resource.name);
+            Texture.addToCache(texture, resource.name);
+
+            if (resource.name !== resource.url)
+            {
+                BaseTexture.addToCache(baseTexture, resource.url);
+                Texture.addToCache(texture, resource.url);
+            }
+
+            resource.texture = texture;
+        }
+
+        next();
+    }
+
+    /**
+     * Gives the compressed format families a renderer supports.
+     *
+     * @param {PIXI.Renderer} [renderer] - The renderer, {@link PIXI.CompressedTextureLoader.supportedFormats}
+     *  are returned without it
+     * @return {object<string, boolean>} Whether each family is supported, as in `WEBGL_compressed_texture_<family>`
+     */
+    static getSupportedFormats(renderer)
+    {
+        const extensions = renderer && renderer.context && renderer.context.extensions;
+
+        if (!extensions)
+        {
+            return CompressedTextureLoader.supportedFormats;
+        }
+
+        const supportedFormats = {};
+
+        CompressedTextureLoader.preferredFormats.forEach((family) =>
+        {
+            supportedFormats[family] = !!extensions[family];
+        });
+
+        return supportedFormats;
+    }
+
+    /**
+     * The compressed format families supported by the device, as in `WEBGL_compressed_texture_<family>`,
+     * for the loaders without renderer. They are detected once with a WebGL context which is released
+     * afterwards, unless they are set.
+     *
+     * @member {object<string, boolean>}
+     */
+    static get supportedFormats()
+    {
+        if (CompressedTextureLoader._supportedFormats)
+        {
+            return CompressedTextureLoader._supportedFormats;
+        }
+
+        if (!CompressedTextureLoader._detectedFormats)
+        {
+            const canvas = document.createElement('canvas');
+            const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+            const supportedFormats = {};
+
+            CompressedTextureLoader.preferredFormats.forEach((family) =>
+            {
+                supportedFormats[family] = !!gl && !!(gl.getExtension(`WEBGL_compressed_texture_${family}`)
+                    || gl.getExtension(`WEBKIT_WEBGL_compressed_texture_${family}`));
+            });
+
+            // browsers limit the number of live contexts
+            const loseContext = gl && gl.getExtension('WEBGL_lose_context');
+
+            if (loseContext)
+            {
+                loseContext.loseContext();
+            }
+
+            CompressedTextureLoader._detectedFormats = supportedFormats;
+        }
+
+        return CompressedTextureLoader._detectedFormats;
+    }
+
+    static set supportedFormats(value) // eslint-disable-line require-jsdoc
+    {
+        CompressedTextureLoader._supportedFormats = value;
+    }
+}
+
+/**
+ * The format families in order of preference, when a resource has several compressed variants.
+ *
+ * @static
+ * @member {string[]}
+ * @memberof PIXI.CompressedTextureLoader
+ * @default ['astc', 'etc', 's3tc', 'pvrtc', 'etc1']
+ */
+CompressedTextureLoader.preferredFormats = ['astc', 'etc', 's3tc', 'pvrtc', 'etc1'];
+
+/**
+ * @static
+ * @member {object<string, boolean>}
+ * @memberof PIXI.CompressedTextureLoader
+ * @private
+ */
+CompressedTextureLoader._supportedFormats = null;
+
+/**
+ * @static
+ * @member {object<string, boolean>}
+ * @memberof PIXI.CompressedTextureLoader
+ * @private
+ */
+CompressedTextureLoader._detectedFormats = null;
@@ -2,6 +2,7 @@ import ResourceLoader from 'resource-loader';
 import EventEmitter from 'eventemitter3';
 import { blobMiddlewareFactory } from 'resource-loader/lib/middlewares/parsing/blob';
 import TextureLoader from './TextureLoader';
+import CompressedTextureLoader from './CompressedTextureLoader';
 
 /**
  *
@@ -86,6 +87,15 @@ export default class Loader extends ResourceLoader
         this.onLoad.add((l, r) => this.emit('load', l, r));
         this.onComplete.add((l, r) => this.emit('complete', l, r));
 
+        /**
+         * The renderer the resources are loaded for, plugins can check what it supports, like the
+         * {@link PIXI.CompressedTextureLoader} does for compressed textures. The {@link PIXI.Application}
+         * sets its renderer for its loader.
+         *
+         * @member {PIXI.Renderer}
+         */
+        this.renderer = null;
+
         /**
          * If this loader cannot be destroyed.
          * @member {boolean}
@@ -170,6 +180,9 @@ Loader.registerPlugin({ use: blobMiddlewareFactory() });
 // parse any Image objects into textures
 Loader.registerPlugin(TextureLoader);
 
+// pick the compressed variants of textures and parse compressed texture files into textures
+Loader.registerPlugin(CompressedTextureLoader);
+
 /**
  * Plugin to be installed for handling specific Loader resources.
  * @typedef {object} PIXI.Loader~LoaderPlugin
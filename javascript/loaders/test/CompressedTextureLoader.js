@@ -0,0 +1,153 @@
+const { CompressedTextureLoader, LoaderResource } = require('../');
+const { Texture, resources } = require('@pixi/core');
+const { TextureCache } = require('@pixi/utils');
+const { installMockCanvas, MockWebGLRenderingContext } = require('@pixi/webgl-mock');
+
+describe('PIXI.CompressedTextureLoader', function ()
+{
+    function createLoader(extensions)
+    {
+        return { renderer: { context: { extensions } } };
+    }
+
+    function createDDS()
+    {
+        const data = new ArrayBuffer(128 + 8);
+        const view = new DataView(data);
+
+        // a 4x4 DXT1 DDS file
+        view.setUint32(0, 0x20534444, true);
+        view.setUint32(12, 4, true);
+        view.setUint32(16, 4, true);
+        view.setUint32(80, 0x4, true);
+        view.setUint32(84, 0x31545844, true);
+
+        return data;
+    }
+
+    before(function ()
+    {
+        this.supportedFormats = CompressedTextureLoader.supportedFormats;
+        CompressedTextureLoader.supportedFormats = { astc: false, etc: false, s3tc: true, pvrtc: true, etc1: false };
+    });
+
+    after(function ()
+    {
+        CompressedTextureLoader.supportedFormats = this.supportedFormats;
+    });
+
+    it('should load the preferred variant which is supported', function ()
+    {
+        const spy = sinon.spy();
+        const res = {
+            url: 'http://localhost/assets/atlas.png?v=2',
+            metadata: {
+                compressedTextures: { astc: 'atlas.astc.ktx', pvrtc: 'atlas.pvr', s3tc: 'atlas.dds' },
+            },
+        };
+
+        CompressedTextureLoader.pre(res, spy);
+
+        expect(spy).to.have.been.calledOnce;
+        expect(res.url).to.equal('http://localhost/assets/atlas.dds');
+        expect(res.extension).to.equal('dds');
+        expect(res.loadType).to.equal(LoaderResource.LOAD_TYPE.XHR);
+        expect(res.xhrType).to.equal(LoaderResource.XHR_RESPONSE_TYPE.BUFFER);
+    });
+
+    it('should keep the url when no variant is supported', function ()
+    {
+        const spy = sinon.spy();
+        const res = { url: 'atlas.png', metadata: { compressedTextures: { astc: 'atlas.astc.ktx' } } };
+
+        CompressedTextureLoader.pre(res, spy);
+
+        expect(spy).to.have.been.calledOnce;
+        expect(res.url).to.equal('atlas.png');
+    });
+
+    it('should pick the variants supported by the renderer of each loader', function ()
+    {
+        const spy = sinon.spy();
+        const compressedTextures = { astc: 'atlas.astc.ktx', s3tc: 'atlas.dds', etc1: 'atlas.etc1.ktx' };
+        const s3tcRes = { url: 'atlas.png', metadata: { compressedTextures } };
+        const etc1Res = { url: 'atlas.png', metadata: { compressedTextures } };
+
+        CompressedTextureLoader.pre.call(createLoader({ s3tc: {} }), s3tcRes, spy);
+        CompressedTextureLoader.pre.call(createLoader({ astc: null, etc1: {} }), etc1Res, spy);
+
+        expect(spy).to.have.been.calledTwice;
+        expect(s3tcRes.url).to.equal('atlas.dds');
+        expect(etc1Res.url).to.equal('atlas.etc1.ktx');
+        expect(CompressedTextureLoader.getSupportedFormats(createLoader({ etc1: {} }).renderer)).to.deep.equal({
+            astc: false, etc: false, s3tc: false, pvrtc: false, etc1: true,
+        });
+    });
+
+    it('should release the context it detects the supported formats with', function ()
+    {
+        const supportedFormats = CompressedTextureLoader.supportedFormats;
+        const uninstall = installMockCanvas({ extensions: ['WEBGL_compressed_texture_pvrtc', 'WEBGL_lose_context'] });
+        const loseContext = sinon.spy(MockWebGLRenderingContext.prototype, 'simulateContextLost');
+
+        CompressedTextureLoader.supportedFormats = null;
+        CompressedTextureLoader._detectedFormats = null;
+
+        try
+        {
+            expect(CompressedTextureLoader.supportedFormats).to.deep.equal({
+                astc: false, etc: false, s3tc: false, pvrtc: true, etc1: false,
+            });
+            expect(loseContext).to.have.been.calledOnce;
+        }
+        finally
+        {
+            loseContext.restore();
+            uninstall();
+            CompressedTextureLoader._detectedFormats = null;
+            CompressedTextureLoader.supportedFormats = supportedFormats;
+        }
+    });
+
+    it('should create a texture from a compressed texture file', function ()
+    {
+        const spy = sinon.spy();
+        const res = { name: 'atlas', url: 'http://localhost/assets/atlas.dds', data: createDDS() };
+
+        CompressedTextureLoader.use(res, spy);
+
+        expect(spy).to.have.been.calledOnce;
+        expect(res.texture).to.be.an.instanceof(Texture);
+        expect(res.texture.baseTexture.resource).to.be.an.instanceof(resources.CompressedTextureResource);
+        expect(res.texture.width).to.equal(4);
+        expect(TextureCache).to.have.property('atlas', res.texture);
+        expect(TextureCache).to.have.property(res.url, res.texture);
+
+        res.texture.destroy(true);
+    });
+
+    it('should fail to load a file the renderer of the loader does not support', function ()
+    {
+        const spy = sinon.spy();
+        const res = { name: 'unsupported', url: 'http://localhost/assets/atlas.dds', data: createDDS() };
+
+        CompressedTextureLoader.use.call(createLoader({ pvrtc: {} }), res, spy);
+
+        expect(spy).to.have.been.calledOnce;
+        expect(res.error).to.be.an.instanceof(Error);
+        expect(res.error.message).to.match(/WEBGL_compressed_texture_s3tc/);
+        expect(res.texture).to.be.undefined;
+        expect(TextureCache).to.not.have.property('unsupported');
+    });
+
+    it('should do nothing if the resource is not a compressed texture', function ()
+    {
+        const spy = sinon.spy();
+        const res = { data: new ArrayBuffer(128) };
+
+        CompressedTextureLoader.use(res, spy);
+
+        expect(spy).to.have.been.calledOnce;
+        expect(res.texture).to.be.undefined;
+    });
+});
@@ -0,0 +1,483 @@
+import Matrix from './Matrix';
+import Point from './Point';
+
+const tempMatrix = new Matrix();
+
+/**
+ * Sets a matrix to the product of two matrices, either of which may be an affine {@link PIXI.Matrix}.
+ *
+ * @private
+ * @param {PIXI.ProjectiveMatrix} out - The matrix the result is written to, may be one of the factors
+ * @param {PIXI.Matrix|PIXI.ProjectiveMatrix} left - The left factor
+ * @param {PIXI.Matrix|PIXI.ProjectiveMatrix} right - The right factor
+ */
+function multiply(out, left, right)
+{
+    const la = left.a;
+    const lb = left.b;
+    const lc = left.c;
+    const ld = left.d;
+    const ltx = left.tx;
+    const lty = left.ty;
+    const lpx = left instanceof ProjectiveMatrix ? left.px : 0;
+    const lpy = left instanceof ProjectiveMatrix ? left.py : 0;
+    const lpw = left instanceof ProjectiveMatrix ? left.pw : 1;
+
+    const ra = right.a;
+    const rb = right.b;
+    const rc = right.c;
+    const rd = right.d;
+    const rtx = right.tx;
+    const rty = right.ty;
+    const rpx = right instanceof ProjectiveMatrix ? right.px : 0;
+    const rpy = right instanceof ProjectiveMatrix ? right.py : 0;
+    const rpw = right instanceof ProjectiveMatrix ? right.pw : 1;
+
+    out.a = (la * ra) + (lc * rb) + (ltx * rpx);
+    out.c = (la * rc) + (lc * rd) + (ltx * rpy);
+    out.tx = (la * rtx) + (lc * rty) + (ltx * rpw);
+
+    out.b = (lb * ra) + (ld * rb) + (lty * rpx);
+    out.d = (lb * rc) + (ld * rd) + (lty * rpy);
+    out.ty = (lb * rtx) + (ld * rty) + (lty * rpw);
+
+    out.px = (lpx * ra) + (lpy * rb) + (lpw * rpx);
+    out.py = (lpx * rc) + (lpy * rd) + (lpw * rpy);
+    out.pw = (lpx * rtx) + (lpy * rty) + (lpw * rpw);
+}
+
+/**
+ * A 3x3 homogeneous matrix, which adds a perspective row to the affine {@link PIXI.Matrix}:
+ * | a  | c  | tx |
+ * | b  | d  | ty |
+ * | px | py | pw |
+ *
+ * A point is transformed to `((a * x) + (c * y) + tx) / w` and `((b * x) + (d * y) + ty) / w`,
+ * where `w = (px * x) + (py * y) + pw`. This makes rectangles into any quadrilaterals, for tilted
+ * planes or cards flipping in 3D. Set it as the {@link PIXI.DisplayObject#projection} of an object.
+ *
+ * Points with a w coordinate of zero or less are behind the viewer and are not clipped,
+ * so the projected shapes should stay in front of it.
+ *
+ * @class
+ * @extends PIXI.Matrix
+ * @memberof PIXI
+ */
+export default class ProjectiveMatrix extends Matrix
+{
+    /**
+     * @param {number} [a=1] - x scale
+     * @param {number} [b=0] - x skew
+     * @param {number} [c=0] - y skew
+     * @param {number} [d=1] - y scale
+     * @param {number} [tx=0] - x translation
+     * @param {number} [ty=0] - y translation
+     * @param {number} [px=0] - x perspective
+     * @param {number} [py=0] - y perspective
+     * @param {number} [pw=1] - perspective scale
+     */
+    constructor(a = 1, b = 0, c = 0, d = 1, tx = 0, ty = 0, px = 0, py = 0, pw = 1)
+    {
+        super(a, b, c, d, tx, ty);
+
+        /**
+         * @member {number}
+         * @default 0
+         */
+        this.px = px;
+
+        /**
+         * @member {number}
+         * @default 0
+         */
+        this.py = py;
+
+        /**
+         * @member {number}
+         * @default 1
+         */
+        this.pw = pw;
+    }
+
+    /**
+     * Sets the matrix from an array of 9 numbers, in the same order as {@link PIXI.Matrix#fromArray},
+     * followed by px, py and pw.
+     *
+     * @param {number[]} array - The array that the matrix will be populated from.
+     */
+    fromArray(array)
+    {
+        super.fromArray(array);
+
+        this.px = array[6];
+        this.py = array[7];
+        this.pw = array[8];
+    }
+
+    /**
+     * sets the matrix properties
+     *
+     * @param {number} a - Matrix component
+     * @param {number} b - Matrix component
+     * @param {number} c - Matrix component
+     * @param {number} d - Matrix component
+     * @param {number} tx - Matrix component
+     * @param {number} ty - Matrix component
+     * @param {number} [px=0] - Matrix component
+     * @param {number} [py=0] - Matrix component
+     * @param {number} [pw=1] - Matrix component
+     *
+     * @return {PIXI.ProjectiveMatrix} This matrix. Good for chaining method calls.
+     */
+    set(a, b, c, d, tx, ty, px = 0, py = 0, pw = 1)
+    {
+        super.set(a, b, c, d, tx, ty);
+
+        this.px = px;
+        this.py = py;
+        this.pw = pw;
+
+        return this;
+    }
+
+    /**
+     * Sets the matrix to map the corners of a rectangle to the corners of a quadrilateral.
+     *
+     *```js
+     * // tilts a sprite backwards, like a floor
+     * sprite.projection = new PIXI.ProjectiveMatrix().setFromQuad(
+     *     new PIXI.Rectangle(0, 0, sprite.texture.width, sprite.texture.height),
+     *     [{ x: 40, y: 0 }, { x: 60, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }]
+     * );
+     * ```
+     *
+     * @param {PIXI.Rectangle} rect - The rectangle, which must not be empty
+     * @param {PIXI.Point[]} quad - The top left, top right, bottom right and bottom left corners
+     *  the corners of the rectangle are mapped to
+     * @return {PIXI.ProjectiveMatrix} This matrix. Good for chaining method calls.
+     */
+    setFromQuad(rect, quad)
+    {
+        const [p0, p1, p2, p3] = quad;
+        const dx1 = p1.x - p2.x;
+        const dy1 = p1.y - p2.y;
+        const dx2 = p3.x - p2.x;
+        const dy2 = p3.y - p2.y;
+        const dx3 = p0.x - p1.x + p2.x - p3.x;
+        const dy3 = p0.y - p1.y + p2.y - p3.y;
+        const den = (dx1 * dy2) - (dx2 * dy1);
+
+        // maps the unit square to the quad
+        const px = ((dx3 * dy2) - (dx2 * dy3)) / den;
+        const py = ((dx1 * dy3) - (dx3 * dy1)) / den;
+
+        this.set(
+            p1.x - p0.x + (px * p1.x),
+            p1.y - p0.y + (px * p1.y),
+            p3.x - p0.x + (py * p3.x),
+            p3.y - p0.y + (py * p3.y),
+            p0.x,
+            p0.y,
+            px,
+            py,
+            1
+        );
+
+        // then the rectangle to the unit square
+        return this.append(tempMatrix.set(
+            1 / rect.width,
+            0,
+            0,
+            1 / rect.height,
+            -rect.x / rect.width,
+            -rect.y / rect.height
+        ));
+    }
+
+    /**
+     * Creates an array from the current matrix, including its perspective row.
+     *
+     * @param {boolean} transpose - Whether we need to transpose the matrix or not
+     * @param {Float32Array} [out=new Float32Array(9)] - If provided the array will be assigned to out
+     * @return {number[]} the newly created array which contains the matrix
+     */
+    toArray(transpose, out)
+    {
+        const array = super.toArray(transpose, out);
+
+        if (transpose)
+        {
+            array[2] = this.px;
+            array[5] = this.py;
+        }
+        else
+        {
+            array[6] = this.px;
+            array[7] = this.py;
+        }
+
+        array[8] = this.pw;
+
+        return array;
+    }
+
+    /**
+     * Get a new position with the current transformation applied, divided by its w coordinate.
+     * Can be used to go from a child's coordinate space to the world coordinate space. (e.g. rendering)
+     *
+     * @param {PIXI.Point} pos - The origin
+     * @param {PIXI.Point} [newPos] - The point that the new position is assigned to (allowed to be same as input)
+     * @return {PIXI.Point} The new point, transformed through this matrix
+     */
+    apply(pos, newPos)
+    {
+        newPos = newPos || new Point();
+
+        const x = pos.x;
+        const y = pos.y;
+        const w = (this.px * x) + (this.py * y) + this.pw;
+
+        newPos.x = ((this.a * x) + (this.c * y) + this.tx) / w;
+        newPos.y = ((this.b * x) + (this.d * y) + this.ty) / w;
+
+        return newPos;
+    }
+
+    /**
+     * Get a new position with the inverse of the current transformation applied.
+     * Can be used to go from the world coordinate space to a child's coordinate space. (e.g. input)
+     *
+     * @param {PIXI.Point} pos - The origin
+     * @param {PIXI.Point} [newPos] - The point that the new position is assigned to (allowed to be same as input)
+     * @return {PIXI.Point} The new point, inverse-transformed through this matrix
+     */
+    applyInverse(pos, newPos)
+    {
+        newPos = newPos || new Point();
+
+        const { a, b, c, d, tx, ty, px, py, pw } = this;
+        const x = pos.x;
+        const y = pos.y;
+
+        // the determinant is left out, the perspective divide cancels it
+        const x1 = (((d * pw) - (ty * py)) * x) + (((tx * py) - (c * pw)) * y) + ((c * ty) - (tx * d));
+        const y1 = (((ty * px) - (b * pw)) * x) + (((a * pw) - (tx * px)) * y) + ((tx * b) - (a * ty));
+        const w = (((b * py) - (d * px)) * x) + (((c * px) - (a * py)) * y) + ((a * d) - (c * b));
+
+        newPos.x = x1 / w;
+        newPos.y = y1 / w;
+
+        return newPos;
+    }
+
+    /**
+     * Transforms a list of x and y coordinates, like {@link PIXI.ProjectiveMatrix#apply}.
+     *
+     * @param {Float32Array|number[]} vertices - The x and y coordinates of the points
+     * @param {Float32Array|number[]} [out=vertices] - The array the transformed coordinates are written to
+     * @return {Float32Array|number[]} The transformed coordinates
+     */
+    applyToArray(vertices, out = vertices)
+    {
+        const { a, b, c, d, tx, ty, px, py, pw } = this;
+
+        for (let i = 0; i < vertices.length; i += 2)
+        {
+            const x = vertices[i];
+            const y = vertices[i + 1];
+            const w = (px * x) + (py * y) + pw;
+
+            out[i] = ((a * x) + (c * y) + tx) / w;
+            out[i + 1] = ((b * x) + (d * y) + ty) / w;
+        }
+
+        return out;
+    }
+
+    /**
+     * Translates the matrix on the x and y.
+     *
+     * @param {number} x How much to translate x by
+     * @param {number} y How much to translate y by
+     * @return {PIXI.ProjectiveMatrix} This matrix. Good for chaining method calls.
+     */
+    translate(x, y)
+    {
+        this.a += x * this.px;
+        this.c += x * this.py;
+        this.tx += x * this.pw;
+        this.b += y * this.px;
+        this.d += y * this.py;
+        this.ty += y * this.pw;
+
+        return this;
+    }
+
+    /**
+     * Appends the given matrix to this matrix.
+     *
+     * @param {PIXI.Matrix|PIXI.ProjectiveMatrix} matrix - The matrix to append.
+     * @return {PIXI.ProjectiveMatrix} This matrix. Good for chaining method calls.
+     */
+    append(matrix)
+    {
+        multiply(this, this, matrix);
+
+        return this;
+    }
+
+    /**
+     * Prepends the given matrix to this matrix.
+     *
+     * @param {PIXI.Matrix|PIXI.ProjectiveMatrix} matrix - The matrix to prepend
+     * @return {PIXI.ProjectiveMatrix} This matrix. Good for chaining method calls.
+     */
+    prepend(matrix)
+    {
+        multiply(this, matrix, this);
+
+        return this;
+    }
+
+    /**
+     * Sets the matrix from the position, scale, pivot, rotation and skew, without perspective.
+     *
+     * @param {number} x - Position on the x axis
+     * @param {number} y - Position on the y axis
+     * @param {number} pivotX - Pivot on the x axis
+     * @param {number} pivotY - Pivot on the y axis
+     * @param {number} scaleX - Scale on the x axis
+     * @param {number} scaleY - Scale on the y axis
+     * @param {number} rotation - Rotation in radians
+     * @param {number} skewX - Skew on the x axis
+     * @param {number} skewY - Skew on the y axis
+     * @return {PIXI.ProjectiveMatrix} This matrix. Good for chaining method calls.
+     */
+    setTransform(x, y, pivotX, pivotY, scaleX, scaleY, rotation, skewX, skewY)
+    {
+        super.setTransform(x, y, pivotX, pivotY, scaleX, scaleY, rotation, skewX, skewY);
+
+        this.px = 0;
+        this.py = 0;
+        this.pw = 1;
+
+        return this;
+    }
+
+    /**
+     * Inverts this matrix
+     *
+     * @return {PIXI.ProjectiveMatrix} This matrix. Good for chaining method calls.
+     */
+    invert()
+    {
+        const { a, b, c, d, tx, ty, px, py, pw } = this;
+        const ia = (d * pw) - (ty * py);
+        const ib = (ty * px) - (b * pw);
+        const ipx = (b * py) - (d * px);
+        const n = (a * ia) + (c * ib) + (tx * ipx);
+
+        this.a = ia / n;
+        this.b = ib / n;
+        this.c = ((tx * py) - (c * pw)) / n;
+        this.d = ((a * pw) - (tx * px)) / n;
+        this.tx = ((c * ty) - (tx * d)) / n;
+        this.ty = ((tx * b) - (a * ty)) / n;
+        this.px = ipx / n;
+        this.py = ((c * px) - (a * py)) / n;
+        this.pw = ((a * d) - (c * b)) / n;
+
+        return this;
+    }
+
+    /**
+     * Resets this matrix to an identity (default) matrix.
+     *
+     * @return {PIXI.ProjectiveMatrix} This matrix. Good for chaining method calls.
+     */
+    identity()
+    {
+        super.identity();
+
+        this.px = 0;
+        this.py = 0;
+        this.pw = 1;
+
+        return this;
+    }
+
+    /**
+     * Creates a new ProjectiveMatrix object with the same values as this one.
+     *
+     * @return {PIXI.ProjectiveMatrix} A copy of this matrix. Good for chaining method calls.
+     */
+    clone()
+    {
+        return new ProjectiveMatrix().copyFrom(this);
+    }
+
+    /**
+     * Changes the values of the given matrix to be the same as the ones in this matrix.
+     * The perspective is lost if the given matrix is an affine {@link PIXI.Matrix}.
+     *
+     * @param {PIXI.Matrix|PIXI.ProjectiveMatrix} matrix - The matrix to copy to.
+     * @return {PIXI.Matrix|PIXI.ProjectiveMatrix} The matrix given in parameter with its values updated.
+     */
+    copyTo(matrix)
+    {
+        super.copyTo(matrix);
+
+        if (matrix instanceof ProjectiveMatrix)
+        {
+            matrix.px = this.px;
+            matrix.py = this.py;
+            matrix.pw = this.pw;
+        }
+
+        return matrix;
+    }
+
+    /**
+     * Changes the values of the matrix to be the same as the ones in given matrix,
+     * without perspective if it is an affine {@link PIXI.Matrix}.
+     *
+     * @param {PIXI.Matrix|PIXI.ProjectiveMatrix} matrix - The matrix to copy from.
+     * @return {PIXI.ProjectiveMatrix} this
+     */
+    copyFrom(matrix)
+    {
+        super.copyFrom(matrix);
+
+        if (matrix instanceof ProjectiveMatrix)
+        {
+            this.px = matrix.px;
+            this.py = matrix.py;
+            this.pw = matrix.pw;
+        }
+        else
+        {
+            this.px = 0;
+            this.py = 0;
+            this.pw = 1;
+        }
+
+        return this;
+    }
+
+    /**
+     * Checks if the values of the given matrix are the same as the ones in this matrix.
+     *
+     * @param {PIXI.Matrix|PIXI.ProjectiveMatrix} matrix - The matrix to compare with.
+     * @return {boolean} Whether the matrices are equal
+     */
+    equals(matrix)
+    {
+        const projective = matrix instanceof ProjectiveMatrix;
+
+        return this.a === matrix.a && this.b === matrix.b && this.c === matrix.c && this.d === matrix.d
+            && this.tx === matrix.tx && this.ty === matrix.ty
+            && this.px === (projective ? matrix.px : 0)
+            && this.py === (projective ? matrix.py : 0)
+            && this.pw === (projective ? matrix.pw : 1);
+    }
+}
@@ -1,5 +1,6 @@
 import ObservablePoint from './ObservablePoint';
 import Matrix from './Matrix';
+import ProjectiveMatrix from './ProjectiveMatrix';
 
 /**
  * Transform that takes care about its versions
@@ -15,9 +16,11 @@ export default class Transform
     constructor()
     {
         /**
-         * The global matrix transform. It can be swapped temporarily by some functions like getLocalBounds()
+         * The global matrix transform. It can be swapped temporarily by some functions like getLocalBounds().
+         * It is replaced by a {@link PIXI.ProjectiveMatrix} while there is a projection, see
+         * {@link PIXI.Transform#projection}.
          *
-         * @member {PIXI.Matrix}
+         * @member {PIXI.Matrix|PIXI.ProjectiveMatrix}
          */
         this.worldTransform = new Matrix();
 
@@ -63,6 +66,9 @@ export default class Transform
         this._cy = 0; // cos rotation + Math.PI/2 - skewX;
         this._sy = 1; // sin rotation + Math.PI/2 - skewX;
 
+        this._projection = null;
+        this._currentProjection = null;
+
         this._localID = 0;
         this._currentLocalID = 0;
 
@@ -127,6 +133,14 @@ export default class Transform
     updateTransform(parentTransform)
     {
         const lt = this.localTransform;
+        const projection = this._projection;
+
+        // the projection can be changed in place
+        if (projection && !projection.equals(this._currentProjection))
+        {
+            this._currentProjection.copyFrom(projection);
+            this._localID++;
+        }
 
         if (this._localID !== this._currentLocalID)
         {
@@ -148,14 +162,38 @@ export default class Transform
         {
             // concat the parent matrix with the objects transform.
             const pt = parentTransform.worldTransform;
-            const wt = this.worldTransform;
+            let wt = this.worldTransform;
+
+            if (projection || pt instanceof ProjectiveMatrix)
+            {
+                if (!(wt instanceof ProjectiveMatrix))
+                {
+                    wt = this.worldTransform = new ProjectiveMatrix();
+                }
 
-            wt.a = (lt.a * pt.a) + (lt.b * pt.c);
-            wt.b = (lt.a * pt.b) + (lt.b * pt.d);
-            wt.c = (lt.c * pt.a) + (lt.d * pt.c);
-            wt.d = (lt.c * pt.b) + (lt.d * pt.d);
-            wt.tx = (lt.tx * pt.a) + (lt.ty * pt.c) + pt.tx;
-            wt.ty = (lt.tx * pt.b) + (lt.ty * pt.d) + pt.ty;
+                wt.copyFrom(lt);
+
+                if (projection)
+                {
+                    wt.append(projection);
+                }
+
+                wt.prepend(pt);
+            }
+            else
+            {
+                if (wt instanceof ProjectiveMatrix)
+                {
+                    wt = this.worldTransform = new Matrix();
+                }
+
+                wt.a = (lt.a * pt.a) + (lt.b * pt.c);
+                wt.b = (lt.a * pt.b) + (lt.b * pt.d);
+                wt.c = (lt.c * pt.a) + (lt.d * pt.c);
+                wt.d = (lt.c * pt.b) + (lt.d * pt.d);
+                wt.tx = (lt.tx * pt.a) + (lt.ty * pt.c) + pt.tx;
+                wt.ty = (lt.tx * pt.b) + (lt.ty * pt.d) + pt.ty;
+            }
 
             this._parentID = parentTransform._worldID;
 
@@ -190,6 +228,31 @@ export default class Transform
         this._rotation = value;
         this.updateSkew();
     }
+
+    /**
+     * A perspective transform applied to the object before its position, scale, pivot, rotation
+     * and skew, mapping its local coordinates to projected ones. The world transform becomes a
+     * {@link PIXI.ProjectiveMatrix} when the object or one of its parents has a projection.
+     * The matrix can be changed in place, the local transform does not include it.
+     *
+     * @member {PIXI.ProjectiveMatrix}
+     * @default null
+     */
+    get projection()
+    {
+        return this._projection;
+    }
+
+    set projection(value) // eslint-disable-line require-jsdoc
+    {
+        this._projection = value || null;
+        this._localID++;
+
+        if (value && !this._currentProjection)
+        {
+            this._currentProjection = new ProjectiveMatrix();
+        }
+    }
 }
 
 Transform.IDENTITY = new Transform();
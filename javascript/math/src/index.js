@@ -6,6 +6,7 @@
 export { default as Point } from './Point';
 export { default as ObservablePoint } from './ObservablePoint';
 export { default as Matrix } from './Matrix';
+export { default as ProjectiveMatrix } from './ProjectiveMatrix';
 export { default as GroupD8 } from './GroupD8';
 export { default as Transform } from './Transform';
 export { default as Circle } from './shapes/Circle';
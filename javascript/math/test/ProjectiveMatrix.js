@@ -0,0 +1,106 @@
+const { ProjectiveMatrix, Matrix, Point, Rectangle, Transform } = require('../');
+
+describe('PIXI.ProjectiveMatrix', function ()
+{
+    const quad = [new Point(40, 0), new Point(60, 10), new Point(100, 100), new Point(0, 90)];
+
+    it('should map the corners of a rectangle to a quad', function ()
+    {
+        const matrix = new ProjectiveMatrix().setFromQuad(new Rectangle(10, 20, 30, 40), quad);
+        const corners = [new Point(10, 20), new Point(40, 20), new Point(40, 60), new Point(10, 60)];
+
+        expect(matrix.px).to.not.equal(0);
+
+        for (let i = 0; i < 4; i++)
+        {
+            const point = matrix.apply(corners[i]);
+
+            expect(point.x).to.be.closeTo(quad[i].x, 1e-6);
+            expect(point.y).to.be.closeTo(quad[i].y, 1e-6);
+        }
+    });
+
+    it('should apply the inverse and invert', function ()
+    {
+        const matrix = new ProjectiveMatrix().setFromQuad(new Rectangle(0, 0, 10, 10), quad);
+        const point = matrix.apply(new Point(3, 7));
+        const inverse = matrix.clone().invert();
+
+        expect(matrix.applyInverse(point).x).to.be.closeTo(3, 1e-6);
+        expect(matrix.applyInverse(point).y).to.be.closeTo(7, 1e-6);
+        expect(inverse.apply(point).x).to.be.closeTo(3, 1e-6);
+        expect(inverse.apply(point).y).to.be.closeTo(7, 1e-6);
+        expect(inverse.append(matrix).pw).to.be.closeTo(1, 1e-6);
+        expect(inverse.px).to.be.closeTo(0, 1e-6);
+    });
+
+    it('should multiply with affine matrices', function ()
+    {
+        const affine = new Matrix().rotate(0.5).translate(5, -3);
+        const projective = new ProjectiveMatrix().setFromQuad(new Rectangle(0, 0, 10, 10), quad);
+        const appended = projective.clone().append(affine);
+        const prepended = projective.clone().prepend(affine);
+        const point = new Point(2, 4);
+
+        const expectedAppended = projective.apply(affine.apply(point));
+        const expectedPrepended = affine.apply(projective.apply(point));
+
+        expect(appended.apply(point).x).to.be.closeTo(expectedAppended.x, 1e-6);
+        expect(appended.apply(point).y).to.be.closeTo(expectedAppended.y, 1e-6);
+        expect(prepended.apply(point).x).to.be.closeTo(expectedPrepended.x, 1e-6);
+        expect(prepended.apply(point).y).to.be.closeTo(expectedPrepended.y, 1e-6);
+
+        const translated = projective.clone().translate(5, -3);
+
+        expect(translated.apply(point).x).to.be.closeTo(projective.apply(point).x + 5, 1e-6);
+        expect(translated.apply(point).y).to.be.closeTo(projective.apply(point).y - 3, 1e-6);
+    });
+
+    it('should create an array with the perspective row', function ()
+    {
+        const matrix = new ProjectiveMatrix(1, 2, 3, 4, 5, 6, 7, 8, 9);
+
+        expect(Array.from(matrix.toArray(false))).to.deep.equal([1, 3, 5, 2, 4, 6, 7, 8, 9]);
+        expect(Array.from(matrix.toArray(true))).to.deep.equal([1, 2, 7, 3, 4, 8, 5, 6, 9]);
+        expect(matrix.equals(matrix.clone())).to.be.true;
+        expect(new ProjectiveMatrix().equals(new Matrix())).to.be.true;
+        expect(matrix.copyFrom(new Matrix()).equals(new ProjectiveMatrix())).to.be.true;
+    });
+
+    it('should be propagated by transforms', function ()
+    {
+        const parent = new Transform();
+        const child = new Transform();
+        const projection = new ProjectiveMatrix().setFromQuad(new Rectangle(0, 0, 10, 10), quad);
+
+        parent.position.set(100, 0);
+        parent.projection = projection;
+        child.position.set(5, 5);
+        parent.updateTransform(Transform.IDENTITY);
+        child.updateTransform(parent);
+
+        let point = child.worldTransform.apply(new Point(1, 2));
+        const expected = projection.apply(new Point(6, 7));
+
+        expect(child.worldTransform).to.be.an.instanceof(ProjectiveMatrix);
+        expect(point.x).to.be.closeTo(expected.x + 100, 1e-6);
+        expect(point.y).to.be.closeTo(expected.y, 1e-6);
+
+        const worldID = child._worldID;
+
+        projection.translate(0, 10);
+        parent.updateTransform(Transform.IDENTITY);
+        child.updateTransform(parent);
+        point = child.worldTransform.apply(new Point(1, 2));
+
+        expect(child._worldID).to.not.equal(worldID);
+        expect(point.y).to.be.closeTo(expected.y + 10, 1e-6);
+
+        parent.projection = null;
+        parent.updateTransform(Transform.IDENTITY);
+        child.updateTransform(parent);
+
+        expect(child.worldTransform).to.not.be.an.instanceof(ProjectiveMatrix);
+        expect(child.worldTransform.tx).to.equal(105);
+    });
+});
@@ -1,6 +1,7 @@
 require('./Circle');
 require('./Ellipse');
 require('./Matrix');
+require('./ProjectiveMatrix');
 require('./ObservablePoint');
 require('./Point');
 require('./Polygon');
@@ -1,13 +1,16 @@
 import RawMesh from './RawMesh';
-import { Geometry, Program, Shader, Texture } from '@pixi/core';
-import { Matrix } from '@pixi/math';
-import { BLEND_MODES } from '@pixi/constants';
+import { Geometry, Program, Shader, State, Texture } from '@pixi/core';
+import { Matrix, ProjectiveMatrix } from '@pixi/math';
+import { BLEND_MODES, DRAW_MODES } from '@pixi/constants';
 import { hex2rgb, premultiplyRgba } from '@pixi/utils';
 import vertex from './mesh.vert';
 import fragment from './mesh.frag';
 
 let meshProgram;
 
+// the state flags of the meshes which can be batched, only their blend mode may differ
+const batchableStateData = new State().data;
+
 /**
  * Base mesh class
  * @class
@@ -76,10 +79,37 @@ export default class Mesh extends RawMesh
          * The tint applied to the mesh. This is a [r,g,b] value. A value of [1,1,1] will remove any
          * tint effect.
          *
+         * @member {Float32Array}
+         * @private
+         */
+        this._tintColor = new Float32Array([1, 1, 1]);
+
+        /**
+         * The tint applied to the mesh in the BGR order of the batch renderer.
+         *
          * @member {number}
          * @private
          */
-        this._tintRGB = new Float32Array([1, 1, 1]);
+        this._tintRGB = 0xFFFFFF;
+
+        /**
+         * The vertices in world coordinates, set when the mesh is batched.
+         *
+         * @member {Float32Array}
+         * @private
+         */
+        this.vertexData = null;
+
+        /**
+         * The triangles of the mesh, set when the mesh is batched.
+         *
+         * @member {Uint16Array}
+         * @private
+         */
+        this.indices = null;
+
+        this._transformID = -1;
+        this._vertexDirty = -1;
 
         // Set default tint
         this.tint = 0xFFFFFF;
@@ -109,7 +139,8 @@ export default class Mesh extends RawMesh
     {
         this._tint = value;
 
-        hex2rgb(this._tint, this._tintRGB);
+        hex2rgb(this._tint, this._tintColor);
+        this._tintRGB = (value >> 16) + (value & 0xff00) + ((value & 0xff) << 16);
     }
 
     /**
@@ -163,13 +194,92 @@ export default class Mesh extends RawMesh
         }
     }
 
+    /**
+     * Whether the mesh can be drawn in the batch of the sprites: it has the default shader and
+     * state, is made of triangles and has at most {@link PIXI.Mesh.BATCHABLE_SIZE} vertices.
+     * Meshes in perspective are not batched, so their textures are perspective correct.
+     *
+     * @member {boolean}
+     * @readonly
+     */
+    get batchable()
+    {
+        const geometry = this.geometry;
+
+        return this.shader.program === meshProgram
+            && this.drawMode === DRAW_MODES.TRIANGLES
+            && this.state.data === batchableStateData
+            && !this.start && !this.size
+            && geometry.getIndex().data instanceof Uint16Array
+            && geometry.getAttribute('aVertexPosition').data.length <= Mesh.BATCHABLE_SIZE * 2
+            && !(this.transform.worldTransform instanceof ProjectiveMatrix);
+    }
+
+    /**
+     * Calculates the vertices in world coordinates, for the batch renderer.
+     */
+    calculateVertices()
+    {
+        const vertexBuffer = this.geometry.getAttribute('aVertexPosition');
+
+        if (this._transformID === this.transform._worldID && this._vertexDirty === vertexBuffer._updateID)
+        {
+            return;
+        }
+
+        this._transformID = this.transform._worldID;
+        this._vertexDirty = vertexBuffer._updateID;
+
+        const vertices = vertexBuffer.data;
+
+        if (!this.vertexData || this.vertexData.length !== vertices.length)
+        {
+            this.vertexData = new Float32Array(vertices.length);
+        }
+
+        const worldTransform = this.transform.worldTransform;
+        const vertexData = this.vertexData;
+
+        if (worldTransform instanceof ProjectiveMatrix)
+        {
+            worldTransform.applyToArray(vertices, vertexData);
+
+            return;
+        }
+
+        const { a, b, c, d, tx, ty } = worldTransform;
+
+        for (let i = 0; i < vertices.length; i += 2)
+        {
+            const x = vertices[i];
+            const y = vertices[i + 1];
+
+            vertexData[i] = (a * x) + (c * y) + tx;
+            vertexData[i + 1] = (b * x) + (d * y) + ty;
+        }
+    }
+
     _render(renderer)
     {
+        // the sprite batch is in another package, it may not be registered
+        if (renderer.plugins.sprite && this.batchable)
+        {
+            this.calculateVertices();
+            this.uvs = this.geometry.getAttribute('aTextureCoord').data;
+            this.indices = this.geometry.getIndex().data;
+
+            renderer.batch.setObjectRenderer(renderer.plugins.sprite);
+            renderer.plugins.sprite.render(this);
+
+            return;
+        }
+
         const baseTex = this._texture.baseTexture;
 
-        premultiplyRgba(this._tintRGB, this.worldAlpha, this.uniforms.uColor, baseTex.premultiplyAlpha);
+        premultiplyRgba(this._tintColor, this.worldAlpha, this.uniforms.uColor, baseTex.premultiplyAlpha);
         super._render(renderer);
     }
+
     /**
      * When the texture is updated, this event will fire to update the scale and frame
      *
@@ -180,3 +290,14 @@ export default class Mesh extends RawMesh
         /* empty */
     }
 }
+
+/**
+ * The most vertices of a mesh drawn in the batch of the sprites, larger meshes are drawn on their
+ * own as copying their vertices would cost more than a draw call.
+ *
+ * @static
+ * @member {number}
+ * @memberof PIXI.Mesh
+ * @default 100
+ */
+Mesh.BATCHABLE_SIZE = 100;
@@ -97,7 +97,7 @@ export default class Plane extends Mesh
 
         this.vertices = new Float32Array(verts);
         this.uvs = new Float32Array(uvs);
-        this.indices = new Uint16Array(indices);
+        this.indices = this.verticesX * this.verticesY > 0x10000 ? new Uint32Array(indices) : new Uint16Array(indices);
 
         this.geometry.buffers[0].data = this.vertices;
         this.geometry.buffers[1].data = this.uvs;
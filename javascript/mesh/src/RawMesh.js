@@ -85,6 +85,15 @@ export default class RawMesh extends Container
 
         this.start = 0;
         this.size = 0;
+
+        /**
+         * The vertex buffer and its update id when the bounds were last checked
+         *
+         * @private
+         * @member {PIXI.Buffer}
+         */
+        this._boundsVertexBuffer = null;
+        this._boundsVertexID = -1;
     }
 
     /**
@@ -99,6 +108,28 @@ export default class RawMesh extends Container
         renderer.plugins[this.pluginName].render(this);
     }
 
+    /**
+     * Changes the bounds id if the transform, the children or the vertices changed.
+     *
+     * @private
+     */
+    _checkBoundsID()
+    {
+        super._checkBoundsID();
+
+        if (this.geometry.attributes.aVertexPosition)
+        {
+            const vertexBuffer = this.geometry.getAttribute('aVertexPosition');
+
+            if (this._boundsVertexBuffer !== vertexBuffer || this._boundsVertexID !== vertexBuffer._updateID)
+            {
+                this._boundsVertexBuffer = vertexBuffer;
+                this._boundsVertexID = vertexBuffer._updateID;
+                this._boundsID++;
+            }
+        }
+    }
+
     /**
      * Updates the bounds of the mesh as a rectangle. The bounds calculation takes the worldTransform into account.
      * there must be a aVertexPosition attribute present in the geometry for bounds to be calcualted correctly.
@@ -17,6 +17,12 @@ Object.defineProperties(Application.prototype, {
                 const { sharedLoader } = this._options;
 
                 this._loader = sharedLoader ? Loader.shared : new Loader();
+
+                // the shared loader keeps the renderer of the first application using it
+                if (!this._loader.renderer)
+                {
+                    this._loader.renderer = this.renderer;
+                }
             }
 
             return this._loader;
@@ -31,6 +37,10 @@ Application.prototype.destroy = function destroy(removeView)
 {
     if (this._loader)
     {
+        if (this._loader.renderer === this.renderer)
+        {
+            this._loader.renderer = null;
+        }
         this._loader.destroy();
         this._loader = null;
     }
@@ -36,4 +36,16 @@ describe('PIXI.Application#loader', function ()
 
         expect(obj.loader).to.be.null;
     });
+
+    it('should load the resources for its renderer', function ()
+    {
+        const app = new Application();
+        const other = new Application();
+
+        expect(app.loader.renderer).to.equal(app.renderer);
+        expect(other.loader.renderer).to.equal(other.renderer);
+
+        app.destroy();
+        other.destroy();
+    });
 });
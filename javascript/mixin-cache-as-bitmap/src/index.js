@@ -3,6 +3,7 @@ import { Sprite } from '@pixi/sprite';
 import { DisplayObject } from '@pixi/display';
 import { Matrix } from '@pixi/math';
 import { uid } from '@pixi/utils';
+import { MSAA_QUALITY } from '@pixi/constants';
 
 const _tempMatrix = new Matrix();
 
@@ -66,6 +67,9 @@ Object.defineProperties(DisplayObject.prototype, {
 
             this._cacheAsBitmap = value;
 
+            // the bounds are measured differently while cached
+            this._boundsID++;
+
             let data;
 
             if (value)
@@ -187,8 +191,12 @@ DisplayObject.prototype._initCachedDisplayObject = function _initCachedDisplayOb
     // const stack = renderer.filterManager.filterStack;
 
     // this renderTexture will be used to store the cached DisplayObject
-
-    const renderTexture = RenderTexture.create(bounds.width | 0, bounds.height | 0);
+    // it is antialiased like the screen, multisampling is ignored where it is not supported
+    const renderTexture = RenderTexture.create({
+        width: bounds.width | 0,
+        height: bounds.height | 0,
+        multisample: renderer.options.antialias ? MSAA_QUALITY.MEDIUM : MSAA_QUALITY.NONE,
+    });
 
     const textureCacheId = `cacheAsBitmap_${uid()}`;
 
@@ -0,0 +1,277 @@
+import { Texture } from '@pixi/core';
+import { TextStyle } from '@pixi/text';
+import defaultTypes from './defaultTypes';
+
+// the public properties of a text style, its accessors
+const styleKeys = Object.getOwnPropertyNames(TextStyle.prototype)
+    .filter((key) => Object.getOwnPropertyDescriptor(TextStyle.prototype, key).get);
+
+let defaultStyle = null;
+
+/**
+ * Saves scene graphs to plain objects, which can be stringified to JSON, and creates them again.
+ *
+ * The transform, visibility, alpha and children of the display objects are saved by the serializer
+ * itself, and the rest by the handler of their type, see {@link PIXI.SceneSerializer#register}.
+ * Containers, sprites, texts, bitmap texts, graphics, tiling sprites, nine slice planes and animated
+ * sprites are handled out of the box. An object without a handler of its own class is saved with
+ * the handler of its closest parent class.
+ *
+ * Textures are saved by the first of their texture cache ids, so they have to be loaded again
+ * before a scene using them is created. Bitmap fonts have to be loaded as well.
+ *
+ *```js
+ * const serializer = new PIXI.SceneSerializer();
+ * const json = serializer.stringify(stage);
+ *
+ * stage = serializer.parse(json);
+ * ```
+ *
+ * @class
+ * @memberof PIXI
+ */
+export default class SceneSerializer
+{
+    /**
+     *
+     */
+    constructor()
+    {
+        /**
+         * The handlers of the display object types, by type name.
+         *
+         * @member {object<string, object>}
+         * @readonly
+         */
+        this.types = {};
+
+        for (let i = 0; i < defaultTypes.length; i++)
+        {
+            const { name, type } = defaultTypes[i];
+
+            this.register(name, type, defaultTypes[i]);
+        }
+    }
+
+    /**
+     * Registers how a class of display objects is saved and created, replacing the handler of
+     * that name if there is one. The common properties of display objects, including their
+     * children, are saved and restored by the serializer.
+     *
+     *```js
+     * serializer.register('Star', Star, {
+     *     serialize: (star) => ({ points: star.points }),
+     *     deserialize: (data) => new Star(data.points),
+     * });
+     * ```
+     *
+     * @param {string} name - The name of the type in the saved data
+     * @param {Function} type - The class of the display objects
+     * @param {object} handler - The handler of the type
+     * @param {Function} [handler.serialize] - Returns the data of an object of the type, as
+     *  `(displayObject, serializer) => object`
+     * @param {Function} handler.deserialize - Creates an object from its data, as
+     *  `(data, serializer) => PIXI.DisplayObject`
+     * @param {boolean} [handler.children=true] - Whether the children of the objects are saved,
+     *  false for the objects creating their own children
+     * @return {PIXI.SceneSerializer} This serializer, for chaining
+     */
+    register(name, type, handler)
+    {
+        this.types[name] = {
+            name,
+            type,
+            serialize: handler.serialize || null,
+            deserialize: handler.deserialize,
+            children: handler.children !== false,
+        };
+
+        return this;
+    }
+
+    /**
+     * Saves a display object and its children.
+     *
+     * @param {PIXI.DisplayObject} displayObject - The root of the scene to save
+     * @return {object} The data of the scene, which can be given to `JSON.stringify`
+     */
+    serialize(displayObject)
+    {
+        const handler = this.getHandler(displayObject);
+        const { position, scale, pivot, skew } = displayObject;
+        const data = {
+            type: handler.name,
+            name: displayObject.name || null,
+            position: [position.x, position.y],
+            scale: [scale.x, scale.y],
+            pivot: [pivot.x, pivot.y],
+            skew: [skew.x, skew.y],
+            rotation: displayObject.rotation,
+            alpha: displayObject.alpha,
+            visible: displayObject.visible,
+            renderable: displayObject.renderable,
+            zIndex: displayObject.zIndex,
+        };
+
+        if (handler.serialize)
+        {
+            Object.assign(data, handler.serialize(displayObject, this));
+        }
+
+        if (handler.children && displayObject.children)
+        {
+            data.sortableChildren = displayObject.sortableChildren;
+            data.children = displayObject.children.map((child) => this.serialize(child));
+        }
+
+        return data;
+    }
+
+    /**
+     * Creates a display object and its children from their data.
+     *
+     * @param {object} data - The data saved by {@link PIXI.SceneSerializer#serialize}
+     * @return {PIXI.DisplayObject} The root of the scene
+     */
+    deserialize(data)
+    {
+        const handler = this.types[data.type];
+
+        if (!handler)
+        {
+            throw new Error(`SceneSerializer: no handler is registered for type "${data.type}"`);
+        }
+
+        const displayObject = handler.deserialize(data, this);
+
+        displayObject.name = data.name;
+        displayObject.position.set(data.position[0], data.position[1]);
+        displayObject.scale.set(data.scale[0], data.scale[1]);
+        displayObject.pivot.set(data.pivot[0], data.pivot[1]);
+        displayObject.skew.set(data.skew[0], data.skew[1]);
+        displayObject.rotation = data.rotation;
+        displayObject.alpha = data.alpha;
+        displayObject.visible = data.visible;
+        displayObject.renderable = data.renderable;
+        displayObject.zIndex = data.zIndex;
+
+        if (handler.children && data.children)
+        {
+            displayObject.sortableChildren = data.sortableChildren;
+
+            for (let i = 0; i < data.children.length; i++)
+            {
+                displayObject.addChild(this.deserialize(data.children[i]));
+            }
+        }
+
+        return displayObject;
+    }
+
+    /**
+     * Saves a display object and its children to JSON.
+     *
+     * @param {PIXI.DisplayObject} displayObject - The root of the scene to save
+     * @param {number|string} [space] - The indentation, see `JSON.stringify`
+     * @return {string} The JSON of the scene
+     */
+    stringify(displayObject, space)
+    {
+        return JSON.stringify(this.serialize(displayObject), null, space);
+    }
+
+    /**
+     * Creates a display object and its children from JSON.
+     *
+     * @param {string} json - The JSON saved by {@link PIXI.SceneSerializer#stringify}
+     * @return {PIXI.DisplayObject} The root of the scene
+     */
+    parse(json)
+    {
+        return this.deserialize(JSON.parse(json));
+    }
+
+    /**
+     * Finds the handler of a display object, the one of its class or of its closest parent class.
+     *
+     * @param {PIXI.DisplayObject} displayObject - The display object
+     * @return {object} The handler
+     */
+    getHandler(displayObject)
+    {
+        for (let type = displayObject.constructor; type; type = Object.getPrototypeOf(type))
+        {
+            for (const name in this.types)
+            {
+                if (this.types[name].type === type)
+                {
+                    return this.types[name];
+                }
+            }
+        }
+
+        throw new Error(`SceneSerializer: no handler is registered for ${displayObject.constructor.name}`);
+    }
+
+    /**
+     * Saves a texture by its texture cache id, for the handlers.
+     *
+     * @param {PIXI.Texture} texture - The texture, which must be in the texture cache
+     * @return {string} The first texture cache id of the texture, null for an empty texture
+     */
+    serializeTexture(texture)
+    {
+        if (!texture || texture === Texture.EMPTY)
+        {
+            return null;
+        }
+
+        if (!texture.textureCacheIds.length)
+        {
+            throw new Error('SceneSerializer: a texture has to be in the texture cache to be saved');
+        }
+
+        return texture.textureCacheIds[0];
+    }
+
+    /**
+     * Finds a texture saved by {@link PIXI.SceneSerializer#serializeTexture}, for the handlers.
+     * A texture which is not in the cache is loaded from its id, like {@link PIXI.Texture.from}.
+     *
+     * @param {string} id - The texture cache id
+     * @return {PIXI.Texture} The texture
+     */
+    deserializeTexture(id)
+    {
+        return id === null ? Texture.EMPTY : Texture.from(id);
+    }
+
+    /**
+     * Saves the properties of a text style which are not the default ones, for the handlers.
+     *
+     * @param {PIXI.TextStyle} style - The text style
+     * @return {object} The style properties, which can be given to the constructor of a text style
+     */
+    serializeTextStyle(style)
+    {
+        if (!defaultStyle)
+        {
+            defaultStyle = new TextStyle();
+        }
+
+        const data = {};
+
+        for (let i = 0; i < styleKeys.length; i++)
+        {
+            const key = styleKeys[i];
+            const value = style[key];
+
+            if (JSON.stringify(value) !== JSON.stringify(defaultStyle[key]))
+            {
+                data[key] = Array.isArray(value) ? value.slice() : value;
+            }
+        }
+
+        return data;
+    }
+}
@@ -0,0 +1,289 @@
+import { Container, Layer } from '@pixi/display';
+import { Sprite } from '@pixi/sprite';
+import { Text } from '@pixi/text';
+import { BitmapText } from '@pixi/text-bitmap';
+import { Graphics, GraphicsData } from '@pixi/graphics';
+import { TilingSprite } from '@pixi/sprite-tiling';
+import { NineSlicePlane } from '@pixi/mesh';
+import { AnimatedSprite } from '@pixi/sprite-animated';
+import { SHAPES, Circle, Ellipse, Polygon, Rectangle, RoundedRectangle } from '@pixi/math';
+
+// the shape classes by shape type
+const shapeTypes = {
+    [SHAPES.POLY]: Polygon,
+    [SHAPES.RECT]: Rectangle,
+    [SHAPES.CIRC]: Circle,
+    [SHAPES.ELIP]: Ellipse,
+    [SHAPES.RREC]: RoundedRectangle,
+};
+
+/**
+ * Saves the properties of a shape.
+ *
+ * @private
+ * @param {PIXI.Circle|PIXI.Ellipse|PIXI.Polygon|PIXI.Rectangle|PIXI.RoundedRectangle} shape - The shape
+ * @return {object} The data of the shape
+ */
+function serializeShape(shape)
+{
+    const data = Object.assign({}, shape);
+
+    if (data.points)
+    {
+        data.points = data.points.slice();
+    }
+
+    return data;
+}
+
+/**
+ * Creates a shape from its data.
+ *
+ * @private
+ * @param {object} data - The data of the shape
+ * @return {PIXI.Circle|PIXI.Ellipse|PIXI.Polygon|PIXI.Rectangle|PIXI.RoundedRectangle} The shape
+ */
+function deserializeShape(data)
+{
+    return Object.assign(new shapeTypes[data.type](), serializeShape(data));
+}
+
+/**
+ * Saves the anchor, tint and blend mode of a sprite.
+ *
+ * @private
+ * @param {PIXI.Sprite} sprite - The sprite
+ * @return {object} The data of the sprite
+ */
+function serializeSprite(sprite)
+{
+    return {
+        anchor: [sprite.anchor.x, sprite.anchor.y],
+        tint: sprite.tint,
+        blendMode: sprite.blendMode,
+    };
+}
+
+/**
+ * Restores the anchor, tint and blend mode of a sprite.
+ *
+ * @private
+ * @param {PIXI.Sprite} sprite - The sprite
+ * @param {object} data - The data of the sprite
+ * @return {PIXI.Sprite} The sprite
+ */
+function deserializeSprite(sprite, data)
+{
+    sprite.anchor.set(data.anchor[0], data.anchor[1]);
+    sprite.tint = data.tint;
+    sprite.blendMode = data.blendMode;
+
+    return sprite;
+}
+
+/**
+ * The handlers of the display objects supported by {@link PIXI.SceneSerializer} out of the box.
+ *
+ * @private
+ * @type {object[]}
+ */
+export default [
+    {
+        name: 'Container',
+        type: Container,
+        deserialize: () => new Container(),
+    },
+    {
+        name: 'Layer',
+        type: Layer,
+        deserialize: () => new Layer(),
+    },
+    {
+        name: 'Sprite',
+        type: Sprite,
+        serialize: (sprite, serializer) => Object.assign(serializeSprite(sprite), {
+            texture: serializer.serializeTexture(sprite.texture),
+        }),
+        deserialize: (data, serializer) => deserializeSprite(
+            new Sprite(serializer.deserializeTexture(data.texture)), data
+        ),
+    },
+    {
+        name: 'TilingSprite',
+        type: TilingSprite,
+        serialize: (sprite, serializer) => Object.assign(serializeSprite(sprite), {
+            texture: serializer.serializeTexture(sprite.texture),
+            width: sprite.width,
+            height: sprite.height,
+            tilePosition: [sprite.tilePosition.x, sprite.tilePosition.y],
+            tileScale: [sprite.tileScale.x, sprite.tileScale.y],
+            uvRespectAnchor: sprite.uvRespectAnchor,
+            clampMargin: sprite.clampMargin,
+        }),
+        deserialize: (data, serializer) =>
+        {
+            const sprite = new TilingSprite(serializer.deserializeTexture(data.texture), data.width, data.height);
+
+            sprite.tilePosition.set(data.tilePosition[0], data.tilePosition[1]);
+            sprite.tileScale.set(data.tileScale[0], data.tileScale[1]);
+            sprite.uvRespectAnchor = data.uvRespectAnchor;
+            sprite.clampMargin = data.clampMargin;
+
+            return deserializeSprite(sprite, data);
+        },
+    },
+    {
+        name: 'AnimatedSprite',
+        type: AnimatedSprite,
+        serialize: (sprite, serializer) =>
+        {
+            const durations = sprite._durations;
+            const textures = sprite.textures.map((texture, i) =>
+            {
+                const id = serializer.serializeTexture(texture);
+
+                return durations ? { texture: id, time: durations[i] } : id;
+            });
+
+            return Object.assign(serializeSprite(sprite), {
+                textures,
+                autoUpdate: sprite._autoUpdate,
+                animationSpeed: sprite.animationSpeed,
+                loop: sprite.loop,
+                currentFrame: sprite.currentFrame,
+                playing: sprite.playing,
+            });
+        },
+        deserialize: (data, serializer) =>
+        {
+            const textures = data.textures.map((frame) =>
+            {
+                if (typeof frame === 'object' && frame !== null)
+                {
+                    return { texture: serializer.deserializeTexture(frame.texture), time: frame.time };
+                }
+
+                return serializer.deserializeTexture(frame);
+            });
+            const sprite = new AnimatedSprite(textures, data.autoUpdate);
+
+            sprite.animationSpeed = data.animationSpeed;
+            sprite.loop = data.loop;
+
+            if (data.playing)
+            {
+                sprite.gotoAndPlay(data.currentFrame);
+            }
+            else
+            {
+                sprite.gotoAndStop(data.currentFrame);
+            }
+
+            return deserializeSprite(sprite, data);
+        },
+    },
+    {
+        name: 'Text',
+        type: Text,
+        serialize: (text, serializer) => Object.assign(serializeSprite(text), {
+            text: text.text,
+            style: serializer.serializeTextStyle(text.style),
+        }),
+        deserialize: (data) => deserializeSprite(new Text(data.text, data.style), data),
+    },
+    {
+        name: 'BitmapText',
+        type: BitmapText,
+        // the glyphs of a bitmap text are created from its text
+        children: false,
+        serialize: (text) => ({
+            text: text.text,
+            font: { name: text.font.name, size: text.font.size },
+            align: text.align,
+            tint: text.tint,
+            anchor: [text.anchor.x, text.anchor.y],
+            maxWidth: text.maxWidth,
+        }),
+        deserialize: (data) =>
+        {
+            const text = new BitmapText(data.text, { font: data.font, align: data.align, tint: data.tint });
+
+            text.anchor.set(data.anchor[0], data.anchor[1]);
+            text.maxWidth = data.maxWidth;
+
+            return text;
+        },
+    },
+    {
+        name: 'Graphics',
+        type: Graphics,
+        serialize: (graphics) => ({
+            tint: graphics.tint,
+            blendMode: graphics.blendMode,
+            nativeLines: graphics.nativeLines,
+            graphicsData: graphics.graphicsData.map((data) => ({
+                lineWidth: data.lineWidth,
+                lineColor: data.lineColor,
+                lineAlpha: data.lineAlpha,
+                fillColor: data.fillColor,
+                fillAlpha: data.fillAlpha,
+                fill: data.fill,
+                nativeLines: data.nativeLines,
+                shape: serializeShape(data.shape),
+                holes: data.holes.map(serializeShape),
+            })),
+        }),
+        deserialize: (data) =>
+        {
+            const graphics = new Graphics(data.nativeLines);
+
+            graphics.tint = data.tint;
+            graphics.blendMode = data.blendMode;
+
+            for (let i = 0; i < data.graphicsData.length; i++)
+            {
+                const item = data.graphicsData[i];
+                const graphicsData = new GraphicsData(item.lineWidth, item.lineColor, item.lineAlpha,
+                    item.fillColor, item.fillAlpha, item.fill, item.nativeLines, deserializeShape(item.shape));
+
+                for (let j = 0; j < item.holes.length; j++)
+                {
+                    graphicsData.addHole(deserializeShape(item.holes[j]));
+                }
+
+                graphics.graphicsData.push(graphicsData);
+            }
+
+            graphics.dirty++;
+
+            return graphics;
+        },
+    },
+    {
+        name: 'NineSlicePlane',
+        type: NineSlicePlane,
+        serialize: (plane, serializer) => ({
+            texture: serializer.serializeTexture(plane.texture),
+            leftWidth: plane.leftWidth,
+            topHeight: plane.topHeight,
+            rightWidth: plane.rightWidth,
+            bottomHeight: plane.bottomHeight,
+            width: plane.width,
+            height: plane.height,
+            tint: plane.tint,
+            blendMode: plane.blendMode,
+        }),
+        deserialize: (data, serializer) =>
+        {
+            const plane = new NineSlicePlane(serializer.deserializeTexture(data.texture),
+                data.leftWidth, data.topHeight, data.rightWidth, data.bottomHeight);
+
+            plane.width = data.width;
+            plane.height = data.height;
+            plane.tint = data.tint;
+            plane.blendMode = data.blendMode;
+
+            return plane;
+        },
+    },
+];
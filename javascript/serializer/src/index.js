@@ -0,0 +1 @@
+export { default as SceneSerializer } from './SceneSerializer';
@@ -0,0 +1,233 @@
+const { SceneSerializer } = require('../');
+const { Texture, BaseTexture, resources } = require('@pixi/core');
+const { Container } = require('@pixi/display');
+const { Sprite } = require('@pixi/sprite');
+const { Text } = require('@pixi/text');
+const { BitmapText } = require('@pixi/text-bitmap');
+const { Graphics } = require('@pixi/graphics');
+const { TilingSprite } = require('@pixi/sprite-tiling');
+const { AnimatedSprite } = require('@pixi/sprite-animated');
+const { BLEND_MODES } = require('@pixi/constants');
+const { Rectangle, SHAPES } = require('@pixi/math');
+
+describe('PIXI.SceneSerializer', function ()
+{
+    before(function ()
+    {
+        this.textures = ['serializer-a', 'serializer-b'].map((id) =>
+        {
+            const resource = new resources.BufferResource(new Uint8Array(16 * 16 * 4), { width: 16, height: 16 });
+            const texture = new Texture(new BaseTexture(resource));
+
+            Texture.addToCache(texture, id);
+
+            return texture;
+        });
+
+        this.serializer = new SceneSerializer();
+    });
+
+    after(function ()
+    {
+        this.textures.forEach((texture) => texture.destroy(true));
+        this.textures = null;
+    });
+
+    it('should save and create the transforms, visibility and children of a scene', function ()
+    {
+        const stage = new Container();
+        const sprite = new Sprite(this.textures[0]);
+        const empty = new Sprite();
+
+        stage.addChild(sprite, empty);
+        stage.sortableChildren = true;
+        sprite.position.set(10, 20);
+        sprite.scale.set(2, 3);
+        sprite.pivot.set(1, 2);
+        sprite.skew.set(0.5, 0.25);
+        sprite.rotation = 1;
+        sprite.alpha = 0.5;
+        sprite.zIndex = 2;
+        sprite.anchor.set(0.5, 1);
+        sprite.tint = 0xFF0000;
+        sprite.blendMode = BLEND_MODES.ADD;
+        empty.visible = false;
+        empty.renderable = false;
+
+        const copy = this.serializer.parse(this.serializer.stringify(stage));
+
+        expect(copy).to.be.an.instanceof(Container);
+        expect(copy.sortableChildren).to.be.true;
+        expect(copy.children).to.have.lengthOf(2);
+
+        const [spriteCopy, emptyCopy] = copy.children;
+
+        expect(spriteCopy).to.be.an.instanceof(Sprite);
+        expect(spriteCopy.texture).to.equal(this.textures[0]);
+        expect(spriteCopy.position.x).to.equal(10);
+        expect(spriteCopy.position.y).to.equal(20);
+        expect(spriteCopy.scale.x).to.equal(2);
+        expect(spriteCopy.scale.y).to.equal(3);
+        expect(spriteCopy.pivot.y).to.equal(2);
+        expect(spriteCopy.skew.x).to.equal(0.5);
+        expect(spriteCopy.rotation).to.equal(1);
+        expect(spriteCopy.alpha).to.equal(0.5);
+        expect(spriteCopy.zIndex).to.equal(2);
+        expect(spriteCopy.anchor.x).to.equal(0.5);
+        expect(spriteCopy.anchor.y).to.equal(1);
+        expect(spriteCopy.tint).to.equal(0xFF0000);
+        expect(spriteCopy.blendMode).to.equal(BLEND_MODES.ADD);
+        expect(emptyCopy.texture).to.equal(Texture.EMPTY);
+        expect(emptyCopy.visible).to.be.false;
+        expect(emptyCopy.renderable).to.be.false;
+
+        copy.destroy({ children: true });
+        stage.destroy({ children: true });
+    });
+
+    it('should save the draw commands of graphics', function ()
+    {
+        const graphics = new Graphics();
+
+        graphics.lineStyle(2, 0x00FF00, 0.5);
+        graphics.beginFill(0xFF0000, 0.25);
+        graphics.drawRect(0, 0, 100, 50);
+        graphics.drawCircle(50, 25, 10);
+        graphics.addHole();
+        graphics.endFill();
+        graphics.drawPolygon([0, 0, 10, 0, 10, 10]);
+
+        const data = this.serializer.serialize(graphics);
+        const copy = this.serializer.deserialize(JSON.parse(JSON.stringify(data)));
+        const [rect, polygon] = copy.graphicsData;
+
+        expect(data.graphicsData).to.have.lengthOf(2);
+        expect(rect.lineWidth).to.equal(2);
+        expect(rect.lineColor).to.equal(0x00FF00);
+        expect(rect.lineAlpha).to.equal(0.5);
+        expect(rect.fillColor).to.equal(0xFF0000);
+        expect(rect.fillAlpha).to.equal(0.25);
+        expect(rect.fill).to.be.true;
+        expect(rect.shape).to.be.an.instanceof(Rectangle);
+        expect(rect.shape.width).to.equal(100);
+        expect(rect.holes).to.have.lengthOf(1);
+        expect(rect.holes[0].type).to.equal(SHAPES.CIRC);
+        expect(rect.holes[0].radius).to.equal(10);
+        expect(polygon.fill).to.be.false;
+        expect(polygon.shape.points).to.deep.equal([0, 0, 10, 0, 10, 10]);
+        expect(polygon.shape.points).to.not.equal(graphics.graphicsData[1].shape.points);
+        expect(copy.getLocalBounds().width).to.equal(graphics.getLocalBounds().width);
+
+        copy.destroy();
+        graphics.destroy();
+    });
+
+    it('should save the text and style of texts', function ()
+    {
+        BitmapText.fonts.SerializerFont = {
+            font: 'SerializerFont',
+            size: 12,
+            lineHeight: 12,
+            chars: { 65: { xOffset: 0, yOffset: 0, xAdvance: 6, kerning: {}, texture: this.textures[1] } },
+        };
+
+        const stage = new Container();
+        const text = new Text('hello', { fontSize: 32, fill: ['red', 'blue'] });
+        const bitmapText = new BitmapText('AA', { font: '10px SerializerFont', align: 'right', tint: 0xFF });
+
+        stage.addChild(text, bitmapText);
+
+        const data = this.serializer.serialize(stage);
+        const copy = this.serializer.deserialize(data);
+        const [textCopy, bitmapTextCopy] = copy.children;
+
+        expect(data.children[0].style).to.deep.equal({ fontSize: 32, fill: ['red', 'blue'] });
+        expect(data.children[1].children).to.be.undefined;
+        expect(textCopy.text).to.equal('hello');
+        expect(textCopy.style.fontSize).to.equal(32);
+        expect(textCopy.style.fill).to.deep.equal(['red', 'blue']);
+        expect(bitmapTextCopy.text).to.equal('AA');
+        expect(bitmapTextCopy.font.name).to.equal('SerializerFont');
+        expect(bitmapTextCopy.font.size).to.equal(10);
+        expect(bitmapTextCopy.align).to.equal('right');
+        expect(bitmapTextCopy.tint).to.equal(0xFF);
+        expect(bitmapTextCopy.children).to.have.lengthOf(2);
+
+        copy.destroy({ children: true });
+        stage.destroy({ children: true });
+        delete BitmapText.fonts.SerializerFont;
+    });
+
+    it('should save tiling sprites and animated sprites', function ()
+    {
+        const [a, b] = this.textures;
+        const stage = new Container();
+        const tilingSprite = new TilingSprite(a, 200, 100);
+        const animatedSprite = new AnimatedSprite([{ texture: a, time: 100 }, { texture: b, time: 200 }], false);
+
+        tilingSprite.tilePosition.set(5, 6);
+        tilingSprite.tileScale.set(2, 2);
+        animatedSprite.animationSpeed = 0.5;
+        animatedSprite.loop = false;
+        animatedSprite.gotoAndStop(1);
+        stage.addChild(tilingSprite, animatedSprite);
+
+        const copy = this.serializer.deserialize(this.serializer.serialize(stage));
+        const [tilingSpriteCopy, animatedSpriteCopy] = copy.children;
+
+        expect(tilingSpriteCopy).to.be.an.instanceof(TilingSprite);
+        expect(tilingSpriteCopy.texture).to.equal(a);
+        expect(tilingSpriteCopy.width).to.equal(200);
+        expect(tilingSpriteCopy.height).to.equal(100);
+        expect(tilingSpriteCopy.tilePosition.x).to.equal(5);
+        expect(tilingSpriteCopy.tileScale.y).to.equal(2);
+        expect(animatedSpriteCopy).to.be.an.instanceof(AnimatedSprite);
+        expect(animatedSpriteCopy.textures).to.deep.equal([a, b]);
+        expect(animatedSpriteCopy._durations).to.deep.equal([100, 200]);
+        expect(animatedSpriteCopy.animationSpeed).to.equal(0.5);
+        expect(animatedSpriteCopy.loop).to.be.false;
+        expect(animatedSpriteCopy.currentFrame).to.equal(1);
+        expect(animatedSpriteCopy.playing).to.be.false;
+
+        copy.destroy({ children: true });
+        stage.destroy({ children: true });
+    });
+
+    it('should use registered handlers for custom classes and their subclasses', function ()
+    {
+        class Star extends Container
+        {
+            constructor(points)
+            {
+                super();
+                this.points = points;
+            }
+        }
+        class BigStar extends Star {}
+
+        const serializer = new SceneSerializer();
+
+        expect(() => serializer.deserialize({ type: 'Star' })).to.throw('no handler is registered for type "Star"');
+
+        serializer.register('Star', Star, {
+            serialize: (star) => ({ points: star.points }),
+            deserialize: (data) => new Star(data.points),
+        });
+
+        const data = serializer.serialize(new BigStar(5));
+        const copy = serializer.deserialize(data);
+
+        expect(data.type).to.equal('Star');
+        expect(data.points).to.equal(5);
+        expect(copy).to.be.an.instanceof(Star);
+        expect(copy.points).to.equal(5);
+    });
+
+    it('should not save textures which are not in the texture cache', function ()
+    {
+        const texture = new Texture(this.textures[0].baseTexture);
+
+        expect(() => this.serializer.serialize(new Sprite(texture)))
+            .to.throw('a texture has to be in the texture cache to be saved');
+    });
+});
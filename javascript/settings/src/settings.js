@@ -16,15 +16,27 @@ import canUploadSameBuffer from './utils/canUploadSameBuffer';
 export default {
 
     /**
-     * If set to true WebGL will attempt make textures mimpaped by default.
-     * Mipmapping will only succeed if the base texture uploaded has power of two dimensions.
+     * The default mipmap mode of the textures. On WebGL 1, mipmapping will only succeed if the
+     * base texture uploaded has power of two dimensions. `true` and `false` are the same as
+     * POW2 and OFF.
      *
      * @static
      * @memberof PIXI.settings
-     * @type {boolean}
-     * @default true
+     * @type {PIXI.MIPMAP_MODES}
+     * @default PIXI.MIPMAP_MODES.POW2
+     */
+    MIPMAP_TEXTURES: 1,
+
+    /**
+     * The default anisotropic filtering level of the textures, used when the
+     * `EXT_texture_filter_anisotropic` extension is available. Levels below 2 disable it.
+     *
+     * @static
+     * @memberof PIXI.settings
+     * @type {number}
+     * @default 0
      */
-    MIPMAP_TEXTURES: true,
+    ANISOTROPIC_LEVEL: 0,
 
     /**
      * Default resolution / device pixel ratio of the renderer.
@@ -71,6 +83,32 @@ export default {
      */
     SPRITE_BATCH_SIZE: 4096,
 
+    /**
+     * Enables batching sprites through texture arrays on WebGL 2. The textures of the same size and
+     * options are put in the layers of shared `TEXTURE_2D_ARRAY` pages, so that a single draw call can
+     * cover as many textures as there are layers in {@link PIXI.settings.SPRITE_MAX_TEXTURES} pages.
+     *
+     * Only textures with an image, canvas, video or svg resource are put in pages, the other
+     * ones are batched as usual. The setting is read when the sprite renderer is created.
+     *
+     * @static
+     * @memberof PIXI.settings
+     * @type {boolean}
+     * @default false
+     */
+    SPRITE_TEXTURE_ARRAYS: false,
+
+    /**
+     * The most layers of a texture array page, see {@link PIXI.settings.SPRITE_TEXTURE_ARRAYS}.
+     * The first page of a size has a few layers, and each next page twice as many up to this number.
+     *
+     * @static
+     * @memberof PIXI.settings
+     * @type {number}
+     * @default 256
+     */
+    SPRITE_TEXTURE_ARRAY_LAYERS: 256,
+
     /**
      * The default render options if none are supplied to {@link PIXI.Renderer}
      * or {@link PIXI.CanvasRenderer}.
@@ -138,6 +176,17 @@ export default {
      */
     GC_MAX_CHECK_COUNT: 60 * 10,
 
+    /**
+     * Default Garbage Collection memory budget, the GPU memory textures can use in bytes.
+     * Over it, the least recently used textures are unloaded.
+     *
+     * @static
+     * @memberof PIXI.settings
+     * @type {number}
+     * @default Infinity
+     */
+    GC_MAX_MEMORY: Infinity,
+
     /**
      * Default wrap modes that are supported by pixi.
      *
@@ -4,7 +4,12 @@ describe('PIXI.settings', function ()
 {
     it('should have MIPMAP_TEXTURES', function ()
     {
-        expect(settings.MIPMAP_TEXTURES).to.be.a.boolean;
+        expect(settings.MIPMAP_TEXTURES).to.be.a.number;
+    });
+
+    it('should have ANISOTROPIC_LEVEL', function ()
+    {
+        expect(settings.ANISOTROPIC_LEVEL).to.be.a.number;
     });
 
     it('should have RESOLUTION', function ()
@@ -52,6 +57,11 @@ describe('PIXI.settings', function ()
         expect(settings.GC_MAX_CHECK_COUNT).to.be.a.number;
     });
 
+    it('should have GC_MAX_MEMORY', function ()
+    {
+        expect(settings.GC_MAX_MEMORY).to.be.a.number;
+    });
+
     it('should have WRAP_MODE', function ()
     {
         expect(settings.WRAP_MODE).to.be.a.number;
@@ -194,6 +194,9 @@ export default class TilingSprite extends Sprite
             this._bounds.maxX = this._width * (1 - this._anchor._x);
             this._bounds.maxY = this._height * (1 - this._anchor._x);
 
+            // the bounds no longer hold the world bounds
+            this._lastBoundsID = -1;
+
             if (!rect)
             {
                 if (!this._localBoundsRect)
@@ -323,6 +326,7 @@ export default class TilingSprite extends Sprite
     set width(value) // eslint-disable-line require-jsdoc
     {
         this._width = value;
+        this._boundsID++;
     }
 
     /**
@@ -338,5 +342,6 @@ export default class TilingSprite extends Sprite
     set height(value) // eslint-disable-line require-jsdoc
     {
         this._height = value;
+        this._boundsID++;
     }
 }
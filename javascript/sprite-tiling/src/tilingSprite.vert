@@ -9,7 +9,8 @@ varying vec2 vTextureCoord;
 
 void main(void)
 {
-    gl_Position = vec4((projectionMatrix * translationMatrix * vec3(aVertexPosition, 1.0)).xy, 0.0, 1.0);
+    vec3 position = projectionMatrix * translationMatrix * vec3(aVertexPosition, 1.0);
+    gl_Position = vec4(position.xy, 0.0, position.z);
 
     vTextureCoord = (uTransform * vec3(aTextureCoord, 1.0)).xy;
 }
@@ -1,10 +1,11 @@
-import { Point, ObservablePoint, Rectangle } from '@pixi/math';
+import { Point, ObservablePoint, ProjectiveMatrix, Rectangle } from '@pixi/math';
 import { sign, TextureCache } from '@pixi/utils';
 import { Texture } from '@pixi/core';
 import { BLEND_MODES } from '@pixi/constants';
 import { Container } from '@pixi/display';
 
 const tempPoint = new Point();
+const indices = new Uint16Array([0, 1, 2, 0, 2, 3]);
 
 /**
  * The Sprite object is the base for all textured objects that are rendered to the screen
@@ -110,6 +111,22 @@ export default class Sprite extends Container
          */
         this.vertexData = new Float32Array(8);
 
+        /**
+         * The texture coordinates of the vertices in the base texture, set with the vertex data
+         *
+         * @private
+         * @member {Float32Array}
+         */
+        this.uvs = null;
+
+        /**
+         * The triangles of the quad, for the batch renderer
+         *
+         * @private
+         * @member {Uint16Array}
+         */
+        this.indices = indices;
+
         /**
          * This is used to calculate the bounds of the object IF it is a trimmed sprite
          *
@@ -124,6 +141,14 @@ export default class Sprite extends Container
         this._transformTrimmedID = -1;
         this._textureTrimmedID = -1;
 
+        /**
+         * The update id of the texture when the bounds were last checked
+         *
+         * @private
+         * @member {number}
+         */
+        this._boundsTextureID = -1;
+
         /**
          * Plugin that is responsible for rendering this element.
          * Allows to customize the rendering process without overriding '_render' & '_renderCanvas' methods.
@@ -166,6 +191,23 @@ export default class Sprite extends Container
     {
         this._transformID = -1;
         this._transformTrimmedID = -1;
+        this._boundsID++;
+    }
+
+    /**
+     * Changes the bounds id if the transform, the children or the frame of the texture changed.
+     *
+     * @private
+     */
+    _checkBoundsID()
+    {
+        super._checkBoundsID();
+
+        if (this._boundsTextureID !== this._texture._updateID)
+        {
+            this._boundsTextureID = this._texture._updateID;
+            this._boundsID++;
+        }
     }
 
     /**
@@ -184,6 +226,8 @@ export default class Sprite extends Container
         // set the vertex data
 
         const texture = this._texture;
+
+        this.uvs = texture._uvs ? texture._uvs.uvsFloat32 : null;
         const wt = this.transform.worldTransform;
         const a = wt.a;
         const b = wt.b;
@@ -220,6 +264,22 @@ export default class Sprite extends Container
             h0 = h1 + orig.height;
         }
 
+        if (wt instanceof ProjectiveMatrix)
+        {
+            vertexData[0] = w1;
+            vertexData[1] = h1;
+            vertexData[2] = w0;
+            vertexData[3] = h1;
+            vertexData[4] = w0;
+            vertexData[5] = h0;
+            vertexData[6] = w1;
+            vertexData[7] = h0;
+
+            wt.applyToArray(vertexData);
+
+            return;
+        }
+
         // xy
         vertexData[0] = (a * w1) + (c * h1) + tx;
         vertexData[1] = (d * h1) + (b * w1) + ty;
@@ -279,6 +339,22 @@ export default class Sprite extends Container
         const h1 = -anchor._y * orig.height;
         const h0 = h1 + orig.height;
 
+        if (wt instanceof ProjectiveMatrix)
+        {
+            vertexData[0] = w1;
+            vertexData[1] = h1;
+            vertexData[2] = w0;
+            vertexData[3] = h1;
+            vertexData[4] = w0;
+            vertexData[5] = h0;
+            vertexData[6] = w1;
+            vertexData[7] = h0;
+
+            wt.applyToArray(vertexData);
+
+            return;
+        }
+
         // xy
         vertexData[0] = (a * w1) + (c * h1) + tx;
         vertexData[1] = (d * h1) + (b * w1) + ty;
@@ -305,12 +381,39 @@ export default class Sprite extends Container
     */
     _render(renderer)
     {
+        this._fitTextureScale(renderer);
         this.calculateVertices();
 
         renderer.batch.setObjectRenderer(renderer.plugins[this.pluginName]);
         renderer.plugins[this.pluginName].render(this);
     }
 
+    /**
+     * Rasterizes the SVG of the texture again when the sprite is drawn larger than it was
+     * rasterized, if the resource has `autoScale` set, see {@link PIXI.resources.SVGResource#fitScale}.
+     *
+     * @private
+     * @param {PIXI.Renderer|PIXI.CanvasRenderer} renderer - The renderer drawing the sprite
+     */
+    _fitTextureScale(renderer)
+    {
+        const baseTexture = this._texture.baseTexture;
+        const resource = baseTexture.resource;
+
+        if (!resource || !resource.autoScale || !baseTexture.valid)
+        {
+            return;
+        }
+
+        const wt = this.transform.worldTransform;
+        const worldScale = Math.max(
+            Math.sqrt((wt.a * wt.a) + (wt.b * wt.b)),
+            Math.sqrt((wt.c * wt.c) + (wt.d * wt.d))
+        );
+
+        resource.fitScale(worldScale * renderer.resolution * resource.scale / baseTexture.resolution);
+    }
+
     /**
      * Updates the bounds of the sprite.
      *
@@ -352,6 +455,9 @@ export default class Sprite extends Container
             this._bounds.maxX = this._texture.orig.width * (1 - this._anchor._x);
             this._bounds.maxY = this._texture.orig.height * (1 - this._anchor._y);
 
+            // the bounds no longer hold the world bounds
+            this._lastBoundsID = -1;
+
             if (!rect)
             {
                 if (!this._localBoundsRect)
@@ -575,6 +681,7 @@ export default class Sprite extends Container
 
         this._textureID = -1;
         this._textureTrimmedID = -1;
+        this._boundsID++;
 
         if (value)
         {
@@ -1,98 +1,75 @@
-import { Geometry,
-    Buffer,
-    ObjectRenderer,
-    checkMaxIfStatmentsInShader } from '@pixi/core';
+import { AbstractBatchRenderer } from '@pixi/core';
 import { settings } from '@pixi/settings';
-import { createIndicesForQuads, premultiplyBlendMode, premultiplyTint } from '@pixi/utils';
-import bitTwiddle from 'bit-twiddle';
-import BatchBuffer from './BatchBuffer';
+import { premultiplyTint } from '@pixi/utils';
+import { TYPES } from '@pixi/constants';
 import generateMultiTextureShader from './generateMultiTextureShader';
-import { ENV } from '@pixi/constants';
-
-let TICK = 0;
-// const TEXTURE_TICK = 0;
+import generateTextureArrayShader from './generateTextureArrayShader';
+import TextureArrayCache from './TextureArrayCache';
 
 /**
  * Renderer dedicated to drawing and batching sprites.
  *
+ * Besides sprites, it batches any element of {@link PIXI.AbstractBatchRenderer} with `uvs`, the
+ * texture coordinates of the vertices in its base texture, `_tintRGB` and `worldAlpha`, such as
+ * the small meshes. Display objects render through it with a `pluginName` of `'sprite'`. The batches
+ * of sprites only have the texture coordinates of the frames packed in 2 shorts.
+ *
  * @class
  * @private
  * @memberof PIXI
- * @extends PIXI.ObjectRenderer
+ * @extends PIXI.AbstractBatchRenderer
  */
-export default class SpriteRenderer extends ObjectRenderer
+export default class SpriteRenderer extends AbstractBatchRenderer
 {
     /**
      * @param {PIXI.Renderer} renderer - The renderer this sprite batch works for.
      */
     constructor(renderer)
     {
-        super(renderer);
-
-        /**
-         * Number of values sent in the vertex buffer.
-         * aVertexPosition(2), aTextureCoord(1), aColor(1), aTextureId(1) = 5
-         *
-         * @member {number}
-         */
-        this.vertSize = 5;
-
-        /**
-         * The size of the vertex information in bytes.
-         *
-         * @member {number}
-         */
-        this.vertByteSize = this.vertSize * 4;
+        // aVertexPosition(2), aTextureCoord(2), aColor(1), aTextureId(1) = 6,
+        // and aTextureLayer(1) = 7 if PIXI.settings.SPRITE_TEXTURE_ARRAYS is enabled
+        const vertexFormat = [
+            { name: 'aVertexPosition', size: 2, type: TYPES.FLOAT },
+            { name: 'aTextureCoord', size: 2, type: TYPES.FLOAT },
+            { name: 'aColor', size: 4, type: TYPES.UNSIGNED_BYTE, normalized: true },
+            { name: 'aTextureId', size: 1, type: TYPES.FLOAT },
+        ];
 
-        /**
-         * The number of images in the SpriteRenderer before it flushes.
-         *
-         * @member {number}
-         */
-        this.size = settings.SPRITE_BATCH_SIZE; // 2000 is a nice balance between mobile / desktop
+        // the quads have their texture coordinates packed in aTextureCoord(1), for 5 or 6 in all
+        const quadVertexFormat = vertexFormat.slice();
 
-        // the total number of bytes in our batch
-        // let numVerts = this.size * 4 * this.vertByteSize;
+        quadVertexFormat[1] = { name: 'aTextureCoord', size: 2, type: TYPES.UNSIGNED_SHORT, normalized: true };
 
-        this.buffers = [];
-        for (let i = 1; i <= bitTwiddle.nextPow2(this.size); i *= 2)
+        if (settings.SPRITE_TEXTURE_ARRAYS)
         {
-            this.buffers.push(new BatchBuffer(i * 4 * this.vertByteSize));
+            vertexFormat.push({ name: 'aTextureLayer', size: 1, type: TYPES.FLOAT });
+            quadVertexFormat.push({ name: 'aTextureLayer', size: 1, type: TYPES.FLOAT });
         }
 
+        super(renderer, vertexFormat, quadVertexFormat);
+
         /**
-         * Holds the indices of the geometry (quads) to draw
+         * The shader of the sprites in texture array pages, if they are enabled on a WebGL 2 context.
          *
-         * @member {Uint16Array}
+         * @member {PIXI.Shader}
          */
-        this.indices = createIndicesForQuads(this.size);
-        this.indexBuffer = new Buffer(this.indices, true, true);
+        this.arrayShader = null;
 
         /**
-         * The default shaders that is used if a sprite doesn't have a more specific one.
-         * there is a shader for each number of textures that can be rendererd.
-         * These shaders will also be generated on the fly as required.
-         * @member {PIXI.Shader[]}
+         * The texture array pages, if they are enabled on a WebGL 2 context.
+         * See {@link PIXI.settings.SPRITE_TEXTURE_ARRAYS}.
+         *
+         * @member {PIXI.TextureArrayCache}
          */
-        this.shader = null;
-
-        this.currentIndex = 0;
-        this.groups = [];
+        this.arrayCache = null;
 
-        for (let k = 0; k < this.size; k++)
-        {
-            this.groups[k] = { textures: [], textureCount: 0, ids: [], size: 0, start: 0, blend: 0 };
-        }
-
-        this.sprites = [];
-
-        this.vertexBuffers = [];
-        this.vaos = [];
-
-        this.vaoMax = 2;
-        this.vertexCount = 0;
-
-        this.renderer.on('prerender', this.onPrerender, this);
+        /**
+         * The layer of the texture of the element being packed, if it is in a texture array page.
+         *
+         * @private
+         * @member {object}
+         */
+        this.currentEntry = null;
     }
 
     /**
@@ -102,317 +79,178 @@ export default class SpriteRenderer extends ObjectRenderer
      */
     contextChange()
     {
-        const gl = this.renderer.gl;
-
-        if (settings.PREFER_ENV === ENV.WEBGL_LEGACY)
-        {
-            this.MAX_TEXTURES = 1;
-        }
-        else
-        {
-            // step 1: first check max textures the GPU can handle.
-            this.MAX_TEXTURES = Math.min(gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS), settings.SPRITE_MAX_TEXTURES);
-
-            // step 2: check the maximum number of if statements the shader can have too..
-            this.MAX_TEXTURES = checkMaxIfStatmentsInShader(this.MAX_TEXTURES, gl);
-        }
+        super.contextChange();
 
-        // generate generateMultiTextureProgram, may be a better move?
-        this.shader = generateMultiTextureShader(gl, this.MAX_TEXTURES);
+        const gl = this.renderer.gl;
 
-        // we use the second shader as the first one depending on your browser may omit aTextureId
-        // as it is not used by the shader so is optimized out.
-        for (let i = 0; i < this.vaoMax; i++)
+        // the pages survive a lost context, only their GL textures have to be uploaded again
+        if (this.vertSize === 7 && this.renderer.context.webGLVersion === 2)
         {
-            const buffer = new Buffer(null, false);
-
-            /* eslint-disable max-len */
-            this.vaos[i] = new Geometry()
-                .addAttribute('aVertexPosition', buffer, 2, false, gl.FLOAT)
-                .addAttribute('aTextureCoord', buffer, 2, true, gl.UNSIGNED_SHORT)
-                .addAttribute('aColor', buffer, 4, true, gl.UNSIGNED_BYTE)
-                .addAttribute('aTextureId', buffer, 1, true, gl.FLOAT)
-                .addIndex(this.indexBuffer);
-            /* eslint-enable max-len */
-
-            this.vertexBuffers[i] = buffer;
+            this.arrayShader = generateTextureArrayShader(gl, this.MAX_TEXTURES);
+            this.arrayCache = this.arrayCache || new TextureArrayCache(
+                Math.min(gl.getParameter(gl.MAX_ARRAY_TEXTURE_LAYERS), settings.SPRITE_TEXTURE_ARRAY_LAYERS)
+            );
         }
     }
 
     /**
-     * Called before the renderer starts rendering.
+     * Creates the multi-texture shader of the sprites.
      *
+     * @param {number} maxTextures - The number of textures bound at once
+     * @return {PIXI.Shader} The shader
      */
-    onPrerender()
+    createShader(maxTextures)
     {
-        this.vertexCount = 0;
+        return generateMultiTextureShader(this.renderer.gl, maxTextures);
     }
 
     /**
-     * Renders the sprite object.
+     * The texture to bind for an element, the page of its texture if it is in a texture array page.
      *
-     * @param {PIXI.Sprite} sprite - the sprite to render when using this spritebatch
+     * @param {PIXI.Sprite} element - The element
+     * @return {PIXI.BaseTexture} The texture
      */
-    render(sprite)
+    getTexture(element)
     {
-        // TODO set blend modes..
-        // check texture..
-        if (this.currentIndex >= this.size)
-        {
-            this.flush();
-        }
-
-        // get the uvs for the texture
+        const baseTexture = element._texture.baseTexture;
 
-        // if the uvs have not updated then no point rendering just yet!
-        if (!sprite._texture._uvs)
-        {
-            return;
-        }
+        // sprites in texture array pages are drawn with the layer of their texture in a page
+        this.currentEntry = this.arrayCache && this.arrayCache.get(baseTexture);
 
-        // push a texture.
-        // increment the batchsize
-        this.sprites[this.currentIndex++] = sprite;
+        return this.currentEntry ? this.currentEntry.page.baseTexture : baseTexture;
     }
 
     /**
-     * Renders the content and empties the current batch.
+     * The shader of an element, the texture array shader if its texture is in a page.
      *
+     * @param {PIXI.Sprite} element - The element
+     * @return {PIXI.Shader} The shader
      */
-    flush()
+    getShader(element) // eslint-disable-line no-unused-vars
     {
-        if (this.currentIndex === 0)
-        {
-            return;
-        }
-
-        const gl = this.renderer.gl;
-        const MAX_TEXTURES = this.MAX_TEXTURES;
-
-        const np2 = bitTwiddle.nextPow2(this.currentIndex);
-        const log2 = bitTwiddle.log2(np2);
-        const buffer = this.buffers[log2];
-
-        const sprites = this.sprites;
-        const groups = this.groups;
-
-        const float32View = buffer.float32View;
-        const uint32View = buffer.uint32View;
-
-        const touch = this.renderer.textureGC.count;
-
-        let index = 0;
-        let nextTexture;
-        let currentTexture;
-        let groupCount = 1;
-        let textureId = 0;
-        let textureCount = 0;
-        let currentGroup = groups[0];
-        let vertexData;
-        let uvs;
-        let blendMode = premultiplyBlendMode[
-            sprites[0]._texture.baseTexture.premultiplyAlpha ? 1 : 0][sprites[0].blendMode];
+        return this.currentEntry ? this.arrayShader : this.shader;
+    }
 
-        currentGroup.textureCount = 0;
-        currentGroup.start = 0;
-        currentGroup.blend = blendMode;
+    /**
+     * Whether an element is a quad of the frame of its texture, such as a sprite, whose texture
+     * coordinates can be packed.
+     *
+     * @param {PIXI.Sprite} element - The element
+     * @return {boolean} Whether the element is a quad
+     */
+    isQuad(element)
+    {
+        return element.uvs === element._texture._uvs.uvsFloat32 && super.isQuad(element);
+    }
 
-        TICK++;
+    /**
+     * Writes the vertices of a sprite in the vertex buffer, with the packed texture coordinates of
+     * its frame.
+     *
+     * @param {PIXI.Sprite} element - The element
+     * @param {Float32Array} float32View - The vertex buffer as floats
+     * @param {Uint32Array} uint32View - The vertex buffer as 32 bits integers
+     * @param {number} index - The offset of the first vertex in the views
+     * @param {number} textureId - The texture unit the texture of the element is bound to
+     */
+    packQuad(element, float32View, uint32View, index, textureId)
+    {
+        const vertSize = this.quadVertSize;
+        const vertexData = element.vertexData;
+        const uvs = element._texture._uvs.uvsUint32;
+        const layer = this.currentEntry ? this.currentEntry.layer : 0;
+        const argb = this.getTint(element);
 
-        let i;
+        const roundPixels = this.renderer.roundPixels;
+        const resolution = this.renderer.resolution;
 
-        for (i = 0; i < this.currentIndex; ++i)
+        for (let i = 0; i < 4; i++)
         {
-            // upload the sprite elemetns...
-            // they have all ready been calculated so we just need to push them into the buffer.
-
-            const sprite = sprites[i];
-
-            nextTexture = sprite._texture.baseTexture;
-            textureId = nextTexture._id;
-
-            const spriteBlendMode = premultiplyBlendMode[Number(nextTexture.premultiplyAlpha)][sprite.blendMode];
-
-            if (blendMode !== spriteBlendMode)
+            if (roundPixels)
             {
-                blendMode = spriteBlendMode;
-
-                // force the batch to break!
-                currentTexture = null;
-                textureCount = MAX_TEXTURES;
-                TICK++;
+                float32View[index] = ((vertexData[i * 2] * resolution) | 0) / resolution;
+                float32View[index + 1] = ((vertexData[(i * 2) + 1] * resolution) | 0) / resolution;
             }
-
-            if (currentTexture !== nextTexture)
+            else
             {
-                currentTexture = nextTexture;
-
-                if (nextTexture._enabled !== TICK)
-                {
-                    if (textureCount === MAX_TEXTURES)
-                    {
-                        TICK++;
-
-                        textureCount = 0;
-
-                        currentGroup.size = i - currentGroup.start;
-
-                        currentGroup = groups[groupCount++];
-                        currentGroup.textureCount = 0;
-                        currentGroup.blend = blendMode;
-                        currentGroup.start = i;
-                    }
-
-                    nextTexture.touched = touch;
-                    nextTexture._enabled = TICK;
-                    nextTexture._id = textureCount;
-
-                    currentGroup.textures[currentGroup.textureCount++] = nextTexture;
-                    textureCount++;
-                }
+                float32View[index] = vertexData[i * 2];
+                float32View[index + 1] = vertexData[(i * 2) + 1];
             }
 
-            vertexData = sprite.vertexData;
-
-            // TODO this sum does not need to be set each frame..
-            uvs = sprite._texture._uvs.uvsUint32;
-            textureId = nextTexture._id;
-
-            if (this.renderer.roundPixels)
-            {
-                const resolution = this.renderer.resolution;
-
-                // xy
-                float32View[index] = ((vertexData[0] * resolution) | 0) / resolution;
-                float32View[index + 1] = ((vertexData[1] * resolution) | 0) / resolution;
-
-                // xy
-                float32View[index + 5] = ((vertexData[2] * resolution) | 0) / resolution;
-                float32View[index + 6] = ((vertexData[3] * resolution) | 0) / resolution;
-
-                // xy
-                float32View[index + 10] = ((vertexData[4] * resolution) | 0) / resolution;
-                float32View[index + 11] = ((vertexData[5] * resolution) | 0) / resolution;
+            uint32View[index + 2] = uvs[i];
+            uint32View[index + 3] = argb;
+            float32View[index + 4] = textureId;
 
-                // xy
-                float32View[index + 15] = ((vertexData[6] * resolution) | 0) / resolution;
-                float32View[index + 16] = ((vertexData[7] * resolution) | 0) / resolution;
-            }
-            else
+            if (vertSize === 6)
             {
-                // xy
-                float32View[index] = vertexData[0];
-                float32View[index + 1] = vertexData[1];
-
-                // xy
-                float32View[index + 5] = vertexData[2];
-                float32View[index + 6] = vertexData[3];
-
-                // xy
-                float32View[index + 10] = vertexData[4];
-                float32View[index + 11] = vertexData[5];
-
-                // xy
-                float32View[index + 15] = vertexData[6];
-                float32View[index + 16] = vertexData[7];
+                float32View[index + 5] = layer;
             }
 
-            uint32View[index + 2] = uvs[0];
-            uint32View[index + 7] = uvs[1];
-            uint32View[index + 12] = uvs[2];
-            uint32View[index + 17] = uvs[3];
-            /* eslint-disable max-len */
-            const alpha = Math.min(sprite.worldAlpha, 1.0);
-            const argb = alpha < 1.0 && nextTexture.premultiplyAlpha ? premultiplyTint(sprite._tintRGB, alpha)
-                : sprite._tintRGB + (alpha * 255 << 24);
-
-            uint32View[index + 3] = uint32View[index + 8] = uint32View[index + 13] = uint32View[index + 18] = argb;
-
-            float32View[index + 4] = float32View[index + 9] = float32View[index + 14] = float32View[index + 19] = textureId;
-            /* eslint-enable max-len */
-
-            index += 20;
+            index += vertSize;
         }
+    }
+
+    /**
+     * Writes the vertices of a sprite, or of another element with `uvs`, in the vertex buffer.
+     *
+     * @param {PIXI.Sprite} element - The element
+     * @param {Float32Array} float32View - The vertex buffer as floats
+     * @param {Uint32Array} uint32View - The vertex buffer as 32 bits integers
+     * @param {number} index - The offset of the first vertex in the views
+     * @param {number} textureId - The texture unit the texture of the element is bound to
+     */
+    packGeometry(element, float32View, uint32View, index, textureId)
+    {
+        const vertSize = this.vertSize;
+        const vertexData = element.vertexData;
+        const uvs = element.uvs;
+        const layer = this.currentEntry ? this.currentEntry.layer : 0;
+        const argb = this.getTint(element);
 
-        currentGroup.size = i - currentGroup.start;
+        const roundPixels = this.renderer.roundPixels;
+        const resolution = this.renderer.resolution;
 
-        if (!settings.CAN_UPLOAD_SAME_BUFFER)
+        for (let i = 0; i < vertexData.length; i += 2)
         {
-            // this is still needed for IOS performance..
-            // it really does not like uploading to the same buffer in a single frame!
-            if (this.vaoMax <= this.vertexCount)
+            if (roundPixels)
             {
-                this.vaoMax++;
-
-                const buffer = new Buffer(null, false);
-
-                /* eslint-disable max-len */
-                this.vaos[this.vertexCount] = new Geometry()
-                    .addAttribute('aVertexPosition', buffer, 2, false, gl.FLOAT)
-                    .addAttribute('aTextureCoord', buffer, 2, true, gl.UNSIGNED_SHORT)
-                    .addAttribute('aColor', buffer, 4, true, gl.UNSIGNED_BYTE)
-                    .addAttribute('aTextureId', buffer, 1, true, gl.FLOAT)
-                    .addIndex(this.indexBuffer);
-                /* eslint-enable max-len */
-
-                this.vertexBuffers[this.vertexCount] = buffer;
+                float32View[index] = ((vertexData[i] * resolution) | 0) / resolution;
+                float32View[index + 1] = ((vertexData[i + 1] * resolution) | 0) / resolution;
+            }
+            else
+            {
+                float32View[index] = vertexData[i];
+                float32View[index + 1] = vertexData[i + 1];
             }
 
-            this.vertexBuffers[this.vertexCount].update(buffer.vertices, 0);
-            this.renderer.geometry.bind(this.vaos[this.vertexCount]);
-
-            this.vertexCount++;
-        }
-        else
-        {
-            // lets use the faster option, always use buffer number 0
-            this.vertexBuffers[this.vertexCount].update(buffer.vertices, 0);
-
-            this.renderer.geometry.updateBuffers();
-        }
-
-        // / render the groups..
-        for (i = 0; i < groupCount; i++)
-        {
-            const group = groups[i];
-            const groupTextureCount = group.textureCount;
+            float32View[index + 2] = uvs[i];
+            float32View[index + 3] = uvs[i + 1];
+            uint32View[index + 4] = argb;
+            float32View[index + 5] = textureId;
 
-            for (let j = 0; j < groupTextureCount; j++)
+            if (vertSize === 7)
             {
-                this.renderer.texture.bind(group.textures[j], j);
+                float32View[index + 6] = layer;
             }
 
-            // set the blend mode..
-            this.renderer.state.setBlendMode(group.blend);
-
-            gl.drawElements(gl.TRIANGLES, group.size * 6, gl.UNSIGNED_SHORT, group.start * 6 * 2);
+            index += vertSize;
         }
-
-        // reset elements for the next flush
-        this.currentIndex = 0;
     }
 
     /**
-     * Starts a new sprite batch.
-     */
-    start()
-    {
-        this.renderer.shader.bind(this.shader);
-
-        if (settings.CAN_UPLOAD_SAME_BUFFER)
-        {
-            // bind buffer #0, we don't need others
-            this.renderer.geometry.bind(this.vaos[this.vertexCount]);
-        }
-    }
-
-    /**
-     * Stops and flushes the current batch.
+     * The tint and alpha of an element in the packed format of the vertices.
      *
+     * @private
+     * @param {PIXI.Sprite} element - The element
+     * @return {number} The color
      */
-    stop()
+    getTint(element)
     {
-        this.flush();
+        const alpha = Math.min(element.worldAlpha, 1.0);
+
+        return alpha < 1.0 && element._texture.baseTexture.premultiplyAlpha
+            ? premultiplyTint(element._tintRGB, alpha)
+            : element._tintRGB + (alpha * 255 << 24);
     }
 
     /**
@@ -421,42 +259,19 @@ export default class SpriteRenderer extends ObjectRenderer
      */
     destroy()
     {
-        for (let i = 0; i < this.vaoMax; i++)
+        if (this.arrayShader)
         {
-            if (this.vertexBuffers[i])
-            {
-                this.vertexBuffers[i].destroy();
-            }
-            if (this.vaos[i])
-            {
-                this.vaos[i].destroy();
-            }
+            this.arrayShader.destroy();
+            this.arrayShader = null;
         }
 
-        if (this.indexBuffer)
+        if (this.arrayCache)
         {
-            this.indexBuffer.destroy();
+            this.arrayCache.destroy();
+            this.arrayCache = null;
         }
 
-        this.renderer.off('prerender', this.onPrerender, this);
-
-        if (this.shader)
-        {
-            this.shader.destroy();
-            this.shader = null;
-        }
-
-        this.vertexBuffers = null;
-        this.vaos = null;
-        this.indexBuffer = null;
-        this.indices = null;
-
-        this.sprites = null;
-
-        for (let i = 0; i < this.buffers.length; ++i)
-        {
-            this.buffers[i].destroy();
-        }
+        this.currentEntry = null;
 
         super.destroy();
     }
@@ -0,0 +1,229 @@
+import { BaseTexture, resources } from '@pixi/core';
+import { TARGETS } from '@pixi/constants';
+
+// a page holds at most as many texels as a 4096x4096 texture
+const MAX_PAGE_TEXELS = 4096 * 4096;
+
+// the layers of the first page of a size, the next pages of that size have twice as many each
+const FIRST_PAGE_LAYERS = 4;
+
+/**
+ * Puts the textures of the same size and options in the layers of shared texture arrays, the pages,
+ * for {@link PIXI.SpriteRenderer} to draw them with a texture unit per page.
+ * See {@link PIXI.settings.SPRITE_TEXTURE_ARRAYS}.
+ *
+ * The layers share the resources of the textures, they are uploaded again when a texture is updated
+ * and freed when it is disposed of or resized, and a page is destroyed with its last layer.
+ *
+ * @class
+ * @private
+ * @memberof PIXI
+ */
+export default class TextureArrayCache
+{
+    /**
+     * @param {number} maxLayers - The most layers of a page
+     */
+    constructor(maxLayers)
+    {
+        /**
+         * The most layers of a page.
+         *
+         * @member {number}
+         */
+        this.maxLayers = maxLayers;
+
+        /**
+         * The pages by size and options, each page is `{baseTexture, key, free, used}`, with the
+         * indices of its free layers in `free` and its number of used layers in `used`.
+         *
+         * @member {object<string, object[]>}
+         * @readonly
+         */
+        this.pages = {};
+
+        /**
+         * The layers of the textures by texture uid, each layer is `{page, layer, baseTexture}`.
+         *
+         * @member {object<number, object>}
+         * @readonly
+         */
+        this.entries = {};
+    }
+
+    /**
+     * Finds the layer of a texture, and puts the texture in a page if it is not in one yet.
+     *
+     * @param {PIXI.BaseTexture} baseTexture - The texture
+     * @return {object} The layer of the texture, null if the texture cannot be put in a page
+     */
+    get(baseTexture)
+    {
+        const entry = this.entries[baseTexture.uid];
+
+        if (entry)
+        {
+            return entry;
+        }
+
+        if (!baseTexture.valid
+            || baseTexture.target !== TARGETS.TEXTURE_2D
+            || !(baseTexture.resource instanceof resources.BaseImageResource))
+        {
+            return null;
+        }
+
+        const key = `${baseTexture.realWidth}x${baseTexture.realHeight}-${baseTexture.format}-${baseTexture.type}-`
+            + `${baseTexture.premultiplyAlpha}-${baseTexture.scaleMode}-${baseTexture.wrapMode}-${baseTexture.mipmap}-`
+            + `${baseTexture.mipmapScaleMode}-${baseTexture.anisotropicLevel}`;
+        const pages = this.pages[key] || (this.pages[key] = []);
+        let page = pages.find((candidate) => candidate.free.length > 0);
+
+        if (!page)
+        {
+            page = this._createPage(baseTexture, key, pages.length);
+            pages.push(page);
+        }
+
+        const layer = page.free.pop();
+
+        page.used++;
+        page.baseTexture.resource.addResourceAt(baseTexture.resource, layer);
+
+        baseTexture.on('update', this._onUpdate, this);
+        baseTexture.on('dispose', this.remove, this);
+
+        const added = { page, layer, baseTexture };
+
+        this.entries[baseTexture.uid] = added;
+
+        return added;
+    }
+
+    /**
+     * Frees the layer of a texture, which is put in a page again the next time it is drawn.
+     *
+     * @param {PIXI.BaseTexture} baseTexture - The texture
+     */
+    remove(baseTexture)
+    {
+        const entry = this.entries[baseTexture.uid];
+
+        if (!entry)
+        {
+            return;
+        }
+
+        const page = entry.page;
+
+        delete this.entries[baseTexture.uid];
+        baseTexture.off('update', this._onUpdate, this);
+        baseTexture.off('dispose', this.remove, this);
+
+        page.baseTexture.resource.removeResourceAt(entry.layer);
+        page.free.push(entry.layer);
+        page.used--;
+
+        if (page.used === 0)
+        {
+            const pages = this.pages[page.key];
+
+            pages.splice(pages.indexOf(page), 1);
+
+            if (pages.length === 0)
+            {
+                delete this.pages[page.key];
+            }
+
+            const resource = page.baseTexture.resource;
+
+            page.baseTexture.destroy();
+            resource.destroy();
+        }
+    }
+
+    /**
+     * Frees all the layers. The pages are left to be freed with the WebGL context.
+     */
+    destroy()
+    {
+        for (const uid in this.entries)
+        {
+            const { baseTexture, layer, page } = this.entries[uid];
+
+            baseTexture.off('update', this._onUpdate, this);
+            baseTexture.off('dispose', this.remove, this);
+            page.baseTexture.resource.removeResourceAt(layer);
+        }
+
+        this.pages = null;
+        this.entries = null;
+    }
+
+    /**
+     * Creates a page for a texture.
+     *
+     * @private
+     * @param {PIXI.BaseTexture} baseTexture - The texture
+     * @param {string} key - The size and options of the texture
+     * @param {number} index - The number of pages of that key
+     * @return {object} The page
+     */
+    _createPage(baseTexture, key, index)
+    {
+        const { realWidth, realHeight } = baseTexture;
+        const length = Math.max(1, Math.min(
+            this.maxLayers,
+            FIRST_PAGE_LAYERS * Math.pow(2, index),
+            Math.floor(MAX_PAGE_TEXELS / (realWidth * realHeight))
+        ));
+        const resource = new resources.ArrayResource(length, { width: realWidth, height: realHeight });
+        const free = [];
+
+        for (let i = length - 1; i >= 0; i--)
+        {
+            free.push(i);
+        }
+
+        return {
+            baseTexture: new BaseTexture(resource, {
+                format: baseTexture.format,
+                type: baseTexture.type,
+                premultiplyAlpha: baseTexture.premultiplyAlpha,
+                scaleMode: baseTexture.scaleMode,
+                wrapMode: baseTexture.wrapMode,
+                mipmap: baseTexture.mipmap,
+                mipmapScaleMode: baseTexture.mipmapScaleMode,
+                anisotropicLevel: baseTexture.anisotropicLevel,
+            }),
+            key,
+            free,
+            used: 0,
+        };
+    }
+
+    /**
+     * Uploads the layer of an updated texture again, or frees it if the texture no longer fits it.
+     *
+     * @private
+     * @param {PIXI.BaseTexture} baseTexture - The updated texture
+     */
+    _onUpdate(baseTexture)
+    {
+        const { page, layer } = this.entries[baseTexture.uid];
+        const pageTexture = page.baseTexture;
+
+        if (!baseTexture.valid
+            || baseTexture.realWidth !== pageTexture.realWidth
+            || baseTexture.realHeight !== pageTexture.realHeight)
+        {
+            this.remove(baseTexture);
+
+            return;
+        }
+
+        // the texture is updated on its own when its source is redrawn, not the layer sharing it
+        pageTexture.resource.items[layer].dirtyId++;
+        pageTexture.update();
+    }
+}
@@ -0,0 +1,83 @@
+import { Shader, UniformGroup } from '@pixi/core';
+import vertex from './textureArray.vert';
+
+const fragTemplate = [
+    '#version 300 es',
+    'precision mediump float;',
+    'in vec2 vTextureCoord;',
+    'in vec4 vColor;',
+    'in float vTextureId;',
+    'in float vTextureLayer;',
+    'uniform mediump sampler2DArray uSamplers[%count%];',
+    'out vec4 fragColor;',
+
+    'void main(void){',
+    'vec4 color;',
+    'float textureId = floor(vTextureId+0.5);',
+    'vec3 coord = vec3(vTextureCoord, vTextureLayer);',
+    '%forloop%',
+    'fragColor = color * vColor;',
+    '}',
+].join('\n');
+
+/**
+ * Generates the shader of the sprites in texture array pages, which samples the layer given by
+ * the `aTextureLayer` attribute of the page given by `aTextureId`.
+ *
+ * @private
+ * @param {WebGL2RenderingContext} gl - The WebGL 2 context
+ * @param {number} maxTextures - The number of pages the shader can sample
+ * @return {PIXI.Shader} The shader
+ */
+export default function generateTextureArrayShader(gl, maxTextures)
+{
+    const sampleValues = new Int32Array(maxTextures);
+
+    for (let i = 0; i < maxTextures; i++)
+    {
+        sampleValues[i] = i;
+    }
+
+    const uniforms = {
+        default: UniformGroup.from({ uSamplers: sampleValues }, true),
+    };
+
+    let fragmentSrc = fragTemplate;
+
+    fragmentSrc = fragmentSrc.replace(/%count%/gi, maxTextures);
+    fragmentSrc = fragmentSrc.replace(/%forloop%/gi, generateSampleSrc(maxTextures));
+
+    const shader = Shader.from(vertex, fragmentSrc, uniforms);
+
+    return shader;
+}
+
+function generateSampleSrc(maxTextures)
+{
+    let src = '';
+
+    src += '\n';
+    src += '\n';
+
+    for (let i = 0; i < maxTextures; i++)
+    {
+        if (i > 0)
+        {
+            src += '\nelse ';
+        }
+
+        if (i < maxTextures - 1)
+        {
+            src += `if(textureId == ${i}.0)`;
+        }
+
+        src += '\n{';
+        src += `\n\tcolor = texture(uSamplers[${i}], coord);`;
+        src += '\n}';
+    }
+
+    src += '\n';
+    src += '\n';
+
+    return src;
+}
@@ -0,0 +1,23 @@
+#version 300 es
+precision highp float;
+in vec2 aVertexPosition;
+in vec2 aTextureCoord;
+in vec4 aColor;
+in float aTextureId;
+in float aTextureLayer;
+
+uniform mat3 projectionMatrix;
+
+out vec2 vTextureCoord;
+out vec4 vColor;
+out float vTextureId;
+out float vTextureLayer;
+
+void main(void){
+    gl_Position = vec4((projectionMatrix * vec3(aVertexPosition, 1.0)).xy, 0.0, 1.0);
+
+    vTextureCoord = aTextureCoord;
+    vTextureId = aTextureId;
+    vTextureLayer = aTextureLayer;
+    vColor = aColor;
+}
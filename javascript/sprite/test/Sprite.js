@@ -1,7 +1,7 @@
 const { Sprite } = require('../');
 const { Texture, BaseTexture, RenderTexture } = require('@pixi/core');
 const { Container } = require('@pixi/display');
-const { Point } = require('@pixi/math');
+const { Point, ProjectiveMatrix, Rectangle } = require('@pixi/math');
 
 describe('PIXI.Sprite', function ()
 {
@@ -125,4 +125,31 @@ describe('PIXI.Sprite', function ()
             expect(sprite.containsPoint(point)).to.be.false;
         });
     });
+
+    describe('projection', function ()
+    {
+        it('should divide the vertices, bounds and hit test by the perspective', function ()
+        {
+            const parent = new Container();
+            const texture = new RenderTexture.create(20, 30);
+            const sprite = new Sprite(texture);
+            const quad = [new Point(5, 0), new Point(15, 0), new Point(20, 30), new Point(0, 30)];
+
+            parent.projection = new ProjectiveMatrix().setFromQuad(new Rectangle(0, 0, 20, 30), quad);
+            parent.addChild(sprite);
+
+            const bounds = sprite.getBounds();
+
+            for (let i = 0; i < 4; i++)
+            {
+                expect(sprite.vertexData[i * 2]).to.be.closeTo(quad[i].x, 1e-4);
+                expect(sprite.vertexData[(i * 2) + 1]).to.be.closeTo(quad[i].y, 1e-4);
+            }
+
+            expect(bounds.x).to.be.closeTo(0, 1e-4);
+            expect(bounds.width).to.be.closeTo(20, 1e-4);
+            expect(sprite.containsPoint(new Point(10, 2))).to.be.true;
+            expect(sprite.containsPoint(new Point(2, 2))).to.be.false;
+        });
+    });
 });
@@ -1,4 +1,11 @@
-const { SpriteRenderer } = require('../');
+const { Sprite, SpriteRenderer } = require('../');
+const { Renderer, BaseTexture, Texture, resources } = require('@pixi/core');
+const { Container } = require('@pixi/display');
+const { settings } = require('@pixi/settings');
+const { MockCanvas } = require('@pixi/webgl-mock');
+const { skipHello } = require('@pixi/utils');
+
+skipHello();
 
 const mockrunner = {
     contextChange: {
@@ -40,4 +47,228 @@ describe('SpriteRenderer', function ()
 
         expect(() => renderer.destroy()).to.not.throw();
     });
+
+    describe('batching', function ()
+    {
+        before(function ()
+        {
+            Renderer.registerPlugin('sprite', SpriteRenderer);
+        });
+
+        beforeEach(function ()
+        {
+            this.renderer = new Renderer({
+                view: new MockCanvas(10, 10, { recordCalls: true }),
+                width: 10,
+                height: 10,
+            });
+        });
+
+        afterEach(function ()
+        {
+            this.renderer.destroy();
+            this.renderer = null;
+        });
+
+        class Triangle extends Container
+        {
+            constructor(texture)
+            {
+                super();
+
+                this._texture = texture;
+                this.vertexData = new Float32Array(6);
+                this.uvs = new Float32Array([0, 0, 1, 0, 0, 1]);
+                this.indices = new Uint16Array([0, 1, 2]);
+                this._tintRGB = 0xFFFFFF;
+                this.blendMode = 0;
+            }
+
+            _render(renderer)
+            {
+                this.vertexData.set([0, 0, 10, 0, 0, 10]);
+
+                renderer.batch.setObjectRenderer(renderer.plugins.sprite);
+                renderer.plugins.sprite.render(this);
+            }
+        }
+
+        it('should draw other elements in the batch of the sprites', function ()
+        {
+            const renderer = this.renderer;
+            const gl = renderer.gl;
+            const stage = new Container();
+            const texture = new Texture(new BaseTexture(new resources.CanvasResource(new MockCanvas(16, 16))));
+            const other = new Texture(new BaseTexture(new resources.CanvasResource(new MockCanvas(8, 8))));
+
+            stage.addChild(new Sprite(texture), new Triangle(other), new Sprite(texture));
+
+            gl.clearRecords();
+            renderer.render(stage);
+
+            const drawElements = gl.calls.filter((call) => call.name === 'drawElements');
+            const indices = gl.calls.filter((call) => call.name.indexOf('bufferData') !== -1
+                && call.args[0] === gl.ELEMENT_ARRAY_BUFFER).pop().args;
+
+            expect(gl.getError()).to.equal(gl.NO_ERROR);
+            expect(drawElements).to.have.lengthOf(1);
+            expect(drawElements[0].args[1]).to.equal(15);
+            expect(Array.from(indices[indices.length - 2].slice(0, 15)))
+                .to.deep.equal([0, 1, 2, 0, 2, 3, 4, 5, 6, 7, 8, 9, 7, 9, 10]);
+
+            texture.destroy(true);
+            other.destroy(true);
+        });
+
+        it('should draw batches of sprites only with static indices and packed texture coordinates', function ()
+        {
+            const renderer = this.renderer;
+            const gl = renderer.gl;
+            const stage = new Container();
+            const texture = new Texture(new BaseTexture(new resources.CanvasResource(new MockCanvas(16, 16))));
+
+            stage.addChild(new Sprite(texture), new Sprite(texture));
+
+            gl.clearRecords();
+            renderer.render(stage);
+
+            const textureCoord = gl.calls.filter((call) => call.name === 'vertexAttribPointer'
+                && call.args[2] === gl.UNSIGNED_SHORT);
+
+            expect(gl.getError()).to.equal(gl.NO_ERROR);
+            expect(textureCoord).to.have.lengthOf(1);
+            expect(textureCoord[0].args[3]).to.be.true;
+            expect(textureCoord[0].args[4]).to.equal(20);
+
+            gl.clearRecords();
+            renderer.render(stage);
+
+            const drawElements = gl.calls.filter((call) => call.name === 'drawElements');
+            const indices = gl.calls.filter((call) => call.name.indexOf('bufferData') !== -1
+                && call.args[0] === gl.ELEMENT_ARRAY_BUFFER);
+
+            expect(drawElements).to.have.lengthOf(1);
+            expect(drawElements[0].args[1]).to.equal(12);
+            expect(indices).to.be.empty;
+
+            texture.destroy(true);
+        });
+    });
+
+    describe('with texture arrays', function ()
+    {
+        before(function ()
+        {
+            Renderer.registerPlugin('sprite', SpriteRenderer);
+            settings.SPRITE_TEXTURE_ARRAYS = true;
+        });
+
+        after(function ()
+        {
+            settings.SPRITE_TEXTURE_ARRAYS = false;
+        });
+
+        beforeEach(function ()
+        {
+            this.renderer = new Renderer({ view: new MockCanvas(10, 10), width: 10, height: 10 });
+        });
+
+        afterEach(function ()
+        {
+            this.renderer.destroy();
+            this.renderer = null;
+        });
+
+        function createBaseTexture(size)
+        {
+            return new BaseTexture(new resources.CanvasResource(new MockCanvas(size, size)));
+        }
+
+        it('should draw sprites of many same-size textures with a single draw call', function ()
+        {
+            const renderer = this.renderer;
+            const gl = renderer.gl;
+            const stage = new Container();
+            const baseTextures = [];
+
+            for (let i = 0; i < 300; i++)
+            {
+                baseTextures.push(createBaseTexture(16));
+                stage.addChild(new Sprite(new Texture(baseTextures[i])));
+            }
+
+            gl.clearRecords();
+            renderer.render(stage);
+
+            const pages = renderer.plugins.sprite.arrayCache.pages['16x16-6408-5121-true-1-33071-1-null-0'];
+
+            expect(gl.getError()).to.equal(gl.NO_ERROR);
+            expect(gl.counts.drawElements).to.equal(1);
+            expect(pages.map((page) => page.used)).to.deep.equal([4, 8, 16, 32, 64, 128, 48]);
+            expect(gl.counts.texSubImage3D).to.equal(300);
+            expect(gl.counts.texImage2D).to.be.undefined;
+
+            baseTextures[0].destroy();
+            baseTextures.push(createBaseTexture(16));
+            stage.children[0].texture = new Texture(baseTextures[300]);
+
+            gl.clearRecords();
+            renderer.render(stage);
+
+            expect(gl.counts.drawElements).to.equal(1);
+            expect(gl.counts.texSubImage3D).to.equal(1);
+            expect(renderer.plugins.sprite.arrayCache.entries[baseTextures[300].uid].layer).to.equal(0);
+
+            baseTextures.forEach((baseTexture) => baseTexture.destroy());
+
+            expect(renderer.plugins.sprite.arrayCache.pages).to.be.empty;
+        });
+
+        it('should upload the layer of a redrawn texture again', function ()
+        {
+            const renderer = this.renderer;
+            const gl = renderer.gl;
+            const baseTexture = createBaseTexture(16);
+            const sprite = new Sprite(new Texture(baseTexture));
+
+            gl.clearRecords();
+            renderer.render(sprite);
+
+            expect(gl.counts.texSubImage3D).to.equal(1);
+
+            // the canvas is drawn on again at the same size
+            baseTexture.update();
+            renderer.render(sprite);
+
+            expect(gl.counts.texSubImage3D).to.equal(2);
+            expect(renderer.plugins.sprite.arrayCache.entries[baseTexture.uid].layer).to.equal(0);
+
+            baseTexture.destroy();
+        });
+
+        it('should break the batch for textures which are not in pages', function ()
+        {
+            const renderer = this.renderer;
+            const gl = renderer.gl;
+            const stage = new Container();
+            const image = createBaseTexture(16);
+            const buffer = new BaseTexture(new resources.BufferResource(new Uint8Array(16 * 16 * 4), {
+                width: 16,
+                height: 16,
+            }));
+
+            stage.addChild(new Sprite(new Texture(image)), new Sprite(new Texture(buffer)));
+
+            gl.clearRecords();
+            renderer.render(stage);
+
+            expect(gl.getError()).to.equal(gl.NO_ERROR);
+            expect(gl.counts.drawElements).to.equal(2);
+            expect(gl.counts.texSubImage3D).to.equal(1);
+            expect(gl.counts.texImage2D).to.equal(1);
+
+            image.destroy();
+            buffer.destroy();
+        });
+    });
 });
@@ -393,6 +393,21 @@ export default class Text extends Sprite
         return super.getLocalBounds.call(this, rect);
     }
 
+    /**
+     * Changes the bounds id if the text or its style changed since it was last drawn.
+     *
+     * @private
+     */
+    _checkBoundsID()
+    {
+        super._checkBoundsID();
+
+        if (this.dirty || this.localStyleID !== this._style.styleID)
+        {
+            this._boundsID++;
+        }
+    }
+
     /**
      * calculates the bounds of the Text as a rectangle. The bounds calculation takes the worldTransform into account.
      */
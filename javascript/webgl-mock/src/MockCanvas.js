@@ -0,0 +1,174 @@
+import MockWebGLRenderingContext from './MockWebGLRenderingContext';
+import MockWebGL2RenderingContext from './MockWebGL2RenderingContext';
+import MockCanvasRenderingContext2D from './MockCanvasRenderingContext2D';
+
+/**
+ * A canvas element which hands out mock contexts, to be given as the `view` of a renderer.
+ *
+ * ```js
+ * const view = new PIXI.mock.MockCanvas(800, 600, { webGLVersion: 1 });
+ * const renderer = new PIXI.Renderer({ view, width: 800, height: 600 });
+ *
+ * renderer.render(stage);
+ * console.log(view.context.drawCalls.length);
+ * ```
+ *
+ * @class
+ * @memberof PIXI.mock
+ */
+export default class MockCanvas
+{
+    /**
+     * @param {number} [width=300] - The width of the canvas
+     * @param {number} [height=150] - The height of the canvas
+     * @param {object} [options] - Options for the contexts, see {@link PIXI.mock.MockWebGLRenderingContext}
+     * @param {number} [options.webGLVersion=2] - The highest version of WebGL the canvas supports,
+     *  `getContext('webgl2')` returns null when this is 1
+     */
+    constructor(width, height, options)
+    {
+        /**
+         * The width of the canvas.
+         *
+         * @member {number}
+         */
+        this.width = width || 300;
+
+        /**
+         * The height of the canvas.
+         *
+         * @member {number}
+         */
+        this.height = height || 150;
+
+        /**
+         * The inline style of the element.
+         *
+         * @member {object}
+         */
+        this.style = {};
+
+        /**
+         * The parent of the element, always null.
+         *
+         * @member {null}
+         */
+        this.parentNode = null;
+
+        /**
+         * The context created by `getContext`, null until then.
+         *
+         * @member {PIXI.mock.MockWebGLRenderingContext|PIXI.mock.MockCanvasRenderingContext2D}
+         * @readonly
+         */
+        this.context = null;
+
+        this._options = options || {};
+        this._contextType = null;
+        this._listeners = {};
+    }
+
+    /**
+     * Returns a mock context, the same one on every call like in browsers.
+     *
+     * @param {string} contextType - One of `webgl2`, `webgl`, `experimental-webgl` or `2d`
+     * @param {object} [attributes] - The context attributes
+     * @return {PIXI.mock.MockWebGLRenderingContext|PIXI.mock.MockCanvasRenderingContext2D} The context,
+     *  null if the type is not supported or a context of another type was created before
+     */
+    getContext(contextType, attributes)
+    {
+        if (contextType === 'experimental-webgl')
+        {
+            contextType = 'webgl';
+        }
+
+        if (this.context)
+        {
+            return contextType === this._contextType ? this.context : null;
+        }
+
+        if (contextType === 'webgl2' && this._options.webGLVersion !== 1)
+        {
+            this.context = new MockWebGL2RenderingContext(this, attributes, this._options);
+        }
+        else if (contextType === 'webgl')
+        {
+            this.context = new MockWebGLRenderingContext(this, attributes, this._options);
+        }
+        else if (contextType === '2d')
+        {
+            this.context = new MockCanvasRenderingContext2D(this);
+        }
+        else
+        {
+            return null;
+        }
+
+        this._contextType = contextType;
+
+        return this.context;
+    }
+
+    /**
+     * @param {string} type - The type of event
+     * @param {Function} listener - The listener
+     */
+    addEventListener(type, listener)
+    {
+        const listeners = this._listeners[type] || (this._listeners[type] = []);
+
+        if (listeners.indexOf(listener) === -1)
+        {
+            listeners.push(listener);
+        }
+    }
+
+    /**
+     * @param {string} type - The type of event
+     * @param {Function} listener - The listener
+     */
+    removeEventListener(type, listener)
+    {
+        const listeners = this._listeners[type];
+        const index = listeners ? listeners.indexOf(listener) : -1;
+
+        if (index !== -1)
+        {
+            listeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * @param {object} event - The event, with at least a `type`
+     * @return {boolean} False if the default action of the event was prevented
+     */
+    dispatchEvent(event)
+    {
+        const listeners = (this._listeners[event.type] || []).slice();
+
+        for (let i = 0; i < listeners.length; i++)
+        {
+            listeners[i].call(this, event);
+        }
+
+        return !event.defaultPrevented;
+    }
+
+    /**
+     * @return {object} The size of the canvas, positioned at the origin of the page
+     */
+    getBoundingClientRect()
+    {
+        return {
+            x: 0,
+            y: 0,
+            left: 0,
+            top: 0,
+            right: this.width,
+            bottom: this.height,
+            width: this.width,
+            height: this.height,
+        };
+    }
+}
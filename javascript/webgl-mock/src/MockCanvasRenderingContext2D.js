@@ -0,0 +1,103 @@
+/**
+ * A 2D context which draws nothing, so that code preparing textures on canvases, such as `Texture.WHITE`,
+ * runs where there is no real canvas. Reading pixels back always gives transparent black.
+ *
+ * @class
+ * @memberof PIXI.mock
+ */
+export default class MockCanvasRenderingContext2D
+{
+    /**
+     * @param {PIXI.mock.MockCanvas} canvas - The canvas the context belongs to
+     */
+    constructor(canvas)
+    {
+        /**
+         * The canvas the context belongs to.
+         *
+         * @member {PIXI.mock.MockCanvas}
+         * @readonly
+         */
+        this.canvas = canvas;
+
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.globalAlpha = 1;
+        this.globalCompositeOperation = 'source-over';
+        this.imageSmoothingEnabled = true;
+    }
+
+    /**
+     * @param {number} width - The width of the image data
+     * @param {number} height - The height of the image data
+     * @return {ImageData} Transparent black pixels
+     */
+    createImageData(width, height)
+    {
+        return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+    }
+
+    /**
+     * @param {number} x - Ignored
+     * @param {number} y - Ignored
+     * @param {number} width - The width of the area
+     * @param {number} height - The height of the area
+     * @return {ImageData} Transparent black pixels, as nothing is ever drawn
+     */
+    getImageData(x, y, width, height)
+    {
+        return this.createImageData(width, height);
+    }
+
+    /**
+     * @param {string} text - The text to measure
+     * @return {TextMetrics} A width estimated from the number of characters and the font size
+     */
+    measureText(text)
+    {
+        const size = parseFloat((this.font.match(/(\d+(?:\.\d+)?)px/) || [0, 10])[1]);
+
+        return { width: text.length * size * 0.5 };
+    }
+}
+
+/**
+ * The drawing methods of the 2D context, which do nothing.
+ *
+ * @private
+ * @type {string[]}
+ */
+const NOOP_METHODS = [
+    'arc', 'arcTo', 'beginPath', 'bezierCurveTo', 'clearRect', 'clip', 'closePath', 'drawImage', 'fill',
+    'fillRect', 'fillText', 'lineTo', 'moveTo', 'putImageData', 'quadraticCurveTo', 'rect', 'restore',
+    'rotate', 'save', 'scale', 'setLineDash', 'setTransform', 'stroke', 'strokeRect', 'strokeText',
+    'transform', 'translate',
+];
+
+for (let i = 0; i < NOOP_METHODS.length; i++)
+{
+    MockCanvasRenderingContext2D.prototype[NOOP_METHODS[i]] = function noop()
+    {
+        // nothing is ever drawn
+    };
+}
+
+/**
+ * @return {CanvasGradient} A gradient which ignores its color stops
+ */
+MockCanvasRenderingContext2D.prototype.createLinearGradient = function createLinearGradient()
+{
+    return { addColorStop() { /* nothing is ever drawn */ } };
+};
+
+/**
+ * @return {CanvasPattern} An empty pattern
+ */
+MockCanvasRenderingContext2D.prototype.createPattern = function createPattern()
+{
+    return {};
+};
@@ -0,0 +1,876 @@
+import MockWebGLRenderingContext, { recordMethods } from './MockWebGLRenderingContext';
+import { WEBGL2_CONSTANTS } from './const';
+
+/**
+ * Extensions supported by default by a WebGL 2 mock context.
+ *
+ * @private
+ * @type {string[]}
+ */
+const WEBGL2_EXTENSIONS = [
+    'EXT_color_buffer_float',
+    'EXT_texture_filter_anisotropic',
+    'OES_texture_float_linear',
+    'WEBGL_compressed_texture_astc',
+    'WEBGL_compressed_texture_etc',
+    'WEBGL_compressed_texture_etc1',
+    'WEBGL_compressed_texture_pvrtc',
+    'WEBGL_compressed_texture_s3tc',
+    'WEBGL_lose_context',
+];
+
+/**
+ * A WebGL 2 rendering context that does not draw anything, see {@link PIXI.mock.MockWebGLRenderingContext}.
+ *
+ * Vertex array objects, instancing, multiple draw buffers, multisampled renderbuffers, 3D and array textures
+ * and uniform buffers are part of the context, like in browsers.
+ *
+ * @class
+ * @extends PIXI.mock.MockWebGLRenderingContext
+ * @memberof PIXI.mock
+ */
+export default class MockWebGL2RenderingContext extends MockWebGLRenderingContext
+{
+    /**
+     * The version of WebGL this context implements.
+     *
+     * @member {number}
+     * @readonly
+     */
+    get webGLVersion()
+    {
+        return 2;
+    }
+
+    bindBufferBase(target, index, buffer)
+    {
+        this.bindBufferRange(target, index, buffer, 0, buffer && buffer.data.byteLength);
+    }
+
+    bindBufferRange(target, index, buffer, offset, size)
+    {
+        if (target !== this.UNIFORM_BUFFER && target !== this.TRANSFORM_FEEDBACK_BUFFER)
+        {
+            this._error(this.INVALID_ENUM);
+
+            return;
+        }
+
+        if (target === this.UNIFORM_BUFFER && index >= this._parameters[this.MAX_UNIFORM_BUFFER_BINDINGS])
+        {
+            this._error(this.INVALID_VALUE);
+
+            return;
+        }
+
+        if (!this._bindObject(buffer, 'buffer', target))
+        {
+            return;
+        }
+
+        this.state.buffers[target] = buffer;
+
+        if (target === this.UNIFORM_BUFFER)
+        {
+            this.state.uniformBuffers[index] = buffer ? { buffer, offset, size } : null;
+        }
+    }
+
+    bindVertexArray(vertexArray)
+    {
+        this._bindVertexArray(vertexArray);
+    }
+
+    blitFramebuffer(srcX0, srcY0, srcX1, srcY1, dstX0, dstY0, dstX1, dstY1, mask, filter)
+    {
+        const read = this.state.readFramebuffer;
+        const draw = this.state.framebuffer;
+
+        if (filter !== this.NEAREST && filter !== this.LINEAR)
+        {
+            this._error(this.INVALID_ENUM);
+
+            return;
+        }
+
+        if ((read && this.checkFramebufferStatus(this.READ_FRAMEBUFFER) !== this.FRAMEBUFFER_COMPLETE)
+            || (draw && this.checkFramebufferStatus(this.DRAW_FRAMEBUFFER) !== this.FRAMEBUFFER_COMPLETE))
+        {
+            this._error(this.INVALID_FRAMEBUFFER_OPERATION);
+
+            return;
+        }
+
+        if (read === draw)
+        {
+            this._error(this.INVALID_OPERATION);
+        }
+    }
+
+    clearBufferfi()
+    {
+        // nothing is ever drawn
+    }
+
+    clearBufferfv()
+    {
+        // nothing is ever drawn
+    }
+
+    clearBufferiv()
+    {
+        // nothing is ever drawn
+    }
+
+    clearBufferuiv()
+    {
+        // nothing is ever drawn
+    }
+
+    compressedTexImage3D(target, level, internalformat, width, height, depth, border, data)
+    {
+        const texture = this._boundTexture(target);
+
+        if (!texture)
+        {
+            return;
+        }
+
+        if (this.getParameter(this.COMPRESSED_TEXTURE_FORMATS).indexOf(internalformat) === -1)
+        {
+            this._error(this.INVALID_ENUM);
+
+            return;
+        }
+
+        this._setTextureLevel(texture, target, level, {
+            width,
+            height,
+            depth,
+            internalFormat: internalformat,
+            format: internalformat,
+            type: null,
+            compressed: true,
+            byteLength: data ? data.byteLength : 0,
+        });
+    }
+
+    compressedTexSubImage3D(target)
+    {
+        this._boundTexture(target);
+    }
+
+    copyBufferSubData(readTarget, writeTarget, readOffset, writeOffset, size)
+    {
+        const read = this._boundBuffer(readTarget);
+        const write = this._boundBuffer(writeTarget);
+
+        if (!read || !write)
+        {
+            return;
+        }
+
+        if (readOffset + size > read.data.byteLength || writeOffset + size > write.data.byteLength)
+        {
+            this._error(this.INVALID_VALUE);
+
+            return;
+        }
+
+        write.data.bytes.set(read.data.bytes.subarray(readOffset, readOffset + size), writeOffset);
+    }
+
+    copyTexSubImage3D(target)
+    {
+        this._boundTexture(target);
+    }
+
+    createVertexArray()
+    {
+        return this._createVertexArray();
+    }
+
+    deleteVertexArray(vertexArray)
+    {
+        this._deleteVertexArray(vertexArray);
+    }
+
+    drawArraysInstanced(mode, first, count, instanceCount)
+    {
+        this._draw(mode, first, count, null, 0, instanceCount);
+    }
+
+    drawBuffers(buffers)
+    {
+        this._drawBuffers(buffers);
+    }
+
+    drawElementsInstanced(mode, count, type, offset, instanceCount)
+    {
+        this._draw(mode, 0, count, type, offset, instanceCount);
+    }
+
+    drawRangeElements(mode, start, end, count, type, offset)
+    {
+        this._draw(mode, 0, count, type, offset, 0);
+    }
+
+    framebufferTextureLayer(target, attachment, texture, level, layer)
+    {
+        const framebuffer = this._boundFramebuffer(target);
+
+        if (!framebuffer || !this._check(texture, 'texture', true))
+        {
+            return;
+        }
+
+        const attached = texture ? { object: texture, target: texture.target, level, layer } : null;
+
+        this._attach(framebuffer, attachment, attached);
+    }
+
+    getActiveUniformBlockName(program, index)
+    {
+        const block = this._uniformBlock(program, index);
+
+        return block ? block.name : null;
+    }
+
+    getActiveUniformBlockParameter(program, index, pname)
+    {
+        const block = this._uniformBlock(program, index);
+
+        if (!block)
+        {
+            return null;
+        }
+
+        switch (pname)
+        {
+            case this.UNIFORM_BLOCK_BINDING: return block.binding;
+            case this.UNIFORM_BLOCK_DATA_SIZE: return this._blockDataSize(block);
+            case this.UNIFORM_BLOCK_ACTIVE_UNIFORMS: return block.uniforms.length;
+            case this.UNIFORM_BLOCK_ACTIVE_UNIFORM_INDICES:
+                return new Uint32Array(block.uniforms.map((uniform) => this._uniformIndex(program, uniform.name)));
+            case this.UNIFORM_BLOCK_REFERENCED_BY_VERTEX_SHADER:
+            case this.UNIFORM_BLOCK_REFERENCED_BY_FRAGMENT_SHADER:
+                return true;
+            default:
+                this._error(this.INVALID_ENUM);
+
+                return null;
+        }
+    }
+
+    getActiveUniforms(program, uniformIndices, pname)
+    {
+        if (!this._check(program, 'program'))
+        {
+            return null;
+        }
+
+        const uniforms = program.data.uniforms;
+
+        return Array.prototype.map.call(uniformIndices, (index) =>
+        {
+            const uniform = uniforms[index];
+
+            switch (pname)
+            {
+                case this.UNIFORM_TYPE: return this[uniform.glType];
+                case this.UNIFORM_SIZE: return uniform.size;
+                case this.UNIFORM_BLOCK_INDEX:
+                    return uniform.block ? this.getUniformBlockIndex(program, uniform.block) : -1;
+                case this.UNIFORM_OFFSET: return uniform.block ? this._uniformOffset(program, uniform) : -1;
+                default: return 0;
+            }
+        });
+    }
+
+    getBufferSubData(target, srcByteOffset, dstBuffer)
+    {
+        const buffer = this._boundBuffer(target);
+
+        if (!buffer)
+        {
+            return;
+        }
+
+        const bytes = new Uint8Array(dstBuffer.buffer, dstBuffer.byteOffset, dstBuffer.byteLength);
+
+        if (srcByteOffset + bytes.byteLength > buffer.data.byteLength)
+        {
+            this._error(this.INVALID_VALUE);
+
+            return;
+        }
+
+        bytes.set(buffer.data.bytes.subarray(srcByteOffset, srcByteOffset + bytes.byteLength));
+    }
+
+    getFragDataLocation(program)
+    {
+        return this._checkLinked(program) ? 0 : -1;
+    }
+
+    getIndexedParameter(target, index)
+    {
+        const binding = this.state.uniformBuffers[index];
+
+        switch (target)
+        {
+            case this.UNIFORM_BUFFER_BINDING: return binding ? binding.buffer : null;
+            case this.UNIFORM_BUFFER_START: return binding ? binding.offset : 0;
+            case this.UNIFORM_BUFFER_SIZE: return binding ? binding.size : 0;
+            default:
+                this._error(this.INVALID_ENUM);
+
+                return null;
+        }
+    }
+
+    getInternalformatParameter(target, internalformat, pname)
+    {
+        if (pname !== this.SAMPLES)
+        {
+            this._error(this.INVALID_ENUM);
+
+            return null;
+        }
+
+        const samples = [];
+
+        for (let i = this._parameters[this.MAX_SAMPLES]; i > 0; i /= 2)
+        {
+            samples.push(i);
+        }
+
+        return new Int32Array(samples);
+    }
+
+    getParameter(pname)
+    {
+        const unit = this.state.textureUnits[this.state.activeTexture];
+
+        switch (pname)
+        {
+            case this.VERTEX_ARRAY_BINDING: return this.state.vertexArray;
+            case this.DRAW_FRAMEBUFFER_BINDING: return this.state.framebuffer;
+            case this.READ_FRAMEBUFFER_BINDING: return this.state.readFramebuffer;
+            case this.UNIFORM_BUFFER_BINDING: return this.state.buffers[this.UNIFORM_BUFFER];
+            case this.TEXTURE_BINDING_3D: return unit[this.TEXTURE_3D] || null;
+            case this.TEXTURE_BINDING_2D_ARRAY: return unit[this.TEXTURE_2D_ARRAY] || null;
+            default:
+                break;
+        }
+
+        if (pname >= this.DRAW_BUFFER0 && pname < this.DRAW_BUFFER0 + 16)
+        {
+            const drawBuffers = this.state.framebuffer
+                ? this.state.framebuffer.data.drawBuffers
+                : this.state.drawBuffers;
+
+            return drawBuffers[pname - this.DRAW_BUFFER0] || this.NONE;
+        }
+
+        return super.getParameter(pname);
+    }
+
+    getUniformBlockIndex(program, uniformBlockName)
+    {
+        if (!this._checkLinked(program))
+        {
+            return this.INVALID_INDEX;
+        }
+
+        const blocks = program.data.blocks;
+
+        for (let i = 0; i < blocks.length; i++)
+        {
+            if (blocks[i].name === uniformBlockName)
+            {
+                return i;
+            }
+        }
+
+        return this.INVALID_INDEX;
+    }
+
+    getUniformIndices(program, uniformNames)
+    {
+        if (!this._checkLinked(program))
+        {
+            return null;
+        }
+
+        return uniformNames.map((name) => this._uniformIndex(program, name));
+    }
+
+    invalidateFramebuffer()
+    {
+        // nothing is ever drawn
+    }
+
+    invalidateSubFramebuffer()
+    {
+        // nothing is ever drawn
+    }
+
+    isVertexArray(vertexArray)
+    {
+        return this._isVertexArray(vertexArray);
+    }
+
+    readBuffer(src)
+    {
+        const framebuffer = this.state.readFramebuffer;
+
+        if (framebuffer ? src !== this.NONE && (src < this.COLOR_ATTACHMENT0 || src >= this.COLOR_ATTACHMENT0 + 16)
+            : src !== this.NONE && src !== this.BACK)
+        {
+            this._error(this.INVALID_OPERATION);
+
+            return;
+        }
+
+        if (framebuffer)
+        {
+            framebuffer.data.readBuffer = src;
+        }
+        else
+        {
+            this.state.readBuffer = src;
+        }
+    }
+
+    renderbufferStorageMultisample(target, samples, internalformat, width, height)
+    {
+        if (samples > this._parameters[this.MAX_SAMPLES])
+        {
+            this._error(this.INVALID_OPERATION);
+
+            return;
+        }
+
+        this._renderbufferStorage(target, samples, internalformat, width, height);
+    }
+
+    texImage3D(target, level, internalformat, width, height, depth, border, format, type)
+    {
+        const texture = this._boundTexture(target);
+
+        if (texture)
+        {
+            this._setTextureLevel(texture, target, level, {
+                width,
+                height,
+                depth,
+                internalFormat: internalformat,
+                format,
+                type,
+                compressed: false,
+            });
+        }
+    }
+
+    texStorage2D(target, levels, internalformat, width, height)
+    {
+        this._texStorage(target, levels, internalformat, width, height, 1);
+    }
+
+    texStorage3D(target, levels, internalformat, width, height, depth)
+    {
+        this._texStorage(target, levels, internalformat, width, height, depth);
+    }
+
+    texSubImage3D(target)
+    {
+        this._boundTexture(target);
+    }
+
+    uniform1ui(location, x)
+    {
+        this._setUniform(location, [x]);
+    }
+
+    uniform2ui(location, x, y)
+    {
+        this._setUniform(location, [x, y]);
+    }
+
+    uniform3ui(location, x, y, z)
+    {
+        this._setUniform(location, [x, y, z]);
+    }
+
+    uniform4ui(location, x, y, z, w)
+    {
+        this._setUniform(location, [x, y, z, w]);
+    }
+
+    uniform1uiv(location, value)
+    {
+        this._setUniform(location, value);
+    }
+
+    uniform2uiv(location, value)
+    {
+        this._setUniform(location, value);
+    }
+
+    uniform3uiv(location, value)
+    {
+        this._setUniform(location, value);
+    }
+
+    uniform4uiv(location, value)
+    {
+        this._setUniform(location, value);
+    }
+
+    uniformBlockBinding(program, uniformBlockIndex, uniformBlockBinding)
+    {
+        const block = this._uniformBlock(program, uniformBlockIndex);
+
+        if (!block)
+        {
+            return;
+        }
+
+        if (uniformBlockBinding >= this._parameters[this.MAX_UNIFORM_BUFFER_BINDINGS])
+        {
+            this._error(this.INVALID_VALUE);
+
+            return;
+        }
+
+        block.binding = uniformBlockBinding;
+    }
+
+    uniformMatrix2x3fv(location, transpose, value)
+    {
+        this._setUniformMatrix(location, transpose, value);
+    }
+
+    uniformMatrix2x4fv(location, transpose, value)
+    {
+        this._setUniformMatrix(location, transpose, value);
+    }
+
+    uniformMatrix3x2fv(location, transpose, value)
+    {
+        this._setUniformMatrix(location, transpose, value);
+    }
+
+    uniformMatrix3x4fv(location, transpose, value)
+    {
+        this._setUniformMatrix(location, transpose, value);
+    }
+
+    uniformMatrix4x2fv(location, transpose, value)
+    {
+        this._setUniformMatrix(location, transpose, value);
+    }
+
+    uniformMatrix4x3fv(location, transpose, value)
+    {
+        this._setUniformMatrix(location, transpose, value);
+    }
+
+    vertexAttribDivisor(index, divisor)
+    {
+        this._vertexAttribDivisor(index, divisor);
+    }
+
+    vertexAttribI4i(index, x, y, z, w)
+    {
+        this._setVertexAttrib(index, [x, y, z, w]);
+    }
+
+    vertexAttribI4ui(index, x, y, z, w)
+    {
+        this._setVertexAttrib(index, [x, y, z, w]);
+    }
+
+    vertexAttribIPointer(index, size, type, stride, offset)
+    {
+        this._vertexAttribPointer(index, size, type, false, stride, offset, true);
+    }
+
+    /**
+     * @private
+     * @return {string[]} The extensions supported when none are given in the options
+     */
+    _defaultExtensions()
+    {
+        return WEBGL2_EXTENSIONS;
+    }
+
+    /**
+     * @private
+     * @return {object<number, *>} The values returned by `getParameter` that are not context state
+     */
+    _defaultParameters()
+    {
+        return Object.assign(super._defaultParameters(), {
+            [this.VERSION]: 'WebGL 2.0 (Mock)',
+            [this.SHADING_LANGUAGE_VERSION]: 'WebGL GLSL ES 3.00 (Mock)',
+            [this.MAX_3D_TEXTURE_SIZE]: 2048,
+            [this.MAX_ARRAY_TEXTURE_LAYERS]: 2048,
+            [this.MAX_COLOR_ATTACHMENTS]: 8,
+            [this.MAX_DRAW_BUFFERS]: 8,
+            [this.MAX_ELEMENT_INDEX]: 0xFFFFFFFF,
+            [this.MAX_SAMPLES]: 4,
+            [this.MAX_UNIFORM_BLOCK_SIZE]: 65536,
+            [this.MAX_UNIFORM_BUFFER_BINDINGS]: 24,
+            [this.MAX_VERTEX_UNIFORM_BLOCKS]: 12,
+            [this.MAX_FRAGMENT_UNIFORM_BLOCKS]: 12,
+            [this.MAX_COMBINED_UNIFORM_BLOCKS]: 24,
+            [this.UNIFORM_BUFFER_OFFSET_ALIGNMENT]: 256,
+        });
+    }
+
+    /**
+     * @private
+     * @return {number[]} The buffer targets of this version of WebGL
+     */
+    _validBufferTargets()
+    {
+        return super._validBufferTargets().concat([
+            this.COPY_READ_BUFFER,
+            this.COPY_WRITE_BUFFER,
+            this.PIXEL_PACK_BUFFER,
+            this.PIXEL_UNPACK_BUFFER,
+            this.TRANSFORM_FEEDBACK_BUFFER,
+            this.UNIFORM_BUFFER,
+        ]);
+    }
+
+    /**
+     * @private
+     * @return {number[]} The framebuffer targets of this version of WebGL
+     */
+    _validFramebufferTargets()
+    {
+        return [this.FRAMEBUFFER, this.READ_FRAMEBUFFER, this.DRAW_FRAMEBUFFER];
+    }
+
+    /**
+     * @private
+     * @return {number[]} The texture targets of this version of WebGL
+     */
+    _validTextureTargets()
+    {
+        return [this.TEXTURE_2D, this.TEXTURE_CUBE_MAP, this.TEXTURE_3D, this.TEXTURE_2D_ARRAY];
+    }
+
+    /**
+     * @private
+     * @return {boolean} Whether more than one color attachment can be used
+     */
+    _multipleColorAttachments()
+    {
+        return true;
+    }
+
+    /**
+     * @private
+     * @param {number} target - The texture target
+     * @param {number} levels - The number of mipmap levels
+     * @param {number} internalformat - The sized format
+     * @param {number} width - The width of the first level
+     * @param {number} height - The height of the first level
+     * @param {number} depth - The depth of the first level
+     */
+    _texStorage(target, levels, internalformat, width, height, depth)
+    {
+        const texture = this._boundTexture(target);
+
+        if (!texture)
+        {
+            return;
+        }
+
+        if (texture.data.immutable)
+        {
+            this._error(this.INVALID_OPERATION);
+
+            return;
+        }
+
+        const targets = target === this.TEXTURE_CUBE_MAP
+            ? [0, 1, 2, 3, 4, 5].map((i) => this.TEXTURE_CUBE_MAP_POSITIVE_X + i)
+            : [target];
+
+        for (let level = 0; level < levels; level++)
+        {
+            for (let i = 0; i < targets.length; i++)
+            {
+                this._setTextureLevel(texture, targets[i], level, {
+                    width: Math.max(1, width >> level),
+                    height: Math.max(1, height >> level),
+                    depth: target === this.TEXTURE_3D ? Math.max(1, depth >> level) : depth,
+                    internalFormat: internalformat,
+                    format: internalformat,
+                    type: null,
+                    compressed: false,
+                });
+            }
+        }
+
+        texture.data.immutable = true;
+    }
+
+    /**
+     * @private
+     * @param {PIXI.mock.MockWebGLObject} program - The program
+     * @param {number} index - The index of the uniform block
+     * @return {object} The uniform block, null with an error if there is none at that index
+     */
+    _uniformBlock(program, index)
+    {
+        if (!this._checkLinked(program))
+        {
+            return null;
+        }
+
+        const block = program.data.blocks[index];
+
+        if (!block)
+        {
+            this._error(this.INVALID_VALUE);
+
+            return null;
+        }
+
+        return block;
+    }
+
+    /**
+     * @private
+     * @param {PIXI.mock.MockWebGLObject} program - The program
+     * @param {string} name - The name of an active uniform
+     * @return {number} The index of the uniform, `INVALID_INDEX` if not active
+     */
+    _uniformIndex(program, name)
+    {
+        const uniforms = program.data.uniforms;
+
+        for (let i = 0; i < uniforms.length; i++)
+        {
+            if (uniforms[i].name === name)
+            {
+                return i;
+            }
+        }
+
+        return this.INVALID_INDEX;
+    }
+
+    /**
+     * @private
+     * @param {object} block - A uniform block
+     * @return {number} The byte size of the block with the std140 layout
+     */
+    _blockDataSize(block)
+    {
+        let size = 0;
+
+        for (let i = 0; i < block.uniforms.length; i++)
+        {
+            const layout = std140Layout(block.uniforms[i], size);
+
+            size = layout.offset + layout.size;
+        }
+
+        return Math.ceil(size / 16) * 16;
+    }
+
+    /**
+     * @private
+     * @param {PIXI.mock.MockWebGLObject} program - The program
+     * @param {object} uniform - A uniform of a block
+     * @return {number} The byte offset of the uniform in its block with the std140 layout
+     */
+    _uniformOffset(program, uniform)
+    {
+        const block = program.data.blocks[this.getUniformBlockIndex(program, uniform.block)];
+        let size = 0;
+
+        for (let i = 0; i < block.uniforms.length; i++)
+        {
+            const layout = std140Layout(block.uniforms[i], size);
+
+            if (block.uniforms[i].name === uniform.name)
+            {
+                return layout.offset;
+            }
+
+            size = layout.offset + layout.size;
+        }
+
+        return -1;
+    }
+}
+
+/**
+ * Base alignment and size in bytes of the types allowed in uniform blocks, with the std140 layout.
+ *
+ * @private
+ * @type {object<string, number[]>}
+ */
+const STD140 = {
+    FLOAT: [4, 4],
+    INT: [4, 4],
+    UNSIGNED_INT: [4, 4],
+    BOOL: [4, 4],
+    FLOAT_VEC2: [8, 8],
+    INT_VEC2: [8, 8],
+    UNSIGNED_INT_VEC2: [8, 8],
+    BOOL_VEC2: [8, 8],
+    FLOAT_VEC3: [16, 12],
+    INT_VEC3: [16, 12],
+    UNSIGNED_INT_VEC3: [16, 12],
+    BOOL_VEC3: [16, 12],
+    FLOAT_VEC4: [16, 16],
+    INT_VEC4: [16, 16],
+    UNSIGNED_INT_VEC4: [16, 16],
+    BOOL_VEC4: [16, 16],
+    FLOAT_MAT2: [16, 32],
+    FLOAT_MAT3: [16, 48],
+    FLOAT_MAT4: [16, 64],
+    FLOAT_MAT2x3: [16, 32],
+    FLOAT_MAT2x4: [16, 32],
+    FLOAT_MAT3x2: [16, 48],
+    FLOAT_MAT3x4: [16, 48],
+    FLOAT_MAT4x2: [16, 64],
+    FLOAT_MAT4x3: [16, 64],
+};
+
+/**
+ * Places a uniform of a block with the std140 layout.
+ *
+ * @private
+ * @param {object} uniform - The uniform
+ * @param {number} offset - The end of the previous uniform
+ * @return {object} The `offset` and `size` of the uniform in bytes
+ */
+function std140Layout(uniform, offset)
+{
+    const type = STD140[uniform.glType] || STD140.FLOAT_VEC4;
+    let alignment = type[0];
+    let size = type[1];
+
+    // array elements are aligned and padded like vec4s
+    if (uniform.size > 1)
+    {
+        alignment = 16;
+        size = Math.ceil(size / 16) * 16 * uniform.size;
+    }
+
+    return { offset: Math.ceil(offset / alignment) * alignment, size };
+}
+
+Object.assign(MockWebGL2RenderingContext.prototype, WEBGL2_CONSTANTS);
+
+recordMethods(MockWebGL2RenderingContext);
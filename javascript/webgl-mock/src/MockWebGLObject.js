@@ -0,0 +1,68 @@
+let UID = 0;
+
+/**
+ * Stands in for the objects a WebGL context creates (`WebGLBuffer`, `WebGLTexture`, `WebGLProgram`...).
+ * Unlike the browser ones, the data given to the context is kept on the object so that tests can inspect it.
+ *
+ * @class
+ * @memberof PIXI.mock
+ */
+export default class MockWebGLObject
+{
+    /**
+     * @param {string} type - The kind of object, one of `buffer`, `texture`, `program`, `shader`,
+     *  `framebuffer`, `renderbuffer` or `vertexArray`
+     * @param {PIXI.mock.MockWebGLRenderingContext} context - The context that created the object
+     */
+    constructor(type, context)
+    {
+        /**
+         * The kind of object.
+         *
+         * @member {string}
+         * @readonly
+         */
+        this.type = type;
+
+        /**
+         * The context that created the object.
+         *
+         * @member {PIXI.mock.MockWebGLRenderingContext}
+         * @readonly
+         */
+        this.context = context;
+
+        /**
+         * A unique identifier, handy to tell objects apart in assertions.
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.id = UID++;
+
+        /**
+         * Whether the object was deleted, either explicitly or because the context was lost.
+         *
+         * @member {boolean}
+         * @readonly
+         */
+        this.deleted = false;
+
+        /**
+         * The target the object was first bound to, if any.
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.target = null;
+
+        /**
+         * Everything the context stored for the object: buffer data, texture levels and parameters,
+         * shader source, program variables, framebuffer attachments or vertex attributes.
+         *
+         * @member {object}
+         * @readonly
+         */
+        this.data = {};
+    }
+}
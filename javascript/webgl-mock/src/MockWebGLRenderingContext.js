@@ -0,0 +1,2932 @@
+import { WEBGL_CONSTANTS } from './const';
+import MockWebGLObject from './MockWebGLObject';
+import createExtension from './extensions';
+import extractShaderVariables from './utils/extractShaderVariables';
+
+/**
+ * Extensions supported by default by a WebGL 1 mock context.
+ *
+ * @private
+ * @type {string[]}
+ */
+const WEBGL_EXTENSIONS = [
+    'ANGLE_instanced_arrays',
+    'EXT_blend_minmax',
+    'EXT_color_buffer_half_float',
+    'EXT_texture_filter_anisotropic',
+    'OES_element_index_uint',
+    'OES_standard_derivatives',
+    'OES_texture_float',
+    'OES_texture_float_linear',
+    'OES_texture_half_float',
+    'OES_texture_half_float_linear',
+    'OES_vertex_array_object',
+    'WEBGL_color_buffer_float',
+    'WEBGL_compressed_texture_astc',
+    'WEBGL_compressed_texture_etc1',
+    'WEBGL_compressed_texture_pvrtc',
+    'WEBGL_compressed_texture_s3tc',
+    'WEBGL_depth_texture',
+    'WEBGL_draw_buffers',
+    'WEBGL_lose_context',
+];
+
+/**
+ * Values returned while the context is lost, by method name. Anything not listed returns `null`.
+ *
+ * @private
+ * @type {object<string, *>}
+ */
+const LOST_RESULTS = {
+    isBuffer: false,
+    isEnabled: false,
+    isFramebuffer: false,
+    isProgram: false,
+    isRenderbuffer: false,
+    isShader: false,
+    isTexture: false,
+    isVertexArray: false,
+    checkFramebufferStatus: 0,
+    getAttribLocation: -1,
+    getFragDataLocation: -1,
+    getUniformBlockIndex: 0xFFFFFFFF,
+};
+
+/**
+ * Methods that keep working while the context is lost.
+ *
+ * @private
+ * @type {object<string, boolean>}
+ */
+const LOST_SAFE = {
+    isContextLost: true,
+    getError: true,
+    getExtension: true,
+    getSupportedExtensions: true,
+    getContextAttributes: true,
+};
+
+/**
+ * A WebGL 1 rendering context that does not draw anything, for running the renderer where no GPU is available.
+ *
+ * It behaves like the browser implementation as far as PixiJS is concerned: objects are created and bound,
+ * shaders are "compiled" by reading their declarations and errors are reported through `getError`.
+ * On top of that it records what happens, so that tests can check the work done for a frame:
+ *
+ * ```js
+ * const gl = new PIXI.mock.MockWebGLRenderingContext(null, { stencil: true });
+ * const renderer = new PIXI.Renderer({ context: gl, view: gl.canvas });
+ *
+ * gl.clearRecords();
+ * renderer.render(stage);
+ *
+ * expect(gl.drawCalls.length).to.equal(3);
+ * expect(gl.counts.bindTexture).to.equal(2);
+ * ```
+ *
+ * @class
+ * @memberof PIXI.mock
+ */
+export default class MockWebGLRenderingContext
+{
+    /**
+     * @param {PIXI.mock.MockCanvas|HTMLCanvasElement} [canvas] - The canvas the context belongs to
+     * @param {object} [attributes] - The context attributes, as given to `canvas.getContext`
+     * @param {object} [options] - Options for the mock itself
+     * @param {string[]} [options.extensions] - The supported extensions, defaults to all the ones the mock
+     *  implements for this version of WebGL
+     * @param {object<number, *>} [options.parameters] - Values returned by `getParameter`, by enum, overriding
+     *  the default limits of the mock
+     * @param {boolean} [options.recordCalls=false] - Whether every call is stored in `calls`
+     */
+    constructor(canvas, attributes, options)
+    {
+        options = options || {};
+
+        /**
+         * The canvas the context belongs to.
+         *
+         * @member {PIXI.mock.MockCanvas|HTMLCanvasElement}
+         * @readonly
+         */
+        this.canvas = canvas || null;
+
+        /**
+         * Whether every call is stored in `calls`. Counting in `counts` always happens.
+         *
+         * @member {boolean}
+         */
+        this.recordCalls = !!options.recordCalls;
+
+        /**
+         * The number of calls per method name since the last `clearRecords`.
+         *
+         * @member {object<string, number>}
+         */
+        this.counts = {};
+
+        /**
+         * Every call as `{ name, args }` since the last `clearRecords`, only filled when `recordCalls` is set.
+         *
+         * @member {object[]}
+         */
+        this.calls = [];
+
+        /**
+         * The draw calls since the last `clearRecords`, including the state they were made with:
+         * `mode`, `first`, `count`, `type`, `offset`, `instanceCount`, `program`, `vertexArray`,
+         * `framebuffer` and the `textures` sampled by the program.
+         *
+         * @member {object[]}
+         */
+        this.drawCalls = [];
+
+        /**
+         * The live objects created by the context, by type.
+         *
+         * @member {object<string, PIXI.mock.MockWebGLObject[]>}
+         * @readonly
+         */
+        this.objects = {
+            buffer: [],
+            texture: [],
+            program: [],
+            shader: [],
+            framebuffer: [],
+            renderbuffer: [],
+            vertexArray: [],
+        };
+
+        this._attributes = Object.assign({
+            alpha: true,
+            antialias: true,
+            depth: true,
+            failIfMajorPerformanceCaveat: false,
+            powerPreference: 'default',
+            premultipliedAlpha: true,
+            preserveDrawingBuffer: false,
+            stencil: false,
+        }, attributes);
+
+        this._supportedExtensions = (options.extensions || this._defaultExtensions()).slice();
+        this._extensions = {};
+        this._parameters = Object.assign(this._defaultParameters(), options.parameters);
+        this._errors = [];
+        this._lost = false;
+
+        this._resetState();
+    }
+
+    /**
+     * The version of WebGL this context implements.
+     *
+     * @member {number}
+     * @readonly
+     */
+    get webGLVersion()
+    {
+        return 1;
+    }
+
+    /**
+     * The width of the drawing buffer.
+     *
+     * @member {number}
+     * @readonly
+     */
+    get drawingBufferWidth()
+    {
+        return this.canvas ? this.canvas.width : 300;
+    }
+
+    /**
+     * The height of the drawing buffer.
+     *
+     * @member {number}
+     * @readonly
+     */
+    get drawingBufferHeight()
+    {
+        return this.canvas ? this.canvas.height : 150;
+    }
+
+    /**
+     * Forgets the recorded calls, counts and draw calls. The GL state and objects are kept.
+     */
+    clearRecords()
+    {
+        this.counts = {};
+        this.calls.length = 0;
+        this.drawCalls.length = 0;
+    }
+
+    /**
+     * Simulates the loss of the context, as `WEBGL_lose_context.loseContext` does.
+     * All objects are deleted and the canvas receives a `webglcontextlost` event.
+     */
+    simulateContextLost()
+    {
+        if (this._lost)
+        {
+            return;
+        }
+
+        this._lost = true;
+        this._errors.push(this.CONTEXT_LOST_WEBGL);
+
+        for (const type in this.objects)
+        {
+            const objects = this.objects[type];
+
+            for (let i = 0; i < objects.length; i++)
+            {
+                objects[i].deleted = true;
+            }
+
+            objects.length = 0;
+        }
+
+        this._restorable = this._dispatch('webglcontextlost');
+    }
+
+    /**
+     * Simulates the context coming back, as `WEBGL_lose_context.restoreContext` does.
+     * The context starts again from the default state and the canvas receives a `webglcontextrestored` event.
+     * Like in browsers, this only works if the default of the `webglcontextlost` event was prevented.
+     */
+    simulateContextRestored()
+    {
+        if (!this._lost)
+        {
+            return;
+        }
+
+        if (!this._restorable)
+        {
+            this._error(this.INVALID_OPERATION);
+
+            return;
+        }
+
+        this._lost = false;
+        this._errors.length = 0;
+        this._resetState();
+        this._dispatch('webglcontextrestored');
+    }
+
+    // WebGL 1 entry points
+
+    activeTexture(texture)
+    {
+        const unit = texture - this.TEXTURE0;
+
+        if (unit < 0 || unit >= this.state.textureUnits.length)
+        {
+            this._error(this.INVALID_ENUM);
+
+            return;
+        }
+
+        this.state.activeTexture = unit;
+    }
+
+    attachShader(program, shader)
+    {
+        if (!this._check(program, 'program') || !this._check(shader, 'shader'))
+        {
+            return;
+        }
+
+        if (program.data.shaders.indexOf(shader) !== -1)
+        {
+            this._error(this.INVALID_OPERATION);
+
+            return;
+        }
+
+        program.data.shaders.push(shader);
+    }
+
+    bindAttribLocation(program, index, name)
+    {
+        if (!this._check(program, 'program'))
+        {
+            return;
+        }
+
+        if (index >= this._parameters[this.MAX_VERTEX_ATTRIBS])
+        {
+            this._error(this.INVALID_VALUE);
+
+            return;
+        }
+
+        program.data.boundLocations[name] = index;
+    }
+
+    bindBuffer(target, buffer)
+    {
+        if (this._validBufferTargets().indexOf(target) === -1)
+        {
+            this._error(this.INVALID_ENUM);
+
+            return;
+        }
+
+        if (!this._bindObject(buffer, 'buffer', target))
+        {
+            return;
+        }
+
+        if (target === this.ELEMENT_ARRAY_BUFFER)
+        {
+            this._vertexArray().data.elementArrayBuffer = buffer;
+        }
+        else
+        {
+            this.state.buffers[target] = buffer;
+        }
+    }
+
+    bindFramebuffer(target, framebuffer)
+    {
+        if (this._validFramebufferTargets().indexOf(target) === -1)
+        {
+            this._error(this.INVALID_ENUM);
+
+            return;
+        }
+
+        if (!this._bindObject(framebuffer, 'framebuffer', this.FRAMEBUFFER))
+        {
+            return;
+        }
+
+        if (framebuffer && !framebuffer.data.attachments)
+        {
+            framebuffer.data.attachments = {};
+            framebuffer.data.drawBuffers = [this.COLOR_ATTACHMENT0];
+        }
+
+        if (target !== this.READ_FRAMEBUFFER)
+        {
+            this.state.framebuffer = framebuffer;
+        }
+
+        if (target !== this.DRAW_FRAMEBUFFER)
+        {
+            this.state.readFramebuffer = framebuffer;
+        }
+    }
+
+    bindRenderbuffer(target, renderbuffer)
+    {
+        if (target !== this.RENDERBUFFER)
+        {
+            this._error(this.INVALID_ENUM);
+
+            return;
+        }
+
+        if (!this._bindObject(renderbuffer, 'renderbuffer', target))
+        {
+            return;
+        }
+
+        this.state.renderbuffer = renderbuffer;
+    }
+
+    bindTexture(target, texture)
+    {
+        if (this._validTextureTargets().indexOf(target) === -1)
+        {
+            this._error(this.INVALID_ENUM);
+
+            return;
+        }
+
+        if (!this._bindObject(texture, 'texture', target))
+        {
+            return;
+        }
+
+        if (texture && !texture.data.levels)
+        {
+            texture.data.levels = {};
+            texture.data.parameters = {
+                [this.TEXTURE_MIN_FILTER]: this.NEAREST_MIPMAP_LINEAR,
+                [this.TEXTURE_MAG_FILTER]: this.LINEAR,
+                [this.TEXTURE_WRAP_S]: this.REPEAT,
+                [this.TEXTURE_WRAP_T]: this.REPEAT,
+            };
+            texture.data.mipmaps = false;
+        }
+
+        this.state.textureUnits[this.state.activeTexture][target] = texture;
+    }
+
+    blendColor(red, green, blue, alpha)
+    {
+        this.state.blendColor = [red, green, blue, alpha];
+    }
+
+    blendEquation(mode)
+    {
+        this.blendEquationSeparate(mode, mode);
+    }
+
+    blendEquationSeparate(modeRGB, modeAlpha)
+    {
+        this.state.blendEquation = [modeRGB, modeAlpha];
+    }
+
+    blendFunc(sfactor, dfactor)
+    {
+        this.state.blendFunc = [sfactor, dfactor, sfactor, dfactor];
+    }
+
+    blendFuncSeparate(srcRGB, dstRGB, srcAlpha, dstAlpha)
+    {
+        this.state.blendFunc = [srcRGB, dstRGB, srcAlpha, dstAlpha];
+    }
+
+    bufferData(target, data, usage)
+    {
+        const buffer = this._boundBuffer(target);
+
+        if (!buffer)
+        {
+            return;
+        }
+
+        if (typeof data === 'number')
+        {
+            buffer.data.bytes = new Uint8Array(data);
+        }
+        else if (data)
+        {
+            buffer.data.bytes = this._copyBytes(data);
+        }
+        else
+        {
+            this._error(this.INVALID_VALUE);
+
+            return;
+        }
+
+        buffer.data.byteLength = buffer.data.bytes.byteLength;
+        buffer.data.usage = usage;
+    }
+
+    bufferSubData(target, offset, data)
+    {
+        const buffer = this._boundBuffer(target);
+
+        if (!buffer)
+        {
+            return;
+        }
+
+        const bytes = this._copyBytes(data);
+
+        if (!buffer.data.bytes || offset + bytes.byteLength > buffer.data.byteLength)
+        {
+            this._error(this.INVALID_VALUE);
+
+            return;
+        }
+
+        buffer.data.bytes.set(bytes, offset);
+    }
+
+    checkFramebufferStatus(target)
+    {
+        if (this._validFramebufferTargets().indexOf(target) === -1)
+        {
+            this._error(this.INVALID_ENUM);
+
+            return 0;
+        }
+
+        const framebuffer = target === this.READ_FRAMEBUFFER ? this.state.readFramebuffer : this.state.framebuffer;
+
+        if (!framebuffer)
+        {
+            return this.FRAMEBUFFER_COMPLETE;
+        }
+
+        const attachments = framebuffer.data.attachments;
+        let width = -1;
+        let height = -1;
+        let samples = -1;
+        let count = 0;
+
+        for (const i in attachments)
+        {
+            const size = this._attachmentSize(attachments[i]);
+
+            if (!size)
+            {
+                return this.FRAMEBUFFER_INCOMPLETE_ATTACHMENT;
+            }
+
+            if (count > 0 && (size.width !== width || size.height !== height))
+            {
+                return this.FRAMEBUFFER_INCOMPLETE_DIMENSIONS;
+            }
+
+            if (count > 0 && size.samples !== samples)
+            {
+                return this.FRAMEBUFFER_INCOMPLETE_MULTISAMPLE || this.FRAMEBUFFER_UNSUPPORTED;
+            }
+
+            width = size.width;
+            height = size.height;
+            samples = size.samples;
+            count++;
+        }
+
+        return count ? this.FRAMEBUFFER_COMPLETE : this.FRAMEBUFFER_INCOMPLETE_MISSING_ATTACHMENT;
+    }
+
+    clear(mask)
+    {
+        const all = this.COLOR_BUFFER_BIT | this.DEPTH_BUFFER_BIT | this.STENCIL_BUFFER_BIT;
+
+        if (mask & ~all)
+        {
+            this._error(this.INVALID_VALUE);
+        }
+    }
+
+    clearColor(red, green, blue, alpha)
+    {
+        this.state.clearColor = [red, green, blue, alpha];
+    }
+
+    clearDepth(depth)
+    {
+        this.state.clearDepth = depth;
+    }
+
+    clearStencil(s)
+    {
+        this.state.clearStencil = s;
+    }
+
+    colorMask(red, green, blue, alpha)
+    {
+        this.state.colorMask = [!!red, !!green, !!blue, !!alpha];
+    }
+
+    compileShader(shader)
+    {
+        if (!this._check(shader, 'shader'))
+        {
+            return;
+        }
+
+        const data = shader.data;
+        const source = data.source || '';
+        const errors = [];
+        const version = source.match(/^\s*#version\s+(\d+)/m);
+
+        if (version && version[1] !== '100' && !(version[1] === '300' && this.webGLVersion === 2))
+        {
+            errors.push(`ERROR: 0:1: '${version[1]}' : version number not supported`);
+        }
+
+        const lines = source.split('\n');
+
+        for (let i = 0; i < lines.length; i++)
+        {
+            const error = lines[i].match(/^\s*#error\s*(.*)$/);
+
+            if (error)
+            {
+                errors.push(`ERROR: 0:${i + 1}: '#error' : ${error[1]}`);
+            }
+        }
+
+        if (!(/\bvoid\s+main\s*\(/).test(source))
+        {
+            errors.push(`ERROR: 0:${lines.length}: 'main' : function not defined`);
+        }
+
+        data.compiled = errors.length === 0;
+        data.infoLog = errors.length ? `${errors.join('\n')}\n` : '';
+        data.variables = data.compiled
+            ? extractShaderVariables(source, data.shaderType === this.VERTEX_SHADER)
+            : null;
+    }
+
+    compressedTexImage2D(target, level, internalformat, width, height, border, data)
+    {
+        const texture = this._boundTexture(target);
+
+        if (!texture)
+        {
+            return;
+        }
+
+        if (this.getParameter(this.COMPRESSED_TEXTURE_FORMATS).indexOf(internalformat) === -1)
+        {
+            this._error(this.INVALID_ENUM);
+
+            return;
+        }
+
+        this._setTextureLevel(texture, target, level, {
+            width,
+            height,
+            depth: 1,
+            internalFormat: internalformat,
+            format: internalformat,
+            type: null,
+            compressed: true,
+            byteLength: data ? data.byteLength : 0,
+        });
+    }
+
+    compressedTexSubImage2D(target)
+    {
+        this._boundTexture(target);
+    }
+
+    copyTexImage2D(target, level, internalformat, x, y, width, height)
+    {
+        const texture = this._boundTexture(target);
+
+        if (texture)
+        {
+            this._setTextureLevel(texture, target, level, {
+                width,
+                height,
+                depth: 1,
+                internalFormat: internalformat,
+                format: internalformat,
+                type: this.UNSIGNED_BYTE,
+                compressed: false,
+            });
+        }
+    }
+
+    copyTexSubImage2D(target)
+    {
+        this._boundTexture(target);
+    }
+
+    createBuffer()
+    {
+        return this._createObject('buffer');
+    }
+
+    createFramebuffer()
+    {
+        return this._createObject('framebuffer');
+    }
+
+    createProgram()
+    {
+        const program = this._createObject('program');
+
+        program.data.shaders = [];
+        program.data.boundLocations = {};
+        program.data.linked = false;
+        program.data.validated = false;
+        program.data.infoLog = '';
+        program.data.attributes = [];
+        program.data.uniforms = [];
+        program.data.blocks = [];
+        program.data.uniformValues = {};
+        program.data.locations = {};
+
+        return program;
+    }
+
+    createRenderbuffer()
+    {
+        return this._createObject('renderbuffer');
+    }
+
+    createShader(type)
+    {
+        if (type !== this.VERTEX_SHADER && type !== this.FRAGMENT_SHADER)
+        {
+            this._error(this.INVALID_ENUM);
+
+            return null;
+        }
+
+        const shader = this._createObject('shader');
+
+        shader.data.shaderType = type;
+        shader.data.source = '';
+        shader.data.compiled = false;
+        shader.data.infoLog = '';
+
+        return shader;
+    }
+
+    createTexture()
+    {
+        return this._createObject('texture');
+    }
+
+    cullFace(mode)
+    {
+        this.state.cullFace = mode;
+    }
+
+    deleteBuffer(buffer)
+    {
+        if (this._deleteObject(buffer, 'buffer'))
+        {
+            const buffers = this.state.buffers;
+
+            for (const i in buffers)
+            {
+                if (buffers[i] === buffer)
+                {
+                    buffers[i] = null;
+                }
+            }
+
+            if (this._vertexArray().data.elementArrayBuffer === buffer)
+            {
+                this._vertexArray().data.elementArrayBuffer = null;
+            }
+        }
+    }
+
+    deleteFramebuffer(framebuffer)
+    {
+        if (this._deleteObject(framebuffer, 'framebuffer'))
+        {
+            if (this.state.framebuffer === framebuffer)
+            {
+                this.state.framebuffer = null;
+            }
+
+            if (this.state.readFramebuffer === framebuffer)
+            {
+                this.state.readFramebuffer = null;
+            }
+        }
+    }
+
+    deleteProgram(program)
+    {
+        // programs in use are only flagged for deletion, like in browsers
+        if (program && program === this.state.program)
+        {
+            program.data.pendingDelete = true;
+
+            return;
+        }
+
+        this._deleteObject(program, 'program');
+    }
+
+    deleteRenderbuffer(renderbuffer)
+    {
+        if (this._deleteObject(renderbuffer, 'renderbuffer') && this.state.renderbuffer === renderbuffer)
+        {
+            this.state.renderbuffer = null;
+        }
+    }
+
+    deleteShader(shader)
+    {
+        this._deleteObject(shader, 'shader');
+    }
+
+    deleteTexture(texture)
+    {
+        if (this._deleteObject(texture, 'texture'))
+        {
+            const units = this.state.textureUnits;
+
+            for (let i = 0; i < units.length; i++)
+            {
+                for (const target in units[i])
+                {
+                    if (units[i][target] === texture)
+                    {
+                        units[i][target] = null;
+                    }
+                }
+            }
+        }
+    }
+
+    depthFunc(func)
+    {
+        this.state.depthFunc = func;
+    }
+
+    depthMask(flag)
+    {
+        this.state.depthMask = !!flag;
+    }
+
+    depthRange(zNear, zFar)
+    {
+        this.state.depthRange = [zNear, zFar];
+    }
+
+    detachShader(program, shader)
+    {
+        if (!this._check(program, 'program') || !this._check(shader, 'shader'))
+        {
+            return;
+        }
+
+        const index = program.data.shaders.indexOf(shader);
+
+        if (index === -1)
+        {
+            this._error(this.INVALID_OPERATION);
+
+            return;
+        }
+
+        program.data.shaders.splice(index, 1);
+    }
+
+    disable(cap)
+    {
+        this.state.enabled[cap] = false;
+    }
+
+    disableVertexAttribArray(index)
+    {
+        const attribute = this._vertexAttribute(index);
+
+        if (attribute)
+        {
+            attribute.enabled = false;
+        }
+    }
+
+    drawArrays(mode, first, count)
+    {
+        this._draw(mode, first, count, null, 0, 0);
+    }
+
+    drawElements(mode, count, type, offset)
+    {
+        this._draw(mode, 0, count, type, offset, 0);
+    }
+
+    enable(cap)
+    {
+        this.state.enabled[cap] = true;
+    }
+
+    enableVertexAttribArray(index)
+    {
+        const attribute = this._vertexAttribute(index);
+
+        if (attribute)
+        {
+            attribute.enabled = true;
+        }
+    }
+
+    finish()
+    {
+        // nothing is ever pending
+    }
+
+    flush()
+    {
+        // nothing is ever pending
+    }
+
+    framebufferRenderbuffer(target, attachment, renderbuffertarget, renderbuffer)
+    {
+        const framebuffer = this._boundFramebuffer(target);
+
+        if (!framebuffer || !this._check(renderbuffer, 'renderbuffer', true))
+        {
+            return;
+        }
+
+        this._attach(framebuffer, attachment, renderbuffer ? { object: renderbuffer } : null);
+    }
+
+    framebufferTexture2D(target, attachment, textarget, texture, level)
+    {
+        const framebuffer = this._boundFramebuffer(target);
+
+        if (!framebuffer || !this._check(texture, 'texture', true))
+        {
+            return;
+        }
+
+        this._attach(framebuffer, attachment, texture ? { object: texture, target: textarget, level } : null);
+    }
+
+    frontFace(mode)
+    {
+        this.state.frontFace = mode;
+    }
+
+    generateMipmap(target)
+    {
+        const texture = this._boundTexture(target);
+
+        if (texture)
+        {
+            texture.data.mipmaps = true;
+        }
+    }
+
+    getActiveAttrib(program, index)
+    {
+        return this._activeInfo(program, 'attributes', index);
+    }
+
+    getActiveUniform(program, index)
+    {
+        return this._activeInfo(program, 'uniforms', index);
+    }
+
+    getAttachedShaders(program)
+    {
+        return this._check(program, 'program') ? program.data.shaders.slice() : null;
+    }
+
+    getAttribLocation(program, name)
+    {
+        if (!this._checkLinked(program))
+        {
+            return -1;
+        }
+
+        const attributes = program.data.attributes;
+
+        for (let i = 0; i < attributes.length; i++)
+        {
+            if (attributes[i].name === name)
+            {
+                return attributes[i].location;
+            }
+        }
+
+        return -1;
+    }
+
+    getBufferParameter(target, pname)
+    {
+        const buffer = this._boundBuffer(target);
+
+        if (!buffer)
+        {
+            return null;
+        }
+
+        if (pname === this.BUFFER_SIZE)
+        {
+            return buffer.data.byteLength || 0;
+        }
+        else if (pname === this.BUFFER_USAGE)
+        {
+            return buffer.data.usage || this.STATIC_DRAW;
+        }
+
+        this._error(this.INVALID_ENUM);
+
+        return null;
+    }
+
+    getContextAttributes()
+    {
+        return this._lost ? null : Object.assign({}, this._attributes);
+    }
+
+    getError()
+    {
+        return this._errors.length ? this._errors.shift() : this.NO_ERROR;
+    }
+
+    getExtension(name)
+    {
+        if (this._supportedExtensions.indexOf(name) === -1)
+        {
+            return null;
+        }
+
+        if (!this._extensions[name])
+        {
+            this._extensions[name] = createExtension(this, name);
+        }
+
+        return this._extensions[name];
+    }
+
+    getFramebufferAttachmentParameter(target, attachment, pname)
+    {
+        const framebuffer = this._boundFramebuffer(target);
+
+        if (!framebuffer)
+        {
+            return null;
+        }
+
+        const attached = framebuffer.data.attachments[attachment];
+
+        if (pname === this.FRAMEBUFFER_ATTACHMENT_OBJECT_TYPE)
+        {
+            if (!attached)
+            {
+                return this.NONE;
+            }
+
+            return attached.object.type === 'texture' ? this.TEXTURE : this.RENDERBUFFER;
+        }
+
+        if (!attached)
+        {
+            this._error(this.INVALID_ENUM);
+
+            return null;
+        }
+
+        switch (pname)
+        {
+            case this.FRAMEBUFFER_ATTACHMENT_OBJECT_NAME:
+                return attached.object;
+            case this.FRAMEBUFFER_ATTACHMENT_TEXTURE_LEVEL:
+                return attached.level || 0;
+            case this.FRAMEBUFFER_ATTACHMENT_TEXTURE_CUBE_MAP_FACE:
+                return attached.target === this.TEXTURE_2D ? 0 : attached.target;
+            default:
+                this._error(this.INVALID_ENUM);
+
+                return null;
+        }
+    }
+
+    getParameter(pname)
+    {
+        const state = this.state;
+        const vertexArray = this._vertexArray();
+        const unit = state.textureUnits[state.activeTexture];
+
+        switch (pname)
+        {
+            case this.ACTIVE_TEXTURE: return this.TEXTURE0 + state.activeTexture;
+            case this.ARRAY_BUFFER_BINDING: return state.buffers[this.ARRAY_BUFFER];
+            case this.ELEMENT_ARRAY_BUFFER_BINDING: return vertexArray.data.elementArrayBuffer;
+            case this.CURRENT_PROGRAM: return state.program;
+            case this.FRAMEBUFFER_BINDING: return state.framebuffer;
+            case this.RENDERBUFFER_BINDING: return state.renderbuffer;
+            case this.TEXTURE_BINDING_2D: return unit[this.TEXTURE_2D] || null;
+            case this.TEXTURE_BINDING_CUBE_MAP: return unit[this.TEXTURE_CUBE_MAP] || null;
+            case this.VIEWPORT: return new Int32Array(state.viewport);
+            case this.SCISSOR_BOX: return new Int32Array(state.scissor);
+            case this.COLOR_CLEAR_VALUE: return new Float32Array(state.clearColor);
+            case this.COLOR_WRITEMASK: return state.colorMask.slice();
+            case this.DEPTH_CLEAR_VALUE: return state.clearDepth;
+            case this.DEPTH_FUNC: return state.depthFunc;
+            case this.DEPTH_WRITEMASK: return state.depthMask;
+            case this.DEPTH_RANGE: return new Float32Array(state.depthRange);
+            case this.STENCIL_CLEAR_VALUE: return state.clearStencil;
+            case this.STENCIL_FUNC: return state.stencilFunc[0];
+            case this.STENCIL_REF: return state.stencilFunc[1];
+            case this.STENCIL_VALUE_MASK: return state.stencilFunc[2];
+            case this.STENCIL_FAIL: return state.stencilOp[0];
+            case this.STENCIL_PASS_DEPTH_FAIL: return state.stencilOp[1];
+            case this.STENCIL_PASS_DEPTH_PASS: return state.stencilOp[2];
+            case this.STENCIL_WRITEMASK: return state.stencilMask;
+            case this.BLEND_SRC_RGB: return state.blendFunc[0];
+            case this.BLEND_DST_RGB: return state.blendFunc[1];
+            case this.BLEND_SRC_ALPHA: return state.blendFunc[2];
+            case this.BLEND_DST_ALPHA: return state.blendFunc[3];
+            case this.BLEND_EQUATION_RGB: return state.blendEquation[0];
+            case this.BLEND_EQUATION_ALPHA: return state.blendEquation[1];
+            case this.BLEND_COLOR: return new Float32Array(state.blendColor);
+            case this.CULL_FACE_MODE: return state.cullFace;
+            case this.FRONT_FACE: return state.frontFace;
+            case this.LINE_WIDTH: return state.lineWidth;
+            case this.POLYGON_OFFSET_FACTOR: return state.polygonOffset[0];
+            case this.POLYGON_OFFSET_UNITS: return state.polygonOffset[1];
+            case this.UNPACK_ALIGNMENT:
+            case this.PACK_ALIGNMENT:
+            case this.UNPACK_FLIP_Y_WEBGL:
+            case this.UNPACK_PREMULTIPLY_ALPHA_WEBGL:
+            case this.UNPACK_COLORSPACE_CONVERSION_WEBGL:
+                return state.pixelStore[pname];
+            case this.COMPRESSED_TEXTURE_FORMATS: return this._compressedTextureFormats();
+            default:
+                break;
+        }
+
+        if (state.enabled[pname] !== undefined)
+        {
+            return state.enabled[pname];
+        }
+
+        if (this._parameters[pname] !== undefined)
+        {
+            return this._parameters[pname];
+        }
+
+        this._error(this.INVALID_ENUM);
+
+        return null;
+    }
+
+    getProgramInfoLog(program)
+    {
+        return this._check(program, 'program') ? program.data.infoLog : null;
+    }
+
+    getProgramParameter(program, pname)
+    {
+        if (!this._check(program, 'program'))
+        {
+            return null;
+        }
+
+        const data = program.data;
+
+        switch (pname)
+        {
+            case this.DELETE_STATUS: return !!data.pendingDelete;
+            case this.LINK_STATUS: return data.linked;
+            case this.VALIDATE_STATUS: return data.validated;
+            case this.ATTACHED_SHADERS: return data.shaders.length;
+            case this.ACTIVE_ATTRIBUTES: return data.attributes.length;
+            case this.ACTIVE_UNIFORMS: return data.uniforms.length;
+            case this.ACTIVE_UNIFORM_BLOCKS:
+                if (this.webGLVersion === 2)
+                {
+                    return data.blocks.length;
+                }
+                break;
+            default:
+                break;
+        }
+
+        this._error(this.INVALID_ENUM);
+
+        return null;
+    }
+
+    getRenderbufferParameter(target, pname)
+    {
+        const renderbuffer = target === this.RENDERBUFFER ? this.state.renderbuffer : null;
+
+        if (!renderbuffer)
+        {
+            this._error(target === this.RENDERBUFFER ? this.INVALID_OPERATION : this.INVALID_ENUM);
+
+            return null;
+        }
+
+        switch (pname)
+        {
+            case this.RENDERBUFFER_WIDTH: return renderbuffer.data.width || 0;
+            case this.RENDERBUFFER_HEIGHT: return renderbuffer.data.height || 0;
+            case this.RENDERBUFFER_INTERNAL_FORMAT: return renderbuffer.data.internalFormat || this.RGBA4;
+            case this.RENDERBUFFER_SAMPLES: return renderbuffer.data.samples || 0;
+            default:
+                this._error(this.INVALID_ENUM);
+
+                return null;
+        }
+    }
+
+    getShaderInfoLog(shader)
+    {
+        return this._check(shader, 'shader') ? shader.data.infoLog : null;
+    }
+
+    getShaderParameter(shader, pname)
+    {
+        if (!this._check(shader, 'shader'))
+        {
+            return null;
+        }
+
+        switch (pname)
+        {
+            case this.SHADER_TYPE: return shader.data.shaderType;
+            case this.DELETE_STATUS: return shader.deleted;
+            case this.COMPILE_STATUS: return shader.data.compiled;
+            default:
+                this._error(this.INVALID_ENUM);
+
+                return null;
+        }
+    }
+
+    getShaderPrecisionFormat()
+    {
+        return { rangeMin: 127, rangeMax: 127, precision: 23 };
+    }
+
+    getShaderSource(shader)
+    {
+        return this._check(shader, 'shader') ? shader.data.source : null;
+    }
+
+    getSupportedExtensions()
+    {
+        return this._supportedExtensions.slice();
+    }
+
+    getTexParameter(target, pname)
+    {
+        const texture = this._boundTexture(target);
+
+        if (!texture)
+        {
+            return null;
+        }
+
+        const value = texture.data.parameters[pname];
+
+        if (value === undefined)
+        {
+            this._error(this.INVALID_ENUM);
+
+            return null;
+        }
+
+        return value;
+    }
+
+    getUniform(program, location)
+    {
+        if (!this._checkLinked(program) || !location || location.program !== program)
+        {
+            this._error(this.INVALID_OPERATION);
+
+            return null;
+        }
+
+        const value = program.data.uniformValues[location.name];
+
+        if (value === undefined)
+        {
+            return location.info.size > 1 || location.info.glType.indexOf('VEC') !== -1 ? null : 0;
+        }
+
+        return value.length === 1 ? value[0] : value;
+    }
+
+    getUniformLocation(program, name)
+    {
+        if (!this._checkLinked(program))
+        {
+            return null;
+        }
+
+        const locations = program.data.locations;
+
+        if (locations[name] !== undefined)
+        {
+            return locations[name];
+        }
+
+        const match = name.match(/^([\w.]+?)(?:\[(\d+)\])?$/);
+        let location = null;
+
+        if (match)
+        {
+            const uniforms = program.data.uniforms;
+            const index = match[2] ? parseInt(match[2], 10) : 0;
+
+            for (let i = 0; i < uniforms.length; i++)
+            {
+                const uniform = uniforms[i];
+                const baseName = uniform.name.replace(/\[0\]$/, '');
+
+                if (baseName === match[1] && !uniform.block && index < uniform.size)
+                {
+                    location = {
+                        program,
+                        name: index ? `${baseName}[${index}]` : baseName,
+                        index,
+                        info: uniform,
+                    };
+                    break;
+                }
+            }
+        }
+
+        locations[name] = location;
+
+        return location;
+    }
+
+    getVertexAttrib(index, pname)
+    {
+        const attribute = this._vertexAttribute(index);
+
+        if (!attribute)
+        {
+            return null;
+        }
+
+        switch (pname)
+        {
+            case this.VERTEX_ATTRIB_ARRAY_ENABLED: return attribute.enabled;
+            case this.VERTEX_ATTRIB_ARRAY_BUFFER_BINDING: return attribute.buffer;
+            case this.VERTEX_ATTRIB_ARRAY_SIZE: return attribute.size;
+            case this.VERTEX_ATTRIB_ARRAY_STRIDE: return attribute.stride;
+            case this.VERTEX_ATTRIB_ARRAY_TYPE: return attribute.type;
+            case this.VERTEX_ATTRIB_ARRAY_NORMALIZED: return attribute.normalized;
+            case this.VERTEX_ATTRIB_ARRAY_DIVISOR: return attribute.divisor;
+            case this.VERTEX_ATTRIB_ARRAY_INTEGER: return attribute.integer;
+            case this.CURRENT_VERTEX_ATTRIB: return new Float32Array(attribute.value);
+            default:
+                this._error(this.INVALID_ENUM);
+
+                return null;
+        }
+    }
+
+    getVertexAttribOffset(index)
+    {
+        const attribute = this._vertexAttribute(index);
+
+        return attribute ? attribute.offset : 0;
+    }
+
+    hint(target, mode)
+    {
+        this.state.hints[target] = mode;
+    }
+
+    isBuffer(buffer)
+    {
+        return this._isLive(buffer, 'buffer');
+    }
+
+    isContextLost()
+    {
+        return this._lost;
+    }
+
+    isEnabled(cap)
+    {
+        return !!this.state.enabled[cap];
+    }
+
+    isFramebuffer(framebuffer)
+    {
+        return this._isLive(framebuffer, 'framebuffer');
+    }
+
+    isProgram(program)
+    {
+        return this._isLive(program, 'program');
+    }
+
+    isRenderbuffer(renderbuffer)
+    {
+        return this._isLive(renderbuffer, 'renderbuffer');
+    }
+
+    isShader(shader)
+    {
+        return this._isLive(shader, 'shader');
+    }
+
+    isTexture(texture)
+    {
+        return this._isLive(texture, 'texture');
+    }
+
+    lineWidth(width)
+    {
+        this.state.lineWidth = width;
+    }
+
+    linkProgram(program)
+    {
+        if (!this._check(program, 'program'))
+        {
+            return;
+        }
+
+        const data = program.data;
+        let vertex = null;
+        let fragment = null;
+
+        for (let i = 0; i < data.shaders.length; i++)
+        {
+            const shader = data.shaders[i];
+
+            if (shader.data.shaderType === this.VERTEX_SHADER)
+            {
+                vertex = shader;
+            }
+            else
+            {
+                fragment = shader;
+            }
+        }
+
+        data.attributes = [];
+        data.uniforms = [];
+        data.blocks = [];
+        data.uniformValues = {};
+        data.locations = {};
+        data.linked = false;
+
+        if (!vertex || !fragment)
+        {
+            data.infoLog = 'ERROR: a vertex and a fragment shader must be attached\n';
+
+            return;
+        }
+
+        if (!vertex.data.compiled || !fragment.data.compiled)
+        {
+            data.infoLog = 'ERROR: one or more attached shaders not successfully compiled\n';
+
+            return;
+        }
+
+        const vertexVariables = vertex.data.variables;
+        const fragmentVariables = fragment.data.variables;
+        const uniforms = {};
+
+        data.attributes = vertexVariables.attributes.map((attribute) => Object.assign({}, attribute));
+        this._assignAttributeLocations(data.attributes, data.boundLocations);
+
+        const allUniforms = vertexVariables.uniforms.concat(fragmentVariables.uniforms);
+
+        for (let i = 0; i < allUniforms.length; i++)
+        {
+            if (!uniforms[allUniforms[i].name])
+            {
+                uniforms[allUniforms[i].name] = true;
+                data.uniforms.push(Object.assign({}, allUniforms[i]));
+            }
+        }
+
+        const allBlocks = vertexVariables.blocks.concat(fragmentVariables.blocks);
+        const blocks = {};
+
+        for (let i = 0; i < allBlocks.length; i++)
+        {
+            if (!blocks[allBlocks[i].name])
+            {
+                blocks[allBlocks[i].name] = true;
+                data.blocks.push({ name: allBlocks[i].name, uniforms: allBlocks[i].uniforms, binding: 0 });
+            }
+        }
+
+        data.linked = true;
+        data.infoLog = '';
+    }
+
+    pixelStorei(pname, param)
+    {
+        if (this.state.pixelStore[pname] === undefined)
+        {
+            this._error(this.INVALID_ENUM);
+
+            return;
+        }
+
+        this.state.pixelStore[pname] = typeof this.state.pixelStore[pname] === 'boolean' ? !!param : param;
+    }
+
+    polygonOffset(factor, units)
+    {
+        this.state.polygonOffset = [factor, units];
+    }
+
+    readPixels(x, y, width, height, format, type, pixels)
+    {
+        if (!pixels)
+        {
+            this._error(this.INVALID_VALUE);
+
+            return;
+        }
+
+        // nothing is ever drawn, so there is nothing to read
+        pixels.fill(0);
+    }
+
+    renderbufferStorage(target, internalformat, width, height)
+    {
+        this._renderbufferStorage(target, 0, internalformat, width, height);
+    }
+
+    sampleCoverage(value, invert)
+    {
+        this.state.sampleCoverage = [value, !!invert];
+    }
+
+    scissor(x, y, width, height)
+    {
+        this.state.scissor = [x, y, width, height];
+    }
+
+    shaderSource(shader, source)
+    {
+        if (this._check(shader, 'shader'))
+        {
+            shader.data.source = source;
+        }
+    }
+
+    stencilFunc(func, ref, mask)
+    {
+        this.state.stencilFunc = [func, ref, mask];
+    }
+
+    stencilFuncSeparate(face, func, ref, mask)
+    {
+        this.stencilFunc(func, ref, mask);
+    }
+
+    stencilMask(mask)
+    {
+        this.state.stencilMask = mask;
+    }
+
+    stencilMaskSeparate(face, mask)
+    {
+        this.stencilMask(mask);
+    }
+
+    stencilOp(fail, zfail, zpass)
+    {
+        this.state.stencilOp = [fail, zfail, zpass];
+    }
+
+    stencilOpSeparate(face, fail, zfail, zpass)
+    {
+        this.stencilOp(fail, zfail, zpass);
+    }
+
+    texImage2D(target, level, internalformat, width, height, border, format, type)
+    {
+        const texture = this._boundTexture(target);
+
+        if (!texture)
+        {
+            return;
+        }
+
+        // texImage2D(target, level, internalformat, format, type, source)
+        if (arguments.length === 6)
+        {
+            const source = arguments[5];
+
+            type = height;
+            format = width;
+            width = source ? source.videoWidth || source.naturalWidth || source.width : 0;
+            height = source ? source.videoHeight || source.naturalHeight || source.height : 0;
+        }
+
+        this._setTextureLevel(texture, target, level, {
+            width,
+            height,
+            depth: 1,
+            internalFormat: internalformat,
+            format,
+            type,
+            compressed: false,
+        });
+    }
+
+    texParameterf(target, pname, param)
+    {
+        const texture = this._boundTexture(target);
+
+        if (texture)
+        {
+            texture.data.parameters[pname] = param;
+        }
+    }
+
+    texParameteri(target, pname, param)
+    {
+        this.texParameterf(target, pname, param);
+    }
+
+    texSubImage2D(target)
+    {
+        this._boundTexture(target);
+    }
+
+    uniform1f(location, x)
+    {
+        this._setUniform(location, [x]);
+    }
+
+    uniform2f(location, x, y)
+    {
+        this._setUniform(location, [x, y]);
+    }
+
+    uniform3f(location, x, y, z)
+    {
+        this._setUniform(location, [x, y, z]);
+    }
+
+    uniform4f(location, x, y, z, w)
+    {
+        this._setUniform(location, [x, y, z, w]);
+    }
+
+    uniform1i(location, x)
+    {
+        this._setUniform(location, [x]);
+    }
+
+    uniform2i(location, x, y)
+    {
+        this._setUniform(location, [x, y]);
+    }
+
+    uniform3i(location, x, y, z)
+    {
+        this._setUniform(location, [x, y, z]);
+    }
+
+    uniform4i(location, x, y, z, w)
+    {
+        this._setUniform(location, [x, y, z, w]);
+    }
+
+    uniform1fv(location, value)
+    {
+        this._setUniform(location, value);
+    }
+
+    uniform2fv(location, value)
+    {
+        this._setUniform(location, value);
+    }
+
+    uniform3fv(location, value)
+    {
+        this._setUniform(location, value);
+    }
+
+    uniform4fv(location, value)
+    {
+        this._setUniform(location, value);
+    }
+
+    uniform1iv(location, value)
+    {
+        this._setUniform(location, value);
+    }
+
+    uniform2iv(location, value)
+    {
+        this._setUniform(location, value);
+    }
+
+    uniform3iv(location, value)
+    {
+        this._setUniform(location, value);
+    }
+
+    uniform4iv(location, value)
+    {
+        this._setUniform(location, value);
+    }
+
+    uniformMatrix2fv(location, transpose, value)
+    {
+        this._setUniformMatrix(location, transpose, value);
+    }
+
+    uniformMatrix3fv(location, transpose, value)
+    {
+        this._setUniformMatrix(location, transpose, value);
+    }
+
+    uniformMatrix4fv(location, transpose, value)
+    {
+        this._setUniformMatrix(location, transpose, value);
+    }
+
+    useProgram(program)
+    {
+        if (program && !this._checkLinked(program))
+        {
+            return;
+        }
+
+        const previous = this.state.program;
+
+        this.state.program = program || null;
+
+        // a program flagged for deletion goes away once it is no longer used
+        if (previous && previous !== program && previous.data.pendingDelete)
+        {
+            this._deleteObject(previous, 'program');
+        }
+    }
+
+    validateProgram(program)
+    {
+        if (this._check(program, 'program'))
+        {
+            program.data.validated = program.data.linked;
+        }
+    }
+
+    vertexAttrib1f(index, x)
+    {
+        this._setVertexAttrib(index, [x, 0, 0, 1]);
+    }
+
+    vertexAttrib2f(index, x, y)
+    {
+        this._setVertexAttrib(index, [x, y, 0, 1]);
+    }
+
+    vertexAttrib3f(index, x, y, z)
+    {
+        this._setVertexAttrib(index, [x, y, z, 1]);
+    }
+
+    vertexAttrib4f(index, x, y, z, w)
+    {
+        this._setVertexAttrib(index, [x, y, z, w]);
+    }
+
+    vertexAttrib1fv(index, value)
+    {
+        this._setVertexAttrib(index, [value[0], 0, 0, 1]);
+    }
+
+    vertexAttrib2fv(index, value)
+    {
+        this._setVertexAttrib(index, [value[0], value[1], 0, 1]);
+    }
+
+    vertexAttrib3fv(index, value)
+    {
+        this._setVertexAttrib(index, [value[0], value[1], value[2], 1]);
+    }
+
+    vertexAttrib4fv(index, value)
+    {
+        this._setVertexAttrib(index, [value[0], value[1], value[2], value[3]]);
+    }
+
+    vertexAttribPointer(index, size, type, normalized, stride, offset)
+    {
+        this._vertexAttribPointer(index, size, type, !!normalized, stride, offset, false);
+    }
+
+    viewport(x, y, width, height)
+    {
+        this.state.viewport = [x, y, width, height];
+    }
+
+    // internals, shared with the extensions and WebGL 2
+
+    /**
+     * Counts a call and stores it if `recordCalls` is set.
+     *
+     * @private
+     * @param {string} name - The name of the method
+     * @param {Array} args - The arguments of the call
+     * @return {boolean} Whether the call should run, false while the context is lost
+     */
+    _record(name, args)
+    {
+        this.counts[name] = (this.counts[name] || 0) + 1;
+
+        if (this.recordCalls)
+        {
+            this.calls.push({ name, args: Array.prototype.slice.call(args) });
+        }
+
+        return !this._lost || !!LOST_SAFE[name];
+    }
+
+    /**
+     * Flags a GL error, which is returned by the next calls to `getError`.
+     *
+     * @private
+     * @param {number} error - The error enum
+     */
+    _error(error)
+    {
+        if (this._errors.indexOf(error) === -1)
+        {
+            this._errors.push(error);
+        }
+    }
+
+    /**
+     * @private
+     * @return {string[]} The extensions supported when none are given in the options
+     */
+    _defaultExtensions()
+    {
+        return WEBGL_EXTENSIONS;
+    }
+
+    /**
+     * @private
+     * @return {object<number, *>} The values returned by `getParameter` that are not context state
+     */
+    _defaultParameters()
+    {
+        return {
+            [this.VENDOR]: 'pixi.js',
+            [this.RENDERER]: 'Mock WebGL',
+            [this.VERSION]: 'WebGL 1.0 (Mock)',
+            [this.SHADING_LANGUAGE_VERSION]: 'WebGL GLSL ES 1.0 (Mock)',
+            [this.MAX_COMBINED_TEXTURE_IMAGE_UNITS]: 32,
+            [this.MAX_CUBE_MAP_TEXTURE_SIZE]: 4096,
+            [this.MAX_FRAGMENT_UNIFORM_VECTORS]: 1024,
+            [this.MAX_RENDERBUFFER_SIZE]: 4096,
+            [this.MAX_TEXTURE_IMAGE_UNITS]: 16,
+            [this.MAX_TEXTURE_SIZE]: 4096,
+            [this.MAX_VARYING_VECTORS]: 15,
+            [this.MAX_VERTEX_ATTRIBS]: 16,
+            [this.MAX_VERTEX_TEXTURE_IMAGE_UNITS]: 16,
+            [this.MAX_VERTEX_UNIFORM_VECTORS]: 1024,
+            [this.MAX_VIEWPORT_DIMS]: new Int32Array([4096, 4096]),
+            [this.ALIASED_LINE_WIDTH_RANGE]: new Float32Array([1, 1]),
+            [this.ALIASED_POINT_SIZE_RANGE]: new Float32Array([1, 1024]),
+            [this.SUBPIXEL_BITS]: 4,
+            [this.RED_BITS]: 8,
+            [this.GREEN_BITS]: 8,
+            [this.BLUE_BITS]: 8,
+            [this.ALPHA_BITS]: this._attributes.alpha ? 8 : 0,
+            [this.DEPTH_BITS]: this._attributes.depth ? 24 : 0,
+            [this.STENCIL_BITS]: this._attributes.stencil ? 8 : 0,
+            [this.SAMPLE_BUFFERS]: this._attributes.antialias ? 1 : 0,
+            [this.SAMPLES]: this._attributes.antialias ? 4 : 0,
+            [this.IMPLEMENTATION_COLOR_READ_FORMAT]: this.RGBA,
+            [this.IMPLEMENTATION_COLOR_READ_TYPE]: this.UNSIGNED_BYTE,
+            [0x8824]: 8, // MAX_DRAW_BUFFERS_WEBGL
+            [0x8CDF]: 8, // MAX_COLOR_ATTACHMENTS_WEBGL
+            [0x84FF]: 16, // MAX_TEXTURE_MAX_ANISOTROPY_EXT
+        };
+    }
+
+    /**
+     * @private
+     * @return {number[]} The buffer targets of this version of WebGL
+     */
+    _validBufferTargets()
+    {
+        return [this.ARRAY_BUFFER, this.ELEMENT_ARRAY_BUFFER];
+    }
+
+    /**
+     * @private
+     * @return {number[]} The framebuffer targets of this version of WebGL
+     */
+    _validFramebufferTargets()
+    {
+        return [this.FRAMEBUFFER];
+    }
+
+    /**
+     * @private
+     * @return {number[]} The texture targets of this version of WebGL
+     */
+    _validTextureTargets()
+    {
+        return [this.TEXTURE_2D, this.TEXTURE_CUBE_MAP];
+    }
+
+    /**
+     * Puts the context back in its initial state.
+     *
+     * @private
+     */
+    _resetState()
+    {
+        const width = this.drawingBufferWidth;
+        const height = this.drawingBufferHeight;
+        const textureUnits = [];
+
+        for (let i = 0; i < this._parameters[this.MAX_COMBINED_TEXTURE_IMAGE_UNITS]; i++)
+        {
+            textureUnits.push({});
+        }
+
+        this._extensions = {};
+        this._defaultVertexArray = new MockWebGLObject('vertexArray', this);
+        this._defaultVertexArray.data.elementArrayBuffer = null;
+        this._defaultVertexArray.data.attributes = [];
+
+        /**
+         * The current state of the context.
+         *
+         * @member {object}
+         * @readonly
+         */
+        this.state = {
+            program: null,
+            buffers: {},
+            vertexArray: null,
+            framebuffer: null,
+            readFramebuffer: null,
+            renderbuffer: null,
+            uniformBuffers: [],
+            activeTexture: 0,
+            textureUnits,
+            enabled: { [this.DITHER]: true },
+            blendColor: [0, 0, 0, 0],
+            blendEquation: [this.FUNC_ADD, this.FUNC_ADD],
+            blendFunc: [this.ONE, this.ZERO, this.ONE, this.ZERO],
+            clearColor: [0, 0, 0, 0],
+            clearDepth: 1,
+            clearStencil: 0,
+            colorMask: [true, true, true, true],
+            cullFace: this.BACK,
+            depthFunc: this.LESS,
+            depthMask: true,
+            depthRange: [0, 1],
+            drawBuffers: [this.BACK],
+            frontFace: this.CCW,
+            hints: {},
+            lineWidth: 1,
+            pixelStore: {
+                [this.PACK_ALIGNMENT]: 4,
+                [this.UNPACK_ALIGNMENT]: 4,
+                [this.UNPACK_FLIP_Y_WEBGL]: false,
+                [this.UNPACK_PREMULTIPLY_ALPHA_WEBGL]: false,
+                [this.UNPACK_COLORSPACE_CONVERSION_WEBGL]: this.BROWSER_DEFAULT_WEBGL,
+            },
+            polygonOffset: [0, 0],
+            sampleCoverage: [1, false],
+            scissor: [0, 0, width, height],
+            stencilFunc: [this.ALWAYS, 0, 0xFFFFFFFF],
+            stencilMask: 0xFFFFFFFF,
+            stencilOp: [this.KEEP, this.KEEP, this.KEEP],
+            viewport: [0, 0, width, height],
+        };
+
+        const buffers = this._validBufferTargets();
+
+        for (let i = 0; i < buffers.length; i++)
+        {
+            if (buffers[i] !== this.ELEMENT_ARRAY_BUFFER)
+            {
+                this.state.buffers[buffers[i]] = null;
+            }
+        }
+    }
+
+    /**
+     * Dispatches a context event on the canvas.
+     *
+     * @private
+     * @param {string} type - The type of event
+     * @return {boolean} Whether the default action of the event was prevented
+     */
+    _dispatch(type)
+    {
+        const event = {
+            type,
+            target: this.canvas,
+            defaultPrevented: false,
+            statusMessage: '',
+            preventDefault()
+            {
+                this.defaultPrevented = true;
+            },
+        };
+
+        if (this.canvas && this.canvas.dispatchEvent)
+        {
+            this.canvas.dispatchEvent(event);
+        }
+
+        return event.defaultPrevented;
+    }
+
+    /**
+     * @private
+     * @param {string} type - The type of object
+     * @return {PIXI.mock.MockWebGLObject} The new object
+     */
+    _createObject(type)
+    {
+        const object = new MockWebGLObject(type, this);
+
+        this.objects[type].push(object);
+
+        return object;
+    }
+
+    /**
+     * @private
+     * @param {PIXI.mock.MockWebGLObject} object - The object to delete
+     * @param {string} type - The expected type
+     * @return {boolean} Whether the object was deleted
+     */
+    _deleteObject(object, type)
+    {
+        if (!object || object.deleted || !this._check(object, type))
+        {
+            return false;
+        }
+
+        const objects = this.objects[type];
+        const index = objects.indexOf(object);
+
+        if (index !== -1)
+        {
+            objects.splice(index, 1);
+        }
+
+        object.deleted = true;
+
+        return true;
+    }
+
+    /**
+     * Checks that an object can be used with this context, flagging an error otherwise.
+     *
+     * @private
+     * @param {PIXI.mock.MockWebGLObject} object - The object to check
+     * @param {string} type - The expected type
+     * @param {boolean} [allowNull=false] - Whether null is accepted
+     * @return {boolean} Whether the object can be used
+     */
+    _check(object, type, allowNull)
+    {
+        if (!object)
+        {
+            if (!allowNull)
+            {
+                this._error(this.INVALID_VALUE);
+            }
+
+            return !!allowNull;
+        }
+
+        if (!(object instanceof MockWebGLObject) || object.type !== type || object.context !== this)
+        {
+            this._error(this.INVALID_OPERATION);
+
+            return false;
+        }
+
+        if (object.deleted)
+        {
+            this._error(type === 'program' || type === 'shader' ? this.INVALID_VALUE : this.INVALID_OPERATION);
+
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * @private
+     * @param {PIXI.mock.MockWebGLObject} program - The program to check
+     * @return {boolean} Whether the program is valid and linked
+     */
+    _checkLinked(program)
+    {
+        if (!this._check(program, 'program'))
+        {
+            return false;
+        }
+
+        if (!program.data.linked)
+        {
+            this._error(this.INVALID_OPERATION);
+
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * @private
+     * @param {PIXI.mock.MockWebGLObject} object - The object
+     * @param {string} type - The expected type
+     * @return {boolean} Whether the object is a live object of that type
+     */
+    _isLive(object, type)
+    {
+        return !!object && object.type === type && object.context === this && !object.deleted
+            && object.target !== null;
+    }
+
+    /**
+     * Validates an object about to be bound, remembering the first target it is bound to.
+     *
+     * @private
+     * @param {PIXI.mock.MockWebGLObject} object - The object to bind, can be null
+     * @param {string} type - The expected type
+     * @param {number} target - The target it is bound to
+     * @return {boolean} Whether the object can be bound
+     */
+    _bindObject(object, type, target)
+    {
+        if (!object)
+        {
+            return true;
+        }
+
+        if (!this._check(object, type))
+        {
+            return false;
+        }
+
+        if (object.target === null)
+        {
+            object.target = target;
+        }
+        else if (object.target !== target && type !== 'framebuffer')
+        {
+            this._error(this.INVALID_OPERATION);
+
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * @private
+     * @return {PIXI.mock.MockWebGLObject} The bound vertex array, or the default one
+     */
+    _vertexArray()
+    {
+        return this.state.vertexArray || this._defaultVertexArray;
+    }
+
+    /**
+     * @private
+     * @param {number} index - The attribute location
+     * @return {object} The state of the attribute in the bound vertex array, null if out of range
+     */
+    _vertexAttribute(index)
+    {
+        if (index < 0 || index >= this._parameters[this.MAX_VERTEX_ATTRIBS])
+        {
+            this._error(this.INVALID_VALUE);
+
+            return null;
+        }
+
+        const attributes = this._vertexArray().data.attributes;
+
+        if (!attributes[index])
+        {
+            attributes[index] = {
+                enabled: false,
+                buffer: null,
+                size: 4,
+                type: this.FLOAT,
+                normalized: false,
+                integer: false,
+                stride: 0,
+                offset: 0,
+                divisor: 0,
+                value: [0, 0, 0, 1],
+            };
+        }
+
+        return attributes[index];
+    }
+
+    /**
+     * @private
+     * @param {number} index - The attribute location
+     * @param {number[]} value - The constant value of the attribute
+     */
+    _setVertexAttrib(index, value)
+    {
+        const attribute = this._vertexAttribute(index);
+
+        if (attribute)
+        {
+            attribute.value = value;
+        }
+    }
+
+    /**
+     * @private
+     * @param {number} index - The attribute location
+     * @param {number} size - The number of components
+     * @param {number} type - The component type
+     * @param {boolean} normalized - Whether values are normalized
+     * @param {number} stride - The byte stride
+     * @param {number} offset - The byte offset
+     * @param {boolean} integer - Whether this is an integer attribute
+     */
+    _vertexAttribPointer(index, size, type, normalized, stride, offset, integer)
+    {
+        const attribute = this._vertexAttribute(index);
+        const buffer = this.state.buffers[this.ARRAY_BUFFER];
+
+        if (!attribute)
+        {
+            return;
+        }
+
+        if (!buffer && offset !== 0)
+        {
+            this._error(this.INVALID_OPERATION);
+
+            return;
+        }
+
+        if (size < 1 || size > 4)
+        {
+            this._error(this.INVALID_VALUE);
+
+            return;
+        }
+
+        Object.assign(attribute, { buffer, size, type, normalized, stride, offset, integer });
+    }
+
+    /**
+     * @private
+     * @param {number} index - The attribute location
+     * @param {number} divisor - The instancing divisor
+     */
+    _vertexAttribDivisor(index, divisor)
+    {
+        const attribute = this._vertexAttribute(index);
+
+        if (attribute)
+        {
+            attribute.divisor = divisor;
+        }
+    }
+
+    /**
+     * @private
+     * @param {number[]} buffers - The color attachments drawn to, in order
+     */
+    _drawBuffers(buffers)
+    {
+        const framebuffer = this.state.framebuffer;
+
+        if (buffers.length > this._parameters[0x8824])
+        {
+            this._error(this.INVALID_VALUE);
+
+            return;
+        }
+
+        for (let i = 0; i < buffers.length; i++)
+        {
+            const valid = framebuffer
+                ? buffers[i] === this.NONE || buffers[i] === this.COLOR_ATTACHMENT0 + i
+                : buffers.length === 1 && (buffers[i] === this.NONE || buffers[i] === this.BACK);
+
+            if (!valid)
+            {
+                this._error(this.INVALID_OPERATION);
+
+                return;
+            }
+        }
+
+        if (framebuffer)
+        {
+            framebuffer.data.drawBuffers = Array.prototype.slice.call(buffers);
+        }
+        else
+        {
+            this.state.drawBuffers = Array.prototype.slice.call(buffers);
+        }
+    }
+
+    /**
+     * @private
+     * @return {PIXI.mock.MockWebGLObject} A new vertex array object
+     */
+    _createVertexArray()
+    {
+        const vertexArray = this._createObject('vertexArray');
+
+        vertexArray.data.elementArrayBuffer = null;
+        vertexArray.data.attributes = [];
+
+        return vertexArray;
+    }
+
+    /**
+     * @private
+     * @param {PIXI.mock.MockWebGLObject} vertexArray - The vertex array to bind, or null for the default one
+     */
+    _bindVertexArray(vertexArray)
+    {
+        if (this._bindObject(vertexArray, 'vertexArray', 0))
+        {
+            this.state.vertexArray = vertexArray || null;
+        }
+    }
+
+    /**
+     * @private
+     * @param {PIXI.mock.MockWebGLObject} vertexArray - The vertex array to delete
+     */
+    _deleteVertexArray(vertexArray)
+    {
+        if (this._deleteObject(vertexArray, 'vertexArray') && this.state.vertexArray === vertexArray)
+        {
+            this.state.vertexArray = null;
+        }
+    }
+
+    /**
+     * @private
+     * @param {PIXI.mock.MockWebGLObject} vertexArray - The object to test
+     * @return {boolean} Whether it is a live vertex array
+     */
+    _isVertexArray(vertexArray)
+    {
+        return this._isLive(vertexArray, 'vertexArray');
+    }
+
+    /**
+     * @private
+     * @param {number} target - The buffer target
+     * @return {PIXI.mock.MockWebGLObject} The buffer bound to the target, null with an error if none
+     */
+    _boundBuffer(target)
+    {
+        if (this._validBufferTargets().indexOf(target) === -1)
+        {
+            this._error(this.INVALID_ENUM);
+
+            return null;
+        }
+
+        const buffer = target === this.ELEMENT_ARRAY_BUFFER
+            ? this._vertexArray().data.elementArrayBuffer
+            : this.state.buffers[target];
+
+        if (!buffer)
+        {
+            this._error(this.INVALID_OPERATION);
+
+            return null;
+        }
+
+        return buffer;
+    }
+
+    /**
+     * @private
+     * @param {number} target - The texture target, or a cube map face
+     * @return {PIXI.mock.MockWebGLObject} The texture bound to the active unit, null with an error if none
+     */
+    _boundTexture(target)
+    {
+        let bindTarget = target;
+
+        if (target >= this.TEXTURE_CUBE_MAP_POSITIVE_X && target <= this.TEXTURE_CUBE_MAP_NEGATIVE_Z)
+        {
+            bindTarget = this.TEXTURE_CUBE_MAP;
+        }
+
+        if (this._validTextureTargets().indexOf(bindTarget) === -1)
+        {
+            this._error(this.INVALID_ENUM);
+
+            return null;
+        }
+
+        const texture = this.state.textureUnits[this.state.activeTexture][bindTarget];
+
+        if (!texture)
+        {
+            this._error(this.INVALID_OPERATION);
+
+            return null;
+        }
+
+        return texture;
+    }
+
+    /**
+     * @private
+     * @param {PIXI.mock.MockWebGLObject} texture - The texture
+     * @param {number} target - The texture target or cube map face
+     * @param {number} level - The mipmap level
+     * @param {object} description - The size and format of the level
+     */
+    _setTextureLevel(texture, target, level, description)
+    {
+        const maxSize = this._parameters[this.MAX_TEXTURE_SIZE];
+
+        if (description.width < 0 || description.height < 0
+            || description.width > maxSize || description.height > maxSize)
+        {
+            this._error(this.INVALID_VALUE);
+
+            return;
+        }
+
+        if (!texture.data.levels[target])
+        {
+            texture.data.levels[target] = [];
+        }
+
+        texture.data.levels[target][level] = description;
+    }
+
+    /**
+     * @private
+     * @param {number} target - The framebuffer target
+     * @return {PIXI.mock.MockWebGLObject} The framebuffer bound to the target, null with an error if none
+     */
+    _boundFramebuffer(target)
+    {
+        if (this._validFramebufferTargets().indexOf(target) === -1)
+        {
+            this._error(this.INVALID_ENUM);
+
+            return null;
+        }
+
+        const framebuffer = target === this.READ_FRAMEBUFFER ? this.state.readFramebuffer : this.state.framebuffer;
+
+        if (!framebuffer)
+        {
+            this._error(this.INVALID_OPERATION);
+
+            return null;
+        }
+
+        return framebuffer;
+    }
+
+    /**
+     * @private
+     * @param {PIXI.mock.MockWebGLObject} framebuffer - The framebuffer
+     * @param {number} attachment - The attachment point
+     * @param {object} attached - What is attached, null to detach
+     */
+    _attach(framebuffer, attachment, attached)
+    {
+        const attachments = framebuffer.data.attachments;
+        const maxAttachments = this._parameters[0x8CDF];
+
+        if (attachment >= this.COLOR_ATTACHMENT0 && attachment < this.COLOR_ATTACHMENT0 + 16)
+        {
+            if (attachment >= this.COLOR_ATTACHMENT0 + maxAttachments
+                || (attachment > this.COLOR_ATTACHMENT0 && !this._multipleColorAttachments()))
+            {
+                this._error(this.INVALID_ENUM);
+
+                return;
+            }
+        }
+        else if (attachment !== this.DEPTH_ATTACHMENT
+            && attachment !== this.STENCIL_ATTACHMENT
+            && attachment !== this.DEPTH_STENCIL_ATTACHMENT)
+        {
+            this._error(this.INVALID_ENUM);
+
+            return;
+        }
+
+        if (attached)
+        {
+            attachments[attachment] = attached;
+        }
+        else
+        {
+            delete attachments[attachment];
+        }
+    }
+
+    /**
+     * @private
+     * @return {boolean} Whether more than one color attachment can be used
+     */
+    _multipleColorAttachments()
+    {
+        return !!this._extensions.WEBGL_draw_buffers;
+    }
+
+    /**
+     * @private
+     * @param {object} attached - A framebuffer attachment
+     * @return {object} The `width`, `height` and `samples` of what is attached, null if it has no storage
+     */
+    _attachmentSize(attached)
+    {
+        const object = attached.object;
+
+        if (object.deleted)
+        {
+            return null;
+        }
+
+        if (object.type === 'renderbuffer')
+        {
+            return object.data.width !== undefined
+                ? { width: object.data.width, height: object.data.height, samples: object.data.samples }
+                : null;
+        }
+
+        const levels = object.data.levels[attached.target || this.TEXTURE_2D];
+        const level = levels && levels[attached.level || 0];
+
+        return level ? { width: level.width, height: level.height, samples: 0 } : null;
+    }
+
+    /**
+     * @private
+     * @param {number} target - The renderbuffer target
+     * @param {number} samples - The number of samples
+     * @param {number} internalformat - The storage format
+     * @param {number} width - The width
+     * @param {number} height - The height
+     */
+    _renderbufferStorage(target, samples, internalformat, width, height)
+    {
+        if (target !== this.RENDERBUFFER)
+        {
+            this._error(this.INVALID_ENUM);
+
+            return;
+        }
+
+        const renderbuffer = this.state.renderbuffer;
+
+        if (!renderbuffer)
+        {
+            this._error(this.INVALID_OPERATION);
+
+            return;
+        }
+
+        const maxSize = this._parameters[this.MAX_RENDERBUFFER_SIZE];
+
+        if (width < 0 || height < 0 || width > maxSize || height > maxSize)
+        {
+            this._error(this.INVALID_VALUE);
+
+            return;
+        }
+
+        Object.assign(renderbuffer.data, { width, height, internalFormat: internalformat, samples });
+    }
+
+    /**
+     * @private
+     * @return {number[]} The compressed formats of the extensions that were enabled
+     */
+    _compressedTextureFormats()
+    {
+        const formats = [];
+
+        for (const name in this._extensions)
+        {
+            if (name.indexOf('compressed_texture') !== -1)
+            {
+                const extension = this._extensions[name];
+
+                for (const key in extension)
+                {
+                    if (key.indexOf('COMPRESSED_') === 0)
+                    {
+                        formats.push(extension[key]);
+                    }
+                }
+            }
+        }
+
+        return formats;
+    }
+
+    /**
+     * @private
+     * @param {ArrayBufferView|ArrayBuffer} data - Data given to the context
+     * @return {Uint8Array} A copy of the bytes
+     */
+    _copyBytes(data)
+    {
+        if (data instanceof ArrayBuffer)
+        {
+            return new Uint8Array(data.slice(0));
+        }
+
+        return new Uint8Array(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+    }
+
+    /**
+     * @private
+     * @param {object[]} attributes - The active attributes of a program
+     * @param {object<string, number>} boundLocations - Locations set with `bindAttribLocation`
+     */
+    _assignAttributeLocations(attributes, boundLocations)
+    {
+        const used = {};
+
+        for (let i = 0; i < attributes.length; i++)
+        {
+            const location = boundLocations[attributes[i].name];
+
+            if (location !== undefined)
+            {
+                attributes[i].location = location;
+                used[location] = true;
+            }
+        }
+
+        let next = 0;
+
+        for (let i = 0; i < attributes.length; i++)
+        {
+            if (attributes[i].location === undefined)
+            {
+                while (used[next])
+                {
+                    next++;
+                }
+
+                attributes[i].location = next;
+                used[next] = true;
+            }
+        }
+    }
+
+    /**
+     * @private
+     * @param {PIXI.mock.MockWebGLObject} program - The program
+     * @param {string} list - Either `attributes` or `uniforms`
+     * @param {number} index - The index of the variable
+     * @return {object} A `WebGLActiveInfo` like object
+     */
+    _activeInfo(program, list, index)
+    {
+        if (!this._check(program, 'program'))
+        {
+            return null;
+        }
+
+        const variable = program.data[list][index];
+
+        if (!variable)
+        {
+            this._error(this.INVALID_VALUE);
+
+            return null;
+        }
+
+        return { name: variable.name, size: variable.size, type: this[variable.glType] };
+    }
+
+    /**
+     * @private
+     * @param {object} location - A uniform location
+     * @param {ArrayLike<number>} value - The new value
+     */
+    _setUniform(location, value)
+    {
+        if (location === null)
+        {
+            return;
+        }
+
+        const program = this.state.program;
+
+        if (!program || !location || location.program !== program)
+        {
+            this._error(this.INVALID_OPERATION);
+
+            return;
+        }
+
+        program.data.uniformValues[location.name] = Array.prototype.slice.call(value);
+    }
+
+    /**
+     * @private
+     * @param {object} location - A uniform location
+     * @param {boolean} transpose - Must be false in WebGL 1
+     * @param {ArrayLike<number>} value - The new value
+     */
+    _setUniformMatrix(location, transpose, value)
+    {
+        if (transpose && this.webGLVersion === 1)
+        {
+            this._error(this.INVALID_VALUE);
+
+            return;
+        }
+
+        this._setUniform(location, value);
+    }
+
+    /**
+     * Validates and records a draw call.
+     *
+     * @private
+     * @param {number} mode - The primitive type
+     * @param {number} first - The first vertex, for non indexed draws
+     * @param {number} count - The number of vertices or indices
+     * @param {number} type - The index type, null for non indexed draws
+     * @param {number} offset - The byte offset in the index buffer
+     * @param {number} instanceCount - The number of instances, 0 if not instanced
+     */
+    _draw(mode, first, count, type, offset, instanceCount)
+    {
+        const program = this.state.program;
+        const vertexArray = this._vertexArray();
+
+        if (mode < this.POINTS || mode > this.TRIANGLE_FAN)
+        {
+            this._error(this.INVALID_ENUM);
+
+            return;
+        }
+
+        if (count < 0 || first < 0 || offset < 0 || instanceCount < 0)
+        {
+            this._error(this.INVALID_VALUE);
+
+            return;
+        }
+
+        if (type !== null)
+        {
+            const uintAllowed = this.webGLVersion === 2 || !!this._extensions.OES_element_index_uint;
+
+            if (type !== this.UNSIGNED_BYTE && type !== this.UNSIGNED_SHORT
+                && !(type === this.UNSIGNED_INT && uintAllowed))
+            {
+                this._error(this.INVALID_ENUM);
+
+                return;
+            }
+
+            if (!vertexArray.data.elementArrayBuffer)
+            {
+                this._error(this.INVALID_OPERATION);
+
+                return;
+            }
+        }
+
+        if (!program)
+        {
+            this._error(this.INVALID_OPERATION);
+
+            return;
+        }
+
+        const framebuffer = this.state.framebuffer;
+
+        if (framebuffer && this.checkFramebufferStatus(this.FRAMEBUFFER) !== this.FRAMEBUFFER_COMPLETE)
+        {
+            this._error(this.INVALID_FRAMEBUFFER_OPERATION);
+
+            return;
+        }
+
+        this.drawCalls.push({
+            mode,
+            first,
+            count,
+            type,
+            offset,
+            instanceCount,
+            program,
+            vertexArray: this.state.vertexArray,
+            framebuffer,
+            textures: this._sampledTextures(program),
+            blend: !!this.state.enabled[this.BLEND],
+            blendFunc: this.state.blendFunc.slice(),
+            stencil: !!this.state.enabled[this.STENCIL_TEST],
+            scissor: !!this.state.enabled[this.SCISSOR_TEST],
+        });
+    }
+
+    /**
+     * @private
+     * @param {PIXI.mock.MockWebGLObject} program - The program being drawn with
+     * @return {PIXI.mock.MockWebGLObject[]} The textures read by the samplers of the program
+     */
+    _sampledTextures(program)
+    {
+        const textures = [];
+        const uniforms = program.data.uniforms;
+        const values = program.data.uniformValues;
+        const units = this.state.textureUnits;
+
+        for (let i = 0; i < uniforms.length; i++)
+        {
+            const uniform = uniforms[i];
+            const target = this._samplerTarget(uniform.glType);
+
+            if (!target)
+            {
+                continue;
+            }
+
+            const baseName = uniform.name.replace(/\[0\]$/, '');
+
+            for (let j = 0; j < uniform.size; j++)
+            {
+                const value = j === 0
+                    ? values[baseName]
+                    : values[`${baseName}[${j}]`];
+                const unit = value
+                    ? value[0]
+                    : values[baseName] && values[baseName][j];
+                const texture = units[unit || 0] && units[unit || 0][target];
+
+                if (texture && textures.indexOf(texture) === -1)
+                {
+                    textures.push(texture);
+                }
+            }
+        }
+
+        return textures;
+    }
+
+    /**
+     * @private
+     * @param {string} glType - The name of the uniform type enum
+     * @return {number} The texture target read by a sampler of that type, 0 if not a sampler
+     */
+    _samplerTarget(glType)
+    {
+        switch (glType)
+        {
+            case 'SAMPLER_2D':
+            case 'SAMPLER_2D_SHADOW':
+            case 'INT_SAMPLER_2D':
+            case 'UNSIGNED_INT_SAMPLER_2D':
+                return this.TEXTURE_2D;
+            case 'SAMPLER_CUBE':
+                return this.TEXTURE_CUBE_MAP;
+            case 'SAMPLER_3D':
+                return this.TEXTURE_3D;
+            case 'SAMPLER_2D_ARRAY':
+                return this.TEXTURE_2D_ARRAY;
+            default:
+                return 0;
+        }
+    }
+}
+
+Object.assign(MockWebGLRenderingContext.prototype, WEBGL_CONSTANTS);
+
+/**
+ * Wraps the public methods of a mock context class so that calls are counted and recorded,
+ * and do nothing while the context is lost.
+ *
+ * @memberof PIXI.mock
+ * @function recordMethods
+ * @private
+ * @param {Function} ClassRef - The class to wrap the prototype methods of
+ */
+export function recordMethods(ClassRef)
+{
+    const proto = ClassRef.prototype;
+    const names = Object.getOwnPropertyNames(proto);
+
+    for (let i = 0; i < names.length; i++)
+    {
+        const name = names[i];
+        const descriptor = Object.getOwnPropertyDescriptor(proto, name);
+
+        if (name === 'constructor' || name[0] === '_' || typeof descriptor.value !== 'function'
+            || name === 'clearRecords' || name.indexOf('simulate') === 0)
+        {
+            continue;
+        }
+
+        const method = descriptor.value;
+
+        proto[name] = function recordedMethod()
+        {
+            if (!this._record(name, arguments))
+            {
+                return LOST_RESULTS[name] !== undefined ? LOST_RESULTS[name] : null;
+            }
+
+            return method.apply(this, arguments);
+        };
+    }
+}
+
+recordMethods(MockWebGLRenderingContext);
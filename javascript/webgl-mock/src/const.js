@@ -0,0 +1,463 @@
+/**
+ * The enums exposed by a WebGL 1 rendering context, with the same values as the browser.
+ *
+ * @static
+ * @constant
+ * @memberof PIXI.mock
+ * @name WEBGL_CONSTANTS
+ * @type {object}
+ */
+export const WEBGL_CONSTANTS = {
+    DEPTH_BUFFER_BIT: 0x00000100,
+    STENCIL_BUFFER_BIT: 0x00000400,
+    COLOR_BUFFER_BIT: 0x00004000,
+
+    POINTS: 0x0000,
+    LINES: 0x0001,
+    LINE_LOOP: 0x0002,
+    LINE_STRIP: 0x0003,
+    TRIANGLES: 0x0004,
+    TRIANGLE_STRIP: 0x0005,
+    TRIANGLE_FAN: 0x0006,
+
+    ZERO: 0,
+    ONE: 1,
+    SRC_COLOR: 0x0300,
+    ONE_MINUS_SRC_COLOR: 0x0301,
+    SRC_ALPHA: 0x0302,
+    ONE_MINUS_SRC_ALPHA: 0x0303,
+    DST_ALPHA: 0x0304,
+    ONE_MINUS_DST_ALPHA: 0x0305,
+    DST_COLOR: 0x0306,
+    ONE_MINUS_DST_COLOR: 0x0307,
+    SRC_ALPHA_SATURATE: 0x0308,
+    CONSTANT_COLOR: 0x8001,
+    ONE_MINUS_CONSTANT_COLOR: 0x8002,
+    CONSTANT_ALPHA: 0x8003,
+    ONE_MINUS_CONSTANT_ALPHA: 0x8004,
+
+    FUNC_ADD: 0x8006,
+    FUNC_SUBTRACT: 0x800A,
+    FUNC_REVERSE_SUBTRACT: 0x800B,
+    BLEND_EQUATION: 0x8009,
+    BLEND_EQUATION_RGB: 0x8009,
+    BLEND_EQUATION_ALPHA: 0x883D,
+    BLEND_DST_RGB: 0x80C8,
+    BLEND_SRC_RGB: 0x80C9,
+    BLEND_DST_ALPHA: 0x80CA,
+    BLEND_SRC_ALPHA: 0x80CB,
+    BLEND_COLOR: 0x8005,
+
+    ARRAY_BUFFER: 0x8892,
+    ELEMENT_ARRAY_BUFFER: 0x8893,
+    ARRAY_BUFFER_BINDING: 0x8894,
+    ELEMENT_ARRAY_BUFFER_BINDING: 0x8895,
+    STREAM_DRAW: 0x88E0,
+    STATIC_DRAW: 0x88E4,
+    DYNAMIC_DRAW: 0x88E8,
+    BUFFER_SIZE: 0x8764,
+    BUFFER_USAGE: 0x8765,
+    CURRENT_VERTEX_ATTRIB: 0x8626,
+
+    FRONT: 0x0404,
+    BACK: 0x0405,
+    FRONT_AND_BACK: 0x0408,
+
+    CULL_FACE: 0x0B44,
+    BLEND: 0x0BE2,
+    DITHER: 0x0BD0,
+    STENCIL_TEST: 0x0B90,
+    DEPTH_TEST: 0x0B71,
+    SCISSOR_TEST: 0x0C11,
+    POLYGON_OFFSET_FILL: 0x8037,
+    SAMPLE_ALPHA_TO_COVERAGE: 0x809E,
+    SAMPLE_COVERAGE: 0x80A0,
+
+    NO_ERROR: 0,
+    INVALID_ENUM: 0x0500,
+    INVALID_VALUE: 0x0501,
+    INVALID_OPERATION: 0x0502,
+    OUT_OF_MEMORY: 0x0505,
+    INVALID_FRAMEBUFFER_OPERATION: 0x0506,
+    CONTEXT_LOST_WEBGL: 0x9242,
+
+    CW: 0x0900,
+    CCW: 0x0901,
+
+    LINE_WIDTH: 0x0B21,
+    ALIASED_POINT_SIZE_RANGE: 0x846D,
+    ALIASED_LINE_WIDTH_RANGE: 0x846E,
+    CULL_FACE_MODE: 0x0B45,
+    FRONT_FACE: 0x0B46,
+    DEPTH_RANGE: 0x0B70,
+    DEPTH_WRITEMASK: 0x0B72,
+    DEPTH_CLEAR_VALUE: 0x0B73,
+    DEPTH_FUNC: 0x0B74,
+    STENCIL_CLEAR_VALUE: 0x0B91,
+    STENCIL_FUNC: 0x0B92,
+    STENCIL_FAIL: 0x0B94,
+    STENCIL_PASS_DEPTH_FAIL: 0x0B95,
+    STENCIL_PASS_DEPTH_PASS: 0x0B96,
+    STENCIL_REF: 0x0B97,
+    STENCIL_VALUE_MASK: 0x0B93,
+    STENCIL_WRITEMASK: 0x0B98,
+    STENCIL_BACK_FUNC: 0x8800,
+    STENCIL_BACK_FAIL: 0x8801,
+    STENCIL_BACK_PASS_DEPTH_FAIL: 0x8802,
+    STENCIL_BACK_PASS_DEPTH_PASS: 0x8803,
+    STENCIL_BACK_REF: 0x8CA3,
+    STENCIL_BACK_VALUE_MASK: 0x8CA4,
+    STENCIL_BACK_WRITEMASK: 0x8CA5,
+    VIEWPORT: 0x0BA2,
+    SCISSOR_BOX: 0x0C10,
+    COLOR_CLEAR_VALUE: 0x0C22,
+    COLOR_WRITEMASK: 0x0C23,
+    UNPACK_ALIGNMENT: 0x0CF5,
+    PACK_ALIGNMENT: 0x0D05,
+    MAX_TEXTURE_SIZE: 0x0D33,
+    MAX_VIEWPORT_DIMS: 0x0D3A,
+    SUBPIXEL_BITS: 0x0D50,
+    RED_BITS: 0x0D52,
+    GREEN_BITS: 0x0D53,
+    BLUE_BITS: 0x0D54,
+    ALPHA_BITS: 0x0D55,
+    DEPTH_BITS: 0x0D56,
+    STENCIL_BITS: 0x0D57,
+    POLYGON_OFFSET_UNITS: 0x2A00,
+    POLYGON_OFFSET_FACTOR: 0x8038,
+    TEXTURE_BINDING_2D: 0x8069,
+    SAMPLE_BUFFERS: 0x80A8,
+    SAMPLES: 0x80A9,
+    SAMPLE_COVERAGE_VALUE: 0x80AA,
+    SAMPLE_COVERAGE_INVERT: 0x80AB,
+    COMPRESSED_TEXTURE_FORMATS: 0x86A3,
+
+    DONT_CARE: 0x1100,
+    FASTEST: 0x1101,
+    NICEST: 0x1102,
+    GENERATE_MIPMAP_HINT: 0x8192,
+
+    BYTE: 0x1400,
+    UNSIGNED_BYTE: 0x1401,
+    SHORT: 0x1402,
+    UNSIGNED_SHORT: 0x1403,
+    INT: 0x1404,
+    UNSIGNED_INT: 0x1405,
+    FLOAT: 0x1406,
+
+    DEPTH_COMPONENT: 0x1902,
+    ALPHA: 0x1906,
+    RGB: 0x1907,
+    RGBA: 0x1908,
+    LUMINANCE: 0x1909,
+    LUMINANCE_ALPHA: 0x190A,
+
+    UNSIGNED_SHORT_4_4_4_4: 0x8033,
+    UNSIGNED_SHORT_5_5_5_1: 0x8034,
+    UNSIGNED_SHORT_5_6_5: 0x8363,
+
+    FRAGMENT_SHADER: 0x8B30,
+    VERTEX_SHADER: 0x8B31,
+    MAX_VERTEX_ATTRIBS: 0x8869,
+    MAX_VERTEX_UNIFORM_VECTORS: 0x8DFB,
+    MAX_VARYING_VECTORS: 0x8DFC,
+    MAX_COMBINED_TEXTURE_IMAGE_UNITS: 0x8B4D,
+    MAX_VERTEX_TEXTURE_IMAGE_UNITS: 0x8B4C,
+    MAX_TEXTURE_IMAGE_UNITS: 0x8872,
+    MAX_FRAGMENT_UNIFORM_VECTORS: 0x8DFD,
+    SHADER_TYPE: 0x8B4F,
+    DELETE_STATUS: 0x8B80,
+    LINK_STATUS: 0x8B82,
+    VALIDATE_STATUS: 0x8B83,
+    ATTACHED_SHADERS: 0x8B85,
+    ACTIVE_UNIFORMS: 0x8B86,
+    ACTIVE_ATTRIBUTES: 0x8B89,
+    SHADING_LANGUAGE_VERSION: 0x8B8C,
+    CURRENT_PROGRAM: 0x8B8D,
+
+    NEVER: 0x0200,
+    LESS: 0x0201,
+    EQUAL: 0x0202,
+    LEQUAL: 0x0203,
+    GREATER: 0x0204,
+    NOTEQUAL: 0x0205,
+    GEQUAL: 0x0206,
+    ALWAYS: 0x0207,
+
+    KEEP: 0x1E00,
+    REPLACE: 0x1E01,
+    INCR: 0x1E02,
+    DECR: 0x1E03,
+    INVERT: 0x150A,
+    INCR_WRAP: 0x8507,
+    DECR_WRAP: 0x8508,
+
+    VENDOR: 0x1F00,
+    RENDERER: 0x1F01,
+    VERSION: 0x1F02,
+
+    NEAREST: 0x2600,
+    LINEAR: 0x2601,
+    NEAREST_MIPMAP_NEAREST: 0x2700,
+    LINEAR_MIPMAP_NEAREST: 0x2701,
+    NEAREST_MIPMAP_LINEAR: 0x2702,
+    LINEAR_MIPMAP_LINEAR: 0x2703,
+    TEXTURE_MAG_FILTER: 0x2800,
+    TEXTURE_MIN_FILTER: 0x2801,
+    TEXTURE_WRAP_S: 0x2802,
+    TEXTURE_WRAP_T: 0x2803,
+    TEXTURE_2D: 0x0DE1,
+    TEXTURE: 0x1702,
+    TEXTURE_CUBE_MAP: 0x8513,
+    TEXTURE_BINDING_CUBE_MAP: 0x8514,
+    TEXTURE_CUBE_MAP_POSITIVE_X: 0x8515,
+    TEXTURE_CUBE_MAP_NEGATIVE_X: 0x8516,
+    TEXTURE_CUBE_MAP_POSITIVE_Y: 0x8517,
+    TEXTURE_CUBE_MAP_NEGATIVE_Y: 0x8518,
+    TEXTURE_CUBE_MAP_POSITIVE_Z: 0x8519,
+    TEXTURE_CUBE_MAP_NEGATIVE_Z: 0x851A,
+    MAX_CUBE_MAP_TEXTURE_SIZE: 0x851C,
+    TEXTURE0: 0x84C0,
+    ACTIVE_TEXTURE: 0x84E0,
+    REPEAT: 0x2901,
+    CLAMP_TO_EDGE: 0x812F,
+    MIRRORED_REPEAT: 0x8370,
+
+    FLOAT_VEC2: 0x8B50,
+    FLOAT_VEC3: 0x8B51,
+    FLOAT_VEC4: 0x8B52,
+    INT_VEC2: 0x8B53,
+    INT_VEC3: 0x8B54,
+    INT_VEC4: 0x8B55,
+    BOOL: 0x8B56,
+    BOOL_VEC2: 0x8B57,
+    BOOL_VEC3: 0x8B58,
+    BOOL_VEC4: 0x8B59,
+    FLOAT_MAT2: 0x8B5A,
+    FLOAT_MAT3: 0x8B5B,
+    FLOAT_MAT4: 0x8B5C,
+    SAMPLER_2D: 0x8B5E,
+    SAMPLER_CUBE: 0x8B60,
+
+    VERTEX_ATTRIB_ARRAY_ENABLED: 0x8622,
+    VERTEX_ATTRIB_ARRAY_SIZE: 0x8623,
+    VERTEX_ATTRIB_ARRAY_STRIDE: 0x8624,
+    VERTEX_ATTRIB_ARRAY_TYPE: 0x8625,
+    VERTEX_ATTRIB_ARRAY_NORMALIZED: 0x886A,
+    VERTEX_ATTRIB_ARRAY_POINTER: 0x8645,
+    VERTEX_ATTRIB_ARRAY_BUFFER_BINDING: 0x889F,
+
+    IMPLEMENTATION_COLOR_READ_TYPE: 0x8B9A,
+    IMPLEMENTATION_COLOR_READ_FORMAT: 0x8B9B,
+
+    COMPILE_STATUS: 0x8B81,
+
+    LOW_FLOAT: 0x8DF0,
+    MEDIUM_FLOAT: 0x8DF1,
+    HIGH_FLOAT: 0x8DF2,
+    LOW_INT: 0x8DF3,
+    MEDIUM_INT: 0x8DF4,
+    HIGH_INT: 0x8DF5,
+
+    FRAMEBUFFER: 0x8D40,
+    RENDERBUFFER: 0x8D41,
+    RGBA4: 0x8056,
+    RGB5_A1: 0x8057,
+    RGB565: 0x8D62,
+    DEPTH_COMPONENT16: 0x81A5,
+    STENCIL_INDEX8: 0x8D48,
+    DEPTH_STENCIL: 0x84F9,
+    RENDERBUFFER_WIDTH: 0x8D42,
+    RENDERBUFFER_HEIGHT: 0x8D43,
+    RENDERBUFFER_INTERNAL_FORMAT: 0x8D44,
+    RENDERBUFFER_RED_SIZE: 0x8D50,
+    RENDERBUFFER_GREEN_SIZE: 0x8D51,
+    RENDERBUFFER_BLUE_SIZE: 0x8D52,
+    RENDERBUFFER_ALPHA_SIZE: 0x8D53,
+    RENDERBUFFER_DEPTH_SIZE: 0x8D54,
+    RENDERBUFFER_STENCIL_SIZE: 0x8D55,
+    FRAMEBUFFER_ATTACHMENT_OBJECT_TYPE: 0x8CD0,
+    FRAMEBUFFER_ATTACHMENT_OBJECT_NAME: 0x8CD1,
+    FRAMEBUFFER_ATTACHMENT_TEXTURE_LEVEL: 0x8CD2,
+    FRAMEBUFFER_ATTACHMENT_TEXTURE_CUBE_MAP_FACE: 0x8CD3,
+    COLOR_ATTACHMENT0: 0x8CE0,
+    DEPTH_ATTACHMENT: 0x8D00,
+    STENCIL_ATTACHMENT: 0x8D20,
+    DEPTH_STENCIL_ATTACHMENT: 0x821A,
+    NONE: 0,
+    FRAMEBUFFER_COMPLETE: 0x8CD5,
+    FRAMEBUFFER_INCOMPLETE_ATTACHMENT: 0x8CD6,
+    FRAMEBUFFER_INCOMPLETE_MISSING_ATTACHMENT: 0x8CD7,
+    FRAMEBUFFER_INCOMPLETE_DIMENSIONS: 0x8CD9,
+    FRAMEBUFFER_UNSUPPORTED: 0x8CDD,
+    FRAMEBUFFER_BINDING: 0x8CA6,
+    RENDERBUFFER_BINDING: 0x8CA7,
+    MAX_RENDERBUFFER_SIZE: 0x84E8,
+
+    UNPACK_FLIP_Y_WEBGL: 0x9240,
+    UNPACK_PREMULTIPLY_ALPHA_WEBGL: 0x9241,
+    UNPACK_COLORSPACE_CONVERSION_WEBGL: 0x9243,
+    BROWSER_DEFAULT_WEBGL: 0x9244,
+};
+
+/**
+ * The enums only exposed by a WebGL 2 rendering context, with the same values as the browser.
+ *
+ * @static
+ * @constant
+ * @memberof PIXI.mock
+ * @name WEBGL2_CONSTANTS
+ * @type {object}
+ */
+export const WEBGL2_CONSTANTS = {
+    READ_BUFFER: 0x0C02,
+    UNPACK_ROW_LENGTH: 0x0CF2,
+    UNPACK_SKIP_ROWS: 0x0CF3,
+    UNPACK_SKIP_PIXELS: 0x0CF4,
+    TEXTURE_BINDING_3D: 0x806A,
+    UNPACK_SKIP_IMAGES: 0x806D,
+    UNPACK_IMAGE_HEIGHT: 0x806E,
+    MAX_3D_TEXTURE_SIZE: 0x8073,
+    MAX_ELEMENTS_VERTICES: 0x80E8,
+    MAX_ELEMENTS_INDICES: 0x80E9,
+    MAX_TEXTURE_LOD_BIAS: 0x84FD,
+    MAX_FRAGMENT_UNIFORM_COMPONENTS: 0x8B49,
+    MAX_VERTEX_UNIFORM_COMPONENTS: 0x8B4A,
+    MAX_ARRAY_TEXTURE_LAYERS: 0x88FF,
+    MAX_VARYING_COMPONENTS: 0x8B4B,
+    MAX_SAMPLES: 0x8D57,
+    MAX_DRAW_BUFFERS: 0x8824,
+    MAX_COLOR_ATTACHMENTS: 0x8CDF,
+    MAX_UNIFORM_BUFFER_BINDINGS: 0x8A2F,
+    MAX_UNIFORM_BLOCK_SIZE: 0x8A30,
+    MAX_COMBINED_UNIFORM_BLOCKS: 0x8A2E,
+    MAX_ELEMENT_INDEX: 0x8D6B,
+    MAX_VERTEX_UNIFORM_BLOCKS: 0x8A2B,
+    MAX_FRAGMENT_UNIFORM_BLOCKS: 0x8A2D,
+    UNIFORM_BUFFER_OFFSET_ALIGNMENT: 0x8A34,
+    VERTEX_ARRAY_BINDING: 0x85B5,
+
+    RED: 0x1903,
+    RGB8: 0x8051,
+    RGBA8: 0x8058,
+    RGB10_A2: 0x8059,
+    TEXTURE_3D: 0x806F,
+    TEXTURE_WRAP_R: 0x8072,
+    TEXTURE_MIN_LOD: 0x813A,
+    TEXTURE_MAX_LOD: 0x813B,
+    TEXTURE_BASE_LEVEL: 0x813C,
+    TEXTURE_MAX_LEVEL: 0x813D,
+    TEXTURE_COMPARE_MODE: 0x884C,
+    TEXTURE_COMPARE_FUNC: 0x884D,
+    TEXTURE_2D_ARRAY: 0x8C1A,
+    TEXTURE_BINDING_2D_ARRAY: 0x8C1D,
+    TEXTURE_IMMUTABLE_FORMAT: 0x912F,
+    TEXTURE_IMMUTABLE_LEVELS: 0x82DF,
+
+    SRGB: 0x8C40,
+    SRGB8: 0x8C41,
+    SRGB8_ALPHA8: 0x8C43,
+    R8: 0x8229,
+    RG: 0x8227,
+    RG8: 0x822B,
+    R16F: 0x822D,
+    R32F: 0x822E,
+    RG16F: 0x822F,
+    RG32F: 0x8230,
+    RGBA32F: 0x8814,
+    RGB32F: 0x8815,
+    RGBA16F: 0x881A,
+    RGB16F: 0x881B,
+    R11F_G11F_B10F: 0x8C3A,
+    RGB9_E5: 0x8C3D,
+    RGBA8UI: 0x8D7C,
+    RGBA_INTEGER: 0x8D99,
+    RED_INTEGER: 0x8D94,
+    HALF_FLOAT: 0x140B,
+    UNSIGNED_INT_2_10_10_10_REV: 0x8368,
+    UNSIGNED_INT_10F_11F_11F_REV: 0x8C3B,
+    UNSIGNED_INT_5_9_9_9_REV: 0x8C3E,
+    FLOAT_32_UNSIGNED_INT_24_8_REV: 0x8DAD,
+    UNSIGNED_INT_24_8: 0x84FA,
+    DEPTH_COMPONENT24: 0x81A6,
+    DEPTH_COMPONENT32F: 0x8CAC,
+    DEPTH24_STENCIL8: 0x88F0,
+    DEPTH32F_STENCIL8: 0x8CAD,
+
+    UNSIGNED_INT_VEC2: 0x8DC6,
+    UNSIGNED_INT_VEC3: 0x8DC7,
+    UNSIGNED_INT_VEC4: 0x8DC8,
+    FLOAT_MAT2x3: 0x8B65,
+    FLOAT_MAT2x4: 0x8B66,
+    FLOAT_MAT3x2: 0x8B67,
+    FLOAT_MAT3x4: 0x8B68,
+    FLOAT_MAT4x2: 0x8B69,
+    FLOAT_MAT4x3: 0x8B6A,
+    SAMPLER_3D: 0x8B5F,
+    SAMPLER_2D_SHADOW: 0x8B62,
+    SAMPLER_2D_ARRAY: 0x8DC1,
+    SAMPLER_2D_ARRAY_SHADOW: 0x8DC4,
+    SAMPLER_CUBE_SHADOW: 0x8DC5,
+    INT_SAMPLER_2D: 0x8DCA,
+    UNSIGNED_INT_SAMPLER_2D: 0x8DD2,
+
+    READ_FRAMEBUFFER: 0x8CA8,
+    DRAW_FRAMEBUFFER: 0x8CA9,
+    READ_FRAMEBUFFER_BINDING: 0x8CAA,
+    DRAW_FRAMEBUFFER_BINDING: 0x8CA6,
+    RENDERBUFFER_SAMPLES: 0x8CAB,
+    FRAMEBUFFER_ATTACHMENT_TEXTURE_LAYER: 0x8CD4,
+    FRAMEBUFFER_INCOMPLETE_MULTISAMPLE: 0x8D56,
+    COLOR: 0x1800,
+    DEPTH: 0x1801,
+    STENCIL: 0x1802,
+    DRAW_BUFFER0: 0x8825,
+
+    COPY_READ_BUFFER: 0x8F36,
+    COPY_WRITE_BUFFER: 0x8F37,
+    PIXEL_PACK_BUFFER: 0x88EB,
+    PIXEL_UNPACK_BUFFER: 0x88EC,
+    TRANSFORM_FEEDBACK_BUFFER: 0x8C8E,
+    UNIFORM_BUFFER: 0x8A11,
+    UNIFORM_BUFFER_BINDING: 0x8A28,
+    UNIFORM_BUFFER_START: 0x8A29,
+    UNIFORM_BUFFER_SIZE: 0x8A2A,
+    STREAM_READ: 0x88E1,
+    STREAM_COPY: 0x88E2,
+    STATIC_READ: 0x88E5,
+    STATIC_COPY: 0x88E6,
+    DYNAMIC_READ: 0x88E9,
+    DYNAMIC_COPY: 0x88EA,
+
+    ACTIVE_UNIFORM_BLOCKS: 0x8A36,
+    UNIFORM_TYPE: 0x8A37,
+    UNIFORM_SIZE: 0x8A38,
+    UNIFORM_BLOCK_INDEX: 0x8A3A,
+    UNIFORM_OFFSET: 0x8A3B,
+    UNIFORM_BLOCK_BINDING: 0x8A3F,
+    UNIFORM_BLOCK_DATA_SIZE: 0x8A40,
+    UNIFORM_BLOCK_ACTIVE_UNIFORMS: 0x8A42,
+    UNIFORM_BLOCK_ACTIVE_UNIFORM_INDICES: 0x8A43,
+    UNIFORM_BLOCK_REFERENCED_BY_VERTEX_SHADER: 0x8A44,
+    UNIFORM_BLOCK_REFERENCED_BY_FRAGMENT_SHADER: 0x8A46,
+    INVALID_INDEX: 0xFFFFFFFF,
+
+    VERTEX_ATTRIB_ARRAY_INTEGER: 0x88FD,
+    VERTEX_ATTRIB_ARRAY_DIVISOR: 0x88FE,
+
+    MIN: 0x8007,
+    MAX: 0x8008,
+
+    RASTERIZER_DISCARD: 0x8C89,
+};
+
+for (let i = 1; i < 32; i++)
+{
+    WEBGL_CONSTANTS[`TEXTURE${i}`] = WEBGL_CONSTANTS.TEXTURE0 + i;
+}
+
+for (let i = 1; i < 16; i++)
+{
+    WEBGL2_CONSTANTS[`COLOR_ATTACHMENT${i}`] = 0x8CE0 + i;
+    WEBGL2_CONSTANTS[`DRAW_BUFFER${i}`] = WEBGL2_CONSTANTS.DRAW_BUFFER0 + i;
+}
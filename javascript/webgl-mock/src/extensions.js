@@ -0,0 +1,199 @@
+/**
+ * Enums exposed by the extensions, by extension name.
+ *
+ * @private
+ * @type {object<string, object<string, number>>}
+ */
+const EXTENSION_CONSTANTS = {
+    ANGLE_instanced_arrays: {
+        VERTEX_ATTRIB_ARRAY_DIVISOR_ANGLE: 0x88FE,
+    },
+    EXT_blend_minmax: {
+        MIN_EXT: 0x8007,
+        MAX_EXT: 0x8008,
+    },
+    EXT_color_buffer_half_float: {
+        RGBA16F_EXT: 0x881A,
+        RGB16F_EXT: 0x881B,
+        FRAMEBUFFER_ATTACHMENT_COMPONENT_TYPE_EXT: 0x8211,
+        UNSIGNED_NORMALIZED_EXT: 0x8C17,
+    },
+    EXT_texture_filter_anisotropic: {
+        TEXTURE_MAX_ANISOTROPY_EXT: 0x84FE,
+        MAX_TEXTURE_MAX_ANISOTROPY_EXT: 0x84FF,
+    },
+    OES_standard_derivatives: {
+        FRAGMENT_SHADER_DERIVATIVE_HINT_OES: 0x8B8B,
+    },
+    OES_texture_half_float: {
+        HALF_FLOAT_OES: 0x8D61,
+    },
+    OES_vertex_array_object: {
+        VERTEX_ARRAY_BINDING_OES: 0x85B5,
+    },
+    WEBGL_color_buffer_float: {
+        RGBA32F_EXT: 0x8814,
+        FRAMEBUFFER_ATTACHMENT_COMPONENT_TYPE_EXT: 0x8211,
+        UNSIGNED_NORMALIZED_EXT: 0x8C17,
+    },
+    WEBGL_compressed_texture_astc: {
+        COMPRESSED_RGBA_ASTC_4x4_KHR: 0x93B0,
+        COMPRESSED_RGBA_ASTC_5x4_KHR: 0x93B1,
+        COMPRESSED_RGBA_ASTC_5x5_KHR: 0x93B2,
+        COMPRESSED_RGBA_ASTC_6x5_KHR: 0x93B3,
+        COMPRESSED_RGBA_ASTC_6x6_KHR: 0x93B4,
+        COMPRESSED_RGBA_ASTC_8x5_KHR: 0x93B5,
+        COMPRESSED_RGBA_ASTC_8x6_KHR: 0x93B6,
+        COMPRESSED_RGBA_ASTC_8x8_KHR: 0x93B7,
+        COMPRESSED_RGBA_ASTC_10x5_KHR: 0x93B8,
+        COMPRESSED_RGBA_ASTC_10x6_KHR: 0x93B9,
+        COMPRESSED_RGBA_ASTC_10x8_KHR: 0x93BA,
+        COMPRESSED_RGBA_ASTC_10x10_KHR: 0x93BB,
+        COMPRESSED_RGBA_ASTC_12x10_KHR: 0x93BC,
+        COMPRESSED_RGBA_ASTC_12x12_KHR: 0x93BD,
+    },
+    WEBGL_compressed_texture_etc: {
+        COMPRESSED_R11_EAC: 0x9270,
+        COMPRESSED_SIGNED_R11_EAC: 0x9271,
+        COMPRESSED_RG11_EAC: 0x9272,
+        COMPRESSED_SIGNED_RG11_EAC: 0x9273,
+        COMPRESSED_RGB8_ETC2: 0x9274,
+        COMPRESSED_SRGB8_ETC2: 0x9275,
+        COMPRESSED_RGB8_PUNCHTHROUGH_ALPHA1_ETC2: 0x9276,
+        COMPRESSED_SRGB8_PUNCHTHROUGH_ALPHA1_ETC2: 0x9277,
+        COMPRESSED_RGBA8_ETC2_EAC: 0x9278,
+        COMPRESSED_SRGB8_ALPHA8_ETC2_EAC: 0x9279,
+    },
+    WEBGL_compressed_texture_etc1: {
+        COMPRESSED_RGB_ETC1_WEBGL: 0x8D64,
+    },
+    WEBGL_compressed_texture_pvrtc: {
+        COMPRESSED_RGB_PVRTC_4BPPV1_IMG: 0x8C00,
+        COMPRESSED_RGB_PVRTC_2BPPV1_IMG: 0x8C01,
+        COMPRESSED_RGBA_PVRTC_4BPPV1_IMG: 0x8C02,
+        COMPRESSED_RGBA_PVRTC_2BPPV1_IMG: 0x8C03,
+    },
+    WEBGL_compressed_texture_s3tc: {
+        COMPRESSED_RGB_S3TC_DXT1_EXT: 0x83F0,
+        COMPRESSED_RGBA_S3TC_DXT1_EXT: 0x83F1,
+        COMPRESSED_RGBA_S3TC_DXT3_EXT: 0x83F2,
+        COMPRESSED_RGBA_S3TC_DXT5_EXT: 0x83F3,
+    },
+    WEBGL_depth_texture: {
+        UNSIGNED_INT_24_8_WEBGL: 0x84FA,
+    },
+    WEBGL_draw_buffers: {
+        MAX_COLOR_ATTACHMENTS_WEBGL: 0x8CDF,
+        MAX_DRAW_BUFFERS_WEBGL: 0x8824,
+    },
+};
+
+for (let i = 0; i < 16; i++)
+{
+    EXTENSION_CONSTANTS.WEBGL_draw_buffers[`COLOR_ATTACHMENT${i}_WEBGL`] = 0x8CE0 + i;
+    EXTENSION_CONSTANTS.WEBGL_draw_buffers[`DRAW_BUFFER${i}_WEBGL`] = 0x8825 + i;
+}
+
+/**
+ * Builds a method of an extension object, which is recorded by the context like its own methods.
+ *
+ * @private
+ * @param {PIXI.mock.MockWebGLRenderingContext} gl - The context
+ * @param {string} name - The name of the method
+ * @param {Function} fn - The implementation
+ * @param {*} [lostResult=null] - What the method returns while the context is lost
+ * @return {Function} The method
+ */
+function method(gl, name, fn, lostResult)
+{
+    return function extensionMethod()
+    {
+        if (!gl._record(name, arguments))
+        {
+            return lostResult === undefined ? null : lostResult;
+        }
+
+        return fn.apply(gl, arguments);
+    };
+}
+
+/**
+ * Adds the methods of an extension to its object.
+ *
+ * @private
+ * @param {object} extension - The extension object
+ * @param {PIXI.mock.MockWebGLRenderingContext} gl - The context
+ * @param {string} name - The name of the extension
+ */
+function addMethods(extension, gl, name)
+{
+    switch (name)
+    {
+        case 'ANGLE_instanced_arrays':
+            extension.vertexAttribDivisorANGLE = method(gl, 'vertexAttribDivisorANGLE', gl._vertexAttribDivisor);
+            extension.drawArraysInstancedANGLE = method(gl, 'drawArraysInstancedANGLE',
+                (mode, first, count, primcount) => gl._draw(mode, first, count, null, 0, primcount));
+            extension.drawElementsInstancedANGLE = method(gl, 'drawElementsInstancedANGLE',
+                (mode, count, type, offset, primcount) => gl._draw(mode, 0, count, type, offset, primcount));
+            break;
+
+        case 'OES_vertex_array_object':
+            extension.createVertexArrayOES = method(gl, 'createVertexArrayOES', gl._createVertexArray);
+            extension.bindVertexArrayOES = method(gl, 'bindVertexArrayOES', gl._bindVertexArray);
+            extension.deleteVertexArrayOES = method(gl, 'deleteVertexArrayOES', gl._deleteVertexArray);
+            extension.isVertexArrayOES = method(gl, 'isVertexArrayOES', gl._isVertexArray, false);
+            break;
+
+        case 'WEBGL_draw_buffers':
+            extension.drawBuffersWEBGL = method(gl, 'drawBuffersWEBGL', gl._drawBuffers);
+            break;
+
+        case 'WEBGL_compressed_texture_astc':
+            extension.getSupportedProfiles = () => ['ldr'];
+            break;
+
+        case 'WEBGL_lose_context':
+            // these keep working while the context is lost, that is their point
+            extension.loseContext = () =>
+            {
+                gl._record('loseContext', []);
+                gl.simulateContextLost();
+            };
+            extension.restoreContext = () =>
+            {
+                gl._record('restoreContext', []);
+
+                if (!gl._lost)
+                {
+                    gl._error(gl.INVALID_OPERATION);
+
+                    return;
+                }
+
+                gl.simulateContextRestored();
+            };
+            break;
+
+        default:
+            break;
+    }
+}
+
+/**
+ * Creates the object returned by `getExtension` for a mock context.
+ *
+ * @memberof PIXI.mock
+ * @function createExtension
+ * @private
+ * @param {PIXI.mock.MockWebGLRenderingContext} gl - The context the extension is enabled on
+ * @param {string} name - The name of the extension
+ * @return {object} The extension object, exposing the same enums and methods as in browsers
+ */
+export default function createExtension(gl, name)
+{
+    const extension = Object.assign({}, EXTENSION_CONSTANTS[name]);
+
+    addMethods(extension, gl, name);
+
+    return extension;
+}
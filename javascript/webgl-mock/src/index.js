@@ -0,0 +1,23 @@
+/**
+ * Mock WebGL contexts, for running the renderer where there is no GPU, such as unit tests in Node
+ * or continuous integration machines. Nothing is drawn, but the state of the context is tracked and
+ * every call is recorded so that tests can check what the renderer did.
+ *
+ * @example
+ * const canvas = new PIXI.mock.MockCanvas(800, 600);
+ * const renderer = new PIXI.Renderer({ view: canvas, width: 800, height: 600 });
+ *
+ * renderer.render(stage);
+ *
+ * console.log(canvas.context.drawCalls.length);
+ * @namespace PIXI.mock
+ */
+export * from './const';
+export { default as MockWebGLObject } from './MockWebGLObject';
+export { default as MockWebGLRenderingContext } from './MockWebGLRenderingContext';
+export { default as MockWebGL2RenderingContext } from './MockWebGL2RenderingContext';
+export { default as MockCanvasRenderingContext2D } from './MockCanvasRenderingContext2D';
+export { default as MockCanvas } from './MockCanvas';
+export { default as installMockCanvas } from './installMockCanvas';
+export { default as useMockRenderer } from './useMockRenderer';
+export { default as extractShaderVariables } from './utils/extractShaderVariables';
@@ -0,0 +1,63 @@
+import MockCanvas from './MockCanvas';
+
+/**
+ * Makes `document.createElement('canvas')` return a {@link PIXI.mock.MockCanvas}, so that code creating its own
+ * canvases, like a renderer created without a `view`, gets mock WebGL contexts.
+ * Where there is no `document`, as in Node, a minimal one is defined which can only create canvases.
+ *
+ * ```js
+ * const uninstall = PIXI.mock.installMockCanvas({ webGLVersion: 1 });
+ * const renderer = new PIXI.Renderer();
+ *
+ * // ...
+ * renderer.destroy();
+ * uninstall();
+ * ```
+ *
+ * Note that the context used to inspect shader programs is created once and kept, so the mock should be
+ * installed before the first program is created.
+ *
+ * @memberof PIXI.mock
+ * @function installMockCanvas
+ * @param {object} [options] - Options given to the created canvases, see {@link PIXI.mock.MockCanvas}
+ * @return {Function} Puts back the original `document.createElement`, or removes the `document` that was defined
+ */
+export default function installMockCanvas(options)
+{
+    const root = typeof window !== 'undefined' ? window : global;
+    const hadDocument = typeof root.document !== 'undefined';
+    const doc = hadDocument ? root.document : {};
+    const createElement = doc.createElement;
+
+    doc.createElement = function mockCreateElement(tagName)
+    {
+        if (String(tagName).toLowerCase() === 'canvas')
+        {
+            return new MockCanvas(300, 150, options);
+        }
+
+        if (!createElement)
+        {
+            throw new Error(`installMockCanvas: cannot create a <${tagName}> element without a document`);
+        }
+
+        return createElement.apply(this, arguments);
+    };
+
+    if (!hadDocument)
+    {
+        root.document = doc;
+    }
+
+    return function uninstallMockCanvas()
+    {
+        if (hadDocument)
+        {
+            doc.createElement = createElement;
+        }
+        else
+        {
+            delete root.document;
+        }
+    };
+}
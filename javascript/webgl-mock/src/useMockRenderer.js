@@ -0,0 +1,45 @@
+import MockCanvas from './MockCanvas';
+
+/**
+ * Sets up a mocha suite to create renderers on mock canvases, they are destroyed after each test.
+ * The renderer class is passed in so that this package does not depend on `@pixi/core`.
+ *
+ * ```js
+ * describe('PIXI.systems.StateSystem', function ()
+ * {
+ *     const createRenderer = PIXI.mock.useMockRenderer(PIXI.Renderer);
+ *
+ *     it('should enable the depth test', function ()
+ *     {
+ *         const renderer = createRenderer({ webGLVersion: 1 });
+ *         // ...
+ *     });
+ * });
+ * ```
+ *
+ * @memberof PIXI.mock
+ * @function useMockRenderer
+ * @param {Function} Renderer - The renderer class, such as {@link PIXI.Renderer}
+ * @param {number} [width=10] - The width of the renderers
+ * @param {number} [height=10] - The height of the renderers
+ * @return {Function} Creates a renderer, its optional argument is given to the {@link PIXI.mock.MockCanvas}
+ */
+export default function useMockRenderer(Renderer, width = 10, height = 10)
+{
+    let renderers = [];
+
+    afterEach(function ()
+    {
+        renderers.forEach((renderer) => renderer.destroy());
+        renderers = [];
+    });
+
+    return function createRenderer(options)
+    {
+        const renderer = new Renderer({ view: new MockCanvas(width, height, options), width, height });
+
+        renderers.push(renderer);
+
+        return renderer;
+    };
+}
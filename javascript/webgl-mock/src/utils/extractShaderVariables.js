@@ -0,0 +1,196 @@
+const GLSL_TO_GL_TYPES = {
+    float:              'FLOAT',
+    vec2:               'FLOAT_VEC2',
+    vec3:               'FLOAT_VEC3',
+    vec4:               'FLOAT_VEC4',
+
+    int:                'INT',
+    ivec2:              'INT_VEC2',
+    ivec3:              'INT_VEC3',
+    ivec4:              'INT_VEC4',
+
+    uint:               'UNSIGNED_INT',
+    uvec2:              'UNSIGNED_INT_VEC2',
+    uvec3:              'UNSIGNED_INT_VEC3',
+    uvec4:              'UNSIGNED_INT_VEC4',
+
+    bool:               'BOOL',
+    bvec2:              'BOOL_VEC2',
+    bvec3:              'BOOL_VEC3',
+    bvec4:              'BOOL_VEC4',
+
+    mat2:               'FLOAT_MAT2',
+    mat3:               'FLOAT_MAT3',
+    mat4:               'FLOAT_MAT4',
+    mat2x3:             'FLOAT_MAT2x3',
+    mat2x4:             'FLOAT_MAT2x4',
+    mat3x2:             'FLOAT_MAT3x2',
+    mat3x4:             'FLOAT_MAT3x4',
+    mat4x2:             'FLOAT_MAT4x2',
+    mat4x3:             'FLOAT_MAT4x3',
+
+    sampler2D:          'SAMPLER_2D',
+    samplerCube:        'SAMPLER_CUBE',
+    sampler3D:          'SAMPLER_3D',
+    sampler2DArray:     'SAMPLER_2D_ARRAY',
+    sampler2DShadow:    'SAMPLER_2D_SHADOW',
+    isampler2D:         'INT_SAMPLER_2D',
+    usampler2D:         'UNSIGNED_INT_SAMPLER_2D',
+};
+
+const PRECISION = '(?:(?:highp|mediump|lowp)\\s+)?';
+const LAYOUT = '(?:layout\\s*\\([^)]*\\)\\s*)?';
+const DECLARATION = new RegExp(`^\\s*${LAYOUT}(attribute|in|uniform)\\s+${PRECISION}(\\w+)\\s+([^;{]+);`, 'gm');
+const BLOCK = /^\s*(?:layout\s*\([^)]*\)\s*)?uniform\s+(\w+)\s*\{([^}]*)\}\s*(\w*)\s*;/gm;
+const MEMBER = new RegExp(`${PRECISION}(\\w+)\\s+([^;]+);`, 'g');
+
+/**
+ * Strips comments from a shader source.
+ *
+ * @private
+ * @param {string} source - The GLSL source
+ * @return {string} The source without comments
+ */
+function stripComments(source)
+{
+    return source.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '');
+}
+
+/**
+ * Reads the `#define`s of a shader so that array sizes can be resolved.
+ *
+ * @private
+ * @param {string} source - The GLSL source
+ * @return {object<string, string>} The defined values by name
+ */
+function extractDefines(source)
+{
+    const defines = {};
+    const regex = /^\s*#define\s+(\w+)\s+(.+)$/gm;
+    let match;
+
+    while ((match = regex.exec(source)) !== null)
+    {
+        defines[match[1]] = match[2].trim();
+    }
+
+    return defines;
+}
+
+/**
+ * Splits a declaration list such as `a, b[4]` into separate variables.
+ *
+ * @private
+ * @param {string} glType - The name of the GL type enum
+ * @param {string} list - The declared names
+ * @param {object<string, string>} defines - Known defines used to resolve array sizes
+ * @param {object[]} out - Array the variables are pushed into
+ */
+function addVariables(glType, list, defines, out)
+{
+    const names = list.split(',');
+
+    for (let i = 0; i < names.length; i++)
+    {
+        const match = names[i].trim().match(/^(\w+)\s*(?:\[\s*(\w+)\s*\])?/);
+
+        if (!match)
+        {
+            continue;
+        }
+
+        let size = 1;
+
+        if (match[2] !== undefined)
+        {
+            size = parseInt(defines[match[2]] || match[2], 10) || 1;
+        }
+
+        out.push({
+            name: match[2] !== undefined ? `${match[1]}[0]` : match[1],
+            glType,
+            size,
+        });
+    }
+}
+
+/**
+ * Extracts the attributes, uniforms and uniform blocks declared in a shader source.
+ * Unlike a real driver nothing is optimised away, so every declared variable is reported as active.
+ * Uniforms of struct types are not supported and are ignored.
+ *
+ * @memberof PIXI.mock
+ * @function extractShaderVariables
+ * @private
+ * @param {string} source - The GLSL source
+ * @param {boolean} isVertex - Whether this is a vertex shader, `in` only declares attributes in those
+ * @return {{attributes: object[], uniforms: object[], blocks: object[]}} The declared variables,
+ *  each described by its `name`, `glType` (the name of the type enum) and `size`
+ */
+export default function extractShaderVariables(source, isVertex)
+{
+    source = stripComments(source);
+
+    const defines = extractDefines(source);
+    const attributes = [];
+    const uniforms = [];
+    const blocks = [];
+    let match;
+
+    BLOCK.lastIndex = 0;
+
+    while ((match = BLOCK.exec(source)) !== null)
+    {
+        const members = [];
+        let member;
+
+        MEMBER.lastIndex = 0;
+
+        while ((member = MEMBER.exec(match[2])) !== null)
+        {
+            if (GLSL_TO_GL_TYPES[member[1]])
+            {
+                addVariables(GLSL_TO_GL_TYPES[member[1]], member[2], defines, members);
+            }
+        }
+
+        for (let i = 0; i < members.length; i++)
+        {
+            // members of named instances are prefixed by the block name
+            if (match[3])
+            {
+                members[i].name = `${match[1]}.${members[i].name}`;
+            }
+
+            members[i].block = match[1];
+        }
+
+        blocks.push({ name: match[1], uniforms: members });
+        uniforms.push(...members);
+    }
+
+    source = source.replace(BLOCK, '');
+
+    DECLARATION.lastIndex = 0;
+
+    while ((match = DECLARATION.exec(source)) !== null)
+    {
+        const glType = GLSL_TO_GL_TYPES[match[2]];
+
+        if (!glType)
+        {
+            continue;
+        }
+
+        if (match[1] === 'uniform')
+        {
+            addVariables(glType, match[3], defines, uniforms);
+        }
+        else if (isVertex)
+        {
+            addVariables(glType, match[3], defines, attributes);
+        }
+    }
+
+    return { attributes, uniforms, blocks };
+}
@@ -0,0 +1,61 @@
+const { MockCanvas, MockWebGLRenderingContext, MockWebGL2RenderingContext, installMockCanvas } = require('../');
+
+describe('PIXI.mock.MockCanvas', function ()
+{
+    it('should create a single context per canvas', function ()
+    {
+        const canvas = new MockCanvas(32, 16);
+        const gl = canvas.getContext('webgl2');
+
+        expect(gl).to.be.instanceof(MockWebGL2RenderingContext);
+        expect(canvas.getContext('webgl2')).to.equal(gl);
+        expect(canvas.getContext('webgl')).to.be.null;
+        expect(canvas.context).to.equal(gl);
+        expect(gl.getParameter(gl.VIEWPORT)).to.deep.equal(new Int32Array([0, 0, 32, 16]));
+    });
+
+    it('should hand out a 2d context that draws nothing', function ()
+    {
+        const canvas = new MockCanvas(4, 4);
+        const context = canvas.getContext('2d');
+
+        context.fillRect(0, 0, 4, 4);
+
+        expect(context.getImageData(0, 0, 4, 4).data.length).to.equal(64);
+        expect(canvas.getContext('webgl')).to.be.null;
+    });
+
+    it('should not support WebGL 2 if asked not to', function ()
+    {
+        const canvas = new MockCanvas(32, 16, { webGLVersion: 1 });
+
+        expect(canvas.getContext('webgl2')).to.be.null;
+        expect(canvas.getContext('experimental-webgl')).to.be.instanceof(MockWebGLRenderingContext);
+    });
+
+    it('should be created by document.createElement once installed', function ()
+    {
+        const hadDocument = typeof document !== 'undefined';
+        const createElement = hadDocument && document.createElement;
+        const uninstall = installMockCanvas({ webGLVersion: 1 });
+
+        try
+        {
+            const canvas = document.createElement('canvas');
+
+            expect(canvas).to.be.instanceof(MockCanvas);
+            expect(canvas.getContext('webgl2')).to.be.null;
+        }
+        finally
+        {
+            uninstall();
+        }
+
+        expect(typeof document !== 'undefined').to.equal(hadDocument);
+
+        if (hadDocument)
+        {
+            expect(document.createElement).to.equal(createElement);
+        }
+    });
+});
@@ -0,0 +1,93 @@
+const { MockWebGL2RenderingContext } = require('../');
+
+describe('PIXI.mock.MockWebGL2RenderingContext', function ()
+{
+    beforeEach(function ()
+    {
+        this.gl = new MockWebGL2RenderingContext();
+    });
+
+    it('should have the WebGL 2 entry points', function ()
+    {
+        const gl = this.gl;
+
+        expect(gl.webGLVersion).to.equal(2);
+        expect(gl.getParameter(gl.VERSION)).to.equal('WebGL 2.0 (Mock)');
+        expect(gl.getParameter(gl.MAX_SAMPLES)).to.equal(4);
+        expect(gl.createVertexArray).to.be.a('function');
+        expect(gl.getExtension('OES_vertex_array_object')).to.be.null;
+    });
+
+    it('should accept 32 bit indices and instanced draws', function ()
+    {
+        const gl = this.gl;
+        const program = gl.createProgram();
+        const vertex = gl.createShader(gl.VERTEX_SHADER);
+        const fragment = gl.createShader(gl.FRAGMENT_SHADER);
+
+        gl.shaderSource(vertex, '#version 300 es\nin vec2 aPosition;\nvoid main() {}');
+        gl.compileShader(vertex);
+        gl.shaderSource(fragment, '#version 300 es\nvoid main() {}');
+        gl.compileShader(fragment);
+        gl.attachShader(program, vertex);
+        gl.attachShader(program, fragment);
+        gl.linkProgram(program);
+        gl.useProgram(program);
+
+        gl.bindVertexArray(gl.createVertexArray());
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, gl.createBuffer());
+        gl.drawElementsInstanced(gl.TRIANGLES, 6, gl.UNSIGNED_INT, 0, 10);
+
+        expect(gl.getError()).to.equal(gl.NO_ERROR);
+        expect(gl.drawCalls[0].type).to.equal(gl.UNSIGNED_INT);
+        expect(gl.drawCalls[0].instanceCount).to.equal(10);
+    });
+
+    it('should support multisampled renderbuffers and multiple draw buffers', function ()
+    {
+        const gl = this.gl;
+        const framebuffer = gl.createFramebuffer();
+        const renderbuffer = gl.createRenderbuffer();
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.bindRenderbuffer(gl.RENDERBUFFER, renderbuffer);
+        gl.renderbufferStorageMultisample(gl.RENDERBUFFER, 4, gl.RGBA8, 16, 16);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT1, gl.RENDERBUFFER, renderbuffer);
+        gl.drawBuffers([gl.NONE, gl.COLOR_ATTACHMENT1]);
+
+        expect(gl.getError()).to.equal(gl.NO_ERROR);
+        expect(gl.getRenderbufferParameter(gl.RENDERBUFFER, gl.RENDERBUFFER_SAMPLES)).to.equal(4);
+        expect(gl.getParameter(gl.DRAW_BUFFER0 + 1)).to.equal(gl.COLOR_ATTACHMENT1);
+
+        gl.renderbufferStorageMultisample(gl.RENDERBUFFER, 16, gl.RGBA8, 16, 16);
+        expect(gl.getError()).to.equal(gl.INVALID_OPERATION);
+    });
+
+    it('should lay out uniform blocks with std140', function ()
+    {
+        const gl = this.gl;
+        const program = gl.createProgram();
+        const vertex = gl.createShader(gl.VERTEX_SHADER);
+        const fragment = gl.createShader(gl.FRAGMENT_SHADER);
+
+        gl.shaderSource(vertex, `#version 300 es
+            uniform Globals { float alpha; vec3 tint; mat3 projectionMatrix; };
+            void main() {}`);
+        gl.compileShader(vertex);
+        gl.shaderSource(fragment, '#version 300 es\nvoid main() {}');
+        gl.compileShader(fragment);
+        gl.attachShader(program, vertex);
+        gl.attachShader(program, fragment);
+        gl.linkProgram(program);
+
+        const index = gl.getUniformBlockIndex(program, 'Globals');
+        const indices = gl.getUniformIndices(program, ['alpha', 'tint', 'projectionMatrix']);
+
+        expect(index).to.equal(0);
+        expect(gl.getActiveUniformBlockParameter(program, index, gl.UNIFORM_BLOCK_DATA_SIZE)).to.equal(80);
+        expect(gl.getActiveUniforms(program, indices, gl.UNIFORM_OFFSET)).to.deep.equal([0, 16, 32]);
+
+        gl.uniformBlockBinding(program, index, 3);
+        expect(gl.getActiveUniformBlockParameter(program, index, gl.UNIFORM_BLOCK_BINDING)).to.equal(3);
+    });
+});
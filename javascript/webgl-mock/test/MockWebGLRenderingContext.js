@@ -0,0 +1,280 @@
+const { MockWebGLRenderingContext, MockCanvas } = require('../');
+
+const VERTEX = `
+attribute vec2 aVertexPosition;
+attribute vec2 aTextureCoord;
+uniform mat3 projectionMatrix;
+varying vec2 vTextureCoord;
+void main(void)
+{
+    vTextureCoord = aTextureCoord;
+    gl_Position = vec4((projectionMatrix * vec3(aVertexPosition, 1.0)).xy, 0.0, 1.0);
+}`;
+
+const FRAGMENT = `
+precision mediump float;
+varying vec2 vTextureCoord;
+uniform sampler2D uSampler;
+void main(void)
+{
+    gl_FragColor = texture2D(uSampler, vTextureCoord);
+}`;
+
+function createProgram(gl, vertex, fragment)
+{
+    const program = gl.createProgram();
+    const vertexShader = gl.createShader(gl.VERTEX_SHADER);
+    const fragmentShader = gl.createShader(gl.FRAGMENT_SHADER);
+
+    gl.shaderSource(vertexShader, vertex || VERTEX);
+    gl.compileShader(vertexShader);
+    gl.shaderSource(fragmentShader, fragment || FRAGMENT);
+    gl.compileShader(fragmentShader);
+    gl.attachShader(program, vertexShader);
+    gl.attachShader(program, fragmentShader);
+    gl.linkProgram(program);
+
+    return program;
+}
+
+describe('PIXI.mock.MockWebGLRenderingContext', function ()
+{
+    beforeEach(function ()
+    {
+        this.gl = new MockWebGLRenderingContext(new MockCanvas(), { stencil: true });
+    });
+
+    it('should expose the WebGL constants and context attributes', function ()
+    {
+        const gl = this.gl;
+
+        expect(gl.TRIANGLES).to.equal(0x0004);
+        expect(gl.UNSIGNED_SHORT).to.equal(0x1403);
+        expect(gl.getContextAttributes().stencil).to.be.true;
+        expect(gl.getParameter(gl.VERSION)).to.equal('WebGL 1.0 (Mock)');
+        expect(gl.drawingBufferWidth).to.equal(300);
+        expect(gl.createVertexArray).to.be.undefined;
+    });
+
+    it('should track bindings and flag errors for invalid ones', function ()
+    {
+        const gl = this.gl;
+        const buffer = gl.createBuffer();
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        expect(gl.getParameter(gl.ARRAY_BUFFER_BINDING)).to.equal(buffer);
+        expect(gl.getError()).to.equal(gl.NO_ERROR);
+
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffer);
+        expect(gl.getError()).to.equal(gl.INVALID_OPERATION);
+
+        gl.deleteBuffer(buffer);
+        expect(gl.getParameter(gl.ARRAY_BUFFER_BINDING)).to.be.null;
+        expect(gl.isBuffer(buffer)).to.be.false;
+        expect(gl.objects.buffer.length).to.equal(0);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        expect(gl.getError()).to.equal(gl.INVALID_OPERATION);
+    });
+
+    it('should keep a copy of buffer data', function ()
+    {
+        const gl = this.gl;
+        const buffer = gl.createBuffer();
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([1, 2, 3, 4]), gl.STATIC_DRAW);
+        gl.bufferSubData(gl.ARRAY_BUFFER, 4, new Float32Array([5]));
+
+        expect(gl.getBufferParameter(gl.ARRAY_BUFFER, gl.BUFFER_SIZE)).to.equal(16);
+        expect(Array.from(new Float32Array(buffer.data.bytes.buffer))).to.deep.equal([1, 5, 3, 4]);
+
+        gl.bufferSubData(gl.ARRAY_BUFFER, 16, new Float32Array([5]));
+        expect(gl.getError()).to.equal(gl.INVALID_VALUE);
+    });
+
+    it('should compile shaders and link programs from their declarations', function ()
+    {
+        const gl = this.gl;
+        const program = createProgram(gl);
+
+        expect(gl.getProgramParameter(program, gl.LINK_STATUS)).to.be.true;
+        expect(gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES)).to.equal(2);
+        expect(gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS)).to.equal(2);
+        expect(gl.getActiveAttrib(program, 1)).to.deep.equal({ name: 'aTextureCoord', size: 1, type: gl.FLOAT_VEC2 });
+        expect(gl.getActiveUniform(program, 1).type).to.equal(gl.SAMPLER_2D);
+        expect(gl.getAttribLocation(program, 'aTextureCoord')).to.equal(1);
+        expect(gl.getUniformLocation(program, 'uSampler')).to.not.be.null;
+        expect(gl.getUniformLocation(program, 'uMissing')).to.be.null;
+    });
+
+    it('should report compile errors in the info log', function ()
+    {
+        const gl = this.gl;
+        const shader = gl.createShader(gl.FRAGMENT_SHADER);
+
+        gl.shaderSource(shader, 'precision mediump float;\n#error broken on purpose\nvoid main() {}');
+        gl.compileShader(shader);
+
+        expect(gl.getShaderParameter(shader, gl.COMPILE_STATUS)).to.be.false;
+        expect(gl.getShaderInfoLog(shader)).to.equal('ERROR: 0:2: \'#error\' : broken on purpose\n');
+
+        const program = createProgram(gl, VERTEX, 'void notMain() {}');
+
+        expect(gl.getProgramParameter(program, gl.LINK_STATUS)).to.be.false;
+        expect(gl.getProgramInfoLog(program)).to.contain('not successfully compiled');
+    });
+
+    it('should store uniform values per program', function ()
+    {
+        const gl = this.gl;
+        const program = createProgram(gl);
+        const location = gl.getUniformLocation(program, 'uSampler');
+
+        gl.uniform1i(location, 3);
+        expect(gl.getError()).to.equal(gl.INVALID_OPERATION);
+
+        gl.useProgram(program);
+        gl.uniform1i(location, 3);
+        expect(gl.getUniform(program, location)).to.equal(3);
+    });
+
+    it('should record draw calls with the textures they sample', function ()
+    {
+        const gl = this.gl;
+        const program = createProgram(gl);
+        const texture = gl.createTexture();
+
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+        expect(gl.getError()).to.equal(gl.INVALID_OPERATION);
+        expect(gl.drawCalls.length).to.equal(0);
+
+        gl.useProgram(program);
+        gl.activeTexture(gl.TEXTURE2);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.uniform1i(gl.getUniformLocation(program, 'uSampler'), 2);
+        gl.enable(gl.BLEND);
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+
+        expect(gl.drawCalls.length).to.equal(1);
+        expect(gl.drawCalls[0].count).to.equal(6);
+        expect(gl.drawCalls[0].program).to.equal(program);
+        expect(gl.drawCalls[0].textures).to.deep.equal([texture]);
+        expect(gl.drawCalls[0].blend).to.be.true;
+        expect(gl.counts.drawArrays).to.equal(2);
+
+        gl.clearRecords();
+        expect(gl.drawCalls.length).to.equal(0);
+        expect(gl.counts).to.deep.equal({});
+    });
+
+    it('should only allow 32 bit indices with OES_element_index_uint', function ()
+    {
+        const gl = this.gl;
+
+        gl.useProgram(createProgram(gl));
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, gl.createBuffer());
+
+        gl.drawElements(gl.TRIANGLES, 6, gl.UNSIGNED_INT, 0);
+        expect(gl.getError()).to.equal(gl.INVALID_ENUM);
+
+        gl.getExtension('OES_element_index_uint');
+        gl.drawElements(gl.TRIANGLES, 6, gl.UNSIGNED_INT, 0);
+        expect(gl.getError()).to.equal(gl.NO_ERROR);
+        expect(gl.drawCalls.length).to.equal(1);
+    });
+
+    it('should implement vertex array objects through OES_vertex_array_object', function ()
+    {
+        const gl = this.gl;
+        const ext = gl.getExtension('OES_vertex_array_object');
+        const vao = ext.createVertexArrayOES();
+        const indices = gl.createBuffer();
+
+        expect(gl.getExtension('OES_vertex_array_object')).to.equal(ext);
+
+        ext.bindVertexArrayOES(vao);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indices);
+        gl.enableVertexAttribArray(0);
+        ext.bindVertexArrayOES(null);
+
+        expect(gl.getParameter(gl.ELEMENT_ARRAY_BUFFER_BINDING)).to.be.null;
+        expect(gl.getVertexAttrib(0, gl.VERTEX_ATTRIB_ARRAY_ENABLED)).to.be.false;
+
+        ext.bindVertexArrayOES(vao);
+        expect(gl.getParameter(gl.ELEMENT_ARRAY_BUFFER_BINDING)).to.equal(indices);
+        expect(gl.counts.bindVertexArrayOES).to.equal(3);
+    });
+
+    it('should check framebuffer completeness', function ()
+    {
+        const gl = this.gl;
+        const framebuffer = gl.createFramebuffer();
+        const texture = gl.createTexture();
+        const renderbuffer = gl.createRenderbuffer();
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        expect(gl.checkFramebufferStatus(gl.FRAMEBUFFER)).to.equal(gl.FRAMEBUFFER_INCOMPLETE_MISSING_ATTACHMENT);
+
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 64, 32, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+        expect(gl.checkFramebufferStatus(gl.FRAMEBUFFER)).to.equal(gl.FRAMEBUFFER_COMPLETE);
+
+        gl.bindRenderbuffer(gl.RENDERBUFFER, renderbuffer);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_STENCIL, 32, 32);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_STENCIL_ATTACHMENT, gl.RENDERBUFFER, renderbuffer);
+        expect(gl.checkFramebufferStatus(gl.FRAMEBUFFER)).to.equal(gl.FRAMEBUFFER_INCOMPLETE_DIMENSIONS);
+    });
+
+    it('should lose and restore the context through WEBGL_lose_context', function ()
+    {
+        const canvas = new MockCanvas();
+        const gl = canvas.getContext('webgl');
+        const ext = gl.getExtension('WEBGL_lose_context');
+        const texture = gl.createTexture();
+        const lost = sinon.spy((event) => event.preventDefault());
+        const restored = sinon.spy();
+
+        canvas.addEventListener('webglcontextlost', lost);
+        canvas.addEventListener('webglcontextrestored', restored);
+
+        ext.loseContext();
+
+        expect(lost).to.have.been.calledOnce;
+        expect(gl.isContextLost()).to.be.true;
+        expect(gl.getError()).to.equal(gl.CONTEXT_LOST_WEBGL);
+        expect(gl.createTexture()).to.be.null;
+        expect(texture.deleted).to.be.true;
+
+        ext.restoreContext();
+
+        expect(restored).to.have.been.calledOnce;
+        expect(gl.isContextLost()).to.be.false;
+        expect(gl.createTexture()).to.not.be.null;
+    });
+
+    it('should not restore the context if the lost event was not prevented', function ()
+    {
+        const gl = this.gl;
+
+        gl.simulateContextLost();
+        gl.simulateContextRestored();
+
+        expect(gl.isContextLost()).to.be.true;
+    });
+
+    it('should record every call when asked to', function ()
+    {
+        const gl = new MockWebGLRenderingContext(null, null, { recordCalls: true, extensions: [] });
+
+        gl.clearColor(1, 0, 0, 1);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+
+        expect(gl.calls).to.deep.equal([
+            { name: 'clearColor', args: [1, 0, 0, 1] },
+            { name: 'clear', args: [gl.COLOR_BUFFER_BIT] },
+        ]);
+        expect(gl.getExtension('OES_vertex_array_object')).to.be.null;
+    });
+});
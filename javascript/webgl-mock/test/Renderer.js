@@ -0,0 +1,70 @@
+const { MockCanvas, useMockRenderer } = require('../');
+const { Renderer } = require('@pixi/core');
+const { Container } = require('@pixi/display');
+const { skipHello } = require('@pixi/utils');
+
+skipHello();
+
+describe('PIXI.Renderer with a mock context', function ()
+{
+    it('should detect the version of a context given as an option', function ()
+    {
+        const view = new MockCanvas(10, 10);
+        const renderer = new Renderer({ view, context: view.getContext('webgl2', { stencil: true }) });
+
+        try
+        {
+            expect(renderer.context.webGLVersion).to.equal(2);
+            expect(renderer.geometry.hasVao).to.be.true;
+        }
+        finally
+        {
+            renderer.destroy();
+        }
+    });
+
+    it('should render using a WebGL 1 context', function ()
+    {
+        const view = new MockCanvas(10, 10, { webGLVersion: 1 });
+        const renderer = new Renderer({ view, width: 10, height: 10 });
+        const gl = view.context;
+
+        try
+        {
+            expect(renderer.context.webGLVersion).to.equal(1);
+            expect(renderer.context.extensions.vertexArrayObject).to.exist;
+
+            gl.clearRecords();
+            renderer.render(new Container());
+
+            expect(gl.counts.clear).to.equal(1);
+            expect(gl.getError()).to.equal(gl.NO_ERROR);
+        }
+        finally
+        {
+            renderer.destroy();
+        }
+
+        expect(gl.isContextLost()).to.be.true;
+    });
+
+    describe('useMockRenderer', function ()
+    {
+        const createRenderer = useMockRenderer(Renderer);
+        let created = null;
+
+        it('should create renderers on mock canvases', function ()
+        {
+            created = createRenderer({ webGLVersion: 1 });
+
+            expect(created.view).to.be.an.instanceof(MockCanvas);
+            expect(created.context.webGLVersion).to.equal(1);
+            expect(created.screen.width).to.equal(10);
+        });
+
+        it('should destroy the renderers after each test', function ()
+        {
+            expect(created.view).to.be.null;
+        });
+    });
+});
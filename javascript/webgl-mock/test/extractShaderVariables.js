@@ -0,0 +1,65 @@
+const { extractShaderVariables } = require('../');
+
+describe('PIXI.mock.extractShaderVariables', function ()
+{
+    it('should read attributes and uniforms', function ()
+    {
+        const { attributes, uniforms } = extractShaderVariables(`
+            precision mediump float;
+            attribute vec2 aVertexPosition;
+            attribute highp vec2 aTextureCoord;
+            uniform mat3 projectionMatrix;
+            // uniform float uCommented;
+            void main() {}
+        `, true);
+
+        expect(attributes).to.deep.equal([
+            { name: 'aVertexPosition', glType: 'FLOAT_VEC2', size: 1 },
+            { name: 'aTextureCoord', glType: 'FLOAT_VEC2', size: 1 },
+        ]);
+        expect(uniforms).to.deep.equal([
+            { name: 'projectionMatrix', glType: 'FLOAT_MAT3', size: 1 },
+        ]);
+    });
+
+    it('should resolve array sizes from defines', function ()
+    {
+        const { uniforms } = extractShaderVariables(`
+            #define COUNT 8
+            uniform sampler2D uSamplers[COUNT], uOther;
+            void main() {}
+        `, false);
+
+        expect(uniforms).to.deep.equal([
+            { name: 'uSamplers[0]', glType: 'SAMPLER_2D', size: 8 },
+            { name: 'uOther', glType: 'SAMPLER_2D', size: 1 },
+        ]);
+    });
+
+    it('should only read inputs of vertex shaders as attributes', function ()
+    {
+        const source = `#version 300 es
+            in vec2 vTextureCoord;
+            void main() {}
+        `;
+
+        expect(extractShaderVariables(source, true).attributes.length).to.equal(1);
+        expect(extractShaderVariables(source, false).attributes.length).to.equal(0);
+    });
+
+    it('should read uniform blocks', function ()
+    {
+        const { uniforms, blocks } = extractShaderVariables(`#version 300 es
+            layout(std140) uniform Globals { mat3 projectionMatrix; vec4 tint; };
+            uniform Locals { float alpha; } locals;
+            void main() {}
+        `, true);
+
+        expect(blocks.length).to.equal(2);
+        expect(blocks[0].name).to.equal('Globals');
+        expect(uniforms.map((uniform) => uniform.name)).to.deep.equal([
+            'projectionMatrix', 'tint', 'Locals.alpha',
+        ]);
+        expect(uniforms[2].block).to.equal('Locals');
+    });
+});
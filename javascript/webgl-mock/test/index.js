@@ -0,0 +1,5 @@
+require('./extractShaderVariables');
+require('./MockWebGLRenderingContext');
+require('./MockWebGL2RenderingContext');
+require('./MockCanvas');
+require('./Renderer');